@@ -0,0 +1,110 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Branch;
+use Illuminate\Http\Request;
+
+class BranchController extends StructureController
+{
+    /**
+     * Get every branch
+     */
+    public function index()
+    {
+        return response()->json([
+            'branches' => Branch::orderBy('id')->get()->map(fn ($branch) => $this->present($branch)),
+        ]);
+    }
+
+    /**
+     * Get one branch
+     */
+    public function show(Branch $branch)
+    {
+        return response()->json($this->present($branch));
+    }
+
+    /**
+     * Get the buildings of a branch
+     */
+    public function buildings(Branch $branch, BuildingController $buildings)
+    {
+        return response()->json([
+            'buildings' => $branch->buildings()->withCount('floors')->orderBy('id')->get()
+                ->map(fn ($building) => $buildings->present($building)),
+        ]);
+    }
+
+    /**
+     * Create a branch
+     * Body: { name, location, timezone, type, description }
+     */
+    public function store(Request $request)
+    {
+        $branch = Branch::create($this->validated($request));
+
+        return response()->json($this->present($branch), 201);
+    }
+
+    /**
+     * Update a branch
+     */
+    public function update(Request $request, Branch $branch)
+    {
+        $branch->update($this->validated($request, $branch->id));
+
+        return response()->json($this->present($branch));
+    }
+
+    /**
+     * Delete a branch - only once it has no buildings
+     */
+    public function destroy(Branch $branch)
+    {
+        $this->assertNoChildren($branch->buildings()->count(), 'building');
+        $branch->delete();
+
+        return response()->noContent();
+    }
+
+    /**
+     * Validate a branch from the request and map it onto the table's columns
+     */
+    private function validated(Request $request, ?int $id = null): array
+    {
+        $data = $request->validate([
+            'name' => [
+                'required', 'string', 'max:255',
+                $this->uniqueName('branches', null, null, $id, 'There is already a branch named "%s"'),
+            ],
+            'location' => 'nullable|string|max:255',
+            'timezone' => 'nullable|timezone:all',
+            'type' => 'nullable|string|max:100',
+            'description' => 'nullable|string',
+        ]);
+
+        return [
+            'name' => trim($data['name']),
+            'location' => $data['location'] ?? '',
+            'timezone' => $data['timezone'] ?? null,
+            'type' => $data['type'] ?? '',
+            'description' => $data['description'] ?? null,
+        ];
+    }
+
+    /**
+     * Branch as the frontend's asset hierarchy stores it
+     */
+    public function present(Branch $branch): array
+    {
+        return [
+            'id' => $branch->id,
+            'name' => $branch->name,
+            'location' => $branch->location,
+            'timezone' => $branch->timezone,
+            'type' => $branch->type,
+            'description' => $branch->description,
+        ];
+    }
+}
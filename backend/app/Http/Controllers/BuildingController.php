@@ -0,0 +1,130 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Building;
+use App\Models\Unit;
+use Illuminate\Http\Request;
+
+class BuildingController extends StructureController
+{
+    /**
+     * Get every building (optionally of one branch: ?branchId=)
+     */
+    public function index(Request $request)
+    {
+        $request->validate(['branchId' => 'nullable|integer|min:1']);
+
+        $buildings = Building::withCount('floors')
+            ->when($request->input('branchId'), fn ($q, $branchId) => $q->where('branch_id', $branchId))
+            ->orderBy('id')
+            ->get();
+
+        return response()->json([
+            'buildings' => $buildings->map(fn ($building) => $this->present($building)),
+        ]);
+    }
+
+    /**
+     * Get one building
+     */
+    public function show(Building $building)
+    {
+        return response()->json($this->present($building->loadCount('floors')));
+    }
+
+    /**
+     * Get the floors of a building
+     */
+    public function floors(Building $building, FloorController $floors)
+    {
+        return response()->json([
+            'floors' => $building->floors()->withCount('units')->orderBy('floor_number')->get()
+                ->map(fn ($floor) => $floors->present($floor)),
+        ]);
+    }
+
+    /**
+     * Get the units on every floor of a building
+     */
+    public function units(Building $building, UnitController $units)
+    {
+        return response()->json([
+            'units' => Unit::whereIn('floor_id', $building->floors()->pluck('id'))->orderBy('id')->get()
+                ->map(fn ($unit) => $units->present($unit)),
+        ]);
+    }
+
+    /**
+     * Create a building
+     * Body: { branchId, name, type, area }
+     */
+    public function store(Request $request)
+    {
+        $building = Building::create($this->validated($request) + ['total_floors' => 0]);
+
+        return response()->json($this->present($building->loadCount('floors')), 201);
+    }
+
+    /**
+     * Update a building - a new branchId moves it to another branch
+     */
+    public function update(Request $request, Building $building)
+    {
+        $building->update($this->validated($request, $building->id));
+
+        return response()->json($this->present($building->loadCount('floors')));
+    }
+
+    /**
+     * Delete a building - only once it has no floors
+     */
+    public function destroy(Building $building)
+    {
+        $this->assertNoChildren($building->floors()->count(), 'floor');
+        $building->delete();
+
+        return response()->noContent();
+    }
+
+    /**
+     * Validate a building from the request and map it onto the table's columns
+     */
+    private function validated(Request $request, ?int $id = null): array
+    {
+        $data = $request->validate([
+            'branchId' => 'required|integer|exists:branches,id',
+            'name' => [
+                'required', 'string', 'max:255',
+                $this->uniqueName('buildings', 'branch_id', $request->input('branchId'), $id, 'There is already a building named "%s" in this branch'),
+            ],
+            'type' => 'nullable|string|max:100',
+            'area' => 'required|numeric|gt:0',
+        ], [
+            'branchId.*' => 'Choose a branch',
+            'area.*' => 'Area must be more than zero',
+        ]);
+
+        return [
+            'branch_id' => (int) $data['branchId'],
+            'name' => trim($data['name']),
+            'type' => $data['type'] ?? '',
+            'area' => $data['area'],
+        ];
+    }
+
+    /**
+     * Building as the frontend's asset hierarchy stores it - totalFloors is counted, not stored
+     */
+    public function present(Building $building): array
+    {
+        return [
+            'id' => $building->id,
+            'branchId' => $building->branch_id,
+            'name' => $building->name,
+            'type' => $building->type,
+            'totalFloors' => $building->floors_count ?? $building->floors()->count(),
+            'area' => (float) $building->area,
+        ];
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\Branch;
+use App\Models\Building;
 use App\Models\EnergyData;
 use App\Models\DailySummary;
 use Illuminate\Http\Request;
@@ -17,6 +19,135 @@ public function dashboard()
         return view('dashboard');
     }
 
+    /**
+     * Validate the shared dashboard filters.
+     * Invalid values return a 422 with Laravel's standard { message, errors } payload,
+     * which the frontend surfaces as a ValidationError instead of an empty chart.
+     */
+    private function validateFilters(Request $request): void
+    {
+        $request->validate([
+            'date' => 'nullable|date_format:Y-m-d',
+            'dateFrom' => 'nullable|date_format:Y-m-d|required_with:dateTo',
+            'dateTo' => 'nullable|date_format:Y-m-d|required_with:dateFrom|after_or_equal:dateFrom',
+            'branch' => 'nullable|integer|min:1',
+            'building' => 'nullable|integer|min:1',
+            'floor' => 'nullable|regex:/^(all|\d+)$/',
+            'timeGranularity' => 'nullable|in:day,week,hour,minute',
+            'weekday' => 'nullable|in:all,sunday,monday,tuesday,wednesday,thursday,friday,saturday',
+            'hour' => 'nullable|integer|between:0,23',
+            'minute' => 'nullable|integer|between:0,59',
+            'interval' => 'nullable|in:15,30',
+            'nominal' => 'nullable|numeric|between:100,480',
+            'sagPercent' => 'nullable|numeric|between:1,50',
+            'swellPercent' => 'nullable|numeric|between:1,50',
+            'includeHourly' => 'nullable|boolean',
+            'limit' => 'nullable|integer|between:1,100',
+            'meter' => 'nullable|integer|min:1',
+            'channel' => 'nullable|regex:/^(main|\d+)$/',
+            'afterId' => 'nullable|integer|min:0',
+        ]);
+    }
+
+    /**
+     * Get the requested dateFrom/dateTo range (inclusive), or null when no range is set.
+     * A range takes precedence over the single `date` filter.
+     */
+    private function getDateRange(Request $request): ?array
+    {
+        $dateFrom = $request->input('dateFrom');
+        $dateTo = $request->input('dateTo');
+
+        if (!$dateFrom || !$dateTo) {
+            return null;
+        }
+
+        return [$dateFrom, $dateTo];
+    }
+
+    /**
+     * Get the floor ids of the requested branch / building, or null when the request is not scoped to a site.
+     * A site resolves through buildings → floors, and readings link to their floor through
+     * energy_data.floor_id (energy_data.floor is the meter's floor number from the CSV).
+     * Resolved once per request.
+     */
+    private function getSiteFloorIds(Request $request): ?array
+    {
+        if ($request->attributes->has('siteFloorIds')) {
+            return $request->attributes->get('siteFloorIds');
+        }
+
+        $branch = $request->input('branch');
+        $building = $request->input('building');
+        $floorIds = null;
+
+        if ($branch || $building) {
+            $floorIds = DB::table('floors')
+                ->join('buildings', 'buildings.id', '=', 'floors.building_id')
+                ->when($branch, fn ($q) => $q->where('buildings.branch_id', $branch))
+                ->when($building, fn ($q) => $q->where('buildings.id', $building))
+                ->pluck('floors.id')
+                ->map(fn ($id) => (int) $id)
+                ->all();
+        }
+
+        $request->attributes->set('siteFloorIds', $floorIds);
+
+        return $floorIds;
+    }
+
+    /**
+     * Do the date math of this request on the clock of the branch in view (the requested branch, or the
+     * requested building's branch), or Asia/Manila without a site or when the branch has no timezone.
+     * Readings carry their meter's local date and hour, so they already fall on the site's days and hours;
+     * this keeps the month bounds, demand intervals and event times derived from them on the same clock.
+     */
+    private function useSiteTimezone(Request $request): void
+    {
+        $branchId = $request->input('branch')
+            ?: ($request->input('building') ? Building::whereKey($request->input('building'))->value('branch_id') : null);
+        $timezone = $branchId ? Branch::whereKey($branchId)->value('timezone') : null;
+
+        date_default_timezone_set($timezone && in_array($timezone, timezone_identifiers_list(\DateTimeZone::ALL_WITH_BC), true) ? $timezone : 'Asia/Manila');
+    }
+
+    /**
+     * Restrict a readings query to the floor filter and to the floors of the requested site
+     */
+    private function scopeFloor($query, Request $request, $floor = null)
+    {
+        if ($floor && $floor !== 'all') {
+            $query->where('floor', $floor);
+        }
+
+        $siteFloorIds = $this->getSiteFloorIds($request);
+        if ($siteFloorIds !== null) {
+            $query->whereIn('floor_id', $siteFloorIds);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Restrict a daily_summary / hourly_summary query to the floor filter.
+     * Summaries are keyed by the CSV floor number only, with no floor_id, so they can't answer a
+     * site-scoped request: returns false and the caller aggregates the raw readings instead.
+     */
+    private function scopeSummaryFloor($query, Request $request, $floor): bool
+    {
+        if ($this->getSiteFloorIds($request) !== null) {
+            return false;
+        }
+
+        if ($floor && $floor !== 'all') {
+            $query->where('floor', $floor);
+        } else {
+            $query->whereNull('floor');
+        }
+
+        return true;
+    }
+
     /**
      * Get summary statistics for a selected date with filters.
      * If no date is provided, uses the earliest available date.
@@ -24,19 +155,25 @@ public function dashboard()
      */
     public function getSummary(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $date = $request->query('date');
         $floor = $request->query('floor');
         $timeGranularity = $request->query('timeGranularity', 'day');
         $weekday = $request->query('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
+        $dayNumber = null;
 
         // Build base query with filters
         $query = EnergyData::query();
 
-        // Apply floor filter
-        if ($floor && $floor !== 'all') {
-            $query->where('floor', $floor);
+        // Apply floor and site filters
+        $this->scopeFloor($query, $request, $floor);
+
+        // Apply date range - takes precedence over a single date
+        if ($dateRange) {
+            $query->whereBetween('date', $dateRange);
         }
 
         // Handle time granularity and date filtering
@@ -69,11 +206,15 @@ public function getSummary(Request $request)
         if (!$date) {
             $date = EnergyData::min('date');
             }
-            if ($date) {
+            if ($date && !$dateRange) {
                 $query->where('date', $date);
             }
         }
 
+        if ($dateRange) {
+            return response()->json($this->getRangeSummary($request, $query, $dateRange, $floor, $dayNumber));
+        }
+
         if (!$date && $timeGranularity === 'day') {
             return response()->json([
                 'date' => null,
@@ -88,13 +229,7 @@ public function getSummary(Request $request)
         // Use pre-aggregated daily_summary table for INSTANT results (< 10ms instead of 1.6s+)
         $summaryQuery = DB::table('daily_summary')->where('date', $date);
         
-        if ($floor && $floor !== 'all') {
-            $summaryQuery->where('floor', $floor);
-        } else {
-            $summaryQuery->whereNull('floor');
-        }
-        
-        $dailySummary = $summaryQuery->first();
+        $dailySummary = $this->scopeSummaryFloor($summaryQuery, $request, $floor) ? $summaryQuery->first() : null;
         
         if ($dailySummary) {
             // Use pre-aggregated data - INSTANT!
@@ -120,7 +255,7 @@ public function getSummary(Request $request)
             $avgEnergyPerMinute = $minuteCount > 0 ? $totalEnergyDay / $minuteCount : 0.0;
             $avgEnergyPerHour = $hourCount > 0 ? $totalEnergyDay / $hourCount : 0.0;
         } else {
-            // Fallback to raw query ONLY if summary table is empty (first time)
+            // Fallback to raw query if summary table is empty (first time) or can't serve the site in view
             $totalRecords = (clone $query)->count();
             $avgCurrentDay = (float) (clone $query)->avg('current_a');
             $totalEnergyDay = (float) (clone $query)->sum('energy_wh');
@@ -174,6 +309,85 @@ public function getSummary(Request $request)
         ]);
     }
 
+    /**
+     * Summarize every day in a dateFrom/dateTo range.
+     * Uses the pre-aggregated daily_summary rows when they exist, weighting each
+     * day's averages by its record/minute/hour counts; falls back to raw data otherwise.
+     */
+    private function getRangeSummary(Request $request, $query, array $dateRange, $floor, ?int $dayNumber): array
+    {
+        $summaryQuery = DB::table('daily_summary')->whereBetween('date', $dateRange);
+        $useSummary = $this->scopeSummaryFloor($summaryQuery, $request, $floor);
+
+        if ($dayNumber !== null) {
+            $summaryQuery->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
+        }
+
+        $totals = !$useSummary ? null : $summaryQuery
+            ->selectRaw('
+                COUNT(*) as day_count,
+                SUM(total_records) as total_records,
+                SUM(total_energy) as total_energy,
+                SUM(avg_current * total_records) as weighted_current,
+                SUM(minute_count) as minute_count,
+                SUM(avg_current_per_minute * minute_count) as weighted_current_per_minute,
+                SUM(hour_count) as hour_count,
+                SUM(avg_current_per_hour * hour_count) as weighted_current_per_hour
+            ')
+            ->first();
+
+        if ($totals && $totals->day_count > 0) {
+            $dayCount = (int) $totals->day_count;
+            $totalRecords = (int) $totals->total_records;
+            $totalEnergy = (float) $totals->total_energy;
+            $minuteCount = max(1, (int) $totals->minute_count);
+            $hourCount = max(1, (int) $totals->hour_count);
+            $avgCurrent = $totalRecords > 0 ? (float) $totals->weighted_current / $totalRecords : 0.0;
+            $avgCurrentPerMinute = (float) $totals->weighted_current_per_minute / $minuteCount;
+            $avgCurrentPerHour = (float) $totals->weighted_current_per_hour / $hourCount;
+        } else {
+            // Fallback to raw query if the summary table has no rows for these dates or the site in view
+            $dayCount = (int) (clone $query)->selectRaw('COUNT(DISTINCT date) as cnt')->value('cnt');
+            $totalRecords = (clone $query)->count();
+            $totalEnergy = (float) (clone $query)->sum('energy_wh');
+            $avgCurrent = (float) (clone $query)->avg('current_a');
+
+            // Count minutes and hours per date so the same clock minute on two days counts twice
+            $minuteCount = max(1, (int) (clone $query)->selectRaw("COUNT(DISTINCT date || ' ' || hour || ':' || minute) as cnt")->value('cnt'));
+            $hourCount = max(1, (int) (clone $query)->selectRaw("COUNT(DISTINCT date || ' ' || hour) as cnt")->value('cnt'));
+            $avgCurrentPerMinute = $avgCurrent;
+            $avgCurrentPerHour = $avgCurrent;
+        }
+
+        return [
+            'date' => $dateRange[0],
+            'date_from' => $dateRange[0],
+            'date_to' => $dateRange[1],
+            'day_count' => $dayCount,
+            'per_second' => [
+                'avg_current' => round($avgCurrent, 2),
+                'avg_energy' => round($totalRecords > 0 ? $totalEnergy / $totalRecords : 0.0, 5),
+                'count' => $totalRecords,
+            ],
+            'per_minute' => [
+                'avg_current' => round($avgCurrentPerMinute, 2),
+                'avg_energy' => round($totalEnergy / $minuteCount, 2),
+                'count' => $minuteCount,
+            ],
+            'per_hour' => [
+                'avg_current' => round($avgCurrentPerHour, 2),
+                'avg_energy' => round($totalEnergy / $hourCount, 2),
+                'count' => $hourCount,
+            ],
+            'per_day' => [
+                'avg_current' => round($avgCurrent, 2),
+                'total_energy' => round($totalEnergy, 2),
+                'avg_energy' => round($dayCount > 0 ? $totalEnergy / $dayCount : 0.0, 2),
+            ],
+            'total_records' => $totalRecords,
+        ];
+    }
+
     /**
      * Get hourly data with filters.
      * Properly handles: date, floor, timeGranularity, weekday
@@ -181,12 +395,14 @@ public function getSummary(Request $request)
      */
     public function getHourlyData(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $date = $request->input('date');
         $floor = $request->input('floor');
         $timeGranularity = $request->input('timeGranularity', 'day');
         $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
 
         // Determine which dates to query based on filters
         $datesToQuery = [];
@@ -205,10 +421,21 @@ public function getHourlyData(Request $request)
             $dayNumber = $weekdayMap[$weekday] ?? null;
             if ($dayNumber !== null) {
                 $datesToQuery = EnergyData::whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber])
+                    ->when($dateRange, function($q) use ($dateRange) {
+                        return $q->whereBetween('date', $dateRange);
+                    })
                     ->distinct()
                     ->pluck('date')
                     ->toArray();
             }
+        } elseif ($dateRange) {
+            // Date range - every available date in the span
+            $datesToQuery = EnergyData::whereBetween('date', $dateRange)
+                ->distinct()
+                ->orderBy('date', 'asc')
+                ->pluck('date')
+                ->toArray();
+            $date = null; // Peak date is resolved from the data below
         } elseif ($date) {
             // Single date query
             $datesToQuery = [$date];
@@ -225,6 +452,8 @@ public function getHourlyData(Request $request)
         if (empty($datesToQuery)) {
             return response()->json([
                 'date' => $date,
+                'date_from' => $dateRange[0] ?? null,
+                'date_to' => $dateRange[1] ?? null,
                 'hourly_data' => [],
                 'peak_hour' => [
                     'hour' => null,
@@ -239,20 +468,18 @@ public function getHourlyData(Request $request)
         // Query hourly_summary table for fast results
         // For single date, use summary table directly
         // For multiple dates, we need to aggregate properly
-        if (count($datesToQuery) === 1) {
-            // Single date - use summary table directly
+        $useSummary = count($datesToQuery) === 1;
+        if ($useSummary) {
+            // Apply floor filter (floor = null rows are all floors combined) - a site's floors
+            // together aren't pre-aggregated, so they are summed from the raw readings below
             $summaryQuery = DB::table('hourly_summary')
                 ->where('date', $datesToQuery[0]);
-            
-            // Apply floor filter
-        if ($floor && $floor !== 'all') {
-            $summaryQuery->where('floor', $floor);
-        } else {
-            // Get aggregated data for all floors (floor = null means all floors combined)
-            $summaryQuery->whereNull('floor');
+            $useSummary = $this->scopeSummaryFloor($summaryQuery, $request, $floor);
         }
-        
-        $hourlyDataRaw = $summaryQuery
+
+        if ($useSummary) {
+            // Single date - use summary table directly
+            $hourlyDataRaw = $summaryQuery
                 ->selectRaw('
                     hour,
                     avg_current,
@@ -263,12 +490,10 @@ public function getHourlyData(Request $request)
                 ->orderBy('hour', 'asc')
                 ->get();
         } else {
-            // Multiple dates - aggregate from raw data to ensure accuracy
+            // Multiple dates (or a site) - aggregate from raw data to ensure accuracy
             $query = EnergyData::whereIn('date', $datesToQuery);
             
-            if ($floor && $floor !== 'all') {
-                $query->where('floor', $floor);
-            }
+            $this->scopeFloor($query, $request, $floor);
             
             $hourlyDataRaw = $query
                 ->selectRaw('
@@ -298,9 +523,7 @@ public function getHourlyData(Request $request)
         if ($hourlyData->isEmpty() && !empty($datesToQuery)) {
             $query = EnergyData::whereIn('date', $datesToQuery);
             
-            if ($floor && $floor !== 'all') {
-                $query->where('floor', $floor);
-            }
+            $this->scopeFloor($query, $request, $floor);
             
             $hourlyData = $query
                 ->selectRaw('
@@ -329,23 +552,27 @@ public function getHourlyData(Request $request)
             // Use the first date from datesToQuery, or the specific date
             $peakDate = $date ?? ($datesToQuery[0] ?? null);
             
-            // If week view with weekday, find the actual date where peak occurred
-            if ($timeGranularity === 'week' && $weekday && $weekday !== 'all' && !empty($datesToQuery)) {
-                // Find the date where this hour had the highest energy for this weekday
+            // If week view with weekday or a date range, find the actual date where peak occurred
+            $spansDates = ($timeGranularity === 'week' && $weekday && $weekday !== 'all') || $dateRange;
+            if ($spansDates && !empty($datesToQuery)) {
+                // Find the date where this hour had the highest energy across the queried dates
                 $peakDateQuery = DB::table('hourly_summary')
                     ->whereIn('date', $datesToQuery)
                     ->where('hour', $peakHourValue);
                 
-                if ($floor && $floor !== 'all') {
-                    $peakDateQuery->where('floor', $floor);
+                if ($this->scopeSummaryFloor($peakDateQuery, $request, $floor)) {
+                    $peakDateRecord = $peakDateQuery
+                        ->orderBy('total_energy', 'desc')
+                        ->first();
                 } else {
-                    $peakDateQuery->whereNull('floor');
+                    $peakDateRecord = $this->scopeFloor(EnergyData::whereIn('date', $datesToQuery), $request)
+                        ->where('hour', $peakHourValue)
+                        ->selectRaw('date, SUM(energy_wh) as total_energy')
+                        ->groupBy('date')
+                        ->orderBy('total_energy', 'desc')
+                        ->first();
                 }
                 
-                $peakDateRecord = $peakDateQuery
-                    ->orderBy('total_energy', 'desc')
-                    ->first();
-                
                 if ($peakDateRecord) {
                     $peakDate = $peakDateRecord->date;
                 } else {
@@ -368,6 +595,8 @@ public function getHourlyData(Request $request)
 
         return response()->json([
             'date' => $date ?? ($datesToQuery[0] ?? null),
+            'date_from' => $dateRange[0] ?? null,
+            'date_to' => $dateRange[1] ?? null,
             'hourly_data' => $hourlyData->values(), // Reset array keys
             'peak_hour' => [
                 'hour' => $peakHour->hour ?? null,
@@ -385,9 +614,11 @@ public function getHourlyData(Request $request)
      */
     public function getWeeklyPeakHours(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $floor = $request->input('floor');
+        $dateRange = $this->getDateRange($request);
         
         $weekdayMap = [
             'sunday' => 0,
@@ -404,9 +635,12 @@ public function getWeeklyPeakHours(Request $request)
         foreach ($weekdayMap as $weekdayName => $dayNumber) {
             $query = EnergyData::query();
             
-            // Apply floor filter if provided
-            if ($floor && $floor !== 'all') {
-                $query->where('floor', $floor);
+            // Apply floor and site filters
+            $this->scopeFloor($query, $request, $floor);
+
+            // Limit to the requested date range
+            if ($dateRange) {
+                $query->whereBetween('date', $dateRange);
             }
             
             // Filter by weekday
@@ -428,9 +662,10 @@ public function getWeeklyPeakHours(Request $request)
             
             if ($peakHour && $peakHour->hour !== null) {
                 // Get a sample date for this weekday
-                $sampleDate = EnergyData::whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber])
-                    ->when($floor && $floor !== 'all', function($q) use ($floor) {
-                        return $q->where('floor', $floor);
+                $sampleDate = $this->scopeFloor(EnergyData::query(), $request, $floor)
+                    ->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber])
+                    ->when($dateRange, function($q) use ($dateRange) {
+                        return $q->whereBetween('date', $dateRange);
                     })
                     ->min('date');
                 
@@ -462,14 +697,18 @@ public function getWeeklyPeakHours(Request $request)
     /**
      * Get floor-level analytics
      * Returns floor-level insights: peak hours, consumption trends, efficiency metrics
+     * With includeHourly=1 each floor also gets hourly_trend (energy per date + hour)
      */
     public function getFloorAnalytics(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $floor = $request->input('floor');
         $timeGranularity = $request->input('timeGranularity', 'day');
         $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
+        $includeHourly = $request->boolean('includeHourly');
         
         // Get all floors or specific floor
         // Filter out Floor 0 (doesn't exist) - only include valid floors (1, 2, 3, etc.)
@@ -481,7 +720,7 @@ public function getFloorAnalytics(Request $request)
                 $floors = [$floorId];
             }
         } else {
-            $floors = EnergyData::select('floor')
+            $floors = $this->scopeFloor(EnergyData::select('floor'), $request)
                 ->distinct()
                 ->whereNotNull('floor')
                 ->where('floor', '>', 0) // Exclude Floor 0
@@ -489,11 +728,21 @@ public function getFloorAnalytics(Request $request)
                 ->pluck('floor')
                 ->toArray();
         }
+
+        // A floor with no readings in the site in view has nothing to show
+        if ($this->getSiteFloorIds($request) !== null) {
+            $floors = array_values(array_filter($floors, fn ($floorId) => $this->scopeFloor(EnergyData::query(), $request, $floorId)->exists()));
+        }
         
         $floorAnalytics = [];
         
         foreach ($floors as $floorId) {
-            $query = EnergyData::where('floor', $floorId);
+            $query = $this->scopeFloor(EnergyData::query(), $request, $floorId);
+
+            // Limit to the requested date range
+            if ($dateRange) {
+                $query->whereBetween('date', $dateRange);
+            }
             
             // Apply time granularity and weekday filters
             if ($timeGranularity === 'week' && $weekday && $weekday !== 'all') {
@@ -544,15 +793,11 @@ public function getFloorAnalytics(Request $request)
                         'total_energy' => round((float)$item->total_energy, 2),
                     ];
                 });
-            
-            // Calculate cost (assuming 10 PHP per kWh)
-            $totalCost = ($totalEnergy / 1000) * 10;
-            
-            $floorAnalytics[] = [
+
+            $analytics = [
                 'floor' => $floorId,
                 'total_energy' => round($totalEnergy, 2),
                 'total_energy_kwh' => round($totalEnergy / 1000, 2),
-                'total_cost' => round($totalCost, 2),
                 'total_records' => $totalRecords,
                 'avg_energy_per_record' => round($avgEnergy, 5),
                 'peak_hour' => $peakHour ? [
@@ -561,6 +806,29 @@ public function getFloorAnalytics(Request $request)
                 ] : null,
                 'daily_trend' => $dailyTrend,
             ];
+
+            // Per date + hour series, for anomaly baselines on the frontend
+            if ($includeHourly) {
+                $analytics['hourly_trend'] = (clone $query)
+                    ->selectRaw('
+                        date,
+                        hour,
+                        SUM(energy_wh) as total_energy
+                    ')
+                    ->groupBy('date', 'hour')
+                    ->orderBy('date', 'asc')
+                    ->orderBy('hour', 'asc')
+                    ->get()
+                    ->map(function($item) {
+                        return [
+                            'date' => $item->date,
+                            'hour' => (int) $item->hour,
+                            'total_energy' => round((float)$item->total_energy, 2),
+                        ];
+                    });
+            }
+
+            $floorAnalytics[] = $analytics;
         }
         
         return response()->json([
@@ -570,20 +838,39 @@ public function getFloorAnalytics(Request $request)
 
     /**
      * Get minute-by-minute data for a specific hour
+     * Optionally for one floor; all floors are summed otherwise
+     * With a floor, channel narrows it to one meter channel ('main' for readings without one) -
+     * virtual meters over units evaluate their minute series from these
      */
     public function getMinuteData(Request $request)
     {
+        $this->validateFilters($request);
+
         $date = $request->input('date', EnergyData::min('date'));
         $hour = $request->input('hour', 0);
+        $floor = $request->input('floor');
+        $channel = $request->input('channel');
 
-        $minuteData = EnergyData::selectRaw('
+        $query = EnergyData::selectRaw('
                 minute,
                 AVG(current_a) as avg_current,
                 SUM(energy_wh) as total_energy,
                 COUNT(*) as count
             ')
             ->where('date', $date)
-            ->where('hour', $hour)
+            ->where('hour', $hour);
+
+        $this->scopeFloor($query, $request, $floor);
+
+        if ($floor && $floor !== 'all') {
+            if ($channel === 'main') {
+                $query->whereNull('channel');
+            } elseif ($channel !== null) {
+                $query->where('channel', $channel);
+            }
+        }
+
+        $minuteData = $query
             ->groupBy('minute')
             ->orderBy('minute', 'asc')
             ->get();
@@ -591,10 +878,526 @@ public function getMinuteData(Request $request)
         return response()->json([
             'date' => $date,
             'hour' => $hour,
+            'floor' => $floor ?? 'all',
+            'channel' => $channel,
             'minute_data' => $minuteData,
         ]);
     }
 
+    /**
+     * Get second-by-second readings for a specific minute
+     * Optionally for one floor; readings from all floors are summed per second otherwise
+     */
+    public function getSecondData(Request $request)
+    {
+        $this->validateFilters($request);
+
+        $date = $request->input('date', EnergyData::min('date'));
+        $hour = $request->input('hour', 0);
+        $minute = $request->input('minute', 0);
+        $floor = $request->input('floor');
+
+        $query = EnergyData::selectRaw('
+                second,
+                SUM(power_w) as total_power,
+                SUM(current_a) as total_current,
+                AVG(voltage_v) as avg_voltage,
+                SUM(energy_wh) as total_energy,
+                COUNT(*) as count
+            ')
+            ->where('date', $date)
+            ->where('hour', $hour)
+            ->where('minute', $minute);
+
+        $this->scopeFloor($query, $request, $floor);
+
+        $secondData = $query
+            ->groupBy('second')
+            ->orderBy('second', 'asc')
+            ->get();
+
+        return response()->json([
+            'date' => $date,
+            'hour' => $hour,
+            'minute' => $minute,
+            'floor' => $floor ?? 'all',
+            'second_data' => $secondData,
+        ]);
+    }
+
+    /**
+     * Get peak demand analytics for the billing month of a date.
+     * Demand is the rolling average power_w (kW) over `interval` minutes (15 or 30),
+     * worked out per floor from per-minute averages of the raw readings.
+     * Returns the month's peak interval, the day's demand curve and peak, per-floor
+     * peaks and a load-duration curve for the month.
+     */
+    public function getDemandAnalytics(Request $request)
+    {
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
+
+        $date = $request->input('date', EnergyData::max('date'));
+        $floor = $request->input('floor');
+        $interval = (int) $request->input('interval', 15);
+
+        $monthStart = date('Y-m-01', strtotime($date));
+        $monthEnd = date('Y-m-t', strtotime($date));
+
+        $query = EnergyData::selectRaw('floor, date, hour, minute, AVG(power_w) as avg_power')
+            ->whereBetween('date', [$monthStart, $monthEnd]);
+
+        $this->scopeFloor($query, $request, $floor);
+
+        $rows = $query
+            ->groupBy('floor', 'date', 'hour', 'minute')
+            ->get();
+
+        // Per-minute average kW per floor, and summed across the selected floors
+        $floorMinutes = [];
+        $totalMinutes = [];
+        foreach ($rows as $row) {
+            $minute = $this->getMinuteIndex($row->date, $row->hour, $row->minute);
+            $kw = $row->avg_power / 1000;
+            $floorMinutes[$row->floor][$minute] = $kw;
+            $totalMinutes[$minute] = ($totalMinutes[$minute] ?? 0) + $kw;
+        }
+        ksort($floorMinutes);
+
+        $dayStart = $this->getMinuteIndex($date, 0, 0);
+        $dayEnd = $dayStart + 24 * 60 - 1;
+
+        $demand = $this->getRollingDemand($totalMinutes, $interval);
+        $monthPeak = $this->getPeakInterval($demand, $interval);
+        $dayDemand = array_filter($demand, fn ($minute) => $minute >= $dayStart && $minute <= $dayEnd, ARRAY_FILTER_USE_KEY);
+        $dayPeak = $this->getPeakInterval($dayDemand, $interval);
+
+        $floors = [];
+        foreach ($floorMinutes as $floorNumber => $minutes) {
+            $floorDemand = $this->getRollingDemand($minutes, $interval);
+            $floorDayDemand = array_filter($floorDemand, fn ($minute) => $minute >= $dayStart && $minute <= $dayEnd, ARRAY_FILTER_USE_KEY);
+            $floors[] = [
+                'floor' => $floorNumber,
+                'month_peak' => $this->getPeakInterval($floorDemand, $interval),
+                'day_peak' => $this->getPeakInterval($floorDayDemand, $interval),
+            ];
+        }
+
+        // Load-duration curve: demand sorted high to low, sampled at every percent of the month's intervals
+        $sorted = array_values($demand);
+        rsort($sorted);
+        $loadDuration = [];
+        if (!empty($sorted)) {
+            $last = count($sorted) - 1;
+            for ($percent = 0; $percent <= 100; $percent++) {
+                $loadDuration[] = [
+                    'percent' => $percent,
+                    'kw' => round($sorted[(int) round($last * $percent / 100)], 3),
+                ];
+            }
+        }
+
+        return response()->json([
+            'date' => $date,
+            'month' => substr($monthStart, 0, 7),
+            'interval' => $interval,
+            'floor' => $floor ?? 'all',
+            'month_peak' => $monthPeak,
+            'day_peak' => $dayPeak,
+            'day_to_month_peak_percent' => $monthPeak && $dayPeak && $monthPeak['kw'] > 0
+                ? round($dayPeak['kw'] / $monthPeak['kw'] * 100, 1)
+                : null,
+            'day_demand' => array_map(
+                fn ($minute, $kw) => ['time' => date('H:i', $minute * 60), 'kw' => round($kw, 3)],
+                array_keys($dayDemand),
+                array_values($dayDemand)
+            ),
+            'load_duration' => $loadDuration,
+            'floors' => $floors,
+            'days_with_data' => $rows->pluck('date')->unique()->count(),
+        ]);
+    }
+
+    /**
+     * Minutes since the Unix epoch (local time) for a reading - keeps minute arithmetic simple
+     */
+    private function getMinuteIndex(string $date, $hour, $minute): int
+    {
+        return intdiv(strtotime($date . ' 00:00:00'), 60) + ((int) $hour) * 60 + (int) $minute;
+    }
+
+    /**
+     * Rolling average of per-minute kW over the last $interval minutes, keyed by the window's last minute.
+     * Windows with fewer than half their minutes present (data gaps) are skipped.
+     */
+    private function getRollingDemand(array $minutes, int $interval): array
+    {
+        ksort($minutes);
+        $demand = [];
+        $window = [];
+        $sum = 0.0;
+
+        foreach ($minutes as $minute => $kw) {
+            $window[] = [$minute, $kw];
+            $sum += $kw;
+            while ($window[0][0] <= $minute - $interval) {
+                $sum -= array_shift($window)[1];
+            }
+            if (count($window) >= $interval / 2) {
+                $demand[$minute] = $sum / count($window);
+            }
+        }
+
+        return $demand;
+    }
+
+    /**
+     * Highest demand interval as kW with its start/end time, or null without data
+     */
+    private function getPeakInterval(array $demand, int $interval): ?array
+    {
+        if (empty($demand)) {
+            return null;
+        }
+
+        $kw = max($demand);
+        $endMinute = array_search($kw, $demand, true);
+
+        return [
+            'kw' => round($kw, 3),
+            'start' => date('Y-m-d H:i', ($endMinute - $interval + 1) * 60),
+            'end' => date('Y-m-d H:i', ($endMinute + 1) * 60),
+            'formatted_datetime' => date('l, F j, Y \a\t g:i A', ($endMinute - $interval + 1) * 60),
+        ];
+    }
+
+    /**
+     * Get power-quality events from the per-second voltage_v readings.
+     * A reading is out of band below nominal * (1 - sagPercent/100) or above nominal * (1 + swellPercent/100).
+     * Consecutive out-of-band seconds on a floor form one event, classified IEEE 1159 style:
+     * sag/swell under a minute, undervoltage/overvoltage from a minute, interruption below 10% of nominal.
+     * Accepts filters: date or dateFrom/dateTo, floor, nominal, sagPercent, swellPercent
+     */
+    public function getPowerQuality(Request $request)
+    {
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
+
+        $bands = $this->getVoltageBands($request);
+        [$dateFrom, $dateTo] = $this->getPowerQualityRange($request);
+        $floor = $request->input('floor');
+
+        $summary = $this->scopePowerQuality(EnergyData::query(), $request, $dateFrom, $dateTo, $floor)
+            ->selectRaw('
+                COUNT(*) as readings,
+                SUM(CASE WHEN voltage_v < ? THEN 1 ELSE 0 END) as below_band,
+                SUM(CASE WHEN voltage_v > ? THEN 1 ELSE 0 END) as above_band,
+                MIN(voltage_v) as min_voltage,
+                MAX(voltage_v) as max_voltage,
+                AVG(voltage_v) as avg_voltage,
+                MAX(current_a) as max_current
+            ', [$bands['low'], $bands['high']])
+            ->first();
+
+        // Only out-of-band readings are read row by row, so a clean month stays cheap
+        $readings = $this->scopePowerQuality(EnergyData::query(), $request, $dateFrom, $dateTo, $floor)
+            ->select('floor', 'date', 'hour', 'minute', 'second', 'voltage_v', 'current_a')
+            ->where(function ($q) use ($bands) {
+                $q->where('voltage_v', '<', $bands['low'])
+                    ->orWhere('voltage_v', '>', $bands['high']);
+            })
+            ->orderBy('floor')
+            ->orderBy('date')
+            ->orderBy('hour')
+            ->orderBy('minute')
+            ->orderBy('second')
+            ->cursor();
+
+        $events = [];
+        $current = null;
+        foreach ($readings as $reading) {
+            $second = strtotime($reading->date . ' 00:00:00') + $reading->hour * 3600 + $reading->minute * 60 + $reading->second;
+            $direction = $reading->voltage_v < $bands['low'] ? 'low' : 'high';
+
+            // A missing second inside an excursion doesn't split it
+            $continues = $current
+                && $current['floor'] === $reading->floor
+                && $current['direction'] === $direction
+                && $second - $current['end'] <= 2;
+
+            if (!$continues) {
+                if ($current) {
+                    $events[] = $this->formatPowerQualityEvent($current, $bands);
+                }
+                $current = [
+                    'floor' => $reading->floor,
+                    'direction' => $direction,
+                    'start' => $second,
+                    'end' => $second,
+                    'extreme' => $reading->voltage_v,
+                    'max_current' => $reading->current_a,
+                    'readings' => 0,
+                ];
+            }
+
+            $current['end'] = $second;
+            $current['readings']++;
+            $current['extreme'] = $direction === 'low'
+                ? min($current['extreme'], $reading->voltage_v)
+                : max($current['extreme'], $reading->voltage_v);
+            $current['max_current'] = max($current['max_current'], $reading->current_a);
+        }
+        if ($current) {
+            $events[] = $this->formatPowerQualityEvent($current, $bands);
+        }
+
+        usort($events, fn ($a, $b) => strcmp($b['start'], $a['start']));
+
+        $counts = ['sag' => 0, 'swell' => 0, 'undervoltage' => 0, 'overvoltage' => 0, 'interruption' => 0];
+        foreach ($events as $event) {
+            $counts[$event['type']]++;
+        }
+
+        $readingsCount = (int) ($summary->readings ?? 0);
+        $outOfBand = (int) ($summary->below_band ?? 0) + (int) ($summary->above_band ?? 0);
+
+        return response()->json([
+            'date_from' => $dateFrom,
+            'date_to' => $dateTo,
+            'floor' => $floor ?? 'all',
+            'bands' => $bands,
+            'summary' => [
+                'readings' => $readingsCount,
+                'in_band_percent' => $readingsCount > 0 ? round(($readingsCount - $outOfBand) / $readingsCount * 100, 2) : null,
+                'min_voltage' => $summary->min_voltage !== null ? round($summary->min_voltage, 2) : null,
+                'max_voltage' => $summary->max_voltage !== null ? round($summary->max_voltage, 2) : null,
+                'avg_voltage' => $summary->avg_voltage !== null ? round($summary->avg_voltage, 2) : null,
+                'max_current' => $summary->max_current !== null ? round($summary->max_current, 2) : null,
+                'event_counts' => $counts,
+            ],
+            'total_events' => count($events),
+            // Most recent first; the list is capped so a mis-set nominal can't flood the response
+            'events' => array_slice($events, 0, 500),
+        ]);
+    }
+
+    /**
+     * Get voltage and current distributions (histograms of the raw per-second readings)
+     * with the same filters as getPowerQuality. Voltage bins are 1 V wide; current bins
+     * split the observed range into 20.
+     */
+    public function getPowerQualityDistribution(Request $request)
+    {
+        $this->validateFilters($request);
+
+        $bands = $this->getVoltageBands($request);
+        [$dateFrom, $dateTo] = $this->getPowerQualityRange($request);
+        $floor = $request->input('floor');
+
+        $voltage = $this->scopePowerQuality(EnergyData::query(), $request, $dateFrom, $dateTo, $floor)
+            ->selectRaw('CAST(voltage_v AS INTEGER) as bin, COUNT(*) as count')
+            ->groupBy('bin')
+            ->orderBy('bin')
+            ->get();
+
+        $maxCurrent = (float) $this->scopePowerQuality(EnergyData::query(), $request, $dateFrom, $dateTo, $floor)->max('current_a');
+        $currentWidth = $maxCurrent > 0 ? max(round($maxCurrent / 20, 2), 0.01) : 1;
+
+        $current = $this->scopePowerQuality(EnergyData::query(), $request, $dateFrom, $dateTo, $floor)
+            ->selectRaw('CAST(current_a / ? AS INTEGER) as bucket, COUNT(*) as count', [$currentWidth])
+            ->groupBy('bucket')
+            ->orderBy('bucket')
+            ->get()
+            ->map(fn ($row) => ['bin' => round($row->bucket * $currentWidth, 2), 'count' => $row->count]);
+
+        return response()->json([
+            'date_from' => $dateFrom,
+            'date_to' => $dateTo,
+            'floor' => $floor ?? 'all',
+            'bands' => $bands,
+            'voltage_bin_width' => 1,
+            'voltage' => $voltage,
+            'current_bin_width' => $currentWidth,
+            'current' => $current,
+        ]);
+    }
+
+    /**
+     * Nominal voltage and the sag/swell limits derived from the request (230 V ±10% by default)
+     */
+    private function getVoltageBands(Request $request): array
+    {
+        $nominal = (float) $request->input('nominal', 230);
+        $sagPercent = (float) $request->input('sagPercent', 10);
+        $swellPercent = (float) $request->input('swellPercent', 10);
+
+        return [
+            'nominal' => $nominal,
+            'sag_percent' => $sagPercent,
+            'swell_percent' => $swellPercent,
+            'low' => round($nominal * (1 - $sagPercent / 100), 2),
+            'high' => round($nominal * (1 + $swellPercent / 100), 2),
+            'interruption' => round($nominal * 0.1, 2),
+        ];
+    }
+
+    /**
+     * Date span for power-quality queries: dateFrom/dateTo, else the single date, else the latest date
+     */
+    private function getPowerQualityRange(Request $request): array
+    {
+        $dateRange = $this->getDateRange($request);
+        if ($dateRange) {
+            return $dateRange;
+        }
+
+        $date = $request->input('date', EnergyData::max('date'));
+
+        return [$date, $date];
+    }
+
+    /**
+     * Restrict a readings query to a power-quality date span, floor and site
+     */
+    private function scopePowerQuality($query, Request $request, ?string $dateFrom, ?string $dateTo, $floor)
+    {
+        $query->whereBetween('date', [$dateFrom, $dateTo]);
+
+        return $this->scopeFloor($query, $request, $floor);
+    }
+
+    /**
+     * Shape an accumulated excursion into an event with its type, times and extreme voltage
+     */
+    private function formatPowerQualityEvent(array $event, array $bands): array
+    {
+        $duration = $event['end'] - $event['start'] + 1;
+
+        if ($event['direction'] === 'low') {
+            $type = $event['extreme'] < $bands['interruption']
+                ? 'interruption'
+                : ($duration < 60 ? 'sag' : 'undervoltage');
+        } else {
+            $type = $duration < 60 ? 'swell' : 'overvoltage';
+        }
+
+        return [
+            'type' => $type,
+            'floor' => $event['floor'],
+            'start' => date('Y-m-d H:i:s', $event['start']),
+            'end' => date('Y-m-d H:i:s', $event['end']),
+            'duration_seconds' => $duration,
+            'readings' => $event['readings'],
+            'extreme_voltage' => round($event['extreme'], 2),
+            'extreme_percent' => $bands['nominal'] > 0 ? round($event['extreme'] / $bands['nominal'] * 100, 1) : null,
+            'max_current' => round($event['max_current'], 2),
+        ];
+    }
+
+    /**
+     * Stream new readings as server-sent events (live monitoring mode).
+     * Tails energy_data by id and emits one `readings` event per poll with every
+     * new row (optionally for one floor). Each request ends after a few seconds with a
+     * `reconnect` event, long-poll style, so a client never holds a server worker for
+     * long; EventSource reconnects and resumes from the Last-Event-ID header.
+     */
+    public function streamReadings(Request $request)
+    {
+        $this->validateFilters($request);
+
+        $floor = $request->input('floor');
+        $siteFloorIds = $this->getSiteFloorIds($request);
+        $lastId = (int) $request->header('Last-Event-ID', $request->input('lastEventId', 0));
+
+        // First connection - start from the newest row instead of replaying history
+        if ($lastId === 0) {
+            $lastId = (int) EnergyData::max('id');
+        }
+
+        return response()->stream(function () use ($floor, $siteFloorIds, $lastId) {
+            $pollInterval = 1; // seconds
+            $maxDuration = 5; // seconds before the client is asked to reconnect
+            $startedAt = time();
+
+            echo "retry: 1000\n\n";
+            @ob_flush();
+            flush();
+
+            while (!connection_aborted() && time() - $startedAt < $maxDuration) {
+                $rows = $this->getReadingsAfter($lastId, $floor, $siteFloorIds);
+
+                if ($rows->isNotEmpty()) {
+                    $lastId = $rows->last()->id;
+                    echo "id: {$lastId}\n";
+                    echo "event: readings\n";
+                    echo 'data: ' . json_encode(['readings' => $rows]) . "\n\n";
+                } else {
+                    // Comment line keeps proxies from closing an idle connection
+                    echo ": heartbeat\n\n";
+                }
+
+                @ob_flush();
+                flush();
+                sleep($pollInterval);
+            }
+
+            // The close is planned - the client shouldn't show it as a dropped connection
+            echo "event: reconnect\ndata: {}\n\n";
+            @ob_flush();
+            flush();
+        }, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache',
+            'Connection' => 'keep-alive',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
+    /**
+     * Get the readings added since a row id (alert monitoring).
+     * A short request the frontend polls, so watching for alerts doesn't hold a server worker
+     * the way the stream does. Without afterId no readings are returned, only the id to poll from.
+     */
+    public function getLatestReadings(Request $request)
+    {
+        $this->validateFilters($request);
+
+        $afterId = (int) $request->input('afterId', 0);
+
+        if ($afterId === 0) {
+            return response()->json(['readings' => [], 'last_id' => (int) EnergyData::max('id')]);
+        }
+
+        $rows = $this->getReadingsAfter($afterId, $request->input('floor'), $this->getSiteFloorIds($request));
+
+        return response()->json([
+            'readings' => $rows,
+            'last_id' => $rows->isNotEmpty() ? $rows->last()->id : $afterId,
+        ]);
+    }
+
+    /**
+     * Up to 500 readings newer than a row id, oldest first (optionally for one floor / the floors of a site)
+     */
+    private function getReadingsAfter(int $lastId, $floor, ?array $siteFloorIds)
+    {
+        $query = EnergyData::where('id', '>', $lastId)
+            ->orderBy('id', 'asc')
+            ->limit(500);
+
+        if ($floor && $floor !== 'all') {
+            $query->where('floor', $floor);
+        }
+        if ($siteFloorIds !== null) {
+            $query->whereIn('floor_id', $siteFloorIds);
+        }
+
+        return $query->get([
+            'id', 'floor', 'date', 'hour', 'minute', 'second', 'timestamp',
+            'voltage_v', 'current_a', 'power_w', 'energy_wh',
+        ]);
+    }
+
     /**
      * Get available dates
      */
@@ -616,12 +1419,14 @@ public function getAvailableDates()
      */
     public function getConsumptionByEquipmentType(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $date = $request->input('date');
         $floor = $request->input('floor');
         $timeGranularity = $request->input('timeGranularity', 'day');
         $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
 
         // Build query with filters
         $query = EnergyData::query();
@@ -636,15 +1441,18 @@ public function getConsumptionByEquipmentType(Request $request)
             if ($dayNumber !== null) {
                 $query->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
             }
-        } elseif ($date) {
+        } elseif ($date && !$dateRange) {
             $query->where('date', $date);
         }
 
-        // Apply floor filter
-        if ($floor && $floor !== 'all') {
-            $query->where('floor', $floor);
+        // Apply date range - takes precedence over a single date
+        if ($dateRange) {
+            $query->whereBetween('date', $dateRange);
         }
 
+        // Apply floor and site filters
+        $this->scopeFloor($query, $request, $floor);
+
         // Get total energy consumption (in kWh)
         $totalEnergy = (float) (clone $query)->sum('energy_wh') / 1000;
 
@@ -666,14 +1474,16 @@ public function getConsumptionByEquipmentType(Request $request)
      */
     public function getFloorMetrics(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $date = $request->input('date');
         $timeGranularity = $request->input('timeGranularity', 'day');
         $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
 
-        // Get all floors - exclude Floor 0 (doesn't exist)
-        $floors = EnergyData::select('floor')
+        // Get all floors of the site in view - exclude Floor 0 (doesn't exist)
+        $floors = $this->scopeFloor(EnergyData::select('floor'), $request)
             ->distinct()
             ->whereNotNull('floor')
             ->where('floor', '>', 0) // Exclude Floor 0
@@ -695,13 +1505,17 @@ public function getFloorMetrics(Request $request)
                 if ($dayNumber !== null) {
                     $query->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
                 }
-            } elseif ($date) {
+            } elseif ($date && !$dateRange) {
                 $query->where('date', $date);
             }
 
+            // Apply date range - takes precedence over a single date
+            if ($dateRange) {
+                $query->whereBetween('date', $dateRange);
+            }
+
             // Calculate metrics from real data
             $totalEnergy = (float) (clone $query)->sum('energy_wh') / 1000; // Convert to kWh
-            $totalCost = $totalEnergy * 10; // PHP 10 per kWh
             $totalRecords = (clone $query)->count();
             $avgCurrent = (float) (clone $query)->avg('current_a');
 
@@ -713,7 +1527,6 @@ public function getFloorMetrics(Request $request)
                 'floor_id' => $floorId,
                 'floor_name' => "Floor {$floorId}",
                 'total_consumption_kwh' => round($totalEnergy, 2),
-                'total_cost' => round($totalCost, 2),
                 'total_units' => $estimatedUnits,
                 'avg_current' => round($avgCurrent, 2),
                 'total_records' => $totalRecords
@@ -726,18 +1539,19 @@ public function getFloorMetrics(Request $request)
     }
 
     /**
-     * Get building metrics from real database data
+     * Energy (Wh) of the period in view, summed per building or per branch ($groupColumn: 'buildings.id' or 'buildings.branch_id').
+     * Readings reach their site through energy_data.floor_id → floors → buildings; readings not linked to a floor count nowhere.
      */
-    public function getBuildingMetrics(Request $request)
+    private function getSiteEnergy(Request $request, string $groupColumn): array
     {
-        date_default_timezone_set('Asia/Manila');
-        
         $date = $request->input('date');
         $timeGranularity = $request->input('timeGranularity', 'day');
         $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
 
-        // Since we only have floor data, aggregate all floors as one building
-        $query = EnergyData::query();
+        $query = $this->scopeFloor(EnergyData::query(), $request)
+            ->join('floors', 'floors.id', '=', 'energy_data.floor_id')
+            ->join('buildings', 'buildings.id', '=', 'floors.building_id');
 
         // Apply date filter
         if ($timeGranularity === 'week' && $weekday && $weekday !== 'all') {
@@ -747,72 +1561,93 @@ public function getBuildingMetrics(Request $request)
             ];
             $dayNumber = $weekdayMap[$weekday] ?? null;
             if ($dayNumber !== null) {
-                $query->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
+                $query->whereRaw("CAST(strftime('%w', energy_data.date) AS INTEGER) = ?", [$dayNumber]);
             }
-        } elseif ($date) {
-            $query->where('date', $date);
+        } elseif ($date && !$dateRange) {
+            $query->where('energy_data.date', $date);
         }
 
-        $totalEnergy = (float) (clone $query)->sum('energy_wh') / 1000;
-        $totalCost = $totalEnergy * 10;
-        $totalRecords = (clone $query)->count();
-        $estimatedUnits = max(1, (int)($totalRecords / 86400));
+        // Apply date range - takes precedence over a single date
+        if ($dateRange) {
+            $query->whereBetween('energy_data.date', $dateRange);
+        }
+
+        return $query
+            ->selectRaw("{$groupColumn} as site_id, SUM(energy_data.energy_wh) as total_energy")
+            ->groupBy($groupColumn)
+            ->pluck('total_energy', 'site_id')
+            ->all();
+    }
+
+    /**
+     * Get building metrics from real database data - one row per building of the site in view
+     */
+    public function getBuildingMetrics(Request $request)
+    {
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
+
+        $energy = $this->getSiteEnergy($request, 'buildings.id');
+        $unitCounts = DB::table('units')
+            ->join('floors', 'floors.id', '=', 'units.floor_id')
+            ->groupBy('floors.building_id')
+            ->selectRaw('floors.building_id, COUNT(*) as total_units')
+            ->pluck('total_units', 'building_id');
+
+        $buildings = Building::withCount('floors')
+            ->when($request->input('branch'), fn ($q, $branch) => $q->where('branch_id', $branch))
+            ->when($request->input('building'), fn ($q, $building) => $q->where('id', $building))
+            ->orderBy('id')
+            ->get();
 
         return response()->json([
-            'building_metrics' => [[
-                'building_id' => 1,
-                'building_name' => 'Main Building',
-                'total_consumption_kwh' => round($totalEnergy, 2),
-                'total_cost' => round($totalCost, 2),
-                'total_units' => $estimatedUnits,
-                'total_floors' => EnergyData::select('floor')->distinct()->whereNotNull('floor')->count()
-            ]]
+            'building_metrics' => $buildings->map(fn ($building) => [
+                'building_id' => $building->id,
+                'building_name' => $building->name,
+                'branch_id' => $building->branch_id,
+                'total_consumption_kwh' => round((float) ($energy[$building->id] ?? 0) / 1000, 2),
+                'total_units' => (int) ($unitCounts[$building->id] ?? 0),
+                'total_floors' => $building->floors_count,
+            ]),
         ]);
     }
 
     /**
-     * Get branch metrics from real database data
+     * Get branch metrics from real database data - one row per branch of the site in view
      */
     public function getBranchMetrics(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
-        
-        $date = $request->input('date');
-        $timeGranularity = $request->input('timeGranularity', 'day');
-        $weekday = $request->input('weekday', 'all');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
 
-        // Since we only have one location, aggregate all as one branch
-        $query = EnergyData::query();
-
-        // Apply date filter
-        if ($timeGranularity === 'week' && $weekday && $weekday !== 'all') {
-            $weekdayMap = [
-                'sunday' => 0, 'monday' => 1, 'tuesday' => 2, 'wednesday' => 3,
-                'thursday' => 4, 'friday' => 5, 'saturday' => 6
-            ];
-            $dayNumber = $weekdayMap[$weekday] ?? null;
-            if ($dayNumber !== null) {
-                $query->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
-            }
-        } elseif ($date) {
-            $query->where('date', $date);
-        }
+        $energy = $this->getSiteEnergy($request, 'buildings.branch_id');
+        $floorCounts = DB::table('floors')
+            ->join('buildings', 'buildings.id', '=', 'floors.building_id')
+            ->groupBy('buildings.branch_id')
+            ->selectRaw('buildings.branch_id, COUNT(*) as total_floors')
+            ->pluck('total_floors', 'branch_id');
+        $unitCounts = DB::table('units')
+            ->join('floors', 'floors.id', '=', 'units.floor_id')
+            ->join('buildings', 'buildings.id', '=', 'floors.building_id')
+            ->groupBy('buildings.branch_id')
+            ->selectRaw('buildings.branch_id, COUNT(*) as total_units')
+            ->pluck('total_units', 'branch_id');
 
-        $totalEnergy = (float) (clone $query)->sum('energy_wh') / 1000;
-        $totalCost = $totalEnergy * 10;
-        $totalRecords = (clone $query)->count();
-        $estimatedUnits = max(1, (int)($totalRecords / 86400));
+        $branches = Branch::withCount('buildings')
+            ->when($request->input('branch'), fn ($q, $branch) => $q->where('id', $branch))
+            ->when($request->input('building'), fn ($q, $building) => $q->whereHas('buildings', fn ($b) => $b->where('id', $building)))
+            ->orderBy('id')
+            ->get();
 
         return response()->json([
-            'branch_metrics' => [[
-                'branch_id' => 1,
-                'branch_name' => 'Main Branch',
-                'total_consumption_kwh' => round($totalEnergy, 2),
-                'total_cost' => round($totalCost, 2),
-                'total_units' => $estimatedUnits,
-                'total_buildings' => 1,
-                'total_floors' => EnergyData::select('floor')->distinct()->whereNotNull('floor')->count()
-            ]]
+            'branch_metrics' => $branches->map(fn ($branch) => [
+                'branch_id' => $branch->id,
+                'branch_name' => $branch->name,
+                'total_consumption_kwh' => round((float) ($energy[$branch->id] ?? 0) / 1000, 2),
+                'total_units' => (int) ($unitCounts[$branch->id] ?? 0),
+                'total_buildings' => $branch->buildings_count,
+                'total_floors' => (int) ($floorCounts[$branch->id] ?? 0),
+            ]),
         ]);
     }
 
@@ -822,12 +1657,14 @@ public function getBranchMetrics(Request $request)
      */
     public function getTopConsumingUnits(Request $request)
     {
-        date_default_timezone_set('Asia/Manila');
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
         
         $date = $request->input('date');
         $floor = $request->input('floor');
         $timeGranularity = $request->input('timeGranularity', 'day');
         $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
         $limit = (int) $request->input('limit', 5);
 
         // Build query
@@ -843,15 +1680,18 @@ public function getTopConsumingUnits(Request $request)
             if ($dayNumber !== null) {
                 $query->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
             }
-        } elseif ($date) {
+        } elseif ($date && !$dateRange) {
             $query->where('date', $date);
         }
 
-        // Apply floor filter
-        if ($floor && $floor !== 'all') {
-            $query->where('floor', $floor);
+        // Apply date range - takes precedence over a single date
+        if ($dateRange) {
+            $query->whereBetween('date', $dateRange);
         }
 
+        // Apply floor and site filters
+        $this->scopeFloor($query, $request, $floor);
+
         // Group by floor and calculate consumption
         // Since we don't have individual unit IDs in energy_data, we'll group by floor
         // Filter out Floor 0 (doesn't exist) and only include valid floors (1, 2, 3, etc.)
@@ -876,7 +1716,6 @@ public function getTopConsumingUnits(Request $request)
                 'floor_id' => $floor->floor,
                 'floor_name' => "Floor {$floor->floor}",
                 'consumption' => round($floor->total_energy_wh / 1000, 2), // kWh
-                'cost' => round(($floor->total_energy_wh / 1000) * 10, 2), // PHP
                 'avg_current' => round($floor->avg_current, 2),
                 'record_count' => $floor->record_count
             ];
@@ -887,6 +1726,121 @@ public function getTopConsumingUnits(Request $request)
         ]);
     }
 
+    /**
+     * Get per-channel consumption for unit-level metering.
+     * Each meter (the floor column) can carry sub-meter channels; readings without a channel are the
+     * meter's main channel. Returns every meter/channel pair with readings in the period: total energy,
+     * days with readings, max power and peak hour (the date + hour with the most energy).
+     * With includeHourly=1 each channel also gets hourly_trend (energy and max power per date + hour).
+     * Accepts filters: date or dateFrom/dateTo, timeGranularity, weekday, meter, branch, building
+     */
+    public function getChannelReadings(Request $request)
+    {
+        $this->validateFilters($request);
+        $this->useSiteTimezone($request);
+
+        $date = $request->input('date');
+        $meter = $request->input('meter');
+        $timeGranularity = $request->input('timeGranularity', 'day');
+        $weekday = $request->input('weekday', 'all');
+        $dateRange = $this->getDateRange($request);
+        $includeHourly = $request->boolean('includeHourly');
+
+        $query = EnergyData::query()
+            ->whereNotNull('floor')
+            ->where('floor', '>', 0); // Exclude Floor 0
+
+        // Same period as the other dashboard endpoints: a weekday of the week view, a range or one date
+        if ($timeGranularity === 'week' && $weekday && $weekday !== 'all') {
+            $weekdayMap = [
+                'sunday' => 0, 'monday' => 1, 'tuesday' => 2, 'wednesday' => 3,
+                'thursday' => 4, 'friday' => 5, 'saturday' => 6
+            ];
+            $dayNumber = $weekdayMap[$weekday] ?? null;
+            if ($dayNumber !== null) {
+                $query->whereRaw("CAST(strftime('%w', date) AS INTEGER) = ?", [$dayNumber]);
+            }
+        } elseif ($date && !$dateRange && $timeGranularity !== 'week') {
+            $query->where('date', $date);
+        }
+
+        if ($dateRange) {
+            $query->whereBetween('date', $dateRange);
+        }
+
+        $this->scopeFloor($query, $request, $meter);
+
+        // One row per channel and hour - totals and peaks are rolled up from these
+        $hours = $query
+            ->selectRaw('
+                floor,
+                channel,
+                date,
+                hour,
+                SUM(energy_wh) as total_energy,
+                MAX(power_w) as max_power,
+                COUNT(*) as readings
+            ')
+            ->groupBy('floor', 'channel', 'date', 'hour')
+            ->orderBy('floor', 'asc')
+            ->orderBy('channel', 'asc')
+            ->orderBy('date', 'asc')
+            ->orderBy('hour', 'asc')
+            ->get();
+
+        $channels = [];
+        foreach ($hours as $row) {
+            $key = $row->floor . ':' . ($row->channel ?? 'main');
+            if (!isset($channels[$key])) {
+                $channels[$key] = [
+                    'meter' => (int) $row->floor,
+                    'channel' => $row->channel !== null ? (int) $row->channel : null,
+                    'total_energy' => 0,
+                    'readings' => 0,
+                    'dates' => [],
+                    'max_power' => 0,
+                    'peak_hour' => null,
+                    'hourly_trend' => [],
+                ];
+            }
+            $channel = &$channels[$key];
+            $energy = (float) $row->total_energy;
+
+            $channel['total_energy'] += $energy;
+            $channel['readings'] += (int) $row->readings;
+            $channel['dates'][$row->date] = true;
+            $channel['max_power'] = max($channel['max_power'], (float) $row->max_power);
+            if (!$channel['peak_hour'] || $energy > $channel['peak_hour']['total_energy']) {
+                $channel['peak_hour'] = ['date' => $row->date, 'hour' => (int) $row->hour, 'total_energy' => round($energy, 2)];
+            }
+            if ($includeHourly) {
+                $channel['hourly_trend'][] = [
+                    'date' => $row->date,
+                    'hour' => (int) $row->hour,
+                    'total_energy' => round($energy, 2),
+                    'max_power' => round((float) $row->max_power, 2),
+                ];
+            }
+            unset($channel);
+        }
+
+        $channels = array_map(function ($channel) use ($includeHourly) {
+            $channel['total_energy'] = round($channel['total_energy'], 2);
+            $channel['max_power'] = round($channel['max_power'], 2);
+            $channel['days'] = count($channel['dates']);
+            unset($channel['dates']);
+            if (!$includeHourly) {
+                unset($channel['hourly_trend']);
+            }
+            return $channel;
+        }, array_values($channels));
+
+        return response()->json([
+            'meter' => $meter ?? 'all',
+            'channels' => $channels,
+        ]);
+    }
+
     /**
      * API endpoint for summary (kept for backward compatibility)
      */
@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Storage;
+
+class FilterPresetController extends Controller
+{
+    /**
+     * Shared presets are kept as one JSON file on the local disk (storage/app)
+     */
+    private const STORAGE_FILE = 'filter-presets.json';
+
+    /**
+     * Get the team's saved filter presets
+     */
+    public function index()
+    {
+        $presets = [];
+
+        if (Storage::disk('local')->exists(self::STORAGE_FILE)) {
+            $presets = json_decode(Storage::disk('local')->get(self::STORAGE_FILE), true) ?: [];
+        }
+
+        return response()->json([
+            'presets' => $presets,
+        ]);
+    }
+
+    /**
+     * Replace the saved filter presets
+     * Body: { presets: [{ id, name, filters: { branch, building, floor, unitType, status, consumptionRange, timeGranularity, weekday }, updatedAt }] }
+     * floor is a floor id, 'all' or a virtual meter ('vm-<id>', defined in the browser that saved it)
+     */
+    public function update(Request $request)
+    {
+        $validated = $request->validate([
+            'presets' => 'present|array|max:100',
+            'presets.*.id' => 'required|string|max:100',
+            'presets.*.name' => 'required|string|max:100',
+            'presets.*.updatedAt' => 'nullable|string|max:40',
+            'presets.*.filters' => 'required|array',
+            'presets.*.filters.branch' => 'nullable|regex:/^(all|\d+)$/',
+            'presets.*.filters.building' => 'nullable|regex:/^(all|\d+)$/',
+            'presets.*.filters.floor' => 'nullable|regex:/^(all|\d+|vm-\d+)$/',
+            'presets.*.filters.unitType' => 'nullable|string|max:100',
+            'presets.*.filters.status' => 'nullable|in:all,operational,maintenance,critical',
+            'presets.*.filters.consumptionRange' => 'nullable|integer|between:0,1000',
+            'presets.*.filters.timeGranularity' => 'nullable|in:day,week,hour,minute',
+            'presets.*.filters.weekday' => 'nullable|in:all,sunday,monday,tuesday,wednesday,thursday,friday,saturday',
+        ]);
+
+        Storage::disk('local')->put(self::STORAGE_FILE, json_encode($validated['presets'], JSON_PRETTY_PRINT));
+
+        return response()->json([
+            'presets' => $validated['presets'],
+        ]);
+    }
+}
@@ -0,0 +1,134 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Floor;
+use Closure;
+use Illuminate\Http\Request;
+
+class FloorController extends StructureController
+{
+    /**
+     * Get every floor (optionally of one building: ?buildingId=)
+     */
+    public function index(Request $request)
+    {
+        $request->validate(['buildingId' => 'nullable|integer|min:1']);
+
+        $floors = Floor::withCount('units')
+            ->when($request->input('buildingId'), fn ($q, $buildingId) => $q->where('building_id', $buildingId))
+            ->orderBy('id')
+            ->get();
+
+        return response()->json([
+            'floors' => $floors->map(fn ($floor) => $this->present($floor)),
+        ]);
+    }
+
+    /**
+     * Get one floor
+     */
+    public function show(Floor $floor)
+    {
+        return response()->json($this->present($floor->loadCount('units')));
+    }
+
+    /**
+     * Get the units of a floor
+     */
+    public function units(Floor $floor, UnitController $units)
+    {
+        return response()->json([
+            'units' => $floor->units()->orderBy('id')->get()->map(fn ($unit) => $units->present($unit)),
+        ]);
+    }
+
+    /**
+     * Create a floor
+     * Body: { buildingId, floorNumber, name, area }
+     */
+    public function store(Request $request)
+    {
+        $floor = Floor::create($this->validated($request));
+
+        return response()->json($this->present($floor->loadCount('units')), 201);
+    }
+
+    /**
+     * Update a floor - a new buildingId moves it to another building
+     */
+    public function update(Request $request, Floor $floor)
+    {
+        $floor->update($this->validated($request, $floor->id));
+
+        return response()->json($this->present($floor->loadCount('units')));
+    }
+
+    /**
+     * Delete a floor - only once it has no units
+     */
+    public function destroy(Floor $floor)
+    {
+        $this->assertNoChildren($floor->units()->count(), 'unit');
+        $floor->delete();
+
+        return response()->noContent();
+    }
+
+    /**
+     * Validate a floor from the request and map it onto the table's columns
+     */
+    private function validated(Request $request, ?int $id = null): array
+    {
+        $buildingId = $request->input('buildingId');
+
+        $data = $request->validate([
+            'buildingId' => 'required|integer|exists:buildings,id',
+            'name' => [
+                'required', 'string', 'max:255',
+                $this->uniqueName('floors', 'building_id', $buildingId, $id, 'There is already a floor named "%s" in this building'),
+            ],
+            'floorNumber' => [
+                'required', 'integer',
+                function (string $attribute, $value, Closure $fail) use ($buildingId, $id) {
+                    $exists = Floor::where('building_id', $buildingId)
+                        ->where('floor_number', $value)
+                        ->when($id, fn ($q) => $q->where('id', '!=', $id))
+                        ->exists();
+
+                    if ($exists) {
+                        $fail("Floor {$value} already exists in this building");
+                    }
+                },
+            ],
+            'area' => 'required|numeric|gt:0',
+        ], [
+            'buildingId.*' => 'Choose a building',
+            'floorNumber.integer' => 'Floor number must be a whole number',
+            'floorNumber.required' => 'Floor number must be a whole number',
+            'area.*' => 'Area must be more than zero',
+        ]);
+
+        return [
+            'building_id' => (int) $data['buildingId'],
+            'floor_number' => (int) $data['floorNumber'],
+            'name' => trim($data['name']),
+            'area' => $data['area'],
+        ];
+    }
+
+    /**
+     * Floor as the frontend's asset hierarchy stores it - unitCount is counted, not stored
+     */
+    public function present(Floor $floor): array
+    {
+        return [
+            'id' => $floor->id,
+            'buildingId' => $floor->building_id,
+            'floorNumber' => $floor->floor_number,
+            'name' => $floor->name,
+            'area' => (float) $floor->area,
+            'unitCount' => $floor->units_count ?? $floor->units()->count(),
+        ];
+    }
+}
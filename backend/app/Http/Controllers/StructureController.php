@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Closure;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Shared validation for the asset hierarchy controllers (branches → buildings → floors → units).
+ * Mirrors the frontend's rules in utils/assets.js so an edit is refused the same way on both sides.
+ */
+abstract class StructureController extends Controller
+{
+    /**
+     * Rule: no other row under the same parent has this name (trimmed, case-insensitive)
+     */
+    protected function uniqueName(string $table, ?string $parentColumn, $parentId, ?int $ignoreId, string $message): Closure
+    {
+        return function (string $attribute, $value, Closure $fail) use ($table, $parentColumn, $parentId, $ignoreId, $message) {
+            $exists = DB::table($table)
+                ->whereRaw('LOWER(TRIM(name)) = ?', [mb_strtolower(trim((string) $value))])
+                ->when($parentColumn, fn ($q) => $q->where($parentColumn, $parentId))
+                ->when($ignoreId, fn ($q) => $q->where('id', '!=', $ignoreId))
+                ->exists();
+
+            if ($exists) {
+                $fail(sprintf($message, trim((string) $value)));
+            }
+        };
+    }
+
+    /**
+     * Refuse to delete an asset that still has children - they are moved or deleted first
+     */
+    protected function assertNoChildren(int $count, string $childLabel): void
+    {
+        if ($count > 0) {
+            throw ValidationException::withMessages([
+                'id' => "Move or delete its {$count} {$childLabel}" . ($count === 1 ? '' : 's') . ' first',
+            ]);
+        }
+    }
+}
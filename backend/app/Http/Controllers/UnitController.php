@@ -0,0 +1,151 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Unit;
+use Closure;
+use Illuminate\Http\Request;
+
+class UnitController extends StructureController
+{
+    private const STATUSES = ['operational', 'maintenance', 'critical'];
+
+    /**
+     * Get the units, narrowed by the dashboard filters the same way the frontend does (utils/filterUtils.js)
+     * Accepts filters: branch, building, floor, unitType, status, consumptionRange ('all' or missing = no filter)
+     */
+    public function index(Request $request)
+    {
+        $filter = fn (string $name) => $request->input($name, 'all') !== 'all' ? $request->input($name) : null;
+
+        $units = Unit::query()
+            ->when($filter('branch'), fn ($q, $branch) => $q->whereHas('floor.building', fn ($b) => $b->where('branch_id', $branch)))
+            ->when($filter('building'), fn ($q, $building) => $q->whereHas('floor', fn ($f) => $f->where('building_id', $building)))
+            ->when($filter('floor'), fn ($q, $floor) => $q->where('floor_id', $floor))
+            ->when($filter('unitType'), fn ($q, $type) => $q->where('equipment_type', $type))
+            ->when($filter('status'), fn ($q, $status) => $q->where('status', $status))
+            ->when(
+                is_numeric($request->input('consumptionRange')) && $request->input('consumptionRange') < 1000,
+                fn ($q) => $q->where('consumption', '<=', $request->input('consumptionRange'))
+            )
+            ->orderBy('id')
+            ->get();
+
+        return response()->json([
+            'units' => $units->map(fn ($unit) => $this->present($unit)),
+        ]);
+    }
+
+    /**
+     * Get one unit
+     */
+    public function show(Unit $unit)
+    {
+        return response()->json($this->present($unit));
+    }
+
+    /**
+     * Create a unit
+     * Body: { floorId, name, equipmentType, status, consumption, peakTime, meter, channel, statusHistory }
+     */
+    public function store(Request $request)
+    {
+        $unit = Unit::create($this->validated($request));
+
+        return response()->json($this->present($unit), 201);
+    }
+
+    /**
+     * Update a unit - a new floorId moves it to another floor
+     */
+    public function update(Request $request, Unit $unit)
+    {
+        $unit->update($this->validated($request, $unit->id));
+
+        return response()->json($this->present($unit));
+    }
+
+    /**
+     * Delete a unit
+     */
+    public function destroy(Unit $unit)
+    {
+        $unit->delete();
+
+        return response()->noContent();
+    }
+
+    /**
+     * Validate a unit from the request and map it onto the table's columns
+     */
+    private function validated(Request $request, ?int $id = null): array
+    {
+        $data = $request->validate([
+            'floorId' => 'required|integer|exists:floors,id',
+            'name' => [
+                'required', 'string', 'max:255',
+                $this->uniqueName('units', 'floor_id', $request->input('floorId'), $id, 'There is already a unit named "%s" in this floor'),
+            ],
+            'equipmentType' => 'required|string|max:100',
+            'status' => 'required|in:' . implode(',', self::STATUSES),
+            'consumption' => 'nullable|numeric|min:0',
+            'peakTime' => 'nullable|string|max:20',
+            'meter' => [
+                'nullable', 'integer', 'between:1,255', 'required_with:channel',
+                // One unit per meter channel - readings can't be split between two units
+                function (string $attribute, $value, Closure $fail) use ($request, $id) {
+                    $channel = $request->input('channel');
+                    $sharing = Unit::where('meter', $value)
+                        ->when($channel === null || $channel === '', fn ($q) => $q->whereNull('channel'), fn ($q) => $q->where('channel', $channel))
+                        ->when($id, fn ($q) => $q->where('id', '!=', $id))
+                        ->first();
+
+                    if ($sharing) {
+                        $channelLabel = $channel === null || $channel === '' ? 'Main channel' : "Channel {$channel}";
+                        $fail("Meter {$value} · {$channelLabel} is already mapped to {$sharing->name}");
+                    }
+                },
+            ],
+            'channel' => 'nullable|integer|between:1,255',
+            'statusHistory' => 'nullable|array',
+            'statusHistory.*.status' => 'required|in:' . implode(',', self::STATUSES),
+            'statusHistory.*.at' => 'nullable|date',
+        ], [
+            'floorId.*' => 'Choose a floor',
+            'equipmentType.required' => 'Equipment type is required',
+            'status.*' => 'Choose a status',
+            'meter.required_with' => 'Choose the meter the channel is on',
+        ]);
+
+        return [
+            'floor_id' => (int) $data['floorId'],
+            'name' => trim($data['name']),
+            'equipment_type' => trim($data['equipmentType']),
+            'status' => $data['status'],
+            'consumption' => $data['consumption'] ?? 0,
+            'peak_time' => $data['peakTime'] ?? null,
+            'meter' => $data['meter'] ?? null,
+            'channel' => $data['channel'] ?? null,
+            'status_history' => $data['statusHistory'] ?? null,
+        ];
+    }
+
+    /**
+     * Unit as the frontend's asset hierarchy stores it
+     */
+    public function present(Unit $unit): array
+    {
+        return [
+            'id' => $unit->id,
+            'floorId' => $unit->floor_id,
+            'name' => $unit->name,
+            'equipmentType' => $unit->equipment_type,
+            'consumption' => (float) $unit->consumption,
+            'status' => $unit->status,
+            'peakTime' => $unit->peak_time,
+            'meter' => $unit->meter,
+            'channel' => $unit->channel,
+            'statusHistory' => $unit->status_history ?? [],
+        ];
+    }
+}
@@ -10,6 +10,7 @@ class Branch extends Model
     protected $fillable = [
         'name',
         'location',
+        'timezone',
         'type',
         'description',
     ];
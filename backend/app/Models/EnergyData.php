@@ -13,6 +13,7 @@ class EnergyData extends Model
     // The attributes that are mass assignable (optional for now)
     protected $fillable = [
         'floor',
+        'channel',
         'date',
         'hour',
         'minute',
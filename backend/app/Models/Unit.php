@@ -9,14 +9,21 @@ class Unit extends Model
 {
     protected $fillable = [
         'floor_id',
+        'meter',
+        'channel',
         'name',
         'equipment_type',
         'consumption',
         'cost',
         'status',
+        'status_history',
         'peak_time',
     ];
 
+    protected $casts = [
+        'status_history' => 'array',
+    ];
+
     /**
      * Get the floor that owns this unit.
      */
@@ -0,0 +1,34 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('energy_data', function (Blueprint $table) {
+            // Sub-meter channel of the floor's meter - null for the meter's main channel
+            // (the imported floor CSVs). Units are mapped to a floor + channel pair.
+            $table->unsignedTinyInteger('channel')->nullable()->after('floor');
+
+            // Per-channel totals are grouped by floor + channel over a date range
+            $table->index(['floor', 'channel', 'date'], 'idx_energy_data_floor_channel_date');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('energy_data', function (Blueprint $table) {
+            $table->dropIndex('idx_energy_data_floor_channel_date');
+            $table->dropColumn('channel');
+        });
+    }
+};
@@ -0,0 +1,32 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('units', function (Blueprint $table) {
+            // Where the unit's readings are: energy_data.floor (meter) and energy_data.channel.
+            // A unit without a meter keeps the estimated consumption column.
+            $table->unsignedTinyInteger('meter')->nullable()->after('floor_id');
+            $table->unsignedTinyInteger('channel')->nullable()->after('meter');
+            $table->json('status_history')->nullable()->after('status');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('units', function (Blueprint $table) {
+            $table->dropColumn(['meter', 'channel', 'status_history']);
+        });
+    }
+};
@@ -0,0 +1,34 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Already there on databases that ran this migration under its earlier 2026_01_09 name
+        if (Schema::hasColumn('branches', 'timezone')) {
+            return;
+        }
+
+        Schema::table('branches', function (Blueprint $table) {
+            // Every branch is a site with its own timezone (IANA name, e.g. Asia/Manila)
+            $table->string('timezone')->nullable()->after('location');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('branches', function (Blueprint $table) {
+            $table->dropColumn('timezone');
+        });
+    }
+};
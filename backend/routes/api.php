@@ -1,12 +1,18 @@
 <?php
 
 use Illuminate\Support\Facades\Route;
+use App\Http\Controllers\BranchController;
+use App\Http\Controllers\BuildingController;
 use App\Http\Controllers\EnergyDataController;
+use App\Http\Controllers\FilterPresetController;
+use App\Http\Controllers\FloorController;
+use App\Http\Controllers\UnitController;
 
 Route::get('/energy/summary', [EnergyDataController::class, 'summary']);
 Route::get('/energy/dashboard/summary', [EnergyDataController::class, 'getSummary']);
 Route::get('/energy/dashboard/hourly', [EnergyDataController::class, 'getHourlyData']);
 Route::get('/energy/dashboard/minute', [EnergyDataController::class, 'getMinuteData']);
+Route::get('/energy/dashboard/second', [EnergyDataController::class, 'getSecondData']);
 Route::get('/energy/dashboard/dates', [EnergyDataController::class, 'getAvailableDates']);
 Route::get('/energy/dashboard/weekly-peak-hours', [EnergyDataController::class, 'getWeeklyPeakHours']);
 Route::get('/energy/dashboard/floor-analytics', [EnergyDataController::class, 'getFloorAnalytics']);
@@ -15,4 +21,23 @@
 Route::get('/energy/dashboard/branch-metrics', [EnergyDataController::class, 'getBranchMetrics']);
 Route::get('/energy/dashboard/top-units', [EnergyDataController::class, 'getTopConsumingUnits']);
 Route::get('/energy/dashboard/equipment-type', [EnergyDataController::class, 'getConsumptionByEquipmentType']);
+Route::get('/energy/demand', [EnergyDataController::class, 'getDemandAnalytics']);
+Route::get('/energy/channels', [EnergyDataController::class, 'getChannelReadings']);
+Route::get('/energy/power-quality', [EnergyDataController::class, 'getPowerQuality']);
+Route::get('/energy/power-quality/distribution', [EnergyDataController::class, 'getPowerQualityDistribution']);
+Route::get('/energy/live/stream', [EnergyDataController::class, 'streamReadings']);
+Route::get('/energy/live/readings', [EnergyDataController::class, 'getLatestReadings']);
+Route::get('/filter-presets', [FilterPresetController::class, 'index']);
+Route::put('/filter-presets', [FilterPresetController::class, 'update']);
+
+// Asset hierarchy - branches → buildings → floors → units
+Route::apiResource('branches', BranchController::class);
+Route::get('/branches/{branch}/buildings', [BranchController::class, 'buildings']);
+Route::apiResource('buildings', BuildingController::class);
+Route::get('/buildings/{building}/floors', [BuildingController::class, 'floors']);
+Route::get('/buildings/{building}/units', [BuildingController::class, 'units']);
+Route::apiResource('floors', FloorController::class);
+Route::get('/floors/{floor}/units', [FloorController::class, 'units']);
+Route::apiResource('units', UnitController::class);
+
 Route::get('/test', fn() => response()->json(['message' => 'API works!']));
\ No newline at end of file
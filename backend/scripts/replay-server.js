@@ -0,0 +1,181 @@
+// Local replay server for live monitoring mode.
+// Streams the per-second floor CSVs as server-sent events in the same format as
+// GET /api/energy/live/stream, so the dashboard's live mode can be tested
+// without a meter feeding new rows into energy_data.
+//
+// Usage: node scripts/replay-server.js [file.csv ...]
+//   REPLAY_PORT  - port to listen on (default 8001)
+//   REPLAY_SPEED - CSV rows replayed per second for each file (default 1 = real time)
+// Then start the frontend with REACT_APP_LIVE_URL=http://localhost:8001/api/energy/live/stream
+
+import { createReadStream, existsSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { basename, dirname, resolve } from 'node:path';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.REPLAY_PORT || 8001);
+const SPEED = Math.max(1, Number(process.env.REPLAY_SPEED || 1));
+const TICK_MS = 1000;
+
+// Same default files as FloorDataSeeder (repository root)
+const repoRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const files = process.argv.slice(2).length > 0
+  ? process.argv.slice(2).map(file => resolve(file))
+  : [1, 2, 3].map(floor => resolve(repoRoot, `Floor${floor}_8days_data.csv`));
+
+// Column aliases, as accepted by the seeders
+const COLUMN_ALIASES = {
+  floor: ['floor'],
+  date: ['date'],
+  hour: ['hour', 'hours', 'hr', 'hrs'],
+  minute: ['minute', 'minutes', 'min', 'mins'],
+  second: ['second', 'seconds', 'sec', 'secs'],
+  voltage_v: ['voltage_v', 'voltage', 'v', 'voltage (v)'],
+  current_a: ['current_a', 'current', 'a', 'current (a)', 'amps', 'ampere'],
+  power_w: ['power_w', 'power', 'w', 'power (w)', 'watts'],
+  energy_wh: ['energy_wh', 'energy', 'wh', 'energy (wh)', 'watt-hours']
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Sort key of a row - its date (any format Date.parse reads) plus the time of day
+const getTimeKey = (reading) =>
+  (Date.parse(reading.date) || 0) + ((reading.hour * 60 + reading.minute) * 60 + reading.second) * 1000;
+
+// One replay cursor per CSV file - restarts from the top when the file ends
+const createCursor = (file) => {
+  const floorFromName = Number((basename(file).match(/floor\s*(\d+)/i) || [])[1]) || null;
+  let lines = null;
+  let columns = null;
+
+  const open = () => {
+    const rl = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+    lines = rl[Symbol.asyncIterator]();
+    columns = null;
+  };
+
+  const parseRow = (line) => {
+    const values = line.split(',').map(value => value.trim());
+    const field = (name) => (columns[name] !== undefined ? values[columns[name]] : undefined);
+    const hour = Number(field('hour'));
+    const minute = Number(field('minute'));
+    const second = Number(field('second'));
+    const date = field('date');
+    return {
+      floor: Number(field('floor')) || floorFromName,
+      date,
+      hour,
+      minute,
+      second,
+      timestamp: `${date} ${pad(hour)}:${pad(minute)}:${pad(second)}`,
+      voltage_v: Number(field('voltage_v')),
+      current_a: Number(field('current_a')),
+      power_w: Number(field('power_w')),
+      energy_wh: Number(field('energy_wh'))
+    };
+  };
+
+  const next = async () => {
+    if (!lines) open();
+    for (;;) {
+      const { value, done } = await lines.next();
+      if (done) {
+        open();
+        continue;
+      }
+      if (!value.trim()) continue;
+      if (!columns) {
+        const header = value.split(',').map(name => name.trim().toLowerCase());
+        columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([name, aliases]) => {
+          const index = header.findIndex(column => aliases.includes(column));
+          if (index !== -1) columns[name] = index;
+        });
+        continue;
+      }
+      return parseRow(value);
+    }
+  };
+
+  return { file, next };
+};
+
+const existingFiles = files.filter(file => {
+  if (!existsSync(file)) {
+    console.warn(`CSV file not found, skipping: ${file}`);
+    return false;
+  }
+  return true;
+});
+
+if (existingFiles.length === 0) {
+  console.error('No CSV files to replay. Pass file paths or place Floor{1,2,3}_8days_data.csv in the repository root.');
+  process.exit(1);
+}
+
+const cursors = existingFiles.map(createCursor);
+const clients = new Set();
+let sequence = 0;
+let ticking = false;
+
+const send = (client, readings) => {
+  const forClient = client.floor ? readings.filter(reading => String(reading.floor) === client.floor) : readings;
+  if (forClient.length === 0) return;
+  client.res.write(`id: ${sequence}\nevent: readings\ndata: ${JSON.stringify({ readings: forClient })}\n\n`);
+};
+
+// Advance every file by SPEED rows and broadcast them - one shared clock for all clients.
+// Rows are interleaved by time so each second's floors arrive together, as the live chart expects.
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const readings = [];
+    for (const cursor of cursors) {
+      for (let i = 0; i < SPEED; i++) {
+        readings.push(await cursor.next());
+      }
+    }
+    readings.sort((a, b) => getTimeKey(a) - getTimeKey(b));
+    sequence += 1;
+    readings.forEach((reading, index) => {
+      reading.id = sequence * 10000 + index;
+    });
+    clients.forEach(client => send(client, readings));
+  } catch (error) {
+    console.error('Replay error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (url.pathname !== '/api/energy/live/stream') {
+    res.writeHead(404, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify({ message: 'Not found' }));
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write('retry: 2000\n\n');
+
+  const floor = url.searchParams.get('floor');
+  const client = { res, floor: floor && floor !== 'all' ? floor : null };
+  clients.add(client);
+  req.on('close', () => clients.delete(client));
+});
+
+setInterval(tick, TICK_MS);
+
+server.listen(PORT, () => {
+  console.log(`Replaying ${cursors.map(cursor => basename(cursor.file)).join(', ')} at ${SPEED}x`);
+  console.log(`Live stream: http://localhost:${PORT}/api/energy/live/stream`);
+});
@@ -4,26 +4,40 @@ import Header from './components/Header';
 import Dashboard from './components/Dashboard';
 import FloorDetails from './components/FloorDetails';
 import BuildingMap from './components/BuildingMap';
-import Notification from './components/Notification';
+import BranchComparison from './components/BranchComparison';
+import DemandAnalytics from './components/DemandAnalytics';
+import PowerQuality from './components/PowerQuality';
+import Forecast from './components/Forecast';
+import MonthlyReport from './components/MonthlyReport';
+import BaselineSavings from './components/BaselineSavings';
+import Emissions from './components/Emissions';
+import Budgets from './components/Budgets';
+import TariffSettings from './components/TariffSettings';
+import AlertRules from './components/AlertRules';
+import AssetHierarchy from './components/AssetHierarchy';
+import VirtualMeters from './components/VirtualMeters';
 import { usePowerPlantData } from './hooks/usePowerPlantData';
+import { useAlertMonitor } from './hooks/useAlertRules';
+import { useUrlState } from './hooks/useUrlState';
+import { addNotification } from './utils/notifications';
+import { getPhysicalFilters, isVirtualFloor } from './utils/virtualMeters';
 
 function App() {
-  const [filters, setFilters] = useState({
-    // Hierarchy
-    floor: 'all',
-    unitType: 'all',
-    status: 'all',
-    consumptionRange: 1000,
-    // Time-related filters
-    timeGranularity: 'day', // day | week | hour | minute
-    weekday: 'all'          // all | monday | ... | sunday
-  });
-  
-  const [activeModule, setActiveModule] = useState('dashboard');
-  const [notification, setNotification] = useState(null);
+  // Filters, module and map/floor selection are kept in the URL (defaults in utils/urlState.js)
+  const { filters, setFilters, activeModule, setActiveModule, selection, updateSelection } = useUrlState();
+  // Live monitoring mode - dashboard subscribes to the readings stream while on
+  const [liveMode, setLiveMode] = useState(false);
+
+  // A virtual meter in the floor filter is only evaluated by the dashboard charts -
+  // units and the other modules read all floors meanwhile
+  const physicalFilters = getPhysicalFilters(filters);
+  // Live readings are streamed per physical floor, so live mode pauses while a virtual meter is selected
+  const liveAvailable = !isVirtualFloor(filters.floor);
 
   // Use custom hook for data fetching (supports both API and mock data)
-  const { units: filteredUnits, statistics, loading, error } = usePowerPlantData(filters);
+  const { units: filteredUnits, statistics, loading, error, fallbackError } = usePowerPlantData(physicalFilters);
+  // Alert rules are checked against the readings stream whichever module is open
+  const alertMonitor = useAlertMonitor();
 
   // Scroll to top when module changes
   useEffect(() => {
@@ -34,9 +48,9 @@ function App() {
     setFilters(newFilters);
   };
 
+  // Confirmations of the user's own actions go to the notification center already read
   const showNotification = (message) => {
-    setNotification(message);
-    setTimeout(() => setNotification(null), 3000);
+    addNotification({ title: message, read: true });
   };
 
   // Show loading state
@@ -71,7 +85,7 @@ function App() {
   }
 
   return (
-    <div className="min-h-screen bg-gray-50 text-gray-800">
+    <div className="min-h-screen bg-gray-50 text-gray-800 print:bg-white">
       <div className="flex min-h-screen">
         <Sidebar 
           filters={filters} 
@@ -81,19 +95,40 @@ function App() {
           onApplyFilters={() => showNotification(`Applied filters: ${filteredUnits.length} units shown`)}
         />
         
-        <main className="flex-1 overflow-y-auto">
-          <Header filters={filters} onFilterChange={handleFilterChange} />
+        <main className="flex-1 overflow-y-auto print:overflow-visible">
+          <Header
+            filters={filters}
+            onFilterChange={handleFilterChange}
+            liveMode={liveMode && liveAvailable}
+            onLiveModeChange={setLiveMode}
+            liveUnavailable={liveAvailable ? null : 'Live monitoring is not available for virtual meters - pick a floor'}
+            onManageAlerts={() => setActiveModule('alerts')}
+          />
           
+          {isVirtualFloor(filters.floor) && !['dashboard', 'virtual-meters'].includes(activeModule) && (
+            <div className="px-8 pt-6">
+              <div className="bg-blue-50 border border-blue-200 rounded-lg px-4 py-3 text-sm text-blue-800">
+                <i className="fas fa-info-circle mr-2"></i>
+                A virtual meter is selected in the floor filter. It is shown on the dashboard; this module covers all floors.
+              </div>
+            </div>
+          )}
+
           {/* Render only the active module */}
           {activeModule === 'dashboard' && (
             <div id="dashboard" className="px-8 py-6">
-              <Dashboard statistics={statistics} units={filteredUnits} filters={filters} />
+              <Dashboard statistics={statistics} units={filteredUnits} filters={filters} fallbackError={fallbackError} liveMode={liveMode && liveAvailable} />
             </div>
           )}
           
           {activeModule === 'floors' && (
             <div id="floors" className="px-8 py-6">
-              <FloorDetails units={filteredUnits} filters={filters} />
+              <FloorDetails
+                units={filteredUnits}
+                filters={physicalFilters}
+                selectedFloorId={selection.unitsFloor}
+                onSelectFloor={(floorId) => updateSelection({ unitsFloor: floorId })}
+              />
             </div>
           )}
           
@@ -101,14 +136,101 @@ function App() {
             <div id="building-map" className="px-8 py-6">
               <BuildingMap 
                 units={filteredUnits}
+                filters={physicalFilters}
+                selectedBranchId={selection.mapBranch}
+                selectedBuildingId={selection.mapBuilding}
+                selectedFloorId={selection.mapFloor}
+                onSelectBranch={(branchId) => updateSelection({ mapBranch: branchId })}
+                onSelectBuilding={(buildingId) => updateSelection({ mapBuilding: buildingId, mapFloor: null })}
+                onSelectFloor={(floorId) => updateSelection({ mapFloor: floorId })}
                 onBuildingClick={(building) => showNotification(`Viewing details for ${building.name}`)}
               />
             </div>
           )}
+
+          {activeModule === 'sites' && (
+            <div id="sites" className="px-8 py-6">
+              <BranchComparison
+                filters={physicalFilters}
+                onSelectSite={(branchId) => handleFilterChange({ ...filters, branch: String(branchId), building: 'all', floor: 'all' })}
+              />
+            </div>
+          )}
+
+          {activeModule === 'demand' && (
+            <div id="demand" className="px-8 py-6">
+              <DemandAnalytics filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'power-quality' && (
+            <div id="power-quality" className="px-8 py-6">
+              <PowerQuality filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'forecast' && (
+            <div id="forecast" className="px-8 py-6">
+              <Forecast filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'report' && (
+            <div id="report" className="px-8 py-6 print:p-0">
+              <MonthlyReport filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'baseline' && (
+            <div id="baseline" className="px-8 py-6">
+              <BaselineSavings filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'emissions' && (
+            <div id="emissions" className="px-8 py-6">
+              <Emissions filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'budgets' && (
+            <div id="budgets" className="px-8 py-6">
+              <Budgets filters={physicalFilters} />
+            </div>
+          )}
+
+          {activeModule === 'tariffs' && (
+            <div id="tariffs" className="px-8 py-6">
+              <TariffSettings />
+            </div>
+          )}
+
+          {activeModule === 'alerts' && (
+            <div id="alerts" className="px-8 py-6">
+              <AlertRules monitor={alertMonitor} />
+            </div>
+          )}
+
+          {activeModule === 'assets' && (
+            <div id="assets" className="px-8 py-6">
+              <AssetHierarchy />
+            </div>
+          )}
+
+          {activeModule === 'virtual-meters' && (
+            <div id="virtual-meters" className="px-8 py-6">
+              <VirtualMeters
+                filters={filters}
+                onViewMeter={(floor) => {
+                  handleFilterChange({ ...filters, floor });
+                  setActiveModule('dashboard');
+                }}
+                onFilterChange={handleFilterChange}
+              />
+            </div>
+          )}
         </main>
       </div>
-      
-      {notification && <Notification message={notification} />}
     </div>
   );
 }
@@ -1,9 +1,26 @@
 import React from 'react';
-import { powerPlantData } from '../data/powerPlantData';
+import { format, parseISO } from 'date-fns';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { useFilterPresets } from '../hooks/useFilterPresets';
+import { useVirtualMeters } from '../hooks/useVirtualMeters';
+import { findMatchingPreset, PRESET_FILTER_KEYS } from '../utils/presets';
+import { DEFAULT_FILTERS } from '../utils/urlState';
+import { getVirtualMeterForFloor } from '../utils/virtualMeters';
 
 const ActiveFilters = ({ filters, onFilterChange }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { presets } = useFilterPresets();
+  const { virtualMeters } = useVirtualMeters();
+  const activePreset = findMatchingPreset(presets, filters);
+
   const removeFilter = (filterType) => {
-    if (filterType === 'branch') {
+    if (filterType === 'preset') {
+      // Clear everything the preset set
+      onFilterChange({
+        ...filters,
+        ...PRESET_FILTER_KEYS.reduce((defaults, key) => ({ ...defaults, [key]: DEFAULT_FILTERS[key] }), {})
+      });
+    } else if (filterType === 'branch') {
       onFilterChange({ ...filters, branch: 'all', building: 'all', floor: 'all' });
     } else if (filterType === 'building') {
       onFilterChange({ ...filters, building: 'all', floor: 'all' });
@@ -15,26 +32,64 @@ const ActiveFilters = ({ filters, onFilterChange }) => {
       onFilterChange({ ...filters, status: 'all' });
     } else if (filterType === 'consumption') {
       onFilterChange({ ...filters, consumptionRange: 1000 });
+    } else if (filterType === 'dateRange') {
+      onFilterChange({ ...filters, dateFrom: null, dateTo: null });
     }
   };
 
   const getBranchName = (branchId) => {
-    const branch = powerPlantData.branches.find(b => b.id === parseInt(branchId));
+    const branch = hierarchy.branches.find(b => b.id === parseInt(branchId));
     return branch?.name || branchId;
   };
 
   const getBuildingName = (buildingId) => {
-    const building = powerPlantData.buildings.find(b => b.id === parseInt(buildingId));
+    const building = hierarchy.buildings.find(b => b.id === parseInt(buildingId));
     return building?.name || buildingId;
   };
 
   const getFloorName = (floorId) => {
-    const floor = powerPlantData.floors.find(f => f.id === parseInt(floorId));
+    const virtualMeter = getVirtualMeterForFloor(floorId, virtualMeters);
+    if (virtualMeter) return `${virtualMeter.name} (virtual)`;
+    const floor = hierarchy.floors.find(f => f.id === parseInt(floorId));
     return floor?.name || floorId;
   };
 
+  const getDateRangeLabel = (dateFrom, dateTo) => {
+    if (dateFrom === dateTo) return format(parseISO(dateFrom), 'MMM d, yyyy');
+    return `${format(parseISO(dateFrom), 'MMM d')} - ${format(parseISO(dateTo), 'MMM d, yyyy')}`;
+  };
+
   return (
     <div className="flex flex-wrap gap-2">
+      {activePreset && (
+        <div className="px-3 py-1 bg-primary-50 text-primary-700 rounded-full text-sm flex items-center">
+          <i className="fas fa-bookmark text-xs mr-2"></i>
+          Preset: {activePreset.name}
+          <button 
+            onClick={() => removeFilter('preset')}
+            className="ml-2 text-primary-500 hover:text-primary-700"
+            aria-label="Clear preset filters"
+            title="Clear preset filters"
+          >
+            <i className="fas fa-times text-xs"></i>
+          </button>
+        </div>
+      )}
+
+      {filters.dateFrom && filters.dateTo && (
+        <div className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm flex items-center">
+          Dates: {getDateRangeLabel(filters.dateFrom, filters.dateTo)}
+          <button 
+            onClick={() => removeFilter('dateRange')}
+            className="ml-2 text-gray-500 hover:text-gray-700"
+            aria-label="Remove date range filter"
+            title="Remove date range filter"
+          >
+            <i className="fas fa-times text-xs"></i>
+          </button>
+        </div>
+      )}
+      
       {filters.branch && filters.branch !== 'all' && (
         <div className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm flex items-center">
           Branch: {getBranchName(filters.branch)}
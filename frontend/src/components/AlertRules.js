@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { useAlertRules } from '../hooks/useAlertRules';
+import {
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  ALERT_SEVERITIES,
+  MAX_WINDOW_MINUTES,
+  validateAlertRule,
+  describeAlertRule,
+  describeAlertValue,
+  formatAlertValue,
+  isSnoozed
+} from '../utils/alerts';
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white';
+
+const STREAM_STATUS = {
+  idle: { label: 'Off - no rules enabled', className: 'text-gray-500' },
+  connecting: { label: 'Connecting…', className: 'text-yellow-600' },
+  live: { label: 'Watching live readings', className: 'text-green-600' },
+  reconnecting: { label: 'Readings unavailable - retrying…', className: 'text-yellow-600' }
+};
+
+const newRule = () => ({
+  id: `rule-${Date.now()}`,
+  name: '',
+  metric: 'hourly_energy',
+  floor: 'all',
+  operator: 'above',
+  threshold: '',
+  windowMinutes: 10,
+  severity: 'warning',
+  enabled: true,
+  snoozedUntil: null
+});
+
+// Keep empty inputs as '' so validation can flag them instead of silently using 0
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+// Alert rule editor - monitor is the { status, evaluations } from useAlertMonitor
+const AlertRules = ({ monitor = { status: 'idle', evaluations: [] } }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { rules, saveAlertRules } = useAlertRules();
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  const errors = draft ? validateAlertRule(draft) : [];
+  const isNew = draft ? !rules.some(rule => rule.id === draft.id) : false;
+  const streamStatus = STREAM_STATUS[monitor.status] || STREAM_STATUS.idle;
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSave = () => {
+    try {
+      saveAlertRules(isNew ? [...rules, draft] : rules.map(rule => (rule.id === draft.id ? draft : rule)));
+      setDraft(null);
+      setSaveError(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete alert rule "${rule.name}"?`)) return;
+    saveAlertRules(rules.filter(r => r.id !== rule.id));
+    if (draft?.id === rule.id) setDraft(null);
+  };
+
+  const toggleRule = (rule, changes) => saveAlertRules(rules.map(r => (r.id === rule.id ? { ...r, ...changes } : r)));
+
+  const getState = (rule) => {
+    if (!rule.enabled) return { label: 'Disabled', badge: 'bg-gray-100 text-gray-600' };
+    if (isSnoozed(rule)) return { label: 'Snoozed', badge: 'bg-gray-100 text-gray-700' };
+    const evaluation = monitor.evaluations.find(result => result.rule.id === rule.id);
+    if (!evaluation || evaluation.value === null) return { label: 'Waiting for data', badge: 'bg-blue-100 text-blue-800' };
+    return evaluation.firing
+      ? { label: 'Firing', badge: 'bg-red-100 text-red-800' }
+      : { label: 'OK', badge: 'bg-green-100 text-green-800' };
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex flex-col md:flex-row md:items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Alert Rules</h2>
+          <p className="text-gray-600 mt-1">
+            Thresholds checked against incoming readings. Firing rules post to the notification center in the header.
+          </p>
+          <p className={`text-sm mt-2 ${streamStatus.className}`}>
+            <i className="fas fa-circle text-[8px] mr-2"></i>
+            {streamStatus.label}
+          </p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <button
+            onClick={() => {
+              setDraft(newRule());
+              setSaveError(null);
+            }}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium"
+          >
+            <i className="fas fa-plus mr-2"></i>
+            New Rule
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Rules */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">Rules</h3>
+            <p className="text-gray-600 text-sm mt-1">Current values update every few seconds while the stream is live</p>
+          </div>
+          {rules.length === 0 ? (
+            <p className="px-6 py-8 text-center text-sm text-gray-500">No alert rules yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
+                    <th className="px-6 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rules.map(rule => {
+                    const state = getState(rule);
+                    const severity = ALERT_SEVERITIES[rule.severity];
+                    const evaluation = monitor.evaluations.find(result => result.rule.id === rule.id);
+                    return (
+                      <tr key={rule.id} className={draft?.id === rule.id ? 'bg-primary-50' : ''}>
+                        <td className="px-6 py-4">
+                          <div className="text-sm font-medium text-gray-900">{rule.name}</div>
+                          <div className="text-xs text-gray-500">{describeAlertRule(rule)}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${severity.badge}`}>{severity.label}</span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {evaluation ? describeAlertValue(evaluation) : formatAlertValue(rule.metric, null)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${state.badge}`}>{state.label}</span>
+                          {isSnoozed(rule) && (
+                            <button
+                              onClick={() => toggleRule(rule, { snoozedUntil: null })}
+                              className="ml-2 text-xs text-primary-600 hover:text-primary-700"
+                            >
+                              Unsnooze
+                            </button>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                          <button
+                            onClick={() => toggleRule(rule, { enabled: !rule.enabled })}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            {rule.enabled ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            onClick={() => {
+                              setDraft({ ...rule });
+                              setSaveError(null);
+                            }}
+                            className="text-primary-600 hover:text-primary-700"
+                          >
+                            Edit
+                          </button>
+                          <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-700">
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Rule form */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">{draft ? (isNew ? 'New Rule' : 'Edit Rule') : 'Rule'}</h3>
+            <p className="text-gray-600 text-sm mt-1">
+              {draft ? ALERT_METRICS[draft.metric]?.description : 'Pick a rule to edit or create a new one'}
+            </p>
+          </div>
+          {draft && (
+            <div className="p-6 space-y-4">
+              <div>
+                <label htmlFor="alert-name" className="block text-xs font-medium text-gray-500 mb-1">Name</label>
+                <input
+                  id="alert-name"
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="alert-metric" className="block text-xs font-medium text-gray-500 mb-1">Metric</label>
+                  <select
+                    id="alert-metric"
+                    value={draft.metric}
+                    onChange={(e) => updateDraft({ metric: e.target.value, operator: 'above' })}
+                    className={inputClasses}
+                  >
+                    {Object.entries(ALERT_METRICS).map(([value, metric]) => (
+                      <option key={value} value={value}>{metric.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="alert-floor" className="block text-xs font-medium text-gray-500 mb-1">Floor</label>
+                  <select
+                    id="alert-floor"
+                    value={draft.floor}
+                    onChange={(e) => updateDraft({ floor: e.target.value })}
+                    className={inputClasses}
+                  >
+                    <option value="all">All Floors</option>
+                    {hierarchy.floors.map(floor => (
+                      <option key={floor.id} value={String(floor.id)}>{floor.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="alert-operator" className="block text-xs font-medium text-gray-500 mb-1">Condition</label>
+                  <select
+                    id="alert-operator"
+                    value={draft.metric === 'no_data' ? 'above' : draft.operator}
+                    onChange={(e) => updateDraft({ operator: e.target.value })}
+                    disabled={draft.metric === 'no_data'}
+                    className={inputClasses}
+                  >
+                    {Object.entries(ALERT_OPERATORS).map(([value, operator]) => (
+                      <option key={value} value={value}>{operator.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="alert-threshold" className="block text-xs font-medium text-gray-500 mb-1">
+                    Threshold ({ALERT_METRICS[draft.metric]?.unit})
+                  </label>
+                  <input
+                    id="alert-threshold"
+                    type="number"
+                    min="0"
+                    value={draft.threshold}
+                    onChange={(e) => updateDraft({ threshold: toNumber(e.target.value) })}
+                    className={inputClasses}
+                  />
+                </div>
+              </div>
+              {draft.metric === 'avg_current' && (
+                <div>
+                  <label htmlFor="alert-window" className="block text-xs font-medium text-gray-500 mb-1">
+                    Window (minutes, up to {MAX_WINDOW_MINUTES})
+                  </label>
+                  <input
+                    id="alert-window"
+                    type="number"
+                    min="1"
+                    max={MAX_WINDOW_MINUTES}
+                    value={draft.windowMinutes}
+                    onChange={(e) => updateDraft({ windowMinutes: toNumber(e.target.value) })}
+                    className={inputClasses}
+                  />
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="alert-severity" className="block text-xs font-medium text-gray-500 mb-1">Severity</label>
+                  <select
+                    id="alert-severity"
+                    value={draft.severity}
+                    onChange={(e) => updateDraft({ severity: e.target.value })}
+                    className={inputClasses}
+                  >
+                    {Object.entries(ALERT_SEVERITIES).map(([value, severity]) => (
+                      <option key={value} value={value}>{severity.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center text-sm text-gray-700 mt-5">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={draft.enabled}
+                    onChange={(e) => updateDraft({ enabled: e.target.checked })}
+                  />
+                  Enabled
+                </label>
+              </div>
+
+              {errors.length === 0 && (
+                <p className="text-xs text-gray-500">{describeAlertRule(draft)}</p>
+              )}
+              {errors.length > 0 && (
+                <ul className="text-xs text-red-600 list-disc list-inside">
+                  {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+              {saveError && <p className="text-xs text-red-600">{saveError}</p>}
+
+              <div className="flex space-x-2">
+                <button
+                  onClick={handleSave}
+                  disabled={errors.length > 0}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+                >
+                  Save Rule
+                </button>
+                <button
+                  onClick={() => setDraft(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRules;
@@ -0,0 +1,397 @@
+import React, { useState } from 'react';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import {
+  ASSET_KINDS,
+  UNIT_STATUSES,
+  validateAsset,
+  getChildAssets,
+  getDeleteBlocker,
+  formatUnitChannel,
+  DEFAULT_TIMEZONE
+} from '../utils/assets';
+import { getTimezoneOptions } from '../utils/sites';
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white';
+
+// Keep empty inputs as '' so validation can flag them instead of silently using 0
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+// Editable fields per kind besides the name and parent
+const ASSET_FIELDS = {
+  branches: [
+    { key: 'location', label: 'Location' },
+    { key: 'timezone', label: 'Timezone', list: 'asset-timezones' },
+    { key: 'type', label: 'Type' },
+    { key: 'description', label: 'Description' }
+  ],
+  buildings: [
+    { key: 'type', label: 'Type' },
+    { key: 'area', label: 'Area (sqm)', type: 'number' }
+  ],
+  floors: [
+    { key: 'floorNumber', label: 'Floor Number', type: 'number' },
+    { key: 'area', label: 'Area (sqm)', type: 'number' }
+  ],
+  units: [
+    { key: 'equipmentType', label: 'Equipment Type', list: 'asset-equipment-types' },
+    { key: 'status', label: 'Status', options: UNIT_STATUSES },
+    // Where the unit's readings are - left empty, the unit's consumption is estimated
+    { key: 'meter', label: 'Meter (floor in the readings)', type: 'number' },
+    { key: 'channel', label: 'Channel (empty for the main channel)', type: 'number' },
+    { key: 'peakTime', label: 'Peak Time' }
+  ]
+};
+
+const UNIT_STATUS_DOTS = {
+  operational: 'bg-green-500',
+  maintenance: 'bg-yellow-500',
+  critical: 'bg-red-500'
+};
+
+const newAsset = (kind, parentId, hierarchy) => {
+  const { parentField } = ASSET_KINDS[kind];
+  const base = { name: '', ...(parentField ? { [parentField]: parentId } : {}) };
+  if (kind === 'branches') return { ...base, location: '', timezone: DEFAULT_TIMEZONE, type: 'main', description: '' };
+  if (kind === 'buildings') return { ...base, type: 'production', area: '' };
+  if (kind === 'floors') {
+    const floorNumbers = getChildAssets('buildings', parentId, hierarchy).map(floor => Number(floor.floorNumber) || 0);
+    return { ...base, floorNumber: Math.max(0, ...floorNumbers) + 1, area: '' };
+  }
+  return { ...base, equipmentType: '', status: 'operational', consumption: 0, meter: '', channel: '', peakTime: '' };
+};
+
+const NodeButton = ({ icon, label, onClick, disabled = false, title = null, danger = false }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    title={title || label}
+    aria-label={label}
+    className={`px-1.5 text-xs disabled:opacity-30 ${danger ? 'text-red-600 hover:text-red-700' : 'text-gray-500 hover:text-primary-600'}`}
+  >
+    <i className={`fas ${icon}`}></i>
+  </button>
+);
+
+// Admin editor for the asset hierarchy - create, edit and delete branches, buildings, floors
+// and units, and drag units onto another floor to move them
+const AssetHierarchy = () => {
+  const { hierarchy, isLocalOnly, createAsset, updateAsset, deleteAsset, moveUnit, resetAssetHierarchy } = useAssetHierarchy();
+
+  // { kind, asset, isNew } while the form is open
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [dragOverFloorId, setDragOverFloorId] = useState(null);
+
+  const errors = editing ? validateAsset(editing.kind, editing.isNew ? { ...editing.asset, id: null } : editing.asset, hierarchy) : [];
+  const equipmentTypes = [...new Set(hierarchy.units.map(unit => unit.equipmentType).filter(Boolean))].sort();
+
+  const startCreate = (kind, parentId = null) => {
+    setEditing({ kind, asset: newAsset(kind, parentId, hierarchy), isNew: true });
+    setActionError(null);
+  };
+
+  const startEdit = (kind, asset) => {
+    setEditing({ kind, asset, isNew: false });
+    setActionError(null);
+  };
+
+  const updateDraft = (changes) => setEditing(prev => ({ ...prev, asset: { ...prev.asset, ...changes } }));
+
+  // Every change goes through the API - show its error instead of losing the edit
+  const run = async (action) => {
+    setSaving(true);
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (e) {
+      setActionError(e.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const { kind, asset, isNew } = editing;
+    const saved = await run(() => (isNew ? createAsset(kind, asset) : updateAsset(kind, asset)));
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = async (kind, asset) => {
+    if (!window.confirm(`Delete ${ASSET_KINDS[kind].label.toLowerCase()} "${asset.name}"?`)) return;
+    const deleted = await run(() => deleteAsset(kind, asset.id));
+    if (deleted && editing?.asset.id === asset.id && editing.kind === kind) setEditing(null);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Replace the whole hierarchy with the built-in Laguna Power Plant layout?')) return;
+    resetAssetHierarchy();
+    setEditing(null);
+    setActionError(null);
+  };
+
+  const handleDrop = (e, floorId) => {
+    e.preventDefault();
+    setDragOverFloorId(null);
+    const unitId = Number(e.dataTransfer.getData('text/plain'));
+    const unit = hierarchy.units.find(item => item.id === unitId);
+    if (unit && unit.floorId !== floorId) run(() => moveUnit(unitId, floorId));
+  };
+
+  const nodeActions = (kind, asset) => {
+    const { childKind } = ASSET_KINDS[kind];
+    const blocker = getDeleteBlocker(kind, asset.id, hierarchy);
+    return (
+      <span className="flex items-center">
+        {childKind && (
+          <NodeButton icon="fa-plus" label={`Add ${ASSET_KINDS[childKind].label.toLowerCase()} to ${asset.name}`} onClick={() => startCreate(childKind, asset.id)} />
+        )}
+        <NodeButton icon="fa-pen" label={`Edit ${asset.name}`} onClick={() => startEdit(kind, asset)} />
+        <NodeButton
+          icon="fa-trash-alt"
+          label={`Delete ${asset.name}`}
+          title={blocker}
+          disabled={Boolean(blocker) || saving}
+          onClick={() => handleDelete(kind, asset)}
+          danger
+        />
+      </span>
+    );
+  };
+
+  const isSelected = (kind, asset) => editing && !editing.isNew && editing.kind === kind && editing.asset.id === asset.id;
+
+  const renderFloor = (floor) => {
+    const units = getChildAssets('floors', floor.id, hierarchy);
+    return (
+      <div
+        key={floor.id}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOverFloorId(floor.id);
+        }}
+        onDragLeave={() => setDragOverFloorId(null)}
+        onDrop={(e) => handleDrop(e, floor.id)}
+        className={`rounded-lg border p-3 ${dragOverFloorId === floor.id ? 'border-primary-400 bg-primary-50' : 'border-gray-200 bg-gray-50'}`}
+      >
+        <div className={`flex items-center justify-between ${isSelected('floors', floor) ? 'text-primary-700' : 'text-gray-900'}`}>
+          <span className="text-sm font-medium">
+            <i className="fas fa-layer-group text-gray-400 mr-2"></i>
+            {floor.name}
+            <span className="text-xs font-normal text-gray-500 ml-2">Floor {floor.floorNumber} • {floor.area} sqm • {units.length} units</span>
+          </span>
+          {nodeActions('floors', floor)}
+        </div>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {units.length === 0 && <span className="text-xs text-gray-400">Drop units here</span>}
+          {units.map(unit => (
+            <div
+              key={unit.id}
+              draggable
+              onDragStart={(e) => e.dataTransfer.setData('text/plain', String(unit.id))}
+              className={`flex items-center bg-white border rounded-lg pl-2 py-1 text-xs cursor-move ${
+                isSelected('units', unit) ? 'border-primary-400' : 'border-gray-200'
+              }`}
+              title={`${unit.equipmentType} • ${unit.status} • ${formatUnitChannel(unit)} • drag onto another floor to move`}
+            >
+              <span className={`w-2 h-2 rounded-full mr-2 ${UNIT_STATUS_DOTS[unit.status] || 'bg-gray-400'}`}></span>
+              <span className="text-gray-800">{unit.name}</span>
+              {nodeActions('units', unit)}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex flex-col md:flex-row md:items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Asset Hierarchy</h2>
+          <p className="text-gray-600 mt-1">
+            Branches, buildings, floors and units used across every module. Drag a unit onto another floor to move it.
+          </p>
+          {isLocalOnly && (
+            <p className="text-xs text-yellow-700 mt-2">
+              <i className="fas fa-info-circle mr-1"></i>
+              The backend's structure routes aren't available - changes are kept in this browser only
+            </p>
+          )}
+        </div>
+        <div className="mt-4 md:mt-0 flex space-x-2">
+          {isLocalOnly && (
+            <button
+              onClick={handleReset}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+            >
+              Reset to Default
+            </button>
+          )}
+          <button
+            onClick={() => startCreate('branches')}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium"
+          >
+            <i className="fas fa-plus mr-2"></i>
+            New Branch
+          </button>
+        </div>
+      </div>
+
+      {actionError && (
+        <div className="flex items-start px-4 py-3 border rounded-lg text-sm bg-red-50 border-red-200 text-red-800">
+          <i className="fas fa-exclamation-triangle mt-0.5 mr-3"></i>
+          <span>{actionError}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Tree */}
+        <div className="lg:col-span-2 space-y-4">
+          {hierarchy.branches.length === 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 px-6 py-8 text-center text-sm text-gray-500">
+              No branches yet
+            </div>
+          )}
+          {hierarchy.branches.map(branch => (
+            <div key={branch.id} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+                <div>
+                  <h3 className={`text-lg font-semibold ${isSelected('branches', branch) ? 'text-primary-700' : 'text-gray-900'}`}>
+                    <i className="fas fa-industry text-gray-400 mr-2"></i>
+                    {branch.name}
+                  </h3>
+                  <p className="text-gray-600 text-sm mt-1">{branch.location || 'No location'} • {branch.timezone || DEFAULT_TIMEZONE}{branch.description ? ` • ${branch.description}` : ''}</p>
+                </div>
+                {nodeActions('branches', branch)}
+              </div>
+              <div className="p-6 space-y-4">
+                {getChildAssets('branches', branch.id, hierarchy).length === 0 && (
+                  <p className="text-sm text-gray-500">No buildings in this branch</p>
+                )}
+                {getChildAssets('branches', branch.id, hierarchy).map(building => (
+                  <div key={building.id} className="space-y-2">
+                    <div className={`flex items-center justify-between ${isSelected('buildings', building) ? 'text-primary-700' : 'text-gray-900'}`}>
+                      <span className="font-medium">
+                        <i className="fas fa-building text-gray-400 mr-2"></i>
+                        {building.name}
+                        <span className="text-xs font-normal text-gray-500 ml-2">{building.type} • {building.area} sqm</span>
+                      </span>
+                      {nodeActions('buildings', building)}
+                    </div>
+                    <div className="pl-6 space-y-2">
+                      {getChildAssets('buildings', building.id, hierarchy)
+                        .sort((a, b) => Number(a.floorNumber) - Number(b.floorNumber))
+                        .map(renderFloor)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Editor */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden self-start">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {editing ? `${editing.isNew ? 'New' : 'Edit'} ${ASSET_KINDS[editing.kind].label}` : 'Details'}
+            </h3>
+            <p className="text-gray-600 text-sm mt-1">
+              {editing ? 'Names must be unique within their parent' : 'Pick an item in the tree to edit it'}
+            </p>
+          </div>
+          {editing && (
+            <div className="p-6 space-y-4">
+              <div>
+                <label htmlFor="asset-name" className="block text-xs font-medium text-gray-500 mb-1">Name</label>
+                <input
+                  id="asset-name"
+                  type="text"
+                  value={editing.asset.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              {ASSET_KINDS[editing.kind].parentKind && (
+                <div>
+                  <label htmlFor="asset-parent" className="block text-xs font-medium text-gray-500 mb-1">
+                    {ASSET_KINDS[ASSET_KINDS[editing.kind].parentKind].label}
+                  </label>
+                  <select
+                    id="asset-parent"
+                    value={editing.asset[ASSET_KINDS[editing.kind].parentField] ?? ''}
+                    onChange={(e) => updateDraft({ [ASSET_KINDS[editing.kind].parentField]: toNumber(e.target.value) })}
+                    className={inputClasses}
+                  >
+                    {hierarchy[ASSET_KINDS[editing.kind].parentKind].map(parent => (
+                      <option key={parent.id} value={parent.id}>{parent.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {ASSET_FIELDS[editing.kind].map(field => (
+                <div key={field.key}>
+                  <label htmlFor={`asset-${field.key}`} className="block text-xs font-medium text-gray-500 mb-1">{field.label}</label>
+                  {field.options ? (
+                    <select
+                      id={`asset-${field.key}`}
+                      value={editing.asset[field.key] ?? ''}
+                      onChange={(e) => updateDraft({ [field.key]: e.target.value })}
+                      className={`${inputClasses} capitalize`}
+                    >
+                      {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                    </select>
+                  ) : (
+                    <input
+                      id={`asset-${field.key}`}
+                      type={field.type || 'text'}
+                      min={field.type === 'number' ? '0' : undefined}
+                      list={field.list}
+                      value={editing.asset[field.key] ?? ''}
+                      onChange={(e) => updateDraft({ [field.key]: field.type === 'number' ? toNumber(e.target.value) : e.target.value })}
+                      className={inputClasses}
+                    />
+                  )}
+                </div>
+              ))}
+              <datalist id="asset-equipment-types">
+                {equipmentTypes.map(type => <option key={type} value={type} />)}
+              </datalist>
+              <datalist id="asset-timezones">
+                {getTimezoneOptions().map(zone => <option key={zone} value={zone} />)}
+              </datalist>
+
+              {errors.length > 0 && (
+                <ul className="text-xs text-red-600 list-disc list-inside">
+                  {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+
+              <div className="flex space-x-2">
+                <button
+                  onClick={handleSave}
+                  disabled={errors.length > 0 || saving}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Saving…' : `Save ${ASSET_KINDS[editing.kind].label}`}
+                </button>
+                <button
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssetHierarchy;
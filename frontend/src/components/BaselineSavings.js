@@ -0,0 +1,539 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Bar, Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { format, parseISO } from 'date-fns';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { getAssetHierarchy } from '../utils/assets';
+import { useAvailableDates } from '../hooks/useEnergyData';
+import { useBaselines, useBaselineSavings } from '../hooks/useBaseline';
+import { BASELINE_MODELS, FIT_LIMITS, validateBaseline, isFitAcceptable } from '../utils/baseline';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+import ExportButtons from './ExportButtons';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white';
+
+const formatKwh = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+
+const baseScales = (yTitle) => ({
+  x: {
+    grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+    ticks: { font: { size: 11 }, color: '#6b7280', maxTicksLimit: 16 }
+  },
+  y: {
+    grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+    ticks: { font: { size: 11 }, color: '#6b7280' },
+    title: { display: true, text: yTitle }
+  }
+});
+
+const lineOptions = (formatValue, yTitle) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: { display: true, position: 'top', labels: { font: { size: 12 }, padding: 20 } },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      padding: 10,
+      callbacks: { label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}` }
+    }
+  },
+  scales: { ...baseScales(yTitle), y: { ...baseScales(yTitle).y, beginAtZero: true } }
+});
+
+// Daily bars against the left axis, running total against the right
+const cumulativeOptions = (formatValue, unitLabel) => ({
+  ...lineOptions(formatValue, `Avoided per day (${unitLabel})`),
+  scales: {
+    ...baseScales(`Avoided per day (${unitLabel})`),
+    y1: {
+      position: 'right',
+      grid: { drawOnChartArea: false },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      title: { display: true, text: `Cumulative (${unitLabel})` }
+    }
+  }
+});
+
+const consumptionOptions = lineOptions(formatKwh, 'Consumption (kWh)');
+
+const getFloorName = (floorId) =>
+  getAssetHierarchy().floors.find(f => f.id === parseInt(floorId, 10))?.name || `Floor ${floorId}`;
+
+// Starting point for a floor without a saved baseline - the first two weeks with readings as
+// the baseline and everything after as the reporting period
+const suggestBaseline = (floor, availableDates) => {
+  const dates = [...availableDates].sort();
+  const split = Math.min(14, Math.floor(dates.length / 2));
+  return {
+    floor,
+    model: 'hour-of-week',
+    baselineFrom: dates[0] || '',
+    baselineTo: dates[split - 1] || '',
+    reportFrom: dates[split] || '',
+    reportTo: dates[dates.length - 1] || ''
+  };
+};
+
+const FitBadge = ({ acceptable }) => {
+  if (acceptable === null) {
+    return <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600">Not enough data</span>;
+  }
+  return acceptable
+    ? <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-700">Within ASHRAE 14 limits</span>
+    : <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700">Outside ASHRAE 14 limits</span>;
+};
+
+// Baseline and savings verification (IPMVP-style) - pick a baseline period per floor, fit a
+// baseline model to its hourly readings and report avoided energy and cost for a later period
+const BaselineSavings = ({ filters }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { availableDates } = useAvailableDates();
+  const { baselines, saveBaseline, deleteBaseline } = useBaselines();
+
+  const [floor, setFloor] = useState(filters.floor && filters.floor !== 'all' ? String(filters.floor) : '1');
+  // Unsaved edits for the selected floor - null shows its saved baseline (or the suggestion)
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [savingsUnit, setSavingsUnit] = useState('kwh');
+
+  const saved = baselines[floor] || null;
+  const baseline = draft || saved || suggestBaseline(floor, availableDates);
+  const errors = validateBaseline(baseline);
+  const isDirty = draft !== null;
+
+  const { fit, savings, adjustedProfile, profiles, loading, error } = useBaselineSavings(baseline);
+
+  const cumulativeChartRef = useRef(null);
+  const dailyChartRef = useRef(null);
+  const profileChartRef = useRef(null);
+
+  const updateDraft = (changes) => {
+    setDraft({ ...baseline, ...changes });
+    setSaveError(null);
+  };
+
+  const handleFloorChange = (value) => {
+    setFloor(value);
+    setDraft(null);
+    setSaveError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      saveBaseline(baseline);
+      setDraft(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleDelete = () => {
+    deleteBaseline(floor);
+    setDraft(null);
+    setSaveError(null);
+  };
+
+  const days = useMemo(() => savings?.days || [], [savings]);
+  const dayLabels = useMemo(() => days.map(day => format(parseISO(day.date), 'MMM d')), [days]);
+  const isCost = savingsUnit === 'cost';
+  const savingsOptions = useMemo(
+    () => cumulativeOptions(isCost ? formatPeso : formatKwh, isCost ? '₱' : 'kWh'),
+    [isCost]
+  );
+
+  const cumulativeChartData = useMemo(() => ({
+    labels: dayLabels,
+    datasets: [
+      {
+        type: 'line',
+        label: isCost ? 'Cumulative avoided cost (₱)' : 'Cumulative avoided energy (kWh)',
+        data: days.map(day => (isCost ? day.cumulativeCost : day.cumulativeKwh)),
+        borderColor: '#16a34a',
+        backgroundColor: '#16a34a',
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 2,
+        yAxisID: 'y1'
+      },
+      {
+        type: 'bar',
+        label: isCost ? 'Avoided cost per day (₱)' : 'Avoided energy per day (kWh)',
+        data: days.map(day => (isCost ? day.avoidedCost : day.avoidedKwh)),
+        backgroundColor: days.map(day => ((isCost ? day.avoidedCost : day.avoidedKwh) >= 0 ? 'rgba(34, 197, 94, 0.6)' : 'rgba(239, 68, 68, 0.6)')),
+        borderRadius: 4,
+        yAxisID: 'y'
+      }
+    ]
+  }), [days, dayLabels, isCost]);
+
+  const dailyChartData = useMemo(() => ({
+    labels: dayLabels,
+    datasets: [
+      {
+        label: 'Adjusted baseline (kWh)',
+        data: days.map(day => day.baselineKwh),
+        borderColor: '#6b7280',
+        backgroundColor: '#6b7280',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        tension: 0.3,
+        pointRadius: 2
+      },
+      {
+        label: 'Actual (kWh)',
+        data: days.map(day => day.actualKwh),
+        borderColor: '#2563eb',
+        backgroundColor: '#2563eb',
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 2
+      }
+    ]
+  }), [days, dayLabels]);
+
+  const profileChartData = useMemo(() => ({
+    labels: HOUR_LABELS,
+    datasets: [
+      {
+        label: 'Baseline period (kWh)',
+        data: profiles.baseline || [],
+        borderColor: '#9ca3af',
+        backgroundColor: '#9ca3af',
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 2
+      },
+      {
+        label: 'Adjusted baseline (kWh)',
+        data: adjustedProfile || [],
+        borderColor: '#6b7280',
+        backgroundColor: '#6b7280',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        tension: 0.3,
+        pointRadius: 0
+      },
+      {
+        label: 'Reporting period (kWh)',
+        data: profiles.report || [],
+        borderColor: '#2563eb',
+        backgroundColor: '#2563eb',
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 2
+      }
+    ]
+  }), [profiles, adjustedProfile]);
+
+  const exportFilters = { ...filters, floor, dateFrom: baseline.reportFrom, dateTo: baseline.reportTo };
+  const dateContext = `Baseline ${baseline.baselineFrom} to ${baseline.baselineTo}, reporting ${baseline.reportFrom} to ${baseline.reportTo}`;
+  const totals = savings?.totals;
+  const hasResults = errors.length === 0 && Boolean(fit);
+  const isEmpty = !loading && !error && errors.length === 0 && !fit;
+  const acceptable = fit ? isFitAcceptable(fit) : null;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Baseline &amp; Savings</h2>
+        <p className="text-gray-600 mt-1">
+          Avoided energy and cost against a baseline fitted to each floor's hourly readings (IPMVP option C)
+          {saved && !isDirty && (
+            <span className="text-primary-600"> • Saved {format(new Date(saved.updatedAt), 'MMM d, yyyy HH:mm')}</span>
+          )}
+          {isDirty && <span className="text-yellow-600"> • Unsaved changes</span>}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Baseline definition */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">Baseline</h3>
+            <p className="text-gray-600 text-sm mt-1">{BASELINE_MODELS[baseline.model]?.description}</p>
+          </div>
+          <div className="p-6 space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="baseline-floor" className="block text-xs font-medium text-gray-500 mb-1">Floor</label>
+                <select
+                  id="baseline-floor"
+                  value={floor}
+                  onChange={(e) => handleFloorChange(e.target.value)}
+                  className={inputClasses}
+                >
+                  {hierarchy.floors.map(item => (
+                    <option key={item.id} value={String(item.id)}>
+                      {item.name}{baselines[String(item.id)] ? ' •' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="baseline-model" className="block text-xs font-medium text-gray-500 mb-1">Model</label>
+                <select
+                  id="baseline-model"
+                  value={baseline.model}
+                  onChange={(e) => updateDraft({ model: e.target.value })}
+                  className={inputClasses}
+                >
+                  {Object.entries(BASELINE_MODELS).map(([value, model]) => (
+                    <option key={value} value={value}>{model.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="baseline-from" className="block text-xs font-medium text-gray-500 mb-1">Baseline from</label>
+                <input
+                  id="baseline-from"
+                  type="date"
+                  value={baseline.baselineFrom}
+                  onChange={(e) => updateDraft({ baselineFrom: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="baseline-to" className="block text-xs font-medium text-gray-500 mb-1">Baseline to</label>
+                <input
+                  id="baseline-to"
+                  type="date"
+                  value={baseline.baselineTo}
+                  onChange={(e) => updateDraft({ baselineTo: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="report-from" className="block text-xs font-medium text-gray-500 mb-1">Reporting from</label>
+                <input
+                  id="report-from"
+                  type="date"
+                  value={baseline.reportFrom}
+                  onChange={(e) => updateDraft({ reportFrom: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="report-to" className="block text-xs font-medium text-gray-500 mb-1">Reporting to</label>
+                <input
+                  id="report-to"
+                  type="date"
+                  value={baseline.reportTo}
+                  onChange={(e) => updateDraft({ reportTo: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+            </div>
+
+            {errors.length > 0 && (
+              <ul className="text-xs text-red-600 list-disc list-inside">
+                {errors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+            {saveError && <p className="text-xs text-red-600">{saveError}</p>}
+            {!saved && !isDirty && errors.length === 0 && (
+              <p className="text-xs text-gray-500">Suggested from the dates with readings - save it to keep it</p>
+            )}
+
+            <div className="flex space-x-2">
+              <button
+                onClick={handleSave}
+                disabled={errors.length > 0 || (Boolean(saved) && !isDirty)}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+              >
+                Save Baseline
+              </button>
+              {isDirty && (
+                <button
+                  onClick={() => setDraft(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+                >
+                  Discard
+                </button>
+              )}
+              {saved && !isDirty && (
+                <button
+                  onClick={handleDelete}
+                  className="px-4 py-2 border border-gray-300 text-red-600 rounded-lg hover:bg-red-50 text-sm"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Model fit */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Model Fit</h3>
+              <p className="text-gray-600 text-sm mt-1">
+                How well the {BASELINE_MODELS[baseline.model]?.label.toLowerCase()} model reproduces the baseline period for {getFloorName(floor)}
+              </p>
+            </div>
+            {fit && <FitBadge acceptable={acceptable} />}
+          </div>
+          {fit ? (
+            <div className="p-6 grid grid-cols-2 md:grid-cols-4 gap-6">
+              <div>
+                <p className="text-sm font-medium text-gray-500">CV(RMSE)</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{formatPercent(fit.cvRmse)}</p>
+                <p className="text-xs text-gray-500 mt-1">Limit {FIT_LIMITS.cvRmse}%</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-500">NMBE</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{formatPercent(fit.nmbe)}</p>
+                <p className="text-xs text-gray-500 mt-1">Limit ±{FIT_LIMITS.nmbe}%</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-500">Baseline hours</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{fit.hours.toLocaleString('en-US')}</p>
+                <p className="text-xs text-gray-500 mt-1">Average {formatKwh(fit.mean)} per hour</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-500">Bin coverage</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{formatPercent(fit.coverage * 100)}</p>
+                <p className="text-xs text-gray-500 mt-1">Empty bins use that hour's average</p>
+              </div>
+            </div>
+          ) : (
+            <p className="px-6 py-8 text-center text-sm text-gray-500">
+              {errors.length > 0 ? 'Fix the baseline to fit a model' : 'No readings to fit yet'}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <DataStatusBanner errors={[error]} isEmpty={isEmpty} />
+
+      {loading && !fit && errors.length === 0 && <LoadingSpinner message="Fitting baseline..." />}
+
+      {hasResults && totals && (
+        <>
+          {/* Savings Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Adjusted Baseline</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatKwh(totals.baselineKwh)}</p>
+              <p className="text-xs text-gray-500 mt-2">Expected use without the changes, {days.length} days</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Actual</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatKwh(totals.actualKwh)}</p>
+              <p className="text-xs text-gray-500 mt-2">{baseline.reportFrom} to {baseline.reportTo}</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Avoided Energy</p>
+              <p className={`text-2xl font-bold mt-2 ${totals.avoidedKwh >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatKwh(totals.avoidedKwh)}
+              </p>
+              <p className="text-xs text-gray-500 mt-2">{formatPercent(totals.percent)} of the adjusted baseline</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Avoided Cost</p>
+              <p className={`text-2xl font-bold mt-2 ${totals.avoidedCost >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatPeso(totals.avoidedCost)}
+              </p>
+              <p className="text-xs text-gray-500 mt-2">Energy charge and VAT at each day's tariff</p>
+            </div>
+          </div>
+
+          {/* Cumulative savings */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Cumulative Savings</h3>
+                <p className="text-gray-600 text-sm mt-1">Avoided {isCost ? 'cost' : 'energy'} per day and running total - red days used more than the baseline</p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={savingsUnit}
+                  onChange={(e) => setSavingsUnit(e.target.value)}
+                  className="px-2 py-1 text-xs border border-gray-300 rounded bg-white"
+                  aria-label="Savings unit"
+                >
+                  <option value="kwh">kWh</option>
+                  <option value="cost">₱</option>
+                </select>
+                <ExportButtons title="Cumulative Savings" filters={exportFilters} dateContext={dateContext} chartRef={cumulativeChartRef} />
+              </div>
+            </div>
+            <div className="p-6">
+              <div className="chart-container" style={{ height: '350px' }}>
+                <Bar ref={cumulativeChartRef} data={cumulativeChartData} options={savingsOptions} />
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Daily baseline vs actual */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">Baseline vs Actual</h3>
+                  <p className="text-gray-600 text-sm mt-1">Daily consumption over the reporting period</p>
+                </div>
+                <ExportButtons title="Baseline vs Actual" filters={exportFilters} dateContext={dateContext} chartRef={dailyChartRef} />
+              </div>
+              <div className="p-6">
+                <div className="chart-container" style={{ height: '300px' }}>
+                  <Line ref={dailyChartRef} data={dailyChartData} options={consumptionOptions} />
+                </div>
+              </div>
+            </div>
+
+            {/* Average day */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">Average Day</h3>
+                  <p className="text-gray-600 text-sm mt-1">Hourly profile of both periods and the adjusted baseline</p>
+                </div>
+                <ExportButtons title="Average Day" filters={exportFilters} dateContext={dateContext} chartRef={profileChartRef} />
+              </div>
+              <div className="p-6">
+                <div className="chart-container" style={{ height: '300px' }}>
+                  <Line ref={profileChartRef} data={profileChartData} options={consumptionOptions} />
+                </div>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BaselineSavings;
@@ -11,8 +11,12 @@ import {
   Tooltip,
   Legend
 } from 'chart.js';
-import { powerPlantData } from '../data/powerPlantData';
-import { calculateBranchMetrics } from '../utils/filterUtils';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { usePowerPlantData } from '../hooks/usePowerPlantData';
+import { useTariffs } from '../hooks/useTariffs';
+import { calculateSiteRollup, getPricingOptions } from '../utils/filterUtils';
+import { getTariffForDate } from '../utils/tariff';
+import { getSiteTimezone, formatSiteTime } from '../utils/sites';
 
 ChartJS.register(
   CategoryScale,
@@ -25,12 +29,34 @@ ChartJS.register(
   Legend
 );
 
-const BranchComparison = ({ units }) => {
-  const branchData = useMemo(() => {
-    return powerPlantData.branches.map(branch => 
-      calculateBranchMetrics(branch.id, units)
-    );
-  }, [units]);
+// One color per site, repeated when there are more sites than colors
+const SITE_COLORS = [
+  { fill: '#10b981', light: '#34d399', border: '#059669' },
+  { fill: '#3b82f6', light: '#60a5fa', border: '#2563eb' },
+  { fill: '#8b5cf6', light: '#a78bfa', border: '#7c3aed' },
+  { fill: '#f59e0b', light: '#fbbf24', border: '#d97706' },
+  { fill: '#ef4444', light: '#f87171', border: '#dc2626' },
+  { fill: '#14b8a6', light: '#2dd4bf', border: '#0d9488' }
+];
+
+const siteColor = (index) => SITE_COLORS[index % SITE_COLORS.length];
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Roll-up of every site for the period in the filters - the branch / building / floor filters
+// are ignored here so each site is always shown; onSelectSite scopes the app to one of them
+const BranchComparison = ({ filters, onSelectSite }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { tariffs } = useTariffs();
+  const allSitesFilters = useMemo(
+    () => ({ ...filters, branch: 'all', building: 'all', floor: 'all' }),
+    [filters]
+  );
+  const { units } = usePowerPlantData(allSitesFilters);
+  const rollup = useMemo(() => calculateSiteRollup(units, hierarchy), [hierarchy, units]);
+  const branchData = rollup.sites;
+  const selectedBranchId = filters.branch && filters.branch !== 'all' ? Number(filters.branch) : null;
+  const pricingDate = getPricingOptions(filters).date;
 
   const chartOptions = {
     responsive: true,
@@ -85,16 +111,16 @@ const BranchComparison = ({ units }) => {
       {
         label: 'Consumption (kWh)',
         data: branchData.map(b => parseFloat(b.totalConsumption)),
-        backgroundColor: ['#10b981', '#3b82f6', '#8b5cf6'],
-        borderColor: ['#059669', '#2563eb', '#7c3aed'],
+        backgroundColor: branchData.map((_, index) => siteColor(index).fill),
+        borderColor: branchData.map((_, index) => siteColor(index).border),
         borderWidth: 2,
         borderRadius: 6
       },
       {
         label: 'Cost (PHP)',
         data: branchData.map(b => parseFloat(b.totalCost)),
-        backgroundColor: ['#34d399', '#60a5fa', '#a78bfa'],
-        borderColor: ['#10b981', '#3b82f6', '#8b5cf6'],
+        backgroundColor: branchData.map((_, index) => siteColor(index).light),
+        borderColor: branchData.map((_, index) => siteColor(index).fill),
         borderWidth: 2,
         borderRadius: 6
       }
@@ -134,18 +160,59 @@ const BranchComparison = ({ units }) => {
     <div className="space-y-6">
       {/* Header */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-        <h2 className="text-2xl font-bold text-gray-900">Branch Comparison</h2>
-        <p className="text-gray-600 mt-1">Compare performance across all power plant branches</p>
+        <h2 className="text-2xl font-bold text-gray-900">Site Comparison</h2>
+        <p className="text-gray-600 mt-1">
+          Totals rolled up across every site. Costs use each site's own tariff; pick a site to scope the other modules to it.
+        </p>
+      </div>
+
+      {/* Roll-up across sites */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h3 className="text-sm font-semibold text-gray-700 mb-4 flex items-center">
+          <i className="fas fa-globe-asia mr-2 text-primary-600"></i>
+          All Sites
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div>
+            <p className="text-xs text-gray-500">Sites</p>
+            <p className="text-2xl font-bold text-gray-900">{rollup.total.totalSites}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Buildings</p>
+            <p className="text-2xl font-bold text-gray-900">{rollup.total.totalBuildings}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Units</p>
+            <p className="text-2xl font-bold text-gray-900">{rollup.total.totalUnits}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Consumption</p>
+            <p className="text-2xl font-bold text-gray-900">{rollup.total.totalConsumption.toFixed(1)} kWh</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Cost</p>
+            <p className="text-2xl font-bold text-primary-600">{formatPeso(rollup.total.totalCost)}</p>
+          </div>
+        </div>
       </div>
 
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         {branchData.map((branch) => (
-          <div key={branch.branchId} className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <button
+            key={branch.branchId}
+            onClick={() => onSelectSite(branch.branchId === selectedBranchId ? 'all' : branch.branchId)}
+            className={`stat-card text-left bg-white rounded-xl shadow-sm border p-6 hover:border-primary-300 ${
+              branch.branchId === selectedBranchId ? 'border-primary-500 ring-2 ring-primary-100' : 'border-gray-200'
+            }`}
+            title={branch.branchId === selectedBranchId ? 'Show all sites' : `Scope the app to ${branch.branchName}`}
+          >
             <div className="flex items-center justify-between mb-4">
               <div>
                 <p className="text-sm font-medium text-gray-500">{branch.branchName}</p>
-                <p className="text-xs text-gray-400 mt-1">{branch.branchType}</p>
+                <p className="text-xs text-gray-400 mt-1">
+                  {branch.branchType} • {getSiteTimezone(branch.branchId)} • {formatSiteTime(branch.branchId)}
+                </p>
               </div>
               <div className="w-10 h-10 rounded-full bg-indigo-100 flex items-center justify-center">
                 <i className="fas fa-code-branch text-indigo-600"></i>
@@ -166,12 +233,14 @@ const BranchComparison = ({ units }) => {
               </div>
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Cost:</span>
-                <span className="font-semibold text-primary-600">
-                  ₱{parseFloat(branch.totalCost).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                </span>
+                <span className="font-semibold text-primary-600">{formatPeso(branch.totalCost)}</span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">Tariff:</span>
+                <span className="font-medium">{getTariffForDate(pricingDate, tariffs, branch.branchId).name}</span>
               </div>
             </div>
-          </div>
+          </button>
         ))}
       </div>
 
@@ -229,9 +298,7 @@ const BranchComparison = ({ units }) => {
                 </div>
                 <div className="text-right">
                   <p className="text-2xl font-bold text-gray-900">{branch.totalConsumption} kWh</p>
-                  <p className="text-lg font-semibold text-primary-600">
-                    ₱{parseFloat(branch.totalCost).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                  </p>
+                  <p className="text-lg font-semibold text-primary-600">{formatPeso(branch.totalCost)}</p>
                 </div>
               </div>
             </div>
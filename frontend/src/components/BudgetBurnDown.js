@@ -0,0 +1,123 @@
+import React, { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { format, parseISO } from 'date-fns';
+import { BUDGET_METRICS, formatBudgetValue } from '../utils/budgets';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const burnDownOptions = (metric) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: { display: true, position: 'top', labels: { font: { size: 12 }, padding: 20 } },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      padding: 10,
+      callbacks: { label: (context) => `${context.dataset.label}: ${formatBudgetValue(context.parsed.y, metric)}` }
+    }
+  },
+  scales: {
+    x: {
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280', maxTicksLimit: 16 }
+    },
+    y: {
+      grid: {
+        display: true,
+        // Zero is where the budget runs out
+        color: (context) => (context.tick?.value === 0 ? '#ef4444' : 'rgba(0, 0, 0, 0.05)')
+      },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      title: { display: true, text: `Budget left (${BUDGET_METRICS[metric].unit})` }
+    }
+  }
+});
+
+// Burn-down of one budget limit (kwh or cost) over the tracked month: budget left after each
+// day, the run-rate projection to month end and the ideal straight line
+const BudgetBurnDown = ({ tracker, metric, chartRef = null, height = '320px' }) => {
+  const { days, limits, daysElapsed, daysInMonth } = tracker.burnDown;
+  const limit = limits[metric];
+
+  const chartData = useMemo(() => ({
+    labels: days.map(day => format(parseISO(day.date), 'MMM d')),
+    datasets: limit ? [
+      {
+        label: 'Budget left',
+        data: days.map(day => day[metric].remaining),
+        borderColor: '#2563eb',
+        backgroundColor: 'rgba(37, 99, 235, 0.1)',
+        fill: true,
+        borderWidth: 2,
+        tension: 0.2,
+        pointRadius: 2
+      },
+      {
+        label: 'Projected',
+        data: days.map(day => day[metric].projected),
+        borderColor: limit.projected > limit.budget ? '#ef4444' : '#10b981',
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: 0
+      },
+      {
+        label: 'Ideal',
+        data: days.map(day => day[metric].ideal),
+        borderColor: '#9ca3af',
+        borderDash: [2, 3],
+        borderWidth: 1.5,
+        pointRadius: 0
+      }
+    ] : []
+  }), [days, limit, metric]);
+
+  if (!limit) {
+    return (
+      <p className="py-8 text-center text-sm text-gray-500">
+        No {BUDGET_METRICS[metric].label.toLowerCase()} budget set for {tracker.label}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="chart-container" style={{ height }}>
+        <Line ref={chartRef} data={chartData} options={burnDownOptions(metric)} />
+      </div>
+      <p className="text-xs text-gray-500">
+        {formatBudgetValue(limit.actual, metric)} of {formatBudgetValue(limit.budget, metric)} used in {daysElapsed} of {daysInMonth} days
+        ({limit.percentUsed.toFixed(1)}%) • Projected month total {formatBudgetValue(limit.projected, metric)} ({limit.projectedPercent.toFixed(1)}%)
+        {limit.overspendDate ? (
+          <span className="text-red-600 font-medium">
+            {' '}• {limit.status === 'over' ? 'Over budget since' : 'Projected overspend on'} {format(parseISO(limit.overspendDate), 'MMM d, yyyy')}
+          </span>
+        ) : (
+          daysElapsed > 0 && <span className="text-green-600 font-medium"> • Stays within budget at the current rate</span>
+        )}
+      </p>
+    </div>
+  );
+};
+
+export default BudgetBurnDown;
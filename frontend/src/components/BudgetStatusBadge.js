@@ -0,0 +1,28 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import { BUDGET_STATUSES } from '../utils/budgets';
+
+// Budget status pill for tables and cards - tracker comes from useBudgetTracking, nothing shows without one
+const BudgetStatusBadge = ({ tracker, showDate = false }) => {
+  if (!tracker) return null;
+  const { status, limits } = tracker.burnDown;
+  const { label, badge, icon } = BUDGET_STATUSES[status];
+  // Earliest overspend of the kWh and peso budgets
+  const overspendDate = Object.values(limits)
+    .map(limit => limit?.overspendDate)
+    .filter(Boolean)
+    .sort()[0];
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${badge}`}
+      title={overspendDate ? `Over budget from ${format(parseISO(overspendDate), 'MMM d, yyyy')}` : label}
+    >
+      <i className={`fas ${icon} mr-1`}></i>
+      {label}
+      {showDate && overspendDate && status !== 'over' && ` • ${format(parseISO(overspendDate), 'MMM d')}`}
+    </span>
+  );
+};
+
+export default BudgetStatusBadge;
@@ -0,0 +1,329 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useBudgetTracking } from '../hooks/useBudgets';
+import {
+  BUDGET_SCOPES,
+  BUDGET_METRICS,
+  BUDGET_STATUSES,
+  validateBudget,
+  getBudgetTargets,
+  formatBudgetValue
+} from '../utils/budgets';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+import ExportButtons from './ExportButtons';
+import BudgetBurnDown from './BudgetBurnDown';
+import BudgetStatusBadge from './BudgetStatusBadge';
+
+const cellInputClasses = 'w-full px-2 py-1 border border-gray-300 rounded text-sm';
+
+// Keep empty inputs as '' so validation can flag them instead of silently using 0
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+const newBudget = () => ({
+  id: `budget-${Date.now()}`,
+  scope: 'floor',
+  targetId: getBudgetTargets('floor')[0]?.id ?? '',
+  kwh: '',
+  cost: ''
+});
+
+// Monthly energy budgets per floor, building or branch - burn-down of the month against each
+// budget, projected overspend dates and the budget editor
+const Budgets = ({ filters }) => {
+  const [selectedMonth, setSelectedMonth] = useState(null);
+  const { month, months, budgets, saveBudgets, trackers, loading, error } = useBudgetTracking({ month: selectedMonth, filters });
+
+  // Unsaved budget edits - null shows the saved budgets
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [metric, setMetric] = useState('kwh');
+  const rows = draft || budgets;
+  const rowErrors = rows.map(row => validateBudget(row, rows));
+  const hasErrors = rowErrors.some(errors => errors.length > 0);
+
+  const burnDownChartRef = useRef(null);
+
+  const trackerById = useMemo(() => new Map(trackers.map(tracker => [tracker.budget.id, tracker])), [trackers]);
+  const selected = trackerById.get(selectedId) || trackers[0] || null;
+  const monthLabel = format(parseISO(`${month}-01`), 'MMMM yyyy');
+
+  const counts = useMemo(() => Object.keys(BUDGET_STATUSES).reduce((totals, status) => ({
+    ...totals,
+    [status]: trackers.filter(tracker => tracker.burnDown.status === status).length
+  }), {}), [trackers]);
+
+  // Every budget with its month to date, for sharing
+  const statusTable = useMemo(() => ({
+    columns: ['Scope', 'Name', 'Budget (kWh)', 'Used (kWh)', 'Projected (kWh)', 'Budget (₱)', 'Used (₱)', 'Projected (₱)', 'Projected Overspend', 'Status'],
+    rows: trackers.map(({ budget, label, burnDown }) => {
+      const { kwh, cost } = burnDown.limits;
+      const overspend = [kwh?.overspendDate, cost?.overspendDate].filter(Boolean).sort()[0] || '';
+      return [
+        BUDGET_SCOPES[budget.scope].label,
+        label,
+        kwh ? kwh.budget : '',
+        kwh ? parseFloat(kwh.actual.toFixed(2)) : '',
+        kwh ? parseFloat(kwh.projected.toFixed(2)) : '',
+        cost ? cost.budget : '',
+        cost ? parseFloat(cost.actual.toFixed(2)) : '',
+        cost ? parseFloat(cost.projected.toFixed(2)) : '',
+        overspend,
+        BUDGET_STATUSES[burnDown.status].label
+      ];
+    })
+  }), [trackers]);
+
+  const updateRow = (index, changes) => {
+    setDraft(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    setSaveError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      saveBudgets(rows);
+      setDraft(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex items-start justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Energy Budgets</h2>
+          <p className="text-gray-600 mt-1">
+            Monthly kWh and peso budgets per floor, building and branch
+            <span className="text-primary-600"> • {monthLabel}</span>
+          </p>
+          <p className="text-xs text-gray-500 mt-2">
+            Projections assume the rest of the month continues at the average daily use so far. Costs use the tariff in effect on each day.
+          </p>
+        </div>
+        <div className="w-48">
+          <label className="block text-xs font-medium text-gray-500 mb-1">Month</label>
+          <select
+            value={month}
+            onChange={(e) => setSelectedMonth(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white"
+          >
+            {(months.includes(month) ? months : [month, ...months]).map(option => (
+              <option key={option} value={option}>{format(parseISO(`${option}-01`), 'MMMM yyyy')}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <DataStatusBanner errors={[error]} />
+
+      {loading && trackers.length === 0 && budgets.length > 0 && <LoadingSpinner message="Loading budget tracking..." />}
+
+      {trackers.length > 0 && (
+        <>
+          {/* Status Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {['over', 'at-risk', 'on-track'].map(status => (
+              <div key={status} className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <p className="text-sm font-medium text-gray-500">
+                  <i className={`fas ${BUDGET_STATUSES[status].icon} mr-2`}></i>
+                  {BUDGET_STATUSES[status].label}
+                </p>
+                <p className="text-2xl font-bold text-gray-900 mt-2">{counts[status]}</p>
+                <p className="text-xs text-gray-500 mt-2">of {trackers.length} budgets in {monthLabel}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Burn-down */}
+          {selected && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+                    <span>Burn-down • {selected.label}</span>
+                    <BudgetStatusBadge tracker={selected} />
+                  </h3>
+                  <p className="text-gray-600 text-sm mt-1">Budget left after each day of {monthLabel}, with the projection to month end</p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={selected.budget.id}
+                    onChange={(e) => setSelectedId(e.target.value)}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded bg-white"
+                    aria-label="Budget"
+                  >
+                    {trackers.map(tracker => (
+                      <option key={tracker.budget.id} value={tracker.budget.id}>{tracker.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={metric}
+                    onChange={(e) => setMetric(e.target.value)}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded bg-white"
+                    aria-label="Budget unit"
+                  >
+                    {Object.entries(BUDGET_METRICS).map(([value, { unit }]) => (
+                      <option key={value} value={value}>{unit}</option>
+                    ))}
+                  </select>
+                  <ExportButtons title={`Budget Burn-down - ${selected.label}`} filters={filters} dateContext={monthLabel} chartRef={burnDownChartRef} />
+                </div>
+              </div>
+              <div className="p-6">
+                <BudgetBurnDown tracker={selected} metric={metric} chartRef={burnDownChartRef} height="350px" />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Budget editor */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Monthly Budgets</h3>
+            <p className="text-gray-600 text-sm mt-1">Each budget applies to every month • leave kWh or ₱ blank to track only the other</p>
+          </div>
+          <ExportButtons title="Budget Status" filters={filters} dateContext={monthLabel} table={statusTable} />
+        </div>
+        <div className="p-6 space-y-4">
+          {rows.length === 0 ? (
+            <p className="py-4 text-center text-sm text-gray-500">No budgets yet - add one to start tracking</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-xs text-gray-500 text-left">
+                  <tr>
+                    <th className="pb-2 pr-2 w-32">Scope</th>
+                    <th className="pb-2 pr-2">Name</th>
+                    <th className="pb-2 pr-2 w-32">kWh / month</th>
+                    <th className="pb-2 pr-2 w-32">₱ / month</th>
+                    <th className="pb-2 pr-2">Used this month</th>
+                    <th className="pb-2 pr-2">Status</th>
+                    <th className="pb-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => {
+                    // Tracking only matches saved budgets - edited rows show theirs once saved
+                    const tracker = draft ? null : trackerById.get(row.id);
+                    return (
+                      <tr key={row.id}>
+                        <td className="pr-2 py-1">
+                          <select
+                            value={row.scope}
+                            onChange={(e) => updateRow(index, { scope: e.target.value, targetId: getBudgetTargets(e.target.value)[0]?.id ?? '' })}
+                            className={`${cellInputClasses} bg-white`}
+                            aria-label="Scope"
+                          >
+                            {Object.entries(BUDGET_SCOPES).map(([value, { label }]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="pr-2 py-1">
+                          <select
+                            value={row.targetId}
+                            onChange={(e) => updateRow(index, { targetId: Number(e.target.value) })}
+                            className={`${cellInputClasses} bg-white`}
+                            aria-label="Name"
+                          >
+                            {getBudgetTargets(row.scope).map(target => (
+                              <option key={target.id} value={target.id}>{target.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="pr-2 py-1">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={row.kwh}
+                            onChange={(e) => updateRow(index, { kwh: toNumber(e.target.value) })}
+                            className={cellInputClasses}
+                            aria-label="kWh budget"
+                          />
+                        </td>
+                        <td className="pr-2 py-1">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={row.cost}
+                            onChange={(e) => updateRow(index, { cost: toNumber(e.target.value) })}
+                            className={cellInputClasses}
+                            aria-label="Peso budget"
+                          />
+                        </td>
+                        <td className="pr-2 py-1 text-xs text-gray-600">
+                          {tracker ? Object.entries(tracker.burnDown.limits).filter(([, limit]) => limit).map(([key, limit]) => (
+                            <div key={key}>{formatBudgetValue(limit.actual, key)} ({limit.percentUsed.toFixed(0)}%)</div>
+                          )) : '—'}
+                        </td>
+                        <td className="pr-2 py-1">
+                          {tracker ? (
+                            <button onClick={() => setSelectedId(row.id)} aria-label={`Show the burn-down of ${tracker.label}`}>
+                              <BudgetStatusBadge tracker={tracker} showDate />
+                            </button>
+                          ) : '—'}
+                        </td>
+                        <td className="py-1 text-right">
+                          <button
+                            onClick={() => { setDraft(rows.filter((_, i) => i !== index)); setSaveError(null); }}
+                            className="text-red-600 hover:text-red-700"
+                            aria-label="Remove budget"
+                          >
+                            <i className="fas fa-trash-alt"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {hasErrors && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {rowErrors.flatMap((errors, index) => errors.map(message => (
+                <li key={`${index}-${message}`}>Row {index + 1}: {message}</li>
+              )))}
+            </ul>
+          )}
+          {saveError && <p className="text-xs text-red-600">{saveError}</p>}
+
+          <div className="flex space-x-2">
+            <button
+              onClick={() => { setDraft([...rows, newBudget()]); setSaveError(null); }}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+            >
+              <i className="fas fa-plus mr-2"></i>
+              Add Budget
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!draft || hasErrors}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+            >
+              Save Budgets
+            </button>
+            {draft && (
+              <button
+                onClick={() => { setDraft(null); setSaveError(null); }}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+              >
+                Discard
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Budgets;
@@ -1,10 +1,12 @@
-import React, { useState } from 'react';
-import { powerPlantData } from '../data/powerPlantData';
+import React from 'react';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
 import { calculateBuildingMetrics } from '../utils/filterUtils';
+import FloorPlan from './FloorPlan';
 
-const BuildingMap = ({ units, onBuildingClick }) => {
-  const [selectedBuilding, setSelectedBuilding] = useState(null);
-  const [selectedBranch, setSelectedBranch] = useState(null);
+// The selected branch / building / floor are held by App (and kept in the URL)
+// The selected building's floor plans are shown below the site maps
+const BuildingMap = ({ units, filters, selectedBranchId = null, selectedBuildingId = null, selectedFloorId = null, onSelectBranch, onSelectBuilding, onSelectFloor, onBuildingClick }) => {
+  const { hierarchy } = useAssetHierarchy();
 
   const getBuildingColor = (consumption) => {
     if (consumption < 200) return '#10b981'; // Green for low
@@ -13,12 +15,12 @@ const BuildingMap = ({ units, onBuildingClick }) => {
   };
 
   const handleBuildingClick = (building) => {
-    setSelectedBuilding(building);
+    onSelectBuilding(building.id);
     onBuildingClick(building);
   };
 
   // Calculate metrics for all buildings
-  const buildingMetrics = powerPlantData.buildings.map(building => {
+  const buildingMetrics = hierarchy.buildings.map(building => {
     const metrics = calculateBuildingMetrics(building.id, units);
     return {
       ...building,
@@ -26,43 +28,26 @@ const BuildingMap = ({ units, onBuildingClick }) => {
     };
   });
 
+  const selectedBuilding = buildingMetrics.find(building => building.id === selectedBuildingId) || null;
+
   // Group buildings by branch
-  const buildingsByBranch = powerPlantData.branches.map(branch => ({
+  const buildingsByBranch = hierarchy.branches.map(branch => ({
     ...branch,
     buildings: buildingMetrics.filter(b => b.branchId === branch.id)
   }));
 
-  // Static map coordinates for buildings (simulating a site plan layout)
-  const getBuildingPosition = (buildingId, branchId) => {
-    // Main Facility buildings layout
-    if (branchId === 1) {
-      const positions = {
-        1: { x: 15, y: 20 }, // Administrative Building
-        2: { x: 45, y: 35 }, // Production Hall A
-        3: { x: 70, y: 35 }, // Production Hall B
-        4: { x: 85, y: 20 }, // Maintenance Building
-        5: { x: 30, y: 50 }, // Control Center
-        6: { x: 60, y: 10 }  // Warehouse
-      };
-      return positions[buildingId] || { x: 50, y: 30 };
-    }
-    // Substation Alpha layout
-    else if (branchId === 2) {
-      const positions = {
-        7: { x: 20, y: 30 }, // Control Room
-        8: { x: 50, y: 30 }  // Equipment Hall
-      };
-      return positions[buildingId] || { x: 35, y: 30 };
-    }
-    // Substation Beta layout
-    else if (branchId === 3) {
-      const positions = {
-        9: { x: 20, y: 30 }, // Control Room
-        10: { x: 50, y: 30 } // Equipment Hall
-      };
-      return positions[buildingId] || { x: 35, y: 30 };
-    }
-    return { x: 50, y: 30 };
+  // Site plan coordinates (% of the map) - each branch's buildings are spread over a grid in
+  // the order they were added, so a site with any number of buildings gets a layout
+  const getBuildingPosition = (buildingId, branchBuildings) => {
+    const index = Math.max(0, branchBuildings.findIndex(building => building.id === buildingId));
+    const columns = Math.min(Math.max(branchBuildings.length, 1), 4);
+    const rows = Math.ceil(branchBuildings.length / columns) || 1;
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    return {
+      x: columns > 1 ? 15 + (column * 70) / (columns - 1) : 50,
+      y: rows > 1 ? 20 + (row * 50) / (rows - 1) : 35
+    };
   };
 
   return (
@@ -73,21 +58,21 @@ const BuildingMap = ({ units, onBuildingClick }) => {
           <span className="text-sm font-medium text-gray-700">View Branch:</span>
           <div className="flex space-x-2">
             <button
-              onClick={() => setSelectedBranch(null)}
+              onClick={() => onSelectBranch(null)}
               className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                selectedBranch === null
+                selectedBranchId === null
                   ? 'bg-primary-600 text-white'
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
               All Branches
             </button>
-            {powerPlantData.branches.map(branch => (
+            {hierarchy.branches.map(branch => (
               <button
                 key={branch.id}
-                onClick={() => setSelectedBranch(branch.id)}
+                onClick={() => onSelectBranch(branch.id)}
                 className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                  selectedBranch === branch.id
+                  selectedBranchId === branch.id
                     ? 'bg-primary-600 text-white'
                     : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                 }`}
@@ -101,7 +86,7 @@ const BuildingMap = ({ units, onBuildingClick }) => {
 
       {/* Static Map Visualization */}
       {buildingsByBranch
-        .filter(branch => selectedBranch === null || branch.id === selectedBranch)
+        .filter(branch => selectedBranchId === null || branch.id === selectedBranchId)
         .map((branch) => {
           const branchBuildings = branch.buildings;
           
@@ -147,10 +132,10 @@ const BuildingMap = ({ units, onBuildingClick }) => {
                   {/* Enhanced Roads/Paths */}
                   <svg className="absolute inset-0 w-full h-full" style={{ zIndex: 1 }}>
                     {branchBuildings.map((building, index) => {
-                      const pos = getBuildingPosition(building.id, branch.id);
+                      const pos = getBuildingPosition(building.id, branchBuildings);
                       const nextBuilding = branchBuildings[index + 1];
                       if (nextBuilding) {
-                        const nextPos = getBuildingPosition(nextBuilding.id, branch.id);
+                        const nextPos = getBuildingPosition(nextBuilding.id, branchBuildings);
                         return (
                           <g key={`path-${building.id}`}>
                             <line
@@ -184,7 +169,7 @@ const BuildingMap = ({ units, onBuildingClick }) => {
                   {branchBuildings.map((building) => {
                     const consumption = parseFloat(building.totalConsumption || 0);
                     const color = getBuildingColor(consumption);
-                    const position = getBuildingPosition(building.id, branch.id);
+                    const position = getBuildingPosition(building.id, branchBuildings);
                     const isSelected = selectedBuilding?.id === building.id;
                     
                     return (
@@ -381,7 +366,7 @@ const BuildingMap = ({ units, onBuildingClick }) => {
               <p className="text-sm text-gray-600 mt-1 capitalize">{selectedBuilding.type}</p>
             </div>
             <button
-              onClick={() => setSelectedBuilding(null)}
+              onClick={() => onSelectBuilding(null)}
               className="text-gray-400 hover:text-gray-600"
             >
               <i className="fas fa-times"></i>
@@ -391,7 +376,7 @@ const BuildingMap = ({ units, onBuildingClick }) => {
             <div className="flex justify-between">
               <span className="text-gray-600">Branch:</span>
               <span className="font-medium">
-                {powerPlantData.branches.find(b => b.id === selectedBuilding.branchId)?.name}
+                {hierarchy.branches.find(b => b.id === selectedBuilding.branchId)?.name}
               </span>
             </div>
             <div className="flex justify-between">
@@ -422,12 +407,27 @@ const BuildingMap = ({ units, onBuildingClick }) => {
             </div>
           </div>
           <div className="pt-4 border-t border-gray-200">
-            <button className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium">
-              View Building Details
+            <button
+              onClick={() => document.getElementById('floor-plan')?.scrollIntoView({ behavior: 'smooth' })}
+              className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium"
+            >
+              View Floor Plans
             </button>
           </div>
         </div>
       )}
+
+      {/* Floor plan of the selected building - after the info panel so the unit drawer covers it */}
+      {selectedBuilding && (
+        <FloorPlan
+          key={selectedBuilding.id}
+          building={selectedBuilding}
+          floorId={selectedFloorId}
+          onSelectFloor={onSelectFloor}
+          units={units}
+          filters={filters}
+        />
+      )}
     </div>
   );
 };
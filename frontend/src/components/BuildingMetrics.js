@@ -10,8 +10,14 @@ import {
   Tooltip,
   Legend
 } from 'chart.js';
-import { powerPlantData } from '../data/powerPlantData';
-import { calculateBuildingMetrics } from '../utils/filterUtils';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { calculateBuildingMetrics, getUnitCost } from '../utils/filterUtils';
+import { calculateEmissions, formatEmissions, getEmissionFactorForDate } from '../utils/emissions';
+import { getDisplayMetricLabel } from '../utils/displayMetric';
+import { useEmissionFactors, useDisplayMetric } from '../hooks/useEmissions';
+import { useBudgetTracking } from '../hooks/useBudgets';
+import BudgetBurnDown from './BudgetBurnDown';
+import BudgetStatusBadge from './BudgetStatusBadge';
 
 ChartJS.register(
   CategoryScale,
@@ -24,8 +30,17 @@ ChartJS.register(
 );
 
 const BuildingMetrics = ({ units, filters }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { factors } = useEmissionFactors();
+  const emissionFactor = getEmissionFactorForDate(filters.dateTo || filters.date || null, factors);
+  const { metric: displayMetric } = useDisplayMetric();
+  const emissionsOf = (kwh) => calculateEmissions(kwh, { factor: emissionFactor });
+  const { trackers } = useBudgetTracking({ filters });
+  const budgetTrackerOf = (scope, id) =>
+    trackers.find(tracker => tracker.budget.scope === scope && tracker.budget.targetId === id) || null;
+
   const buildingData = useMemo(() => {
-    let buildingsToShow = powerPlantData.buildings;
+    let buildingsToShow = hierarchy.buildings;
 
     // Filter by branch if selected
     if (filters.branch && filters.branch !== 'all') {
@@ -41,7 +56,7 @@ const BuildingMetrics = ({ units, filters }) => {
     buildingMetrics.sort((a, b) => parseFloat(b.totalConsumption) - parseFloat(a.totalConsumption));
 
     return buildingMetrics;
-  }, [units, filters]);
+  }, [hierarchy, units, filters]);
 
   const chartOptions = {
     responsive: true,
@@ -89,12 +104,19 @@ const BuildingMetrics = ({ units, filters }) => {
     }
   };
 
+  // Totals in the kWh / ₱ / kgCO2e metric picked in the header
+  const toDisplayValue = (building) => {
+    if (displayMetric === 'cost') return parseFloat(building.totalCost);
+    if (displayMetric === 'co2') return emissionsOf(building.totalConsumption);
+    return parseFloat(building.totalConsumption);
+  };
+
   // Building comparison chart
   const buildingChartData = {
     labels: buildingData.map(b => b.buildingName),
     datasets: [{
-      label: 'Consumption (kWh)',
-      data: buildingData.map(b => parseFloat(b.totalConsumption)),
+      label: getDisplayMetricLabel(displayMetric),
+      data: buildingData.map(toDisplayValue),
       backgroundColor: '#3b82f6',
       borderColor: '#2563eb',
       borderWidth: 1,
@@ -108,7 +130,7 @@ const BuildingMetrics = ({ units, filters }) => {
     if (!buildingTypeConsumption[building.buildingType]) {
       buildingTypeConsumption[building.buildingType] = 0;
     }
-    buildingTypeConsumption[building.buildingType] += parseFloat(building.totalConsumption);
+    buildingTypeConsumption[building.buildingType] += toDisplayValue(building);
   });
 
   const buildingTypeData = {
@@ -135,7 +157,7 @@ const BuildingMetrics = ({ units, filters }) => {
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
           <div className="border-b border-gray-200 px-6 py-4">
             <h3 className="text-lg font-semibold text-gray-900">Building Consumption Comparison</h3>
-            <p className="text-gray-600 text-sm mt-1">Energy consumption across all buildings</p>
+            <p className="text-gray-600 text-sm mt-1">Energy consumption across all buildings • {getDisplayMetricLabel(displayMetric)}</p>
           </div>
           <div className="p-6">
             <div className="chart-container" style={{ height: '400px' }}>
@@ -148,7 +170,7 @@ const BuildingMetrics = ({ units, filters }) => {
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
           <div className="border-b border-gray-200 px-6 py-4">
             <h3 className="text-lg font-semibold text-gray-900">Consumption by Building Type</h3>
-            <p className="text-gray-600 text-sm mt-1">Distribution across building categories</p>
+            <p className="text-gray-600 text-sm mt-1">Distribution across building categories • {getDisplayMetricLabel(displayMetric)}</p>
           </div>
           <div className="p-6">
             <div className="chart-container" style={{ height: '400px' }}>
@@ -186,7 +208,9 @@ const BuildingMetrics = ({ units, filters }) => {
                 <th className="px-6 py-3">Units</th>
                 <th className="px-6 py-3">Consumption (kWh)</th>
                 <th className="px-6 py-3">Cost (PHP)</th>
+                <th className="px-6 py-3">Emissions (kgCO2e)</th>
                 <th className="px-6 py-3">Avg per Unit</th>
+                <th className="px-6 py-3">Budget Status</th>
                 <th className="px-6 py-3">Actions</th>
               </tr>
             </thead>
@@ -205,7 +229,13 @@ const BuildingMetrics = ({ units, filters }) => {
                   <td className="px-6 py-4 font-semibold text-primary-600">
                     ₱{parseFloat(building.totalCost).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                   </td>
+                  <td className="px-6 py-4">{formatEmissions(emissionsOf(building.totalConsumption))}</td>
                   <td className="px-6 py-4">{building.avgConsumption} kWh</td>
+                  <td className="px-6 py-4">
+                    {budgetTrackerOf('building', building.buildingId)
+                      ? <BudgetStatusBadge tracker={budgetTrackerOf('building', building.buildingId)} showDate />
+                      : <span className="text-gray-400">—</span>}
+                  </td>
                   <td className="px-6 py-4">
                     <button className="px-3 py-1 bg-primary-100 text-primary-700 rounded text-sm hover:bg-primary-200">
                       View Details
@@ -222,23 +252,35 @@ const BuildingMetrics = ({ units, filters }) => {
       <div className="space-y-4">
         {buildingData.slice(0, 3).map((building) => (
           <div key={building.buildingId} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-            <div className="border-b border-gray-200 px-6 py-4">
-              <h3 className="text-lg font-semibold text-gray-900">{building.buildingName}</h3>
-              <p className="text-gray-600 text-sm mt-1">Floor breakdown and consumption</p>
+            <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{building.buildingName}</h3>
+                <p className="text-gray-600 text-sm mt-1">Floor breakdown and consumption</p>
+              </div>
+              <BudgetStatusBadge tracker={budgetTrackerOf('building', building.buildingId)} showDate />
             </div>
             <div className="p-6">
+              {budgetTrackerOf('building', building.buildingId) && (
+                <div className="mb-6">
+                  <BudgetBurnDown tracker={budgetTrackerOf('building', building.buildingId)} metric={budgetTrackerOf('building', building.buildingId).burnDown.limits.kwh ? 'kwh' : 'cost'} height="240px" />
+                </div>
+              )}
               <div className="space-y-3">
                 {building.floors.map((floor) => (
                   <div key={floor.id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                     <div>
-                      <p className="font-medium text-gray-900">{floor.name}</p>
+                      <p className="font-medium text-gray-900 flex items-center space-x-2">
+                        <span>{floor.name}</span>
+                        <BudgetStatusBadge tracker={budgetTrackerOf('floor', floor.id)} />
+                      </p>
                       <p className="text-sm text-gray-600">{floor.units.length} units • {floor.area} sqm</p>
                     </div>
                     <div className="text-right">
                       <p className="font-semibold text-gray-900">{floor.consumption.toFixed(1)} kWh</p>
                       <p className="text-sm text-primary-600">
-                        ₱{(floor.consumption * 10).toFixed(2)}
+                        ₱{getUnitCost({ consumption: floor.consumption }).toFixed(2)}
                       </p>
+                      <p className="text-xs text-gray-500">{formatEmissions(emissionsOf(floor.consumption))}</p>
                     </div>
                   </div>
                 ))}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { COMPARISON_MODES, formatPeriod } from '../utils/comparison';
+
+// Dashboard bar that turns period-over-period comparison on and picks the period to compare against
+// comparison: { mode, customFrom } with mode null while off
+const ComparisonToggle = ({ comparison, onChange, period, comparisonPeriod, loading = false }) => {
+  const enabled = comparison.mode !== null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 px-6 py-3 flex flex-wrap items-center gap-3 text-sm">
+      <label className={`flex items-center font-medium ${period ? 'text-gray-700' : 'text-gray-400'}`}>
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={enabled}
+          disabled={!period}
+          onChange={(e) => onChange({ ...comparison, mode: e.target.checked ? 'previous' : null })}
+        />
+        <i className="fas fa-exchange-alt mr-2"></i>
+        Compare periods
+      </label>
+
+      {enabled && (
+        <select
+          value={comparison.mode}
+          onChange={(e) => onChange({ ...comparison, mode: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          aria-label="Comparison period"
+        >
+          {Object.entries(COMPARISON_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+      )}
+
+      {enabled && comparison.mode === 'custom' && (
+        <label className="flex items-center text-gray-600">
+          Starting
+          <input
+            type="date"
+            value={comparison.customFrom || ''}
+            onChange={(e) => onChange({ ...comparison, customFrom: e.target.value || null })}
+            className="ml-2 px-2 py-1 border border-gray-300 rounded-lg"
+          />
+        </label>
+      )}
+
+      {!period && (
+        <span className="text-gray-500">Pick a date range to compare periods in the week view</span>
+      )}
+
+      {enabled && period && (
+        <span className="text-gray-600">
+          <span className="font-medium text-gray-900">{formatPeriod(period)}</span>
+          {' vs '}
+          {comparisonPeriod
+            ? <span className="font-medium text-gray-900">{formatPeriod(comparisonPeriod)}</span>
+            : <span className="text-gray-500">pick a start date</span>}
+          {loading && <i className="fas fa-spinner fa-spin text-gray-400 ml-2"></i>}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonToggle;
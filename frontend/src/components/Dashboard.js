@@ -1,4 +1,4 @@
-import React, { useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useRef } from 'react';
 import { Bar, Line, Doughnut } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -13,10 +13,28 @@ import {
   Legend,
   Filler
 } from 'chart.js';
-import { powerPlantData } from '../data/powerPlantData';
-import { calculateBuildingMetrics, calculateBranchMetrics, calculateFloorMetrics, calculatePowerPlantStatistics } from '../utils/filterUtils';
+import { format, parseISO, addDays, subDays } from 'date-fns';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { calculateBuildingMetrics, calculateBranchMetrics, calculateFloorMetrics, calculatePowerPlantStatistics, getUnitCost, getPricingOptions } from '../utils/filterUtils';
+import { calculateCost, getTariffForDate } from '../utils/tariff';
+import { ANOMALY_METHODS } from '../utils/anomaly';
+import { getEmissionFactorForDate } from '../utils/emissions';
+import { toDisplayMetric, getDisplayMetricLabel, formatDisplayMetric } from '../utils/displayMetric';
+import { getCurrentPeriod, getComparisonPeriod, getComparisonFilters, formatPeriod, describeOffset, getDelta, formatDelta } from '../utils/comparison';
 import { useEnergyData, useWeeklyPeakHours, useFloorAnalytics, useFloorMetrics, useBuildingMetrics, useBranchMetrics, useTopConsumingUnits, useConsumptionByEquipmentType } from '../hooks/useEnergyData';
+import { useLiveReadings } from '../hooks/useLiveReadings';
+import { useFloorAnomalies } from '../hooks/useAnomalies';
+import { useConsumptionForecast } from '../hooks/useForecast';
+import { useTariffs } from '../hooks/useTariffs';
+import { useVirtualMeters, useVirtualMeterSeries } from '../hooks/useVirtualMeters';
+import { getVirtualMeterForFloor, isVirtualFloor } from '../utils/virtualMeters';
+import { useEmissionFactors, useDisplayMetric } from '../hooks/useEmissions';
 import StatisticsCards from './StatisticsCards';
+import DataStatusBanner from './DataStatusBanner';
+import TimeIntervalCharts from './TimeIntervalCharts';
+import ExportButtons from './ExportButtons';
+import ComparisonToggle from './ComparisonToggle';
+import UnitDetailDrawer from './UnitDetailDrawer';
 
 ChartJS.register(
   CategoryScale,
@@ -31,7 +49,38 @@ ChartJS.register(
   Filler
 );
 
-const Dashboard = ({ statistics, units, filters }) => {
+// Upper / lower edges of the weekly trend's forecast range - shading only, kept out of legend and tooltip
+const isForecastBand = (label = '') => / forecast (upper|lower)$/.test(label);
+
+// Dotted line for a floor's readings in the comparison period on the weekly trend
+const comparisonTrendDataset = (label, color, data) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: color,
+  borderWidth: 2,
+  borderDash: [2, 4],
+  fill: false,
+  tension: 0.4,
+  pointRadius: 3,
+  pointStyle: 'rectRot',
+  spanGaps: true
+});
+
+// Map of date -> kWh as Mon..Sun values for the day-of-week trend chart
+const toWeekdayValues = (kwhByDate) => {
+  const values = Array(7).fill(null);
+  kwhByDate.forEach((kwh, date) => {
+    values[(parseISO(date).getDay() + 6) % 7] = parseFloat(kwh.toFixed(2));
+  });
+  return values;
+};
+
+const Dashboard = ({ statistics, units, filters, fallbackError = null, liveMode = false }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { virtualMeters } = useVirtualMeters();
+  // Virtual meter picked in the floor filter - only the hourly chart and the drill-down evaluate it
+  const virtualMeter = getVirtualMeterForFloor(filters.floor, virtualMeters);
   // Calculate initial date helper
   const getInitialDate = (dates, timeGranularity, weekday) => {
     if (!dates || dates.length === 0) return null;
@@ -64,24 +113,101 @@ const Dashboard = ({ statistics, units, filters }) => {
   const apiFilters = React.useMemo(() => {
     // Always use filters.date if provided - this ensures stability
     return {
-      floor: filters.floor,
+      // Site in view - every request is scoped to it
+      branch: filters.branch || 'all',
+      building: filters.building || 'all',
+      // A virtual meter isn't a floor the API knows - everything it doesn't evaluate shows all floors
+      floor: isVirtualFloor(filters.floor) ? 'all' : filters.floor,
       timeGranularity: filters.timeGranularity,
       weekday: filters.weekday,
-      date: filters.date || null // null means "use first available" - will be set by hook
+      date: filters.date || null, // null means "use first available" - will be set by hook
+      // Inclusive range - overrides the single date when both ends are set
+      dateFrom: filters.dateFrom || null,
+      dateTo: filters.dateTo || null
     };
-  }, [filters.floor, filters.timeGranularity, filters.weekday, filters.date]);
+  }, [filters.branch, filters.building, filters.floor, filters.timeGranularity, filters.weekday, filters.date, filters.dateFrom, filters.dateTo]);
+
+  // Tariff version and billed days for the period in view at the site in view - API metrics are priced with it
+  const { tariffs } = useTariffs();
+  const pricing = React.useMemo(() => {
+    const { date, branchId, days } = getPricingOptions(apiFilters);
+    return { tariff: getTariffForDate(date, tariffs, branchId), days };
+  }, [apiFilters, tariffs]);
+  // Per-site metrics are priced at each site's own tariff
+  const getSitePricing = useCallback(
+    (branchId) => ({ tariff: getTariffForDate(getPricingOptions(apiFilters).date, tariffs, branchId), days: pricing.days }),
+    [apiFilters, tariffs, pricing.days]
+  );
+
+  // Grid emission factor for the same period, and the kWh / ₱ / kgCO2e metric picked in the header
+  const { factors: emissionFactors } = useEmissionFactors();
+  const emission = React.useMemo(
+    () => ({ factor: getEmissionFactorForDate(getPricingOptions(apiFilters).date, emissionFactors) }),
+    [apiFilters, emissionFactors]
+  );
+  const { metric: displayMetric } = useDisplayMetric();
 
   // All hooks fetch data in parallel - no sequential waiting
-  const { summary, hourlyData, availableDates, loading: energyLoading } = useEnergyData(apiFilters);
-  const { weeklyPeakHours, loading: weeklyPeakHoursLoading } = useWeeklyPeakHours(apiFilters);
-  const { floorAnalytics, loading: floorAnalyticsLoading } = useFloorAnalytics(apiFilters);
+  const { summary, hourlyData, availableDates, loading: energyLoading, error: energyError } = useEnergyData(apiFilters);
+  const { hourlyData: virtualHourlyData, error: virtualError } = useVirtualMeterSeries(
+    virtualMeter,
+    { ...apiFilters, date: apiFilters.date || hourlyData?.date || null }
+  );
+  // Hourly series of the peak hours chart and the drill-down - the virtual meter's when one is picked
+  const chartHourlyData = virtualMeter ? virtualHourlyData : hourlyData;
+  const { weeklyPeakHours, loading: weeklyPeakHoursLoading, error: weeklyPeakHoursError } = useWeeklyPeakHours(apiFilters);
+  const { floorAnalytics, loading: floorAnalyticsLoading, error: floorAnalyticsError } = useFloorAnalytics(apiFilters);
   
   // Fetch real data from database for all graphs
-  const { floorMetrics: apiFloorMetrics, loading: floorMetricsLoading } = useFloorMetrics(apiFilters);
-  const { buildingMetrics: apiBuildingMetrics, loading: buildingMetricsLoading } = useBuildingMetrics(apiFilters);
-  const { branchMetrics: apiBranchMetrics, loading: branchMetricsLoading } = useBranchMetrics(apiFilters);
-  const { topUnits: apiTopUnits, loading: topUnitsLoading } = useTopConsumingUnits({ ...apiFilters, limit: 5 });
-  const { consumptionByType: apiConsumptionByType, loading: consumptionByTypeLoading } = useConsumptionByEquipmentType(apiFilters);
+  const { floorMetrics: apiFloorMetrics, loading: floorMetricsLoading, error: floorMetricsError } = useFloorMetrics(apiFilters);
+  const { buildingMetrics: apiBuildingMetrics, loading: buildingMetricsLoading, error: buildingMetricsError } = useBuildingMetrics(apiFilters);
+  const { branchMetrics: apiBranchMetrics, loading: branchMetricsLoading, error: branchMetricsError } = useBranchMetrics(apiFilters);
+  const { topUnits: apiTopUnits, loading: topUnitsLoading, error: topUnitsError } = useTopConsumingUnits({ ...apiFilters, limit: 5 });
+  const { consumptionByType: apiConsumptionByType, loading: consumptionByTypeLoading, error: consumptionByTypeError } = useConsumptionByEquipmentType(apiFilters);
+
+  // Live monitoring mode - streamed per-second readings for the selected floor
+  const live = useLiveReadings({ enabled: liveMode, branch: apiFilters.branch, building: apiFilters.building, floor: apiFilters.floor });
+
+  // Chart instances for CSV / PNG export
+  const equipmentChartRef = useRef(null);
+  const floorChartRef = useRef(null);
+  const branchChartRef = useRef(null);
+  const trendChartRef = useRef(null);
+  const peakHoursChartRef = useRef(null);
+  const costChartRef = useRef(null);
+  const topUnitsChartRef = useRef(null);
+  // Unit open in the detail drawer (clicked in the top units chart)
+  const [selectedUnitId, setSelectedUnitId] = useState(null);
+
+  // Hourly consumption anomalies per floor, for the day(s) in view
+  const [anomalyMethod, setAnomalyMethod] = useState('zscore');
+  const { anomalies, loading: anomaliesLoading, error: anomaliesError } = useFloorAnomalies(
+    { ...apiFilters, date: apiFilters.date || hourlyData?.date || null },
+    { method: anomalyMethod }
+  );
+
+  // Consumption forecast as of the end of the period in view - weekly trend bands and the projected bill
+  const { forecast } = useConsumptionForecast({
+    branch: apiFilters.branch,
+    building: apiFilters.building,
+    floor: apiFilters.floor,
+    asOf: apiFilters.dateTo || apiFilters.date || hourlyData?.date || null
+  });
+  const hasTrendForecast = Boolean(forecast && forecast.floors.length > 0);
+
+  // Distinct data states for the status banner: failed requests vs. a successful but empty result
+  const apiErrors = [
+    energyError,
+    weeklyPeakHoursError,
+    floorAnalyticsError,
+    floorMetricsError,
+    buildingMetricsError,
+    branchMetricsError,
+    topUnitsError,
+    consumptionByTypeError,
+    anomaliesError
+  ];
+  const hasNoReadings = !energyLoading && !energyError && summary !== null && (summary?.total_records ?? 0) === 0;
   
   // Note: Date selection is now handled internally by useEnergyData hook
   // No need for separate date management effect
@@ -102,10 +228,10 @@ const Dashboard = ({ statistics, units, filters }) => {
       .sort((a, b) => (b.consumption || 0) - (a.consumption || 0))
       .slice(0, 5)
       .map(unit => {
-        const floor = powerPlantData.floors.find(f => f.id === unit.floorId);
-        const building = powerPlantData.buildings.find(b => b.id === floor?.buildingId);
+        const floor = hierarchy.floors.find(f => f.id === unit.floorId);
+        const building = hierarchy.buildings.find(b => b.id === floor?.buildingId);
         const consumption = unit.consumption || 0;
-        const cost = unit.cost || consumption * 10;
+        const cost = getUnitCost(unit);
         return {
           id: unit.id,
           name: unit.name,
@@ -116,6 +242,7 @@ const Dashboard = ({ statistics, units, filters }) => {
           consumption: consumption,
           cost: cost,
           status: unit.status || 'operational',
+          metered: Boolean(unit.metered),
           // Pre-compute tooltip strings for instant display
           tooltipLabels: [
             `${consumption.toFixed(2)} kWh`,
@@ -124,7 +251,13 @@ const Dashboard = ({ statistics, units, filters }) => {
           ]
         };
       });
-  }, [displayUnits]);
+  }, [hierarchy, displayUnits]);
+
+  // The chart labels its bars by cost only - the export spells out each unit
+  const topUnitsTable = useMemo(() => ({
+    columns: ['Unit', 'Floor', 'Building', 'Equipment Type', 'Consumption (kWh)', 'Source', 'Cost (PHP)'],
+    rows: topUnits.map(unit => [unit.name, unit.floorName, unit.buildingName, unit.equipmentType, unit.consumption, unit.metered ? 'Metered' : 'Estimated', unit.cost])
+  }), [topUnits]);
 
   
   // Calculate statistics from units if not provided
@@ -162,7 +295,56 @@ const Dashboard = ({ statistics, units, filters }) => {
 
   // Get current date context - prioritize summary.date or hourlyData.date (from API) since that's the actual date used
   const currentDate = summary?.date || hourlyData?.date || apiFilters.date || availableDates[0] || null;
-  const dateContext = currentDate ? formatDate(currentDate) : 'No date selected';
+  const dateContext = apiFilters.dateFrom && apiFilters.dateTo
+    ? (apiFilters.dateFrom === apiFilters.dateTo
+      ? formatDate(apiFilters.dateFrom)
+      : `${formatDate(apiFilters.dateFrom)} - ${formatDate(apiFilters.dateTo)}`)
+    : (currentDate ? formatDate(currentDate) : 'No date selected');
+
+  // Single day the per-hour/minute/second drill-down shows - none for multi-day ranges
+  const intervalDate = apiFilters.dateFrom && apiFilters.dateTo
+    ? (apiFilters.dateFrom === apiFilters.dateTo ? apiFilters.dateFrom : null)
+    : currentDate;
+  const intervalHour = chartHourlyData?.peak_hour?.hour ?? null;
+
+  // Period-over-period comparison - the period in view against an earlier one, fetched in parallel.
+  // While it is off the comparison hooks get the current filters and share their cache entries.
+  const [comparison, setComparison] = useState({ mode: null, customFrom: null });
+  const currentPeriod = getCurrentPeriod(apiFilters, currentDate);
+  const comparisonPeriod = comparison.mode && !liveMode
+    ? getComparisonPeriod(currentPeriod, comparison.mode, comparison.customFrom)
+    : null;
+  const comparisonFrom = comparisonPeriod?.dateFrom || null;
+  const comparisonTo = comparisonPeriod?.dateTo || null;
+  const comparisonOffset = comparisonPeriod?.offset ?? 0;
+  const isComparing = Boolean(comparisonFrom);
+  const currentLabel = formatPeriod(currentPeriod);
+  const comparisonLabel = formatPeriod(comparisonPeriod);
+  const comparisonFilters = useMemo(
+    () => (comparisonFrom ? getComparisonFilters(apiFilters, { dateFrom: comparisonFrom, dateTo: comparisonTo }) : apiFilters),
+    [apiFilters, comparisonFrom, comparisonTo]
+  );
+  const {
+    summary: comparisonSummary,
+    hourlyData: comparisonHourlyData,
+    loading: comparisonLoading,
+    error: comparisonError
+  } = useEnergyData(comparisonFilters);
+  const { floorMetrics: comparisonFloorMetrics, error: comparisonFloorMetricsError } = useFloorMetrics(comparisonFilters);
+
+  // Last day with readings on the weekly trend - the trend is compared with the 7 days up to
+  // the same day in the comparison period
+  const trendEnd = useMemo(() => {
+    if (hasTrendForecast) return forecast.asOf;
+    const dates = (floorAnalytics?.floor_analytics || []).flatMap(floor => (floor.daily_trend || []).map(day => day.date));
+    return dates.length > 0 ? dates.sort()[dates.length - 1] : null;
+  }, [hasTrendForecast, forecast, floorAnalytics]);
+  const trendComparisonFilters = useMemo(() => {
+    if (!isComparing || !trendEnd) return apiFilters;
+    const end = subDays(parseISO(trendEnd), comparisonOffset);
+    return { ...apiFilters, dateFrom: format(subDays(end, 6), 'yyyy-MM-dd'), dateTo: format(end, 'yyyy-MM-dd') };
+  }, [apiFilters, isComparing, trendEnd, comparisonOffset]);
+  const { floorAnalytics: comparisonFloorAnalytics, error: comparisonTrendError } = useFloorAnalytics(trendComparisonFilters);
 
   // Use REAL API data for all metrics - prioritize API data over static calculations
   // This ensures all graphs are based on actual CSV/database data
@@ -194,13 +376,13 @@ const Dashboard = ({ statistics, units, filters }) => {
         floorId: floor.floor_id,
         floorName: floor.floor_name,
         totalConsumption: floor.total_consumption_kwh,
-        totalCost: floor.total_cost,
+        totalCost: calculateCost(floor.total_consumption_kwh, pricing),
         totalUnits: floor.total_units,
         avgCurrent: floor.avg_current
       }));
     } else {
       // Fallback: calculate from displayUnits only if API fails
-      floorMetrics = powerPlantData.floors.map(floor => 
+      floorMetrics = hierarchy.floors.map(floor => 
         calculateFloorMetrics(floor.id, displayUnits)
       );
     }
@@ -212,13 +394,13 @@ const Dashboard = ({ statistics, units, filters }) => {
         buildingId: building.building_id,
         buildingName: building.building_name,
         totalConsumption: building.total_consumption_kwh,
-        totalCost: building.total_cost,
+        totalCost: calculateCost(building.total_consumption_kwh, getSitePricing(building.branch_id)),
         totalUnits: building.total_units,
         totalFloors: building.total_floors
       }));
     } else {
       // Fallback: calculate from displayUnits only if API fails
-      buildingMetrics = powerPlantData.buildings.map(building => 
+      buildingMetrics = hierarchy.buildings.map(building => 
         calculateBuildingMetrics(building.id, displayUnits)
       );
     }
@@ -230,14 +412,14 @@ const Dashboard = ({ statistics, units, filters }) => {
         branchId: branch.branch_id,
         branchName: branch.branch_name,
         totalConsumption: branch.total_consumption_kwh,
-        totalCost: branch.total_cost,
+        totalCost: calculateCost(branch.total_consumption_kwh, getSitePricing(branch.branch_id)),
         totalUnits: branch.total_units,
         totalBuildings: branch.total_buildings,
         totalFloors: branch.total_floors
       }));
     } else {
       // Fallback: calculate from displayUnits only if API fails
-      branchMetrics = powerPlantData.branches.map(branch => 
+      branchMetrics = hierarchy.branches.map(branch => 
         calculateBranchMetrics(branch.id, displayUnits)
       );
     }
@@ -416,7 +598,10 @@ const Dashboard = ({ statistics, units, filters }) => {
     apiBuildingMetrics,
     apiBranchMetrics,
     apiTopUnits,
-    apiConsumptionByType
+    apiConsumptionByType,
+    pricing,
+    getSitePricing,
+    hierarchy
   ]); // Use real API data from database/CSV
 
   // Keep staticDashboardData name for backward compatibility, but it now uses real data
@@ -629,12 +814,15 @@ const Dashboard = ({ statistics, units, filters }) => {
 
   const granularity = filters?.timeGranularity || 'day';
 
-  // Unit display helper: when minute granularity, show Wh for readability
+  // Unit display helper: kWh (Wh for readability at minute granularity), or the ₱ / kgCO2e picked in the header
   const toDisplayValue = useCallback((v) => {
     const num = parseFloat(v) || 0;
+    if (displayMetric !== 'kwh') return toDisplayMetric(num, displayMetric, { pricing, emission });
     return granularity === 'minute' ? num * 1000 : num;
-  }, [granularity]);
-  const displayUnitLabel = granularity === 'minute' ? 'Consumption (Wh)' : 'Consumption (kWh)';
+  }, [granularity, displayMetric, pricing, emission]);
+  const displayUnitLabel = displayMetric !== 'kwh'
+    ? getDisplayMetricLabel(displayMetric)
+    : granularity === 'minute' ? 'Consumption (Wh)' : 'Consumption (kWh)';
 
   // Equipment type chart data - use real API data, fallback to static
   // Calculate from floor metrics (real data) since we don't have equipment types in energy_data
@@ -695,20 +883,38 @@ const Dashboard = ({ statistics, units, filters }) => {
     if (!staticDashboardData || !staticDashboardData.floorMetrics) {
       return { labels: [], datasets: [] };
     }
-    return {
-      labels: staticDashboardData.floorMetrics.map(f => f.floorName),
-      datasets: [{
-        label: displayUnitLabel,
-        data: staticDashboardData.floorMetrics.map(f => toDisplayValue(f.totalConsumption)),
-        backgroundColor: ['#3b82f6', '#10b981', '#f59e0b'],
-        borderColor: ['#2563eb', '#059669', '#d97706'],
+    const datasets = [{
+      label: isComparing ? `${currentLabel} ${displayUnitLabel}` : displayUnitLabel,
+      data: staticDashboardData.floorMetrics.map(f => toDisplayValue(f.totalConsumption)),
+      backgroundColor: ['#3b82f6', '#10b981', '#f59e0b'],
+      borderColor: ['#2563eb', '#059669', '#d97706'],
+      borderWidth: 2,
+      borderRadius: 6
+    }];
+
+    // Comparison period as gray bars next to each floor
+    const comparisonFloors = isComparing ? comparisonFloorMetrics?.floor_metrics || [] : [];
+    if (comparisonFloors.length > 0) {
+      datasets.push({
+        label: `${comparisonLabel} ${displayUnitLabel}`,
+        data: staticDashboardData.floorMetrics.map(f => {
+          const match = comparisonFloors.find(floor => floor.floor_id === f.floorId);
+          return match ? toDisplayValue(match.total_consumption_kwh) : null;
+        }),
+        backgroundColor: 'rgba(107, 114, 128, 0.35)',
+        borderColor: '#6b7280',
         borderWidth: 2,
         borderRadius: 6
-      }]
+      });
+    }
+
+    return {
+      labels: staticDashboardData.floorMetrics.map(f => f.floorName),
+      datasets
     };
-  }, [staticDashboardData, displayUnitLabel, toDisplayValue]);
+  }, [staticDashboardData, displayUnitLabel, toDisplayValue, isComparing, comparisonFloorMetrics, currentLabel, comparisonLabel]);
 
-  // Branch comparison chart (for reference - only one branch) - use staticDashboardData for immediate rendering
+  // Branch comparison chart - one bar per site - use staticDashboardData for immediate rendering
   const branchComparisonData = useMemo(() => {
     if (!staticDashboardData || !staticDashboardData.branchMetrics) {
       return { labels: [], datasets: [] };
@@ -736,7 +942,7 @@ const Dashboard = ({ statistics, units, filters }) => {
       // Calculate cost breakdown from floor data (real data)
       apiFloorMetrics.floor_metrics.forEach(floor => {
         const type = `Floor ${floor.floor_id}`;
-        consumptionByType[type] = (consumptionByType[type] || 0) + (floor.total_cost || 0);
+        consumptionByType[type] = (consumptionByType[type] || 0) + calculateCost(floor.total_consumption_kwh, pricing);
       });
     }
     
@@ -745,7 +951,7 @@ const Dashboard = ({ statistics, units, filters }) => {
     if ((!consumptionByType || Object.keys(consumptionByType).length === 0) && staticDashboardData && staticDashboardData.consumptionByType) {
       // Fallback to static data - calculate cost from consumption
       Object.keys(staticDashboardData.consumptionByType).forEach(type => {
-        consumptionByType[type] = staticDashboardData.consumptionByType[type] * 10; // PHP 10 per kWh
+        consumptionByType[type] = calculateCost(staticDashboardData.consumptionByType[type], pricing);
       });
     }
     
@@ -754,7 +960,7 @@ const Dashboard = ({ statistics, units, filters }) => {
       // Final fallback: use static data if available
       if (staticDashboardData && staticDashboardData.consumptionByType) {
         Object.keys(staticDashboardData.consumptionByType).forEach(type => {
-          consumptionByType[type] = staticDashboardData.consumptionByType[type] * 10; // PHP 10 per kWh
+          consumptionByType[type] = calculateCost(staticDashboardData.consumptionByType[type], pricing);
         });
       }
     }
@@ -774,14 +980,14 @@ const Dashboard = ({ statistics, units, filters }) => {
         borderWidth: 2
       }]
     };
-  }, [apiFloorMetrics, staticDashboardData, displayUnits]);
+  }, [apiFloorMetrics, staticDashboardData, pricing]);
 
   // Hourly Consumption chart - Aligned with other graphs: static first, then API update
   const peakHoursData = useMemo(() => {
     // Priority 1: Use API hourly data if available (most accurate)
-    if (hourlyData && hourlyData.hourly_data && Array.isArray(hourlyData.hourly_data) && hourlyData.hourly_data.length > 0) {
+    if (chartHourlyData && chartHourlyData.hourly_data && Array.isArray(chartHourlyData.hourly_data) && chartHourlyData.hourly_data.length > 0) {
       // Sort by hour to ensure proper order (0-23)
-      const sortedHours = [...hourlyData.hourly_data].sort((a, b) => (a.hour || 0) - (b.hour || 0));
+      const sortedHours = [...chartHourlyData.hourly_data].sort((a, b) => (a.hour || 0) - (b.hour || 0));
       
       return {
         labels: sortedHours.map(h => {
@@ -798,8 +1004,9 @@ const Dashboard = ({ statistics, units, filters }) => {
         }]
       };
     } 
-    // Priority 2: Use static hourly data for immediate display (consistent with other graphs)
-    else if (staticDashboardData && staticDashboardData.staticHourlyData && staticDashboardData.staticHourlyData.length > 0) {
+    // Priority 2: Use static hourly data for immediate display (consistent with other graphs) - it is
+    // the all-floors estimate, so a virtual meter waits for its own readings instead
+    else if (!virtualMeter && staticDashboardData && staticDashboardData.staticHourlyData && staticDashboardData.staticHourlyData.length > 0) {
       const sortedHours = [...staticDashboardData.staticHourlyData].sort((a, b) => (a.hour || 0) - (b.hour || 0));
       
       return {
@@ -831,13 +1038,92 @@ const Dashboard = ({ statistics, units, filters }) => {
         }]
       };
     }
-  }, [hourlyData, staticDashboardData, displayUnitLabel, toDisplayValue]);
+  }, [chartHourlyData, virtualMeter, staticDashboardData, displayUnitLabel, toDisplayValue]);
+
+  // Anomalies in view grouped by hour of day, for the peak hours chart markers
+  const anomaliesByHour = useMemo(() => {
+    const byHour = {};
+    anomalies.forEach(anomaly => {
+      if (!byHour[anomaly.hour]) byHour[anomaly.hour] = [];
+      byHour[anomaly.hour].push(anomaly);
+    });
+    return byHour;
+  }, [anomalies]);
+
+  // Peak hours chart with a marker on every hour that has an anomaly - pointing up for
+  // unusually high use, down for unusually low, red when the worst one is critical (purple otherwise)
+  // Anomalies and the comparison period are per physical floor, so they stay off a virtual meter's bars
+  const peakHoursChartData = useMemo(() => {
+    const bars = peakHoursData.datasets[0];
+    const worst = peakHoursData.labels.map(label =>
+      (virtualMeter ? [] : anomaliesByHour[parseInt(label, 10)] || []).reduce(
+        (top, anomaly) => (!top || Math.abs(anomaly.score) > Math.abs(top.score) ? anomaly : top),
+        null
+      )
+    );
+
+    // Comparison period's energy per hour as a dashed line over the bars
+    const comparisonByHour = {};
+    if (isComparing && !virtualMeter) {
+      (comparisonHourlyData?.hourly_data || []).forEach(hour => {
+        comparisonByHour[hour.hour] = parseFloat(hour.total_energy) || 0;
+      });
+    }
+    const comparisonDatasets = Object.keys(comparisonByHour).length > 0 ? [{
+      type: 'line',
+      label: `${comparisonLabel} (Wh)`,
+      data: peakHoursData.labels.map(label => comparisonByHour[parseInt(label, 10)] ?? null),
+      borderColor: '#6b7280',
+      backgroundColor: '#6b7280',
+      borderWidth: 2,
+      borderDash: [6, 4],
+      pointRadius: 2,
+      tension: 0.3,
+      fill: false,
+      order: 0
+    }] : [];
+
+    return {
+      labels: peakHoursData.labels,
+      datasets: [
+        ...comparisonDatasets,
+        {
+          type: 'line',
+          label: 'Anomalies',
+          data: worst.map((anomaly, index) => (anomaly ? bars.data[index] : null)),
+          showLine: false,
+          pointStyle: 'triangle',
+          pointRotation: worst.map(anomaly => (anomaly?.direction === 'low' ? 180 : 0)),
+          pointRadius: worst.map(anomaly => (anomaly ? 8 : 0)),
+          pointHoverRadius: worst.map(anomaly => (anomaly ? 10 : 0)),
+          pointBackgroundColor: worst.map(anomaly => (anomaly?.severity === 'critical' ? '#dc2626' : '#7c3aed')),
+          pointBorderColor: '#fff',
+          order: 0
+        },
+        // Named after its period when there is another one to tell it from
+        { ...bars, ...(comparisonDatasets.length > 0 ? { label: `${currentLabel} (Wh)` } : {}), order: 1 }
+      ]
+    };
+  }, [peakHoursData, anomaliesByHour, virtualMeter, isComparing, comparisonHourlyData, currentLabel, comparisonLabel]);
 
   // Daily trend chart - show Floor 1, Floor 2, Floor 3 with enhanced legend and styling
   // Use combined data but can render with static fallback immediately
+  // Comparison period's daily kWh per floor for the weekly trend ('Floor 1' -> Map of date -> kWh)
+  const comparisonTrendByFloor = useMemo(() => {
+    const byFloor = {};
+    if (!isComparing) return byFloor;
+    (comparisonFloorAnalytics?.floor_analytics || []).forEach(floor => {
+      byFloor[`Floor ${floor.floor}`] = new Map(
+        (floor.daily_trend || []).map(day => [day.date, (parseFloat(day.total_energy) || 0) / 1000])
+      );
+    });
+    return byFloor;
+  }, [isComparing, comparisonFloorAnalytics]);
+
   const dailyTrendData = useMemo(() => {
     const labels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
     const datasets = [];
+    const comparisonTrendLabel = (floorName) => `${floorName}, ${describeOffset(comparisonOffset)}`;
     
     // Enhanced floor colors with better contrast and visual appeal
     const floorColors = [
@@ -861,6 +1147,88 @@ const Dashboard = ({ statistics, units, filters }) => {
       }  // Floor 3 - Orange
     ];
     
+    // With readings available: the 7 days to the forecast date per floor, then a 7-day
+    // forecast (dashed) with its 80% range shaded
+    if (hasTrendForecast) {
+      const { asOf } = forecast;
+      const trendDates = [
+        ...Array.from({ length: 6 }, (_, i) => format(subDays(parseISO(asOf), 6 - i), 'yyyy-MM-dd')),
+        asOf,
+        ...Array.from({ length: 7 }, (_, i) => format(addDays(parseISO(asOf), i + 1), 'yyyy-MM-dd'))
+      ];
+
+      forecast.floors.forEach((floorForecast, index) => {
+        const colors = floorColors[index % floorColors.length];
+        const floorName = `Floor ${floorForecast.floor}`;
+        const actualByDate = new Map(floorForecast.history.map(day => [day.date, day.kwh]));
+        const forecastByDate = new Map(floorForecast.days.map(day => [day.date, day]));
+        const { today } = floorForecast;
+        // A finished forecast day is actual and anchors the forecast line; an unfinished one shows its projected total
+        if (today.lastHour === 23) {
+          actualByDate.set(asOf, today.actual);
+          forecastByDate.set(asOf, { value: today.actual, lower: today.actual, upper: today.actual });
+        } else {
+          forecastByDate.set(asOf, { value: today.total, lower: today.lower, upper: today.upper });
+        }
+        const forecastField = (field) => trendDates.map(date => forecastByDate.get(date)?.[field] ?? null);
+
+        datasets.push({
+          label: floorName,
+          data: trendDates.map(date => (actualByDate.has(date) ? parseFloat(actualByDate.get(date).toFixed(2)) : null)),
+          borderColor: colors.border,
+          backgroundColor: colors.fill,
+          borderWidth: 3,
+          fill: false,
+          tension: 0.4,
+          pointRadius: 5,
+          pointHoverRadius: 8,
+          pointBackgroundColor: colors.pointBackground,
+          pointBorderColor: colors.pointBorder,
+          pointBorderWidth: 2
+        });
+        // The 7 actual days lined up with the same days of the comparison period
+        const comparisonByDate = comparisonTrendByFloor[floorName];
+        if (comparisonByDate) {
+          datasets.push(comparisonTrendDataset(
+            comparisonTrendLabel(floorName),
+            colors.border,
+            trendDates.map((date, i) => (i < 7 ? comparisonByDate.get(format(subDays(parseISO(date), comparisonOffset), 'yyyy-MM-dd')) ?? null : null))
+          ));
+        }
+        datasets.push({
+          label: `${floorName} forecast`,
+          data: forecastField('value'),
+          borderColor: colors.border,
+          backgroundColor: colors.border,
+          borderWidth: 2,
+          borderDash: [6, 4],
+          fill: false,
+          tension: 0.4,
+          pointRadius: 3
+        });
+        datasets.push({
+          label: `${floorName} forecast upper`,
+          data: forecastField('upper'),
+          borderColor: 'transparent',
+          pointRadius: 0,
+          fill: false
+        });
+        datasets.push({
+          label: `${floorName} forecast lower`,
+          data: forecastField('lower'),
+          borderColor: 'transparent',
+          backgroundColor: colors.fill,
+          pointRadius: 0,
+          fill: '-1'
+        });
+      });
+
+      return {
+        labels: trendDates.map(date => format(parseISO(date), 'EEE MM/dd')),
+        datasets
+      };
+    }
+
     // Get floor data from apiDashboardData (API) or use static fallback
     const floorData = apiDashboardData?.dailyTrendPerFloor || {};
     
@@ -884,6 +1252,10 @@ const Dashboard = ({ statistics, units, filters }) => {
           pointStyle: 'circle',
           spanGaps: false
         });
+        const comparisonByDate = comparisonTrendByFloor[floorName];
+        if (comparisonByDate) {
+          datasets.push(comparisonTrendDataset(comparisonTrendLabel(floorName), floorColors[index].border, toWeekdayValues(comparisonByDate)));
+        }
       } else {
         // Fallback: use static trend if no floor-specific data (renders immediately)
         if (index === 0 && staticDashboardData.dailyTrend && staticDashboardData.dailyTrend.length > 0) {
@@ -924,7 +1296,20 @@ const Dashboard = ({ statistics, units, filters }) => {
       labels,
       datasets
     };
-  }, [apiDashboardData, staticDashboardData]);
+  }, [apiDashboardData, staticDashboardData, forecast, hasTrendForecast, comparisonTrendByFloor, comparisonOffset]);
+
+  // Weekly trend in the display metric - every point is one day's kWh
+  const trendChartData = useMemo(() => {
+    if (displayMetric === 'kwh') return dailyTrendData;
+    const dayPricing = { tariff: pricing.tariff, days: 1 };
+    return {
+      ...dailyTrendData,
+      datasets: dailyTrendData.datasets.map(dataset => ({
+        ...dataset,
+        data: dataset.data.map(value => (value === null ? null : toDisplayMetric(value, displayMetric, { pricing: dayPricing, emission })))
+      }))
+    };
+  }, [dailyTrendData, displayMetric, pricing, emission]);
   
   // Enhanced chart options specifically for the weekly trend chart
   const weeklyTrendChartOptions = useMemo(() => ({
@@ -947,7 +1332,9 @@ const Dashboard = ({ statistics, units, filters }) => {
           usePointStyle: true,
           pointStyle: 'circle',
           boxWidth: 12,
-          boxHeight: 12
+          boxHeight: 12,
+          // The forecast range bands are shading only
+          filter: (item) => !isForecastBand(item.text)
         }
       },
       tooltip: {
@@ -958,14 +1345,14 @@ const Dashboard = ({ statistics, units, filters }) => {
         bodyFont: { size: 12 },
         padding: 12,
         displayColors: true,
+        filter: (item) => !isForecastBand(item.dataset.label),
         callbacks: {
           title: function(context) {
-            return `Week of ${dateContext}`;
+            return hasTrendForecast ? context[0]?.label : `Week of ${dateContext}`;
           },
           label: function(context) {
             const label = context.dataset.label || '';
-            const value = context.parsed.y;
-            return `${label}: ${value.toFixed(2)} kWh`;
+            return `${label}: ${formatDisplayMetric(context.parsed.y, displayMetric)}`;
           },
           labelColor: function(context) {
             return {
@@ -990,7 +1377,7 @@ const Dashboard = ({ statistics, units, filters }) => {
         },
         title: {
           display: true,
-          text: 'Day of Week',
+          text: hasTrendForecast ? 'Date' : 'Day of Week',
           font: { size: 12, weight: 'bold' },
           color: '#374151',
           padding: { top: 10 }
@@ -1007,12 +1394,12 @@ const Dashboard = ({ statistics, units, filters }) => {
           color: '#6b7280',
           padding: 10,
           callback: function(value) {
-            return value.toFixed(1) + ' kWh';
+            return formatDisplayMetric(value, displayMetric);
           }
         },
         title: {
           display: true,
-          text: 'Consumption (kWh)',
+          text: getDisplayMetricLabel(displayMetric),
           font: { size: 12, weight: 'bold' },
           color: '#374151',
           padding: { bottom: 10 }
@@ -1020,14 +1407,53 @@ const Dashboard = ({ statistics, units, filters }) => {
         beginAtZero: true
       }
     }
-  }), [dateContext]);
+  }), [dateContext, hasTrendForecast, displayMetric]);
 
   return (
     <div className="space-y-6">
       {/* Date Selector removed per request */}
 
+      <DataStatusBanner
+        errors={[...apiErrors, virtualError, comparisonError, comparisonFloorMetricsError, comparisonTrendError]}
+        isEmpty={hasNoReadings}
+        fallbackError={fallbackError}
+      />
+
+      {virtualMeter && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg px-4 py-3 text-sm text-blue-800">
+          <i className="fas fa-project-diagram mr-2"></i>
+          Showing virtual meter <span className="font-medium">{virtualMeter.name}</span> ({virtualMeter.formula}) in the peak hours chart
+          and the per-hour and per-minute drill-down. Cards, floor and unit charts cover all floors, and live
+          monitoring is off until a floor is picked.
+        </div>
+      )}
+
+      {/* Period-over-period comparison */}
+      {!liveMode && (
+        <ComparisonToggle
+          comparison={comparison}
+          onChange={setComparison}
+          period={currentPeriod}
+          comparisonPeriod={comparisonPeriod}
+          loading={isComparing && comparisonLoading}
+        />
+      )}
+
       {/* Statistics Cards */}
-      <StatisticsCards statistics={displayStatistics} summary={summary} filters={filters} hourlyData={hourlyData} />
+      <StatisticsCards
+        statistics={displayStatistics}
+        summary={summary}
+        filters={filters}
+        hourlyData={hourlyData}
+        forecast={forecast?.total || null}
+        comparison={isComparing ? { label: comparisonLabel, summary: comparisonSummary, hourlyData: comparisonHourlyData, date: comparisonTo } : null}
+        live={liveMode ? { status: live.status, ...live.stats } : null}
+      />
+
+      {/* Live per-second window */}
+      {liveMode && (
+        <TimeIntervalCharts showOnly="per-second" floor={apiFilters.floor} site={apiFilters} liveReadings={live.readings} liveStatus={live.status} />
+      )}
 
       {/* Power Plant Overview Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -1036,7 +1462,7 @@ const Dashboard = ({ statistics, units, filters }) => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-500">Total Branches</p>
-              <p className="text-3xl font-bold text-gray-900 mt-2">{powerPlantData.branches.length}</p>
+              <p className="text-3xl font-bold text-gray-900 mt-2">{hierarchy.branches.length}</p>
             </div>  
             <div className="w-12 h-12 rounded-full bg-indigo-100 flex items-center justify-center">
               <i className="fas fa-code-branch text-indigo-600 text-xl"></i>
@@ -1049,7 +1475,7 @@ const Dashboard = ({ statistics, units, filters }) => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-500">Total Buildings</p>
-              <p className="text-3xl font-bold text-gray-900 mt-2">{powerPlantData.buildings.length}</p>
+              <p className="text-3xl font-bold text-gray-900 mt-2">{hierarchy.buildings.length}</p>
             </div>
             <div className="w-12 h-12 rounded-full bg-blue-100 flex items-center justify-center">
               <i className="fas fa-building text-blue-600 text-xl"></i>
@@ -1062,7 +1488,7 @@ const Dashboard = ({ statistics, units, filters }) => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-500">Total Floors</p>
-              <p className="text-3xl font-bold text-gray-900 mt-2">{powerPlantData.floors.length}</p>
+              <p className="text-3xl font-bold text-gray-900 mt-2">{hierarchy.floors.length}</p>
             </div>
             <div className="w-12 h-12 rounded-full bg-purple-100 flex items-center justify-center">
               <i className="fas fa-layer-group text-purple-600 text-xl"></i>
@@ -1076,28 +1502,35 @@ const Dashboard = ({ statistics, units, filters }) => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Consumption by Equipment Type */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-          <div className="border-b border-gray-200 px-6 py-4">
-            <h3 className="text-lg font-semibold text-gray-900">Consumption by Equipment Type</h3>
-            <p className="text-gray-600 text-sm mt-1">Energy usage breakdown by equipment type • {dateContext}</p>
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Consumption by Equipment Type</h3>
+              <p className="text-gray-600 text-sm mt-1">Energy usage breakdown by equipment type • {dateContext}</p>
+            </div>
+            <ExportButtons title="Consumption by Equipment Type" filters={filters} dateContext={dateContext} chartRef={equipmentChartRef} />
           </div>
           <div className="p-6">
             <div className="chart-container" style={{ height: '300px' }}>
-              <Bar data={equipmentTypeData} options={chartOptions} />
+              <Bar ref={equipmentChartRef} data={equipmentTypeData} options={chartOptions} />
             </div>
           </div>
         </div>
 
         {/* Floor Comparison */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-          <div className="border-b border-gray-200 px-6 py-4">
-            <h3 className="text-lg font-semibold text-gray-900">Floor Comparison</h3>
-            <p className="text-gray-600 text-sm mt-1">
-              Energy consumption by floor ({granularity} view) • {dateContext}
-            </p>
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Floor Comparison</h3>
+              <p className="text-gray-600 text-sm mt-1">
+                Energy consumption by floor ({granularity} view) • {dateContext}
+                {isComparing && ` • gray: ${comparisonLabel}`}
+              </p>
+            </div>
+            <ExportButtons title="Floor Comparison" filters={filters} dateContext={dateContext} chartRef={floorChartRef} />
           </div>
           <div className="p-6">
             <div className="chart-container" style={{ height: '300px' }}>
-              <Bar data={floorComparisonData} options={chartOptions} />
+              <Bar ref={floorChartRef} data={floorComparisonData} options={chartOptions} />
             </div>
           </div>
         </div>
@@ -1108,46 +1541,195 @@ const Dashboard = ({ statistics, units, filters }) => {
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Branch Comparison */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-            <div className="border-b border-gray-200 px-6 py-4">
-              <h3 className="text-lg font-semibold text-gray-900">Branch Comparison</h3>
-              <p className="text-gray-600 text-sm mt-1">Energy consumption across branches</p>
+            <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Branch Comparison</h3>
+                <p className="text-gray-600 text-sm mt-1">Energy consumption across branches</p>
+              </div>
+              <ExportButtons title="Branch Comparison" filters={filters} dateContext={dateContext} chartRef={branchChartRef} />
             </div>
             <div className="p-6">
               <div className="chart-container" style={{ height: '300px' }}>
-                <Bar data={branchComparisonData} options={chartOptions} />
+                <Bar ref={branchChartRef} data={branchComparisonData} options={chartOptions} />
               </div>
             </div>
           </div>
 
           {/* Daily Trend */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-            <div className="border-b border-gray-200 px-6 py-4">
-              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
-                <i className="fas fa-chart-line text-blue-600 mr-2"></i>
-                Weekly Consumption Trend
-              </h3>
-              <p className="text-gray-600 text-sm mt-1">Last 7 days consumption pattern by floor</p>
+            <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <i className="fas fa-chart-line text-blue-600 mr-2"></i>
+                  Weekly Consumption Trend
+                </h3>
+                <p className="text-gray-600 text-sm mt-1">
+                  {hasTrendForecast
+                    ? `Last 7 days by floor to ${forecast.asOf}, then a 7-day forecast (dashed, 80% range shaded)`
+                    : 'Last 7 days consumption pattern by floor'}
+                  {isComparing && ` • dotted: ${describeOffset(comparisonOffset)}`}
+                </p>
+              </div>
+              <ExportButtons title="Weekly Consumption Trend" filters={filters} dateContext={dateContext} chartRef={trendChartRef} />
             </div>
             <div className="p-6">
               <div className="chart-container" style={{ height: '350px' }}>
-                <Line data={dailyTrendData} options={weeklyTrendChartOptions} />
+                <Line ref={trendChartRef} data={trendChartData} options={weeklyTrendChartOptions} />
               </div>
             </div>
           </div>
         </div>
       )}
 
+      {/* Peak Hours & Consumption Anomalies */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <i className="fas fa-clock text-yellow-600 mr-2"></i>
+                Peak Hours
+              </h3>
+              <p className="text-gray-600 text-sm mt-1">
+                {virtualMeter ? (
+                  <>Energy by hour of day • {virtualMeter.name} • {dateContext}</>
+                ) : (
+                  <>
+                    Energy by hour of day • {dateContext} • <span className="text-red-600">▲</span> marks hours with consumption anomalies
+                    {isComparing && ` • dashed: ${comparisonLabel}`}
+                  </>
+                )}
+              </p>
+            </div>
+            <ExportButtons
+              title="Peak Hours"
+              filters={filters}
+              dateContext={dateContext}
+              chartRef={peakHoursChartRef}
+              excludeDatasets={['Anomalies']}
+            />
+          </div>
+          <div className="p-6">
+            <div className="chart-container" style={{ height: '350px' }}>
+              <Bar
+                ref={peakHoursChartRef}
+                data={peakHoursChartData}
+                options={{
+                  ...chartOptions,
+                  plugins: {
+                    ...chartOptions.plugins,
+                    tooltip: {
+                      ...chartOptions.plugins.tooltip,
+                      callbacks: {
+                        ...chartOptions.plugins.tooltip.callbacks,
+                        label: (context) => {
+                          if (context.dataset.label !== 'Anomalies') {
+                            return `${context.dataset.label}: ${context.parsed.y.toLocaleString()}`;
+                          }
+                          return (anomaliesByHour[parseInt(context.label, 10)] || []).map(anomaly =>
+                            `Floor ${anomaly.floor} on ${anomaly.date}: ${anomaly.value.toFixed(2)} kWh (expected ${anomaly.expected.toFixed(2)} kWh)`
+                          );
+                        },
+                        // Change from the comparison period at this hour
+                        footer: (items) => {
+                          const current = items.find(item => item.dataset.type !== 'line');
+                          const previous = items.find(item => item.dataset.label === `${comparisonLabel} (Wh)`);
+                          if (!current || !previous) return '';
+                          return `Change: ${formatDelta(getDelta(current.parsed.y, previous.parsed.y), value => `${Math.round(value).toLocaleString()} Wh`)}`;
+                        }
+                      }
+                    }
+                  }
+                }}
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Anomaly alert list */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <i className="fas fa-bell text-red-600 mr-2"></i>
+                Consumption Anomalies
+              </h3>
+              <p className="text-gray-600 text-sm mt-1">Hours outside each floor's usual range for that hour of the week</p>
+            </div>
+            <select
+              value={anomalyMethod}
+              onChange={(e) => setAnomalyMethod(e.target.value)}
+              className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+            >
+              {Object.entries(ANOMALY_METHODS).map(([method, info]) => (
+                <option key={method} value={method}>{info.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="p-4 space-y-2 overflow-y-auto" style={{ maxHeight: '398px' }}>
+            {anomaliesLoading && anomalies.length === 0 ? (
+              <div className="text-sm text-gray-500 p-3">Checking hourly consumption against baselines...</div>
+            ) : anomalies.length === 0 ? (
+              <div className="text-sm text-gray-500 p-3">
+                <i className="fas fa-check-circle text-green-500 mr-2"></i>
+                No consumption anomalies in this period
+              </div>
+            ) : (
+              anomalies.map(anomaly => {
+                const deviation = anomaly.expected > 0 ? ((anomaly.value - anomaly.expected) / anomaly.expected) * 100 : null;
+                return (
+                  <div
+                    key={anomaly.id}
+                    className={`flex items-center justify-between p-3 rounded-lg ${anomaly.severity === 'critical' ? 'bg-red-50' : 'bg-purple-50'}`}
+                  >
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        <i className={`fas fa-arrow-${anomaly.direction === 'high' ? 'up' : 'down'} mr-2 ${anomaly.severity === 'critical' ? 'text-red-600' : 'text-purple-600'}`}></i>
+                        Floor {anomaly.floor}
+                        <span className="ml-2 text-xs font-normal text-gray-500 capitalize">{anomaly.severity}</span>
+                      </p>
+                      <p className="text-xs text-gray-600">
+                        {anomaly.timestamp} • expected {anomaly.expected.toFixed(2)} kWh ({anomaly.baseline.replace(/-/g, ' ')})
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className={`text-sm font-semibold ${anomaly.severity === 'critical' ? 'text-red-600' : 'text-purple-600'}`}>
+                        {anomaly.value.toFixed(2)} kWh
+                      </p>
+                      {deviation !== null && (
+                        <p className="text-xs text-gray-600">{deviation > 0 ? '+' : ''}{deviation.toFixed(0)}%</p>
+                      )}
+                    </div>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Time Interval Drill-down: hour -> minute -> second for one day, starting at its peak hour */}
+      {granularity === 'day' && intervalDate && (
+        <div className="grid grid-cols-1 gap-6">
+          <TimeIntervalCharts floor={apiFilters.floor} site={apiFilters} dateContext={intervalDate} hourContext={intervalHour} virtualMeter={virtualMeter} />
+        </div>
+      )}
+
       {/* Charts Row 3: Cost Breakdown & Top 5 Consuming Units */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Cost Breakdown */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-          <div className="border-b border-gray-200 px-6 py-4">
-            <h3 className="text-lg font-semibold text-gray-900">Cost Breakdown</h3>
-            <p className="text-gray-600 text-sm mt-1">Total cost distribution by equipment type</p>
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Cost Breakdown</h3>
+              <p className="text-gray-600 text-sm mt-1">Total cost distribution by equipment type</p>
+            </div>
+            <ExportButtons title="Cost Breakdown" filters={filters} dateContext={dateContext} chartRef={costChartRef} />
           </div>
           <div className="p-6">
             <div className="chart-container" style={{ height: '300px' }}>
               <Doughnut 
+                ref={costChartRef}
                 data={costBreakdownData} 
                 options={{
                   ...chartOptions,
@@ -1166,16 +1748,26 @@ const Dashboard = ({ statistics, units, filters }) => {
 
         {/* Top 5 Consuming Units - Bar Chart */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-          <div className="border-b border-gray-200 px-6 py-4">
-            <h3 className="text-lg font-semibold text-gray-900">Top 5 Consuming Units</h3>
-            <p className="text-gray-600 text-sm mt-1">Highest energy consuming equipment units</p>
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Top 5 Consuming Units</h3>
+              <p className="text-gray-600 text-sm mt-1">Highest energy consuming equipment units • click a bar for the unit's readings</p>
+            </div>
+            <ExportButtons
+              title="Top 5 Consuming Units"
+              filters={filters}
+              dateContext={dateContext}
+              chartRef={topUnitsChartRef}
+              table={topUnitsTable}
+            />
           </div>
           <div className="p-6">
             {topUnits && topUnits.length > 0 ? (
               <div className="chart-container" style={{ height: '350px' }}>
                 <Bar
+                  ref={topUnitsChartRef}
                   data={{
-                    labels: topUnits.map(u => `₱${parseFloat(u.cost || u.consumption * 10).toFixed(2)}`),
+                    labels: topUnits.map(u => `₱${getUnitCost(u).toFixed(2)}`),
                     datasets: [{
                       label: 'Consumption (kWh)',
                       data: topUnits.map(u => u.consumption),
@@ -1200,6 +1792,9 @@ const Dashboard = ({ statistics, units, filters }) => {
                   options={{
                     ...chartOptions,
                     // Vertical bar chart (default) - better tooltip performance
+                    onClick: (event, elements) => {
+                      if (elements.length > 0) setSelectedUnitId(topUnits[elements[0].index]?.id ?? null);
+                    },
                     animation: {
                       duration: 0 // Disable chart animations for instant rendering
                     },
@@ -1266,8 +1861,8 @@ const Dashboard = ({ statistics, units, filters }) => {
                             }
                             
                             return [
-                              `Consumption: ${ctx.raw.toFixed(2)} kWh`,
-                              `Cost: ₱${parseFloat(unit.cost || unit.consumption * 10).toFixed(2)}`,
+                              `Consumption: ${ctx.raw.toFixed(2)} kWh (${unit.metered ? 'metered' : 'estimated'})`,
+                              `Cost: ₱${getUnitCost(unit).toFixed(2)}`,
                               `${unit.floorName || `Floor ${unit.floorId}`} • ${unit.equipmentType || 'Aggregated'}`
                             ];
                           }
@@ -1500,6 +2095,12 @@ const Dashboard = ({ statistics, units, filters }) => {
           </div>
         </div>
       </div>
+
+      <UnitDetailDrawer
+        unit={displayUnits.find(unit => unit.id === selectedUnitId) || null}
+        filters={filters}
+        onClose={() => setSelectedUnitId(null)}
+      />
     </div>
   );
 };
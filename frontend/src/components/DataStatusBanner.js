@@ -0,0 +1,61 @@
+import React from 'react';
+import { getErrorMessage } from '../utils/apiErrors';
+
+// Visual treatment per error kind - backend down vs bad filter vs other failures
+const KIND_STYLES = {
+  network: { icon: 'fa-plug', classes: 'bg-red-50 border-red-200 text-red-800', title: 'Backend unavailable' },
+  timeout: { icon: 'fa-hourglass-half', classes: 'bg-red-50 border-red-200 text-red-800', title: 'Backend not responding' },
+  validation: { icon: 'fa-filter', classes: 'bg-yellow-50 border-yellow-200 text-yellow-800', title: 'Invalid filter' },
+  http: { icon: 'fa-exclamation-triangle', classes: 'bg-red-50 border-red-200 text-red-800', title: 'Server error' },
+  parse: { icon: 'fa-exclamation-triangle', classes: 'bg-red-50 border-red-200 text-red-800', title: 'Unexpected response' }
+};
+
+const KIND_ORDER = ['network', 'timeout', 'validation', 'http', 'parse'];
+
+const DataStatusBanner = ({ errors = [], isEmpty = false, fallbackError = null }) => {
+  // Show one message per error kind, most severe first
+  const byKind = {};
+  errors.filter(Boolean).forEach(error => {
+    const kind = KIND_STYLES[error.kind] ? error.kind : 'http';
+    if (!byKind[kind]) byKind[kind] = error;
+  });
+  const kinds = KIND_ORDER.filter(kind => byKind[kind]);
+
+  if (kinds.length === 0 && !isEmpty && !fallbackError) return null;
+
+  return (
+    <div className="space-y-2">
+      {kinds.map(kind => (
+        <div key={kind} className={`flex items-start px-4 py-3 border rounded-lg text-sm ${KIND_STYLES[kind].classes}`}>
+          <i className={`fas ${KIND_STYLES[kind].icon} mt-0.5 mr-3`}></i>
+          <div>
+            <p className="font-semibold">{KIND_STYLES[kind].title}</p>
+            <p>{getErrorMessage(byKind[kind])}</p>
+          </div>
+        </div>
+      ))}
+
+      {kinds.length === 0 && isEmpty && (
+        <div className="flex items-start px-4 py-3 border rounded-lg text-sm bg-gray-50 border-gray-200 text-gray-700">
+          <i className="fas fa-database mt-0.5 mr-3"></i>
+          <div>
+            <p className="font-semibold">No data</p>
+            <p>No energy readings were recorded for the selected filters.</p>
+          </div>
+        </div>
+      )}
+
+      {fallbackError && (
+        <div className="flex items-start px-4 py-3 border rounded-lg text-sm bg-blue-50 border-blue-200 text-blue-800">
+          <i className="fas fa-info-circle mt-0.5 mr-3"></i>
+          <div>
+            <p className="font-semibold">Showing sample unit data</p>
+            <p>{getErrorMessage(fallbackError)}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataStatusBanner;
@@ -1,55 +1,115 @@
 import React, { useState } from 'react';
-import { format } from 'date-fns';
+import { format, parseISO, subDays, isBefore, isAfter } from 'date-fns';
 
-const DateRangePicker = ({ defaultText = 'Select Date Range' }) => {
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+// Controlled when onChange is given: dateFrom/dateTo ('yyyy-MM-dd') come from the parent
+// and onChange({ dateFrom, dateTo }) reports the applied range (both null when cleared).
+// minDate/maxDate limit the inputs to the span that has data and anchor the presets on it.
+const DateRangePicker = ({
+  defaultText = 'Select Date Range',
+  dateFrom = null,
+  dateTo = null,
+  minDate = null,
+  maxDate = null,
+  align = 'right',
+  onChange
+}) => {
+  const isControlled = typeof onChange === 'function';
   const [isOpen, setIsOpen] = useState(false);
-  const [startDate, setStartDate] = useState(new Date());
-  const [endDate, setEndDate] = useState(new Date());
-  const [displayText, setDisplayText] = useState(defaultText);
+  const [startDate, setStartDate] = useState(dateFrom ? parseISO(dateFrom) : new Date());
+  const [endDate, setEndDate] = useState(dateTo ? parseISO(dateTo) : new Date());
+  const [localText, setLocalText] = useState(defaultText);
+
+  const formatRange = (start, end) => `${format(start, 'MMM d, yyyy')} - ${format(end, 'MMM d, yyyy')}`;
+
+  const displayText = isControlled
+    ? (dateFrom && dateTo ? formatRange(parseISO(dateFrom), parseISO(dateTo)) : defaultText)
+    : localText;
+
+  const clampDate = (date) => {
+    if (minDate && isBefore(date, parseISO(minDate))) return parseISO(minDate);
+    if (maxDate && isAfter(date, parseISO(maxDate))) return parseISO(maxDate);
+    return date;
+  };
+
+  const handleToggle = () => {
+    // Start editing from the applied range
+    if (!isOpen && isControlled && dateFrom && dateTo) {
+      setStartDate(parseISO(dateFrom));
+      setEndDate(parseISO(dateTo));
+    }
+    setIsOpen(!isOpen);
+  };
 
   const handleDateSelect = (start, end) => {
-    setStartDate(start);
-    setEndDate(end);
-    setDisplayText(`${format(start, 'MMM d, yyyy')} - ${format(end, 'MMM d, yyyy')}`);
+    // Accept the range in either order
+    const [from, to] = isAfter(start, end) ? [end, start] : [start, end];
+    setStartDate(from);
+    setEndDate(to);
+    if (isControlled) {
+      onChange({ dateFrom: toDateString(from), dateTo: toDateString(to) });
+    } else {
+      setLocalText(formatRange(from, to));
+    }
     setIsOpen(false);
   };
 
+  const handleClear = () => {
+    onChange({ dateFrom: null, dateTo: null });
+    setIsOpen(false);
+  };
+
+  const handleInputChange = (setter) => (e) => {
+    if (e.target.value) setter(parseISO(e.target.value));
+  };
+
+  // Presets count back from the latest day with data when known, otherwise from today
+  const anchor = maxDate ? parseISO(maxDate) : new Date();
   const presetRanges = [
     {
-      label: 'Today',
-      start: new Date(),
-      end: new Date()
+      label: maxDate ? 'Latest Day' : 'Today',
+      start: anchor,
+      end: anchor
     },
     {
-      label: 'Yesterday',
-      start: new Date(Date.now() - 86400000),
-      end: new Date(Date.now() - 86400000)
+      label: maxDate ? 'Previous Day' : 'Yesterday',
+      start: subDays(anchor, 1),
+      end: subDays(anchor, 1)
     },
     {
       label: 'Last 7 Days',
-      start: new Date(Date.now() - 6 * 86400000),
-      end: new Date()
+      start: clampDate(subDays(anchor, 6)),
+      end: anchor
     },
     {
       label: 'Last 30 Days',
-      start: new Date(Date.now() - 29 * 86400000),
-      end: new Date()
+      start: clampDate(subDays(anchor, 29)),
+      end: anchor
     }
   ];
 
+  if (minDate && maxDate) {
+    presetRanges.push({
+      label: 'All Data',
+      start: parseISO(minDate),
+      end: parseISO(maxDate)
+    });
+  }
+
   return (
     <div className="relative">
-      <div 
+      <div
         className="date-range-picker flex items-center"
-        onClick={() => setIsOpen(!isOpen)}
+        onClick={handleToggle}
       >
         <i className="far fa-calendar-alt mr-2 text-gray-500"></i>
-        <span>{displayText}</span>
+        <span className="flex-1 truncate">{displayText}</span>
         <i className="fas fa-chevron-down ml-2 text-gray-500"></i>
       </div>
-      
+
       {isOpen && (
-        <div className="absolute right-0 mt-2 bg-white border border-gray-200 rounded-lg shadow-lg z-50 p-4 min-w-[250px]">
+        <div className={`absolute ${align === 'left' ? 'left-0' : 'right-0'} mt-2 bg-white border border-gray-200 rounded-lg shadow-lg z-50 p-4 min-w-[250px]`}>
           <div className="space-y-2">
             <h4 className="font-medium text-gray-900 mb-2">Quick Select</h4>
             {presetRanges.map((range, index) => (
@@ -68,8 +128,10 @@ const DateRangePicker = ({ defaultText = 'Select Date Range' }) => {
                 <label className="text-xs text-gray-600 mb-1 block">Start Date</label>
                 <input
                   type="date"
-                  value={format(startDate, 'yyyy-MM-dd')}
-                  onChange={(e) => setStartDate(new Date(e.target.value))}
+                  value={toDateString(startDate)}
+                  min={minDate || undefined}
+                  max={maxDate || undefined}
+                  onChange={handleInputChange(setStartDate)}
                   className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
                 />
               </div>
@@ -77,8 +139,10 @@ const DateRangePicker = ({ defaultText = 'Select Date Range' }) => {
                 <label className="text-xs text-gray-600 mb-1 block">End Date</label>
                 <input
                   type="date"
-                  value={format(endDate, 'yyyy-MM-dd')}
-                  onChange={(e) => setEndDate(new Date(e.target.value))}
+                  value={toDateString(endDate)}
+                  min={minDate || undefined}
+                  max={maxDate || undefined}
+                  onChange={handleInputChange(setEndDate)}
                   className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
                 />
               </div>
@@ -88,14 +152,22 @@ const DateRangePicker = ({ defaultText = 'Select Date Range' }) => {
               >
                 Apply
               </button>
+              {isControlled && dateFrom && dateTo && (
+                <button
+                  onClick={handleClear}
+                  className="w-full px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+                >
+                  Clear Range
+                </button>
+              )}
             </div>
           </div>
         </div>
       )}
-      
+
       {isOpen && (
-        <div 
-          className="fixed inset-0 z-40" 
+        <div
+          className="fixed inset-0 z-40"
           onClick={() => setIsOpen(false)}
         ></div>
       )}
@@ -104,4 +176,3 @@ const DateRangePicker = ({ defaultText = 'Select Date Range' }) => {
 };
 
 export default DateRangePicker;
-
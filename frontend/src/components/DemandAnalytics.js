@@ -0,0 +1,293 @@
+import React, { useState, useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { useDemandAnalytics } from '../hooks/useEnergyData';
+import { useTariffs } from '../hooks/useTariffs';
+import { getTariffForDate } from '../utils/tariff';
+import { getSiteFilters, getScopeBranchId } from '../utils/sites';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+// Demand intervals the utility can bill on (minutes)
+const INTERVALS = [15, 30];
+
+const formatKw = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} kW`;
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Colour for how close a demand is to the month's billing peak
+const getHeadroomColor = (percent) => {
+  if (percent >= 95) return 'bg-red-500';
+  if (percent >= 80) return 'bg-yellow-500';
+  return 'bg-green-500';
+};
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: {
+      display: true,
+      position: 'top',
+      labels: { font: { size: 12 }, padding: 20 }
+    },
+    tooltip: {
+      mode: 'index',
+      intersect: false,
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      titleFont: { size: 12 },
+      bodyFont: { size: 12 },
+      padding: 10,
+      callbacks: {
+        label: (context) => `${context.dataset.label}: ${formatKw(context.parsed.y)}`
+      }
+    }
+  },
+  scales: {
+    x: {
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280', maxTicksLimit: 12 }
+    },
+    y: {
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      beginAtZero: true,
+      title: { display: true, text: 'Demand (kW)' }
+    }
+  },
+  interaction: { intersect: false, mode: 'nearest' },
+  elements: { point: { radius: 0, hoverRadius: 5 } }
+};
+
+const DemandAnalytics = ({ filters }) => {
+  const [interval, setDemandInterval] = useState(15);
+  const date = filters.dateTo || filters.date || null;
+  const { demand, loading, error } = useDemandAnalytics({ ...getSiteFilters(filters), date, floor: filters.floor, interval });
+  const { tariffs } = useTariffs();
+
+  const monthPeak = demand?.month_peak || null;
+  const dayPeak = demand?.day_peak || null;
+  const dayPercent = demand?.day_to_month_peak_percent ?? null;
+  const tariff = getTariffForDate(demand?.date || date, tariffs, getScopeBranchId(filters));
+  const demandRate = Number(tariff.demandCharge) || 0;
+
+  const dayChartData = useMemo(() => {
+    const points = demand?.day_demand || [];
+    return {
+      labels: points.map(point => point.time),
+      datasets: [
+        {
+          label: `${interval}-min demand`,
+          data: points.map(point => point.kw),
+          borderColor: '#3b82f6',
+          backgroundColor: 'rgba(59, 130, 246, 0.1)',
+          borderWidth: 2,
+          fill: true,
+          tension: 0.3
+        },
+        {
+          label: 'Month billing peak',
+          data: points.map(() => monthPeak?.kw ?? null),
+          borderColor: '#ef4444',
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          fill: false
+        }
+      ]
+    };
+  }, [demand, monthPeak, interval]);
+
+  const loadDurationData = useMemo(() => {
+    const points = demand?.load_duration || [];
+    return {
+      labels: points.map(point => `${point.percent}%`),
+      datasets: [{
+        label: 'Demand exceeded for % of the month',
+        data: points.map(point => point.kw),
+        borderColor: '#8b5cf6',
+        backgroundColor: 'rgba(139, 92, 246, 0.1)',
+        borderWidth: 2,
+        fill: true,
+        tension: 0.2
+      }]
+    };
+  }, [demand]);
+
+  const floorLabel = filters.floor && filters.floor !== 'all' ? `Floor ${filters.floor}` : 'All floors';
+  const isEmpty = Boolean(demand) && !monthPeak;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex flex-col md:flex-row md:items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Peak Demand</h2>
+          <p className="text-gray-600 mt-1">
+            Rolling {interval}-minute average power for {floorLabel.toLowerCase()}
+            {demand?.month && <span className="text-primary-600"> • Billing month {demand.month}</span>}
+            {demand?.date && <span className="text-primary-600"> • Day {demand.date}</span>}
+          </p>
+        </div>
+        <div className="mt-4 md:mt-0 flex items-center space-x-2">
+          <span className="text-sm text-gray-600">Demand interval</span>
+          {INTERVALS.map(minutes => (
+            <button
+              key={minutes}
+              onClick={() => setDemandInterval(minutes)}
+              className={`px-3 py-1.5 text-sm rounded-lg ${
+                interval === minutes ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {minutes} min
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <DataStatusBanner errors={[error]} isEmpty={isEmpty} />
+
+      {loading && !demand && <LoadingSpinner message="Calculating demand intervals..." />}
+
+      {monthPeak && (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Month Billing Peak</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatKw(monthPeak.kw)}</p>
+              <p className="text-xs text-gray-500 mt-2">{monthPeak.formatted_datetime}</p>
+              <p className="text-xs text-gray-500">{monthPeak.start.split(' ')[1]} - {monthPeak.end.split(' ')[1]}</p>
+            </div>
+
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Day Peak</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{dayPeak ? formatKw(dayPeak.kw) : '—'}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {dayPeak ? `${dayPeak.start.split(' ')[1]} - ${dayPeak.end.split(' ')[1]}` : 'No readings on this day'}
+              </p>
+            </div>
+
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Day vs Billing Peak</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{dayPercent !== null ? `${dayPercent}%` : '—'}</p>
+              <div className="w-full bg-gray-200 rounded-full h-2 mt-3">
+                <div
+                  className={`h-2 rounded-full ${getHeadroomColor(dayPercent || 0)}`}
+                  style={{ width: `${Math.min(dayPercent || 0, 100)}%` }}
+                ></div>
+              </div>
+              {dayPeak && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {dayPercent >= 100
+                    ? 'This day set the billing peak'
+                    : `${formatKw(monthPeak.kw - dayPeak.kw)} below the billing peak`}
+                </p>
+              )}
+            </div>
+
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Demand Charge (month)</p>
+              <p className="text-2xl font-bold text-primary-600 mt-2">{formatPeso(monthPeak.kw * demandRate)}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {demandRate > 0
+                  ? `${formatPeso(demandRate)}/kW × ${formatKw(monthPeak.kw)} • ${tariff.name}`
+                  : `No demand charge in "${tariff.name}" - set one under Tariffs`}
+              </p>
+            </div>
+          </div>
+
+          {/* Day demand curve */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="border-b border-gray-200 px-6 py-4">
+              <h3 className="text-lg font-semibold text-gray-900">Demand Through the Day</h3>
+              <p className="text-gray-600 text-sm mt-1">
+                {interval}-minute rolling average against the month's billing peak • {demand.date}
+              </p>
+            </div>
+            <div className="p-6">
+              <div className="chart-container" style={{ height: '350px' }}>
+                <Line data={dayChartData} options={chartOptions} />
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Load-duration curve */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4">
+                <h3 className="text-lg font-semibold text-gray-900">Load-Duration Curve</h3>
+                <p className="text-gray-600 text-sm mt-1">
+                  Share of the month's intervals at or above each demand level • {demand.days_with_data} day(s) of data
+                </p>
+              </div>
+              <div className="p-6">
+                <div className="chart-container" style={{ height: '300px' }}>
+                  <Line data={loadDurationData} options={chartOptions} />
+                </div>
+              </div>
+            </div>
+
+            {/* Per-floor peaks */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4">
+                <h3 className="text-lg font-semibold text-gray-900">Peaks by Floor</h3>
+                <p className="text-gray-600 text-sm mt-1">Each floor's own {interval}-minute peak this month and on the day</p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3">Floor</th>
+                      <th className="px-6 py-3">Month Peak</th>
+                      <th className="px-6 py-3">When</th>
+                      <th className="px-6 py-3">Day Peak</th>
+                      <th className="px-6 py-3">% of Month</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(demand.floors || []).map(floor => {
+                      const percent = floor.month_peak && floor.day_peak && floor.month_peak.kw > 0
+                        ? (floor.day_peak.kw / floor.month_peak.kw) * 100
+                        : null;
+                      return (
+                        <tr key={floor.floor} className="bg-white border-b hover:bg-gray-50">
+                          <td className="px-6 py-4 font-medium text-gray-900">Floor {floor.floor}</td>
+                          <td className="px-6 py-4">{floor.month_peak ? formatKw(floor.month_peak.kw) : '—'}</td>
+                          <td className="px-6 py-4 text-gray-600">{floor.month_peak ? floor.month_peak.start : '—'}</td>
+                          <td className="px-6 py-4">{floor.day_peak ? formatKw(floor.day_peak.kw) : '—'}</td>
+                          <td className="px-6 py-4">{percent !== null ? `${percent.toFixed(1)}%` : '—'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DemandAnalytics;
@@ -0,0 +1,440 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { format, parseISO } from 'date-fns';
+import { useFloorAnalytics } from '../hooks/useEnergyData';
+import { useEmissionFactors } from '../hooks/useEmissions';
+import {
+  validateEmissionFactor,
+  calculateEmissions,
+  formatEmissions,
+  getEmissionFactorForDate,
+  describeEmissionFactor
+} from '../utils/emissions';
+import { getSiteFilters } from '../utils/sites';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+import ExportButtons from './ExportButtons';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const FLOOR_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444'];
+
+const cellInputClasses = 'w-full px-2 py-1 border border-gray-300 rounded text-sm';
+
+const formatKwh = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+
+// Keep empty inputs as '' so validation can flag them instead of silently using 0
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+// Floor bars stacked per day against the left axis, running total against the right
+const trendOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: { display: true, position: 'top', labels: { font: { size: 12 }, padding: 20 } },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      padding: 10,
+      callbacks: { label: (context) => `${context.dataset.label}: ${formatEmissions(context.parsed.y)}` }
+    }
+  },
+  scales: {
+    x: {
+      stacked: true,
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280', maxTicksLimit: 16 }
+    },
+    y: {
+      stacked: true,
+      beginAtZero: true,
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      title: { display: true, text: 'Per day (kgCO2e)' }
+    },
+    y1: {
+      position: 'right',
+      beginAtZero: true,
+      grid: { drawOnChartArea: false },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      title: { display: true, text: 'Cumulative (kgCO2e)' }
+    }
+  }
+};
+
+// Scope 2 emissions - daily trend by floor, monthly totals and the grid emission factors
+// Covers the sidebar date range, or every date with readings when none is set
+const Emissions = ({ filters }) => {
+  const { factors, saveEmissionFactors, resetEmissionFactors } = useEmissionFactors();
+  const { floorAnalytics, loading, error } = useFloorAnalytics({
+    ...getSiteFilters(filters),
+    floor: filters.floor,
+    timeGranularity: 'day',
+    weekday: 'all',
+    dateFrom: filters.dateFrom || null,
+    dateTo: filters.dateTo || null
+  });
+
+  // Unsaved factor edits - null shows the saved versions
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const rows = draft || factors;
+  const rowErrors = rows.map(row => validateEmissionFactor(row, rows));
+  const hasErrors = rowErrors.some(errors => errors.length > 0);
+
+  const trendChartRef = useRef(null);
+
+  // kWh and kgCO2e per floor and day - each day at the factor for its year
+  const trend = useMemo(() => {
+    const floors = (floorAnalytics?.floor_analytics || []).filter(item => item.floor > 0);
+    const dates = [...new Set(floors.flatMap(item => (item.daily_trend || []).map(point => point.date)))].sort();
+    const perFloor = floors.map(item => {
+      const byDate = new Map((item.daily_trend || []).map(point => [point.date, (Number(point.total_energy) || 0) / 1000]));
+      return {
+        floor: item.floor,
+        kwh: dates.map(date => byDate.get(date) ?? null),
+        emissions: dates.map(date => (byDate.has(date) ? calculateEmissions(byDate.get(date), { date, factors }) : null))
+      };
+    });
+    const days = dates.map((date, index) => ({
+      date,
+      kwh: perFloor.reduce((sum, item) => sum + (item.kwh[index] || 0), 0),
+      emissions: perFloor.reduce((sum, item) => sum + (item.emissions[index] || 0), 0)
+    }));
+    return { dates, perFloor, days };
+  }, [floorAnalytics, factors]);
+
+  const totals = useMemo(() => ({
+    kwh: trend.days.reduce((sum, day) => sum + day.kwh, 0),
+    emissions: trend.days.reduce((sum, day) => sum + day.emissions, 0),
+    topFloor: trend.perFloor
+      .map(item => ({ floor: item.floor, emissions: item.emissions.reduce((sum, value) => sum + (value || 0), 0) }))
+      .sort((a, b) => b.emissions - a.emissions)[0] || null
+  }), [trend]);
+
+  const trendChartData = useMemo(() => {
+    let cumulative = 0;
+    return {
+      labels: trend.dates.map(date => format(parseISO(date), 'MMM d')),
+      datasets: [
+        {
+          type: 'line',
+          label: 'Cumulative',
+          data: trend.days.map(day => (cumulative += day.emissions)),
+          borderColor: '#374151',
+          backgroundColor: '#374151',
+          borderWidth: 2,
+          tension: 0.3,
+          pointRadius: 1,
+          yAxisID: 'y1'
+        },
+        ...trend.perFloor.map((item, index) => ({
+          type: 'bar',
+          label: `Floor ${item.floor}`,
+          data: item.emissions,
+          backgroundColor: FLOOR_COLORS[index % FLOOR_COLORS.length],
+          borderRadius: 2,
+          stack: 'floors',
+          yAxisID: 'y'
+        }))
+      ]
+    };
+  }, [trend]);
+
+  // Monthly totals with the factor each month was counted at
+  const monthlyTable = useMemo(() => {
+    const months = new Map();
+    trend.days.forEach(day => {
+      const month = day.date.slice(0, 7);
+      const current = months.get(month) || { kwh: 0, emissions: 0 };
+      months.set(month, { kwh: current.kwh + day.kwh, emissions: current.emissions + day.emissions });
+    });
+    return {
+      columns: ['Month', 'Consumption (kWh)', 'Emission Factor (kgCO2e/kWh)', 'Emissions (kgCO2e)'],
+      rows: [...months.entries()].map(([month, values]) => [
+        format(parseISO(`${month}-01`), 'MMMM yyyy'),
+        parseFloat(values.kwh.toFixed(2)),
+        Number(getEmissionFactorForDate(`${month}-01`, factors).factor),
+        parseFloat(values.emissions.toFixed(2))
+      ])
+    };
+  }, [trend, factors]);
+
+  const latestDate = trend.dates[trend.dates.length - 1] || null;
+  const factorInEffect = getEmissionFactorForDate(latestDate, factors);
+  const floorLabel = filters.floor && filters.floor !== 'all' ? `Floor ${filters.floor}` : 'all floors';
+  const periodLabel = trend.dates.length > 0 ? `${trend.dates[0]} to ${latestDate}` : '';
+  const isEmpty = !loading && !error && trend.dates.length === 0;
+
+  const updateRow = (index, changes) => {
+    setDraft(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    setSaveError(null);
+  };
+
+  const handleAdd = () => {
+    const latest = rows[rows.length - 1];
+    setDraft([
+      ...rows,
+      { id: `factor-${Date.now()}`, year: Number(latest?.year || new Date().getFullYear()) + 1, grid: latest?.grid || 'Luzon-Visayas', factor: latest?.factor ?? '', source: '' }
+    ]);
+    setSaveError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      saveEmissionFactors(rows);
+      setDraft(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Replace all emission factors with the default Luzon-Visayas grid factor?')) return;
+    resetEmissionFactors();
+    setDraft(null);
+    setSaveError(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Carbon Emissions</h2>
+        <p className="text-gray-600 mt-1">
+          Scope 2 (location-based) emissions for {floorLabel} from grid electricity
+          {periodLabel && <span className="text-primary-600"> • {periodLabel}</span>}
+        </p>
+        <p className="text-xs text-gray-500 mt-2">
+          Grid factor in effect: {describeEmissionFactor(factorInEffect)} • Switch charts and tables between kWh, ₱ and kgCO2e in the header
+        </p>
+      </div>
+
+      <DataStatusBanner errors={[error]} isEmpty={isEmpty} />
+
+      {loading && trend.dates.length === 0 && <LoadingSpinner message="Loading emissions..." />}
+
+      {trend.dates.length > 0 && (
+        <>
+          {/* Emission Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Total Emissions</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatEmissions(totals.emissions)}</p>
+              <p className="text-xs text-gray-500 mt-2">From {formatKwh(totals.kwh)} over {trend.dates.length} days</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Average per Day</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatEmissions(totals.emissions / trend.dates.length)}</p>
+              <p className="text-xs text-gray-500 mt-2">{formatKwh(totals.kwh / trend.dates.length)} per day</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Highest Floor</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">Floor {totals.topFloor.floor}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {formatEmissions(totals.topFloor.emissions)} • {totals.emissions > 0 ? ((totals.topFloor.emissions / totals.emissions) * 100).toFixed(1) : '0.0'}% of the total
+              </p>
+            </div>
+          </div>
+
+          {/* Emissions trend */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Emissions Trend</h3>
+                <p className="text-gray-600 text-sm mt-1">Daily kgCO2e by floor with the running total</p>
+              </div>
+              <ExportButtons title="Emissions Trend" filters={filters} dateContext={periodLabel} chartRef={trendChartRef} />
+            </div>
+            <div className="p-6">
+              <div className="chart-container" style={{ height: '350px' }}>
+                <Bar ref={trendChartRef} data={trendChartData} options={trendOptions} />
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Monthly totals */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Monthly Emissions</h3>
+              <p className="text-gray-600 text-sm mt-1">For sustainability reporting</p>
+            </div>
+            <ExportButtons title="Monthly Emissions" filters={filters} dateContext={periodLabel} table={monthlyTable} />
+          </div>
+          {monthlyTable.rows.length === 0 ? (
+            <p className="px-6 py-8 text-center text-sm text-gray-500">No readings in this period</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3">Month</th>
+                    <th className="px-6 py-3">Consumption</th>
+                    <th className="px-6 py-3">Factor</th>
+                    <th className="px-6 py-3">Emissions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {monthlyTable.rows.map(([month, kwh, factor, emissions]) => (
+                    <tr key={month} className="bg-white border-b hover:bg-gray-50">
+                      <td className="px-6 py-4 font-medium text-gray-900">{month}</td>
+                      <td className="px-6 py-4">{formatKwh(kwh)}</td>
+                      <td className="px-6 py-4">{factor.toFixed(4)}</td>
+                      <td className="px-6 py-4 font-semibold text-gray-900">{formatEmissions(emissions)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Grid emission factors */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Grid Emission Factors</h3>
+              <p className="text-gray-600 text-sm mt-1">kgCO2e per kWh • each version applies from its year until the next one</p>
+            </div>
+            <button
+              onClick={handleReset}
+              className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Reset to Default
+            </button>
+          </div>
+          <div className="p-6 space-y-4">
+            <table className="w-full text-sm">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="pb-2 pr-2 w-20">Year</th>
+                  <th className="pb-2 pr-2">Grid</th>
+                  <th className="pb-2 pr-2 w-28">Factor</th>
+                  <th className="pb-2 pr-2">Source</th>
+                  <th className="pb-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={row.id}>
+                    <td className="pr-2 py-1">
+                      <input
+                        type="number"
+                        value={row.year}
+                        onChange={(e) => updateRow(index, { year: toNumber(e.target.value) })}
+                        className={cellInputClasses}
+                        aria-label="Year"
+                      />
+                    </td>
+                    <td className="pr-2 py-1">
+                      <input
+                        type="text"
+                        value={row.grid}
+                        onChange={(e) => updateRow(index, { grid: e.target.value })}
+                        className={cellInputClasses}
+                        aria-label="Grid"
+                      />
+                    </td>
+                    <td className="pr-2 py-1">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.0001"
+                        value={row.factor}
+                        onChange={(e) => updateRow(index, { factor: toNumber(e.target.value) })}
+                        className={cellInputClasses}
+                        aria-label="Factor (kgCO2e/kWh)"
+                      />
+                    </td>
+                    <td className="pr-2 py-1">
+                      <input
+                        type="text"
+                        value={row.source || ''}
+                        onChange={(e) => updateRow(index, { source: e.target.value })}
+                        className={cellInputClasses}
+                        aria-label="Source"
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <button
+                        onClick={() => setDraft(rows.filter((_, i) => i !== index))}
+                        disabled={rows.length === 1}
+                        className="text-red-600 hover:text-red-700 disabled:opacity-30"
+                        aria-label="Remove factor"
+                      >
+                        <i className="fas fa-trash-alt"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {hasErrors && (
+              <ul className="text-xs text-red-600 list-disc list-inside">
+                {rowErrors.flatMap((errors, index) => errors.map(message => (
+                  <li key={`${index}-${message}`}>Row {index + 1}: {message}</li>
+                )))}
+              </ul>
+            )}
+            {saveError && <p className="text-xs text-red-600">{saveError}</p>}
+
+            <div className="flex space-x-2">
+              <button
+                onClick={handleAdd}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+              >
+                <i className="fas fa-plus mr-2"></i>
+                Add Year
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={!draft || hasErrors}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+              >
+                Save Factors
+              </button>
+              {draft && (
+                <button
+                  onClick={() => {
+                    setDraft(null);
+                    setSaveError(null);
+                  }}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+                >
+                  Discard
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Emissions;
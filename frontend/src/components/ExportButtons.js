@@ -0,0 +1,54 @@
+import React from 'react';
+import {
+  getExportHeader,
+  chartToTable,
+  toCsv,
+  getExportFileName,
+  downloadCsv,
+  downloadChartPng,
+  downloadTablePng
+} from '../utils/exportData';
+
+const buttonClasses = 'px-2 py-1 text-xs border border-gray-300 text-gray-600 rounded hover:bg-gray-50 disabled:opacity-50';
+
+// "CSV" / "PNG" download buttons for a card header
+// Pass chartRef (a react-chartjs-2 ref) to export a chart, table ({ columns, rows }) to export a
+// table, or both - the table then replaces the chart's own data in the CSV.
+// excludeDatasets: chart dataset labels left out of the CSV (markers, shading)
+const ExportButtons = ({ title, filters, dateContext, chartRef = null, table = null, excludeDatasets = [] }) => {
+  const header = () => getExportHeader({ title, filters, dateContext });
+
+  const getTable = () => {
+    if (table) return table;
+    return chartRef?.current ? chartToTable(chartRef.current, { excludeDatasets }) : null;
+  };
+
+  const handleCsv = () => {
+    const data = getTable();
+    if (!data) return;
+    downloadCsv(getExportFileName(title, 'csv'), toCsv({ header: header(), ...data }));
+  };
+
+  const handlePng = () => {
+    if (chartRef?.current) {
+      downloadChartPng(getExportFileName(title, 'png'), chartRef.current, header());
+      return;
+    }
+    if (table) downloadTablePng(getExportFileName(title, 'png'), table, header());
+  };
+
+  return (
+    <div className="flex items-center space-x-1 shrink-0">
+      <button onClick={handleCsv} className={buttonClasses} title={`Download ${title} as CSV`}>
+        <i className="fas fa-file-csv mr-1"></i>
+        CSV
+      </button>
+      <button onClick={handlePng} className={buttonClasses} title={`Download ${title} as PNG`}>
+        <i className="fas fa-image mr-1"></i>
+        PNG
+      </button>
+    </div>
+  );
+};
+
+export default ExportButtons;
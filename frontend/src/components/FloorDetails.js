@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { Bar, Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -12,9 +12,22 @@ import {
   Legend,
   Filler
 } from 'chart.js';
-import { powerPlantData } from '../data/powerPlantData';
-import { calculateFloorMetrics } from '../utils/filterUtils';
+import { format, parseISO } from 'date-fns';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { calculateFloorMetrics, getUnitCost } from '../utils/filterUtils';
+import { getTariffForDate, describeTariff } from '../utils/tariff';
 import { useFloorAnalytics } from '../hooks/useEnergyData';
+import { calculateEmissions, formatEmissions, getEmissionFactorForDate, describeEmissionFactor } from '../utils/emissions';
+import { getDisplayMetricLabel } from '../utils/displayMetric';
+import { useTariffs } from '../hooks/useTariffs';
+import { useEmissionFactors, useDisplayMetric } from '../hooks/useEmissions';
+import { useBudgetTracking } from '../hooks/useBudgets';
+import { BUDGET_METRICS, BUDGET_STATUSES } from '../utils/budgets';
+import { getScopeBranchId } from '../utils/sites';
+import ExportButtons from './ExportButtons';
+import BudgetBurnDown from './BudgetBurnDown';
+import BudgetStatusBadge from './BudgetStatusBadge';
+import UnitDetailDrawer from './UnitDetailDrawer';
 
 ChartJS.register(
   CategoryScale,
@@ -28,12 +41,34 @@ ChartJS.register(
   Filler
 );
 
-const FloorDetails = ({ units, filters }) => {
+// selectedFloorId: floor whose units are open (held by App and kept in the URL); null shows
+// the top five floors
+const FloorDetails = ({ units, filters, selectedFloorId = null, onSelectFloor }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const unitDetailsRef = useRef(null);
+
   // Fetch floor analytics from backend
   const { floorAnalytics } = useFloorAnalytics(filters);
+  const { tariffs } = useTariffs();
+  const tariff = getTariffForDate(filters.dateTo || filters.date || null, tariffs, getScopeBranchId(filters));
+  const { factors } = useEmissionFactors();
+  const emissionFactor = getEmissionFactorForDate(filters.dateTo || filters.date || null, factors);
+  const { metric: displayMetric } = useDisplayMetric();
+  const { month: budgetMonth, trackers } = useBudgetTracking({ filters });
+  const [budgetMetric, setBudgetMetric] = useState('kwh');
+  const budgetChartRef = useRef(null);
+  // Unit open in the detail drawer - looked up in units so it follows the filters
+  const [selectedUnitId, setSelectedUnitId] = useState(null);
+  const selectedUnit = units.find(unit => unit.id === selectedUnitId) || null;
+
+  // Floor budgets by floor id
+  const floorBudgets = useMemo(
+    () => new Map(trackers.filter(tracker => tracker.budget.scope === 'floor').map(tracker => [tracker.budget.targetId, tracker])),
+    [trackers]
+  );
 
   const floorData = useMemo(() => {
-    let floorsToShow = powerPlantData.floors;
+    let floorsToShow = hierarchy.floors;
 
     // Filter by floor if selected (primary floor filter from sidebar)
     if (filters.floor && filters.floor !== 'all') {
@@ -50,7 +85,53 @@ const FloorDetails = ({ units, filters }) => {
     floorMetrics.sort((a, b) => parseFloat(b.totalConsumption) - parseFloat(a.totalConsumption));
 
     return floorMetrics;
-  }, [units, filters]);
+  }, [hierarchy, units, filters]);
+
+  // What the Floor Details and unit tables show, for CSV / PNG export
+  const floorTable = useMemo(() => ({
+    columns: ['Floor', 'Building', 'Floor Number', 'Units', 'Total (8 Days) kWh', 'Avg per Day (kWh/day)', 'Cost (PHP)', 'Emissions (kgCO2e)', 'Avg per Unit (kWh)', 'Budget Status'],
+    rows: floorData.map(floor => [
+      floor.floorName,
+      floor.buildingName,
+      floor.floorNumber,
+      floor.totalUnits,
+      parseFloat(floor.totalConsumption),
+      parseFloat((parseFloat(floor.totalConsumption) / 8).toFixed(2)),
+      parseFloat(floor.totalCost),
+      parseFloat(calculateEmissions(floor.totalConsumption, { factor: emissionFactor }).toFixed(2)),
+      parseFloat(floor.avgConsumption),
+      floorBudgets.has(floor.floorId) ? BUDGET_STATUSES[floorBudgets.get(floor.floorId).burnDown.status].label : ''
+    ])
+  }), [floorData, emissionFactor, floorBudgets]);
+
+  const getUnitTable = (floor) => ({
+    columns: ['Unit Name', 'Equipment Type', 'Consumption (kWh)', 'Source', 'Cost (PHP)', 'Emissions (kgCO2e)', 'Status', 'Peak Time'],
+    rows: floor.units.map(unit => [
+      unit.name,
+      unit.equipmentType,
+      parseFloat(unit.consumption.toFixed(1)),
+      unit.metered ? 'Metered' : 'Estimated',
+      parseFloat(getUnitCost(unit).toFixed(2)),
+      parseFloat(calculateEmissions(unit.consumption, { factor: emissionFactor }).toFixed(2)),
+      unit.status,
+      unit.peakTime
+    ])
+  });
+
+  const selectedFloor = floorData.find(floor => floor.floorId === selectedFloorId) || null;
+  const unitDetailFloors = selectedFloor ? [selectedFloor] : floorData.slice(0, 5);
+  // Burn-down of the open floor's budget, else of the first floor shown that has one
+  const budgetTracker = floorBudgets.get(selectedFloor?.floorId)
+    || floorData.map(floor => floorBudgets.get(floor.floorId)).find(Boolean)
+    || null;
+  const budgetMonthLabel = format(parseISO(`${budgetMonth}-01`), 'MMMM yyyy');
+
+  // Bring the unit table into view when a floor is picked (including from a shared link)
+  useEffect(() => {
+    if (selectedFloorId !== null && unitDetailsRef.current) {
+      unitDetailsRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [selectedFloorId]);
 
   const chartOptions = {
     responsive: true,
@@ -93,12 +174,19 @@ const FloorDetails = ({ units, filters }) => {
     }
   };
 
+  // Floor's total in the kWh / ₱ / kgCO2e metric picked in the header
+  const toDisplayValue = (floor) => {
+    if (displayMetric === 'cost') return parseFloat(floor.totalCost);
+    if (displayMetric === 'co2') return calculateEmissions(floor.totalConsumption, { factor: emissionFactor });
+    return parseFloat(floor.totalConsumption);
+  };
+
   // Floor comparison chart
   const floorChartData = {
     labels: floorData.slice(0, 10).map(f => `${f.buildingName} - ${f.floorName}`),
     datasets: [{
-      label: 'Consumption (kWh)',
-      data: floorData.slice(0, 10).map(f => parseFloat(f.totalConsumption)),
+      label: getDisplayMetricLabel(displayMetric),
+      data: floorData.slice(0, 10).map(toDisplayValue),
       backgroundColor: '#10b981',
       borderColor: '#059669',
       borderWidth: 1,
@@ -153,6 +241,12 @@ const FloorDetails = ({ units, filters }) => {
                   ? (floorData.reduce((sum, f) => sum + parseFloat(f.totalConsumption), 0) / floorData.length).toFixed(1)
                   : '0.0'} <span className="text-base">kWh</span>
               </p>
+              <p className="text-sm font-medium text-gray-600 mt-1" title={describeEmissionFactor(emissionFactor)}>
+                <i className="fas fa-leaf text-green-600 mr-1"></i>
+                {formatEmissions(floorData.length > 0
+                  ? calculateEmissions(floorData.reduce((sum, f) => sum + parseFloat(f.totalConsumption), 0) / floorData.length, { factor: emissionFactor })
+                  : 0)}
+              </p>
             </div>
             <div className="w-12 h-12 rounded-full bg-green-100 flex items-center justify-center">
               <i className="fas fa-chart-bar text-green-600 text-xl"></i>
@@ -165,7 +259,7 @@ const FloorDetails = ({ units, filters }) => {
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="border-b border-gray-200 px-6 py-4">
           <h3 className="text-lg font-semibold text-gray-900">Top Floors by Consumption</h3>
-          <p className="text-gray-600 text-sm mt-1">Top 10 floors ranked by energy consumption</p>
+          <p className="text-gray-600 text-sm mt-1">Top 10 floors ranked by energy consumption • {getDisplayMetricLabel(displayMetric)}</p>
         </div>
         <div className="p-6">
           <div className="chart-container" style={{ height: '400px' }}>
@@ -176,9 +270,12 @@ const FloorDetails = ({ units, filters }) => {
 
       {/* Floor Details Table */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <h3 className="text-lg font-semibold text-gray-900">Floor Details</h3>
-          <p className="text-gray-600 text-sm mt-1">Comprehensive metrics for each floor</p>
+        <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Floor Details</h3>
+            <p className="text-gray-600 text-sm mt-1">Comprehensive metrics for each floor</p>
+          </div>
+          <ExportButtons title="Floor Details" filters={filters} table={floorTable} />
         </div>
         <div className="overflow-x-auto">
           <table className="w-full text-sm text-left">
@@ -191,7 +288,9 @@ const FloorDetails = ({ units, filters }) => {
                 <th className="px-6 py-3">Total (8 Days) kWh</th>
                 <th className="px-6 py-3">Avg per Day (kWh/day)</th>
                 <th className="px-6 py-3">Cost (PHP)</th>
+                <th className="px-6 py-3">Emissions (kgCO2e)</th>
                 <th className="px-6 py-3">Avg per Unit (kWh)</th>
+                <th className="px-6 py-3">Budget Status</th>
                 <th className="px-6 py-3">Actions</th>
               </tr>
             </thead>
@@ -209,10 +308,23 @@ const FloorDetails = ({ units, filters }) => {
                   <td className="px-6 py-4 font-semibold text-primary-600">
                     ₱{parseFloat(floor.totalCost).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                   </td>
+                  <td className="px-6 py-4">{formatEmissions(calculateEmissions(floor.totalConsumption, { factor: emissionFactor }))}</td>
                   <td className="px-6 py-4">{floor.avgConsumption} kWh</td>
                   <td className="px-6 py-4">
-                    <button className="px-3 py-1 bg-primary-100 text-primary-700 rounded text-sm hover:bg-primary-200">
-                      View Units
+                    {floorBudgets.has(floor.floorId)
+                      ? <BudgetStatusBadge tracker={floorBudgets.get(floor.floorId)} showDate />
+                      : <span className="text-gray-400">—</span>}
+                  </td>
+                  <td className="px-6 py-4">
+                    <button
+                      onClick={() => onSelectFloor(floor.floorId === selectedFloorId ? null : floor.floorId)}
+                      className={`px-3 py-1 rounded text-sm ${
+                        floor.floorId === selectedFloorId
+                          ? 'bg-primary-600 text-white hover:bg-primary-700'
+                          : 'bg-primary-100 text-primary-700 hover:bg-primary-200'
+                      }`}
+                    >
+                      {floor.floorId === selectedFloorId ? 'Hide Units' : 'View Units'}
                     </button>
                   </td>
                 </tr>
@@ -222,15 +334,57 @@ const FloorDetails = ({ units, filters }) => {
         </div>
       </div>
 
+      {/* Floor Budget Burn-down */}
+      {budgetTracker && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+                <span>Budget Burn-down • {budgetTracker.label}</span>
+                <BudgetStatusBadge tracker={budgetTracker} />
+              </h3>
+              <p className="text-gray-600 text-sm mt-1">Monthly budget left through {budgetMonthLabel} • edit budgets in the Budgets module</p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <select
+                value={budgetMetric}
+                onChange={(e) => setBudgetMetric(e.target.value)}
+                className="px-2 py-1 text-xs border border-gray-300 rounded bg-white"
+                aria-label="Budget unit"
+              >
+                {Object.entries(BUDGET_METRICS).map(([value, { unit }]) => (
+                  <option key={value} value={value}>{unit}</option>
+                ))}
+              </select>
+              <ExportButtons title={`Budget Burn-down - ${budgetTracker.label}`} filters={filters} dateContext={budgetMonthLabel} chartRef={budgetChartRef} />
+            </div>
+          </div>
+          <div className="p-6">
+            <BudgetBurnDown tracker={budgetTracker} metric={budgetMetric} chartRef={budgetChartRef} height="280px" />
+          </div>
+        </div>
+      )}
+
       {/* Unit Details by Floor */}
-      <div className="space-y-4">
-        {floorData.slice(0, 5).map((floor) => (
+      <div className="space-y-4 scroll-mt-6" ref={unitDetailsRef}>
+        {selectedFloor && (
+          <div className="flex items-center justify-between text-sm text-gray-600">
+            <span>Showing units on {selectedFloor.floorName}</span>
+            <button onClick={() => onSelectFloor(null)} className="text-primary-600 hover:text-primary-700">
+              Show top floors
+            </button>
+          </div>
+        )}
+        {unitDetailFloors.map((floor) => (
           <div key={floor.floorId} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-            <div className="border-b border-gray-200 px-6 py-4">
-              <h3 className="text-lg font-semibold text-gray-900">
-                {floor.buildingName} - {floor.floorName}
-              </h3>
-              <p className="text-gray-600 text-sm mt-1">Unit details and consumption</p>
+            <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {floor.buildingName} - {floor.floorName}
+                </h3>
+                <p className="text-gray-600 text-sm mt-1">Unit details and consumption • click a unit for its readings and status history</p>
+              </div>
+              <ExportButtons title={`${floor.buildingName} ${floor.floorName} Units`} filters={filters} table={getUnitTable(floor)} />
             </div>
             <div className="p-6">
               <div className="overflow-x-auto">
@@ -241,23 +395,34 @@ const FloorDetails = ({ units, filters }) => {
                       <th className="px-4 py-2">Equipment Type</th>
                       <th className="px-4 py-2">Consumption (kWh)</th>
                       <th className="px-4 py-2">Cost (PHP)</th>
+                      <th className="px-4 py-2">Emissions (kgCO2e)</th>
                       <th className="px-4 py-2">Status</th>
                       <th className="px-4 py-2">Peak Time</th>
                     </tr>
                   </thead>
                   <tbody>
                     {floor.units.map((unit) => (
-                      <tr key={unit.id} className="border-b hover:bg-gray-50">
-                        <td className="px-4 py-2 font-medium">{unit.name}</td>
+                      <tr
+                        key={unit.id}
+                        className="border-b hover:bg-gray-50 cursor-pointer"
+                        onClick={() => setSelectedUnitId(unit.id)}
+                      >
+                        <td className="px-4 py-2 font-medium text-primary-600">{unit.name}</td>
                         <td className="px-4 py-2">
                           <span className="px-2 py-1 rounded text-xs bg-blue-100 text-blue-800">
                             {unit.equipmentType}
                           </span>
                         </td>
-                        <td className="px-4 py-2">{unit.consumption.toFixed(1)} kWh</td>
+                        <td className="px-4 py-2">
+                          {unit.consumption.toFixed(1)} kWh
+                          {!unit.metered && (
+                            <span className="ml-1 text-xs text-gray-400" title="Estimated share of the floor - map the unit to a meter channel for real readings">est.</span>
+                          )}
+                        </td>
                         <td className="px-4 py-2 text-primary-600">
-                          ₱{parseFloat(unit.cost || unit.consumption * 10).toFixed(2)}
+                          ₱{getUnitCost(unit).toFixed(2)}
                         </td>
+                        <td className="px-4 py-2">{calculateEmissions(unit.consumption, { factor: emissionFactor }).toFixed(2)}</td>
                         <td className="px-4 py-2">
                           <span className={`px-2 py-1 rounded text-xs ${
                             unit.status === 'operational' ? 'bg-green-100 text-green-800' :
@@ -409,7 +574,9 @@ const FloorDetails = ({ units, filters }) => {
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="border-b border-gray-200 px-6 py-4">
           <h3 className="text-lg font-semibold text-gray-900">Cost Breakdown Per Floor</h3>
-          <p className="text-gray-600 text-sm mt-1">Total cost and cost per unit for each floor</p>
+          <p className="text-gray-600 text-sm mt-1">
+            Total cost and cost per unit for each floor • {tariff.name} ({describeTariff(tariff)})
+          </p>
         </div>
         <div className="p-6">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -459,6 +626,8 @@ const FloorDetails = ({ units, filters }) => {
           </div>
         </div>
       </div>
+
+      <UnitDetailDrawer unit={selectedUnit} filters={filters} onClose={() => setSelectedUnitId(null)} />
     </div>
   );
 };
@@ -0,0 +1,514 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { useFloorPlans } from '../hooks/useFloorPlans';
+import { getChildAssets } from '../utils/assets';
+import {
+  PLAN_IMAGE_TYPES,
+  MAX_PLAN_IMAGE_BYTES,
+  calculateZoneHeat,
+  getHeatColor,
+  getPolygonCenter,
+  getFloorPlan,
+  validateFloorPlan
+} from '../utils/floorPlans';
+import UnitDetailDrawer from './UnitDetailDrawer';
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white';
+
+const STATUS_PINS = {
+  operational: 'bg-green-500',
+  maintenance: 'bg-yellow-500',
+  critical: 'bg-red-500'
+};
+
+const formatKwh = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 1 })} kWh`;
+const formatIntensity = (value) => (value === null ? '—' : `${value.toFixed(3)} kWh/m²`);
+
+// Position of a click as % of the plan
+const getPlanPoint = (e, element) => {
+  const rect = element.getBoundingClientRect();
+  const clamp = (value) => Math.min(Math.max(value, 0), 100);
+  return {
+    x: parseFloat(clamp(((e.clientX - rect.left) / rect.width) * 100).toFixed(2)),
+    y: parseFloat(clamp(((e.clientY - rect.top) / rect.height) * 100).toFixed(2))
+  };
+};
+
+// Floor plan of one floor of a building - uploaded image with zones colored by kWh / m² and unit pins.
+// Hovering a zone or pin shows its numbers; clicking a pin (or a unit of the selected zone) opens the unit drawer.
+// floorId: floor shown (held by App and kept in the URL) - the building's first floor when null
+// units: units in view from usePowerPlantData (priced, metered or estimated for the period)
+const FloorPlan = ({ building, floorId = null, onSelectFloor, units, filters }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { floorPlans, saveFloorPlan, deleteFloorPlan } = useFloorPlans();
+  const floors = getChildAssets('buildings', building.id, hierarchy);
+  const floor = floors.find(item => item.id === floorId) || floors[0] || null;
+  const savedPlan = floor ? getFloorPlan(floor.id, floorPlans) : null;
+
+  // Unsaved edits of the plan - null shows the saved one
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  // Editing tool: 'zone' adds points to the zone being drawn, 'pin' places pinUnitId
+  const [tool, setTool] = useState(null);
+  const [zonePoints, setZonePoints] = useState([]);
+  const [zoneName, setZoneName] = useState('');
+  const [pinUnitId, setPinUnitId] = useState('');
+  const [hovered, setHovered] = useState(null);
+  const [selectedZoneId, setSelectedZoneId] = useState(null);
+  const [drawerUnitId, setDrawerUnitId] = useState(null);
+  const planRef = useRef(null);
+
+  const isEditing = draft !== null;
+  const plan = draft || savedPlan;
+  const errors = isEditing ? validateFloorPlan(draft, hierarchy) : [];
+  const floorUnits = floor ? getChildAssets('floors', floor.id, hierarchy) : [];
+  const unitsById = useMemo(() => new Map(units.map(unit => [unit.id, unit])), [units]);
+
+  const zones = useMemo(() => calculateZoneHeat(plan, floor, units), [plan, floor, units]);
+  const maxIntensity = Math.max(0, ...zones.map(zone => zone.intensity || 0));
+  const selectedZone = zones.find(zone => zone.id === selectedZoneId) || null;
+
+  const resetEditing = () => {
+    setDraft(null);
+    setSaveError(null);
+    setTool(null);
+    setZonePoints([]);
+    setZoneName('');
+    setPinUnitId('');
+  };
+
+  const handleFloorChange = (e) => {
+    resetEditing();
+    setSelectedZoneId(null);
+    onSelectFloor(Number(e.target.value));
+  };
+
+  const startEdit = () => {
+    setDraft(savedPlan ? { ...savedPlan } : { floorId: floor.id, image: null, imageName: '', zones: [], pins: [] });
+    setSaveError(null);
+  };
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setSaveError(null);
+  };
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!PLAN_IMAGE_TYPES.includes(file.type)) {
+      setSaveError('Upload an SVG, PNG, JPEG or WebP image');
+      return;
+    }
+    if (file.size > MAX_PLAN_IMAGE_BYTES) {
+      setSaveError(`The image is ${(file.size / 1024 / 1024).toFixed(1)} MB - plans are kept in the browser, so the limit is ${MAX_PLAN_IMAGE_BYTES / 1024 / 1024} MB`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => updateDraft({ image: reader.result, imageName: file.name });
+    reader.onerror = () => setSaveError('Could not read the image');
+    reader.readAsDataURL(file);
+  };
+
+  const handlePlanClick = (e) => {
+    if (!isEditing || !tool || !planRef.current) return;
+    const point = getPlanPoint(e, planRef.current);
+    if (tool === 'zone') {
+      setZonePoints(prev => [...prev, point]);
+    } else if (tool === 'pin' && pinUnitId) {
+      const unitId = Number(pinUnitId);
+      updateDraft({ pins: [...draft.pins.filter(pin => pin.unitId !== unitId), { unitId, ...point }] });
+      setPinUnitId('');
+      setTool(null);
+    }
+  };
+
+  const finishZone = () => {
+    const nextId = Math.max(0, ...draft.zones.map(zone => zone.id)) + 1;
+    updateDraft({ zones: [...draft.zones, { id: nextId, name: zoneName.trim(), points: zonePoints }] });
+    setZonePoints([]);
+    setZoneName('');
+    setTool(null);
+  };
+
+  const handleSave = () => {
+    try {
+      saveFloorPlan(draft);
+      resetEditing();
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the floor plan of ${floor.name}? Its zones and pins go with it.`)) return;
+    try {
+      deleteFloorPlan(floor.id);
+      resetEditing();
+      setSelectedZoneId(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const openUnit = (unitId) => {
+    if (unitsById.has(unitId)) setDrawerUnitId(unitId);
+  };
+
+  const showTooltip = (e, content) => {
+    if (!planRef.current) return;
+    setHovered({ ...getPlanPoint(e, planRef.current), content });
+  };
+
+  if (!floor) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-sm text-gray-500">
+        {building.name} has no floors yet. Add them in Asset Hierarchy.
+      </div>
+    );
+  }
+
+  const zoneDraftValid = zoneName.trim() && zonePoints.length >= 3 && !draft?.zones.some(zone => zone.name.toLowerCase() === zoneName.trim().toLowerCase());
+
+  return (
+    <div id="floor-plan" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">{building.name} - Floor Plan</h3>
+            <p className="text-gray-600 mt-1">
+              Zones colored by kWh/m² for the period in view • {floor.area} sqm
+            </p>
+          </div>
+          <div className="mt-4 md:mt-0 flex items-center space-x-2">
+            <select
+              value={floor.id}
+              onChange={handleFloorChange}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              aria-label="Select floor"
+            >
+              {floors.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+            </select>
+            {!isEditing && (
+              <button
+                onClick={startEdit}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium"
+              >
+                <i className={`fas ${savedPlan ? 'fa-pen' : 'fa-upload'} mr-2`}></i>
+                {savedPlan ? 'Edit Plan' : 'Add Plan'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {isEditing && (
+        <div className="border-b border-gray-200 px-6 py-4 bg-gray-50 space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50 cursor-pointer">
+              <i className="fas fa-upload mr-2"></i>
+              {draft.image ? 'Replace Image' : 'Upload Image'}
+              <input type="file" accept={PLAN_IMAGE_TYPES.join(',')} onChange={handleUpload} className="hidden" />
+            </label>
+            {draft.imageName && <span className="text-xs text-gray-500">{draft.imageName}</span>}
+            <button
+              onClick={() => { setTool(tool === 'zone' ? null : 'zone'); setZonePoints([]); }}
+              disabled={!draft.image}
+              className={`px-3 py-2 border rounded-lg text-sm disabled:opacity-50 ${tool === 'zone' ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              <i className="fas fa-draw-polygon mr-2"></i>
+              Draw Zone
+            </button>
+            <select
+              value={pinUnitId}
+              onChange={(e) => { setPinUnitId(e.target.value); setTool(e.target.value ? 'pin' : null); }}
+              disabled={!draft.image}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white disabled:opacity-50"
+              aria-label="Unit to pin"
+            >
+              <option value="">Pin a unit…</option>
+              {floorUnits.map(unit => (
+                <option key={unit.id} value={unit.id}>
+                  {unit.name}{draft.pins.some(pin => pin.unitId === unit.id) ? ' (move)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {tool === 'zone' && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-600">Click the plan to add corners ({zonePoints.length} so far)</span>
+              <input
+                type="text"
+                value={zoneName}
+                onChange={(e) => setZoneName(e.target.value)}
+                placeholder="Zone name"
+                className={`${inputClasses} w-48`}
+              />
+              <button
+                onClick={finishZone}
+                disabled={!zoneDraftValid}
+                className="px-3 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm disabled:opacity-50"
+              >
+                Finish Zone
+              </button>
+              <button
+                onClick={() => setZonePoints(prev => prev.slice(0, -1))}
+                disabled={zonePoints.length === 0}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Undo Point
+              </button>
+            </div>
+          )}
+          {tool === 'pin' && (
+            <p className="text-xs text-gray-600">Click the plan where {floorUnits.find(unit => unit.id === Number(pinUnitId))?.name} is</p>
+          )}
+
+          {(draft.zones.length > 0 || draft.pins.length > 0) && (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {draft.zones.map(zone => (
+                <span key={`zone-${zone.id}`} className="px-2 py-1 bg-white border border-gray-300 rounded">
+                  <i className="fas fa-draw-polygon mr-1 text-gray-500"></i>{zone.name}
+                  <button
+                    onClick={() => updateDraft({ zones: draft.zones.filter(other => other.id !== zone.id) })}
+                    className="ml-2 text-red-500 hover:text-red-700"
+                    aria-label={`Remove zone ${zone.name}`}
+                  >
+                    <i className="fas fa-times"></i>
+                  </button>
+                </span>
+              ))}
+              {draft.pins.map(pin => (
+                <span key={`pin-${pin.unitId}`} className="px-2 py-1 bg-white border border-gray-300 rounded">
+                  <i className="fas fa-map-pin mr-1 text-gray-500"></i>
+                  {floorUnits.find(unit => unit.id === pin.unitId)?.name || `Unit ${pin.unitId}`}
+                  <button
+                    onClick={() => updateDraft({ pins: draft.pins.filter(other => other.unitId !== pin.unitId) })}
+                    className="ml-2 text-red-500 hover:text-red-700"
+                    aria-label="Remove pin"
+                  >
+                    <i className="fas fa-times"></i>
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {[...errors, saveError].filter(Boolean).length > 0 && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {[...errors, saveError].filter(Boolean).map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={errors.length > 0}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+            >
+              Save Plan
+            </button>
+            <button
+              onClick={resetEditing}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+            >
+              Cancel
+            </button>
+            {savedPlan && (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 text-sm"
+              >
+                Delete Plan
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="p-6">
+        {!plan?.image ? (
+          <p className="text-sm text-gray-500">
+            No floor plan for {floor.name} yet. Upload an SVG or image of the floor, then draw its zones and pin its units.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <div
+                ref={planRef}
+                className={`relative border border-gray-300 rounded-lg overflow-hidden select-none ${tool ? 'cursor-crosshair' : ''}`}
+                onClick={handlePlanClick}
+                onMouseLeave={() => setHovered(null)}
+              >
+                <img src={plan.image} alt={`${floor.name} floor plan`} className="block w-full" draggable={false} />
+                <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+                  {zones.map(zone => (
+                    <polygon
+                      key={zone.id}
+                      points={zone.points.map(point => `${point.x},${point.y}`).join(' ')}
+                      fill={getHeatColor(zone.intensity, maxIntensity)}
+                      fillOpacity={selectedZoneId === zone.id ? 0.65 : 0.45}
+                      stroke={selectedZoneId === zone.id ? '#1f2937' : '#374151'}
+                      strokeWidth={selectedZoneId === zone.id ? 0.6 : 0.3}
+                      className={isEditing ? '' : 'cursor-pointer'}
+                      onMouseMove={(e) => showTooltip(e, (
+                        <>
+                          <p className="font-bold mb-1">{zone.name}</p>
+                          <p><span className="text-gray-400">Intensity:</span> {formatIntensity(zone.intensity)}</p>
+                          <p><span className="text-gray-400">Consumption:</span> {formatKwh(zone.consumption)}</p>
+                          <p><span className="text-gray-400">Area:</span> {zone.area.toFixed(1)} m²</p>
+                          <p><span className="text-gray-400">Units:</span> {zone.units.length}</p>
+                        </>
+                      ))}
+                      onMouseLeave={() => setHovered(null)}
+                      onClick={() => !isEditing && setSelectedZoneId(zone.id)}
+                    />
+                  ))}
+                  {zonePoints.length > 0 && (
+                    <polyline
+                      points={zonePoints.map(point => `${point.x},${point.y}`).join(' ')}
+                      fill="rgba(59, 130, 246, 0.2)"
+                      stroke="#2563eb"
+                      strokeWidth="0.4"
+                      strokeDasharray="1,1"
+                    />
+                  )}
+                </svg>
+
+                {zones.map(zone => {
+                  const center = getPolygonCenter(zone.points);
+                  return (
+                    <span
+                      key={`label-${zone.id}`}
+                      className="absolute transform -translate-x-1/2 -translate-y-1/2 px-1.5 py-0.5 bg-white/80 rounded text-xs font-semibold text-gray-900 pointer-events-none"
+                      style={{ left: `${center.x}%`, top: `${center.y}%` }}
+                    >
+                      {zone.name}
+                    </span>
+                  );
+                })}
+
+                {(plan.pins || []).map(pin => {
+                  const unit = unitsById.get(pin.unitId);
+                  const asset = floorUnits.find(item => item.id === pin.unitId);
+                  return (
+                    <button
+                      key={pin.unitId}
+                      type="button"
+                      className={`absolute transform -translate-x-1/2 -translate-y-1/2 w-4 h-4 rounded-full border-2 border-white shadow ${
+                        unit ? STATUS_PINS[unit.status] || 'bg-gray-500' : 'bg-gray-300'
+                      } ${isEditing ? 'pointer-events-none' : ''}`}
+                      style={{ left: `${pin.x}%`, top: `${pin.y}%` }}
+                      aria-label={asset?.name || `Unit ${pin.unitId}`}
+                      onMouseMove={(e) => {
+                        e.stopPropagation();
+                        showTooltip(e, (
+                          <>
+                            <p className="font-bold mb-1">{asset?.name || `Unit ${pin.unitId}`}</p>
+                            {unit ? (
+                              <>
+                                <p><span className="text-gray-400">Consumption:</span> {formatKwh(unit.consumption)}{unit.metered ? '' : ' (est.)'}</p>
+                                <p><span className="text-gray-400">Status:</span> <span className="capitalize">{unit.status}</span></p>
+                                <p className="text-gray-400 mt-1">Click for the unit&apos;s readings</p>
+                              </>
+                            ) : (
+                              <p className="text-gray-400">Hidden by the current filters</p>
+                            )}
+                          </>
+                        ));
+                      }}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        openUnit(pin.unitId);
+                      }}
+                    ></button>
+                  );
+                })}
+
+                {hovered && !tool && (
+                  <div
+                    className="absolute z-20 pointer-events-none bg-gray-900 text-white px-3 py-2 rounded-lg shadow-2xl text-xs min-w-[180px] space-y-0.5"
+                    style={{
+                      left: `${hovered.x}%`,
+                      top: `${hovered.y}%`,
+                      transform: `translate(${hovered.x > 60 ? 'calc(-100% - 12px)' : '12px'}, ${hovered.y > 60 ? 'calc(-100% - 12px)' : '12px'})`
+                    }}
+                  >
+                    {hovered.content}
+                  </div>
+                )}
+              </div>
+
+              {/* Heat scale */}
+              <div className="mt-3 flex items-center space-x-3 text-xs text-gray-600">
+                <span>0</span>
+                <div className="w-40 h-2 rounded" style={{ background: 'linear-gradient(to right, hsl(120, 75%, 45%), hsl(60, 75%, 45%), hsl(0, 75%, 45%))' }}></div>
+                <span>{formatIntensity(maxIntensity)}</span>
+                <span className="text-gray-400">• relative to the hottest zone</span>
+              </div>
+            </div>
+
+            {/* Zones by intensity and the selected zone's units */}
+            <div className="space-y-4">
+              <div>
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Zones</h4>
+                {zones.length === 0 ? (
+                  <p className="text-sm text-gray-500">No zones drawn yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {[...zones].sort((a, b) => (b.intensity || 0) - (a.intensity || 0)).map(zone => (
+                      <li key={zone.id}>
+                        <button
+                          onClick={() => setSelectedZoneId(zone.id)}
+                          className={`w-full px-3 py-2 flex items-center justify-between text-sm text-left ${selectedZoneId === zone.id ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                        >
+                          <span className="flex items-center">
+                            <span className="w-3 h-3 rounded mr-2" style={{ backgroundColor: getHeatColor(zone.intensity, maxIntensity) }}></span>
+                            {zone.name}
+                          </span>
+                          <span className="text-gray-600">{formatIntensity(zone.intensity)}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {selectedZone && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-900 mb-1">{selectedZone.name}</h4>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {formatKwh(selectedZone.consumption)} • {selectedZone.area.toFixed(1)} m²
+                  </p>
+                  {selectedZone.units.length === 0 ? (
+                    <p className="text-sm text-gray-500">No units in view are pinned in this zone.</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {selectedZone.units.map(unit => (
+                        <li key={unit.id}>
+                          <button
+                            onClick={() => openUnit(unit.id)}
+                            className="w-full flex items-center justify-between px-3 py-2 rounded-lg text-sm hover:bg-gray-50"
+                          >
+                            <span className="text-primary-600">{unit.name}</span>
+                            <span className="text-gray-600">{formatKwh(unit.consumption)}{unit.metered ? '' : ' est.'}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <UnitDetailDrawer unit={unitsById.get(drawerUnitId) || null} filters={filters} onClose={() => setDrawerUnitId(null)} />
+    </div>
+  );
+};
+
+export default FloorPlan;
@@ -0,0 +1,315 @@
+import React, { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { format, parseISO, getDaysInMonth } from 'date-fns';
+import { useConsumptionForecast } from '../hooks/useForecast';
+import { useTariffs } from '../hooks/useTariffs';
+import { calculateBill, calculateCost, getTariffForDate } from '../utils/tariff';
+import { getSiteFilters, getScopeBranchId } from '../utils/sites';
+import { FORECAST_METHODS } from '../utils/forecast';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+// Days of history shown before the forecast on the daily chart
+const HISTORY_DAYS = 14;
+
+const formatKwh = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Actual line, dashed forecast line and a shaded 80% band between two hidden lines
+const buildForecastDatasets = (actual, forecast, lower, upper) => [
+  {
+    label: 'Actual',
+    data: actual,
+    borderColor: '#2563eb',
+    backgroundColor: '#2563eb',
+    borderWidth: 2,
+    tension: 0.3,
+    pointRadius: 2
+  },
+  {
+    label: 'Forecast',
+    data: forecast,
+    borderColor: '#7c3aed',
+    backgroundColor: '#7c3aed',
+    borderWidth: 2,
+    borderDash: [6, 4],
+    tension: 0.3,
+    pointRadius: 2
+  },
+  {
+    label: 'Forecast range (upper)',
+    data: upper,
+    borderColor: 'transparent',
+    pointRadius: 0,
+    fill: false
+  },
+  {
+    label: 'Forecast range (lower)',
+    data: lower,
+    borderColor: 'transparent',
+    backgroundColor: 'rgba(124, 58, 237, 0.15)',
+    pointRadius: 0,
+    fill: '-1'
+  }
+];
+
+const isRangeDataset = (label = '') => label.startsWith('Forecast range');
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: {
+      display: true,
+      position: 'top',
+      labels: {
+        font: { size: 12 },
+        padding: 20,
+        filter: (item) => !isRangeDataset(item.text)
+      }
+    },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      titleFont: { size: 12 },
+      bodyFont: { size: 12 },
+      padding: 10,
+      filter: (item) => !isRangeDataset(item.dataset.label),
+      callbacks: {
+        label: (context) => `${context.dataset.label}: ${formatKwh(context.parsed.y)}`
+      }
+    }
+  },
+  scales: {
+    x: {
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280', maxTicksLimit: 16 }
+    },
+    y: {
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      beginAtZero: true,
+      title: { display: true, text: 'Consumption (kWh)' }
+    }
+  }
+};
+
+const Forecast = ({ filters }) => {
+  const asOf = filters.dateTo || filters.date || null;
+  const { forecast, loading, error } = useConsumptionForecast({ ...getSiteFilters(filters), floor: filters.floor, asOf });
+  const { tariffs } = useTariffs();
+
+  const total = forecast?.total || null;
+  const tariff = getTariffForDate(forecast?.asOf || asOf, tariffs, getScopeBranchId(filters));
+  const daysInMonth = forecast ? getDaysInMonth(parseISO(forecast.asOf)) : 30;
+
+  // Full bill for the projected month, and for both ends of the range
+  const monthBill = useMemo(() => {
+    if (!total) return null;
+    const billFor = (kwh) => calculateBill({ kwh, peakKw: total.peakKw, days: daysInMonth, tariff });
+    return { expected: billFor(total.month.total), lower: billFor(total.month.lower), upper: billFor(total.month.upper) };
+  }, [total, daysInMonth, tariff]);
+
+  const hourlyChartData = useMemo(() => {
+    const hours = total?.today.hours || [];
+    const lastHour = total?.today.lastHour ?? -1;
+    // The forecast line starts from the last actual hour so the two connect
+    const anchor = (hour, field) => (hour.hour === lastHour ? hour.actual : hour[field]);
+    return {
+      labels: hours.map(hour => `${String(hour.hour).padStart(2, '0')}:00`),
+      datasets: buildForecastDatasets(
+        hours.map(hour => hour.actual),
+        hours.map(hour => anchor(hour, 'value')),
+        hours.map(hour => anchor(hour, 'lower')),
+        hours.map(hour => anchor(hour, 'upper'))
+      )
+    };
+  }, [total]);
+
+  const dailyChartData = useMemo(() => {
+    if (!total) return { labels: [], datasets: [] };
+    const history = total.history.slice(-HISTORY_DAYS);
+    const isTodayComplete = total.today.lastHour === 23;
+    const points = [
+      ...history.map(day => ({ date: day.date, actual: day.kwh })),
+      // An unfinished today is shown as its projected total
+      isTodayComplete
+        ? { date: total.today.date, actual: total.today.actual, value: total.today.actual, lower: total.today.actual, upper: total.today.actual }
+        : { date: total.today.date, value: total.today.total, lower: total.today.lower, upper: total.today.upper },
+      ...total.days.map(day => ({ date: day.date, value: day.value, lower: day.lower, upper: day.upper }))
+    ];
+    return {
+      labels: points.map(point => format(parseISO(point.date), 'EEE MM/dd')),
+      datasets: buildForecastDatasets(
+        points.map(point => point.actual ?? null),
+        points.map(point => point.value ?? null),
+        points.map(point => point.lower ?? null),
+        points.map(point => point.upper ?? null)
+      )
+    };
+  }, [total]);
+
+  const floorLabel = filters.floor && filters.floor !== 'all' ? `Floor ${filters.floor}` : 'all floors';
+  const isEmpty = !loading && !error && !total;
+  const periodCost = (kwh) => calculateCost(kwh, { tariff, days: daysInMonth });
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Consumption Forecast</h2>
+        <p className="text-gray-600 mt-1">
+          Projected consumption and cost for {floorLabel}
+          {total && (
+            <span className="text-primary-600">
+              {' '}• As of {total.asOf}
+              {total.today.lastHour >= 0 && total.today.lastHour < 23 && ` ${String(total.today.lastHour).padStart(2, '0')}:59`}
+            </span>
+          )}
+        </p>
+        {total && (
+          <p className="text-xs text-gray-500 mt-2">
+            Daily model: {FORECAST_METHODS[total.methods.daily] || '—'} • Hourly model: {FORECAST_METHODS[total.methods.hourly] || 'day complete'} • Shaded bands are 80% ranges
+          </p>
+        )}
+      </div>
+
+      <DataStatusBanner errors={[error]} isEmpty={isEmpty} />
+
+      {loading && !total && <LoadingSpinner message="Building forecast..." />}
+
+      {total && (
+        <>
+          {/* Projection Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Today ({total.today.date})</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatKwh(total.today.total)}</p>
+              <p className="text-lg font-semibold text-primary-600 mt-1">{formatPeso(calculateCost(total.today.total, { tariff, days: 1 }))}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {formatKwh(total.today.actual)} so far + {formatKwh(total.today.forecast)} forecast
+              </p>
+              <p className="text-xs text-gray-500">Range {formatKwh(total.today.lower)} - {formatKwh(total.today.upper)}</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">This Week ({total.week.start} to {total.week.end})</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatKwh(total.week.total)}</p>
+              <p className="text-lg font-semibold text-primary-600 mt-1">{formatPeso(calculateCost(total.week.total, { tariff, days: 7 }))}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {formatKwh(total.week.actual)} so far + {formatKwh(total.week.remaining)} forecast
+              </p>
+              <p className="text-xs text-gray-500">Range {formatKwh(total.week.lower)} - {formatKwh(total.week.upper)}</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">End of Month ({format(parseISO(total.month.end), 'MMMM yyyy')})</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{formatKwh(total.month.total)}</p>
+              <p className="text-lg font-semibold text-primary-600 mt-1" title={`Tariff: ${tariff.name}`}>
+                {formatPeso(monthBill.expected.total)} bill
+              </p>
+              <p className="text-xs text-gray-500 mt-2">
+                {formatKwh(total.month.actual)} so far + {formatKwh(total.month.remaining)} forecast
+              </p>
+              <p className="text-xs text-gray-500">
+                Range {formatPeso(monthBill.lower.total)} - {formatPeso(monthBill.upper.total)}
+              </p>
+            </div>
+          </div>
+
+          {/* Daily forecast */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="border-b border-gray-200 px-6 py-4">
+              <h3 className="text-lg font-semibold text-gray-900">Daily Consumption Forecast</h3>
+              <p className="text-gray-600 text-sm mt-1">
+                Last {Math.min(HISTORY_DAYS, total.history.length)} days of readings and the forecast through {total.days.length ? total.days[total.days.length - 1].date : total.today.date}
+              </p>
+            </div>
+            <div className="p-6">
+              <div className="chart-container" style={{ height: '350px' }}>
+                <Line data={dailyChartData} options={chartOptions} />
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Hourly forecast for today */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4">
+                <h3 className="text-lg font-semibold text-gray-900">Today by Hour</h3>
+                <p className="text-gray-600 text-sm mt-1">
+                  {total.today.lastHour === 23 ? `${total.today.date} is complete` : `Readings so far on ${total.today.date} and the rest of the day`}
+                </p>
+              </div>
+              <div className="p-6">
+                <div className="chart-container" style={{ height: '300px' }}>
+                  <Line data={hourlyChartData} options={chartOptions} />
+                </div>
+              </div>
+            </div>
+
+            {/* Per-floor projections */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4">
+                <h3 className="text-lg font-semibold text-gray-900">Projection by Floor</h3>
+                <p className="text-gray-600 text-sm mt-1">Projected totals with energy cost at {tariff.name}</p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3">Floor</th>
+                      <th className="px-6 py-3">Today</th>
+                      <th className="px-6 py-3">This Week</th>
+                      <th className="px-6 py-3">This Month</th>
+                      <th className="px-6 py-3">Month Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {forecast.floors.map(floor => (
+                      <tr key={floor.floor} className="bg-white border-b hover:bg-gray-50">
+                        <td className="px-6 py-4 font-medium text-gray-900">
+                          Floor {floor.floor}
+                          <p className="text-xs font-normal text-gray-500">{FORECAST_METHODS[floor.methods.daily]}</p>
+                        </td>
+                        <td className="px-6 py-4">{formatKwh(floor.today.total)}</td>
+                        <td className="px-6 py-4">{formatKwh(floor.week.total)}</td>
+                        <td className="px-6 py-4">
+                          {formatKwh(floor.month.total)}
+                          <p className="text-xs text-gray-500">{formatKwh(floor.month.lower)} - {formatKwh(floor.month.upper)}</p>
+                        </td>
+                        <td className="px-6 py-4">{formatPeso(periodCost(floor.month.total))}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Forecast;
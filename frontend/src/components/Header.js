@@ -1,20 +1,110 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import ActiveFilters from './ActiveFilters';
+import NotificationCenter from './NotificationCenter';
+import { useDisplayMetric } from '../hooks/useEmissions';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { useTariffs } from '../hooks/useTariffs';
+import { DISPLAY_METRICS } from '../utils/displayMetric';
+import { getScopeBranchId, getSiteName, getSiteTimezone, getSiteDate, formatSiteTime } from '../utils/sites';
+import { getTariffForDate } from '../utils/tariff';
+
+// How often the site clock is refreshed
+const CLOCK_INTERVAL = 30 * 1000;
+
+// liveUnavailable: why live mode can't be turned on for the current filters (null when it can)
+const Header = ({ filters, onFilterChange, liveMode = false, onLiveModeChange, liveUnavailable = null, onManageAlerts }) => {
+  const { metric, setDisplayMetric } = useDisplayMetric();
+  const { hierarchy } = useAssetHierarchy();
+  const { tariffs } = useTariffs();
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), CLOCK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Site in view - picked here, or implied by the building / floor filters
+  const branchId = getScopeBranchId(filters, hierarchy);
+  const site = hierarchy.branches.find(branch => branch.id === branchId) || null;
+  const siteTariff = site ? getTariffForDate(getSiteDate(branchId, now), tariffs, branchId) : null;
+
+  // Switching site clears the building / floor filters of the previous one
+  const handleSiteChange = (e) => {
+    onFilterChange({ ...filters, branch: e.target.value, building: 'all', floor: 'all' });
+  };
 
-const Header = ({ filters, onFilterChange }) => {
   return (
-    <header className="bg-white border-b border-gray-200 px-8 py-4">
+    <header className="bg-white border-b border-gray-200 px-8 py-4 print:hidden">
       <div className="flex flex-col md:flex-row md:items-center justify-between">
         <div>
-          <h2 className="text-2xl font-bold text-gray-900">Laguna Power Plant Energy Management</h2>
-          <p className="text-gray-600 mt-1">Monitor energy consumption across buildings, floors, and equipment units</p>
+          <h2 className="text-2xl font-bold text-gray-900">{getSiteName(branchId, hierarchy)} Energy Management</h2>
+          {site ? (
+            <p className="text-gray-600 mt-1">
+              {site.location ? `${site.location} • ` : ''}{getSiteTimezone(branchId)} • Tariff: {siteTariff.name}
+            </p>
+          ) : (
+            <p className="text-gray-600 mt-1">Monitor energy consumption across buildings, floors, and equipment units</p>
+          )}
         </div>
         
         <div className="mt-4 md:mt-0 flex items-center space-x-4">
+          {/* Site switcher - scopes every module to one branch */}
+          <div className="flex items-center space-x-2">
+            <select
+              value={filters.branch || 'all'}
+              onChange={handleSiteChange}
+              className="px-3 py-1.5 border border-gray-300 rounded-full text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              aria-label="Select site"
+            >
+              <option value="all">All Sites</option>
+              {hierarchy.branches.map(branch => (
+                <option key={branch.id} value={branch.id}>{branch.name}</option>
+              ))}
+            </select>
+            {site && (
+              <span className="text-sm text-gray-600 whitespace-nowrap" title={`Local time at ${site.name}`}>
+                <i className="far fa-clock mr-1"></i>
+                {formatSiteTime(branchId, now)}
+              </span>
+            )}
+          </div>
+          {onLiveModeChange && (
+            <button
+              onClick={() => onLiveModeChange(!liveMode)}
+              disabled={Boolean(liveUnavailable)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium flex items-center border disabled:opacity-50 ${
+                liveMode
+                  ? 'bg-green-50 text-green-700 border-green-200'
+                  : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+              aria-pressed={liveMode}
+              title={liveUnavailable || (liveMode ? 'Stop live monitoring' : 'Start live monitoring')}
+            >
+              <i className={`fas fa-circle text-[8px] mr-2 ${liveMode ? 'text-green-500 animate-pulse' : 'text-gray-400'}`}></i>
+              Live
+            </button>
+          )}
+          {/* kWh / ₱ / kgCO2e for consumption charts and tables */}
+          <div className="flex rounded-full border border-gray-300 overflow-hidden text-sm" role="group" aria-label="Display metric">
+            {Object.entries(DISPLAY_METRICS).map(([value, option]) => (
+              <button
+                key={value}
+                onClick={() => setDisplayMetric(value)}
+                className={`px-3 py-1.5 font-medium ${
+                  metric === value ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+                aria-pressed={metric === value}
+                title={`Show ${option.title.toLowerCase()}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
           <div className="flex items-center space-x-2">
             <span className="text-sm text-gray-600">Active Filters:</span>
             <ActiveFilters filters={filters} onFilterChange={onFilterChange} />
           </div>
+          <NotificationCenter onManageRules={onManageAlerts} />
         </div>
       </div>
     </header>
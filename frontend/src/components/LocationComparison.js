@@ -1,4 +1,5 @@
 import React from 'react';
+import { getUnitCost } from '../utils/filterUtils';
 
 const LocationComparison = ({ locations, onViewLocation }) => {
   const getStatusColor = (status) => {
@@ -57,7 +58,7 @@ const LocationComparison = ({ locations, onViewLocation }) => {
                   </td>
                   <td className="px-6 py-4 font-medium">{location.consumption.toFixed(1)} kWh</td>
                   <td className="px-6 py-4 font-semibold text-primary-600">
-                    ₱{parseFloat(location.cost || location.consumption * 10).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    ₱{getUnitCost(location).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                   </td>
                   <td className="px-6 py-4">{location.peakTime}</td>
                   <td className="px-6 py-4">
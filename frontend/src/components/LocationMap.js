@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { getUnitCost } from '../utils/filterUtils';
 
 const LocationMap = ({ locations, onLocationClick }) => {
   const [selectedLocation, setSelectedLocation] = useState(null);
@@ -58,7 +59,7 @@ const LocationMap = ({ locations, onLocationClick }) => {
                     backgroundColor: color,
                     boxShadow: `0 0 0 0 ${color}80`
                   }}
-                  title={`${location.name}, ${location.city} - ${location.consumption} kWh (₱${parseFloat(location.cost || location.consumption * 10).toFixed(2)})`}
+                  title={`${location.name}, ${location.city} - ${location.consumption} kWh (₱${getUnitCost(location).toFixed(2)})`}
                   onClick={() => handlePointClick(location)}
                 />
               );
@@ -100,7 +101,7 @@ const LocationMap = ({ locations, onLocationClick }) => {
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">Cost:</span>
                   <span className="text-sm font-semibold text-primary-600">
-                    ₱{parseFloat(selectedLocation.cost || selectedLocation.consumption * 10).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    ₱{getUnitCost(selectedLocation).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -0,0 +1,504 @@
+import React, { useState, useMemo } from 'react';
+import { Bar, Doughnut } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  ArcElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { format, parseISO, endOfMonth, differenceInCalendarDays } from 'date-fns';
+import { useAvailableDates, useFloorAnalytics, useDemandAnalytics } from '../hooks/useEnergyData';
+import { usePowerPlantData } from '../hooks/usePowerPlantData';
+import { useTariffs } from '../hooks/useTariffs';
+import { useBudgetTracking } from '../hooks/useBudgets';
+import { calculateBill, getTariffForDate, describeTariff } from '../utils/tariff';
+import { generateRecommendations } from '../utils/recommendations';
+import { getBudgetFloorIds, getBudgetBranchId } from '../utils/budgets';
+import { DEFAULT_FILTERS } from '../utils/urlState';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { getAssetHierarchy } from '../utils/assets';
+import { getSiteFilters, getScopeBranchId, getSiteFloors, getSiteName } from '../utils/sites';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  ArcElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const FLOOR_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+const TYPE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+
+const PRIORITY_ORDER = ['urgent', 'high', 'medium', 'low'];
+const PRIORITY_BADGES = {
+  urgent: 'bg-red-100 text-red-800',
+  high: 'bg-orange-100 text-orange-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-green-100 text-green-800'
+};
+
+// Recommendations and units listed in the report
+const MAX_RECOMMENDATIONS = 6;
+const TOP_UNITS = 10;
+
+const formatKwh = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatPercent = (value) => `${(Number(value) || 0).toFixed(1)}%`;
+
+// Charts are drawn once without animation so a print never catches them half-drawn
+const barOptions = (stacked) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    legend: { display: stacked, position: 'top', labels: { font: { size: 11 }, boxWidth: 12 } },
+    tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${formatKwh(context.parsed.y)}` } }
+  },
+  scales: {
+    x: { stacked, grid: { display: false }, ticks: { font: { size: 10 }, color: '#6b7280' } },
+    y: {
+      stacked,
+      beginAtZero: true,
+      grid: { color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 10 }, color: '#6b7280' },
+      title: { display: true, text: 'kWh' }
+    }
+  }
+});
+
+const doughnutOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    legend: { position: 'right', labels: { font: { size: 11 }, boxWidth: 12 } },
+    tooltip: { callbacks: { label: (context) => `${context.label}: ${formatKwh(context.parsed)}` } }
+  }
+};
+
+const getFloorName = (floorId) =>
+  getAssetHierarchy().floors.find(f => f.id === parseInt(floorId, 10))?.name || `Floor ${floorId}`;
+
+// Monthly energy report - cover, KPI summary, charts and tables laid out for A4 and printed
+// (or saved as PDF) through the browser print dialog
+const MonthlyReport = ({ filters }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { availableDates, loading: datesLoading } = useAvailableDates();
+  const { tariffs } = useTariffs();
+
+  // Months with readings, newest first
+  const months = useMemo(
+    () => [...new Set(availableDates.map(date => date.slice(0, 7)))].sort().reverse(),
+    [availableDates]
+  );
+
+  const [selectedMonth, setSelectedMonth] = useState(null);
+  const [floor, setFloor] = useState(filters.floor || 'all');
+
+  // Start on the month of the dashboard date when it has readings, otherwise the latest one
+  const filterMonth = (filters.dateTo || filters.date || '').slice(0, 7);
+  const month = selectedMonth || (months.includes(filterMonth) ? filterMonth : months[0]) || format(new Date(), 'yyyy-MM');
+
+  // The report covers the month up to its last day with readings
+  const monthDates = availableDates.filter(date => date.startsWith(month));
+  const dateFrom = `${month}-01`;
+  const monthEnd = format(endOfMonth(parseISO(dateFrom)), 'yyyy-MM-dd');
+  const dateTo = monthDates.length > 0 ? monthDates[monthDates.length - 1] : monthEnd;
+  const days = differenceInCalendarDays(parseISO(dateTo), parseISO(dateFrom)) + 1;
+  const isPartialMonth = dateTo < monthEnd;
+
+  // The report covers the site picked in the header / sidebar
+  const { branch, building } = getSiteFilters(filters);
+  const reportFilters = useMemo(
+    () => ({ ...DEFAULT_FILTERS, branch, building, floor, dateFrom, dateTo }),
+    [branch, building, floor, dateFrom, dateTo]
+  );
+  const branchId = getScopeBranchId(reportFilters);
+  const { units, statistics, loading: unitsLoading, fallbackError } = usePowerPlantData(reportFilters);
+  const { floorAnalytics, loading: floorLoading, error: floorError } = useFloorAnalytics({
+    branch,
+    building,
+    floor,
+    timeGranularity: 'day',
+    weekday: 'all',
+    dateFrom,
+    dateTo
+  });
+  const { demand, error: demandError } = useDemandAnalytics({ date: dateTo, branch, building, floor });
+  const { trackers } = useBudgetTracking({ month });
+  // Budgets covering the reported floor, or the site's budgets for all floors
+  const budgetTrackers = useMemo(() => {
+    if (floor !== 'all') return trackers.filter(tracker => getBudgetFloorIds(tracker.budget).includes(Number(floor)));
+    return branchId ? trackers.filter(tracker => getBudgetBranchId(tracker.budget) === branchId) : trackers;
+  }, [trackers, floor, branchId]);
+
+  const tariff = getTariffForDate(dateTo, tariffs, branchId);
+  const floorLabel = floor === 'all' ? 'All floors' : getFloorName(floor);
+
+  // Per-floor totals and daily readings (the API reports daily energy in Wh)
+  const floors = useMemo(() => (floorAnalytics?.floor_analytics || []).map(item => ({
+    floor: item.floor,
+    name: getFloorName(item.floor),
+    kwh: Number(item.total_energy_kwh) || 0,
+    peakHour: item.peak_hour?.hour ?? null,
+    daily: (item.daily_trend || []).reduce((byDate, day) => ({
+      ...byDate,
+      [day.date]: (Number(day.total_energy) || 0) / 1000
+    }), {})
+  })), [floorAnalytics]);
+
+  const summary = useMemo(() => {
+    const totalKwh = floors.length > 0
+      ? floors.reduce((sum, item) => sum + item.kwh, 0)
+      : Number(statistics.totalConsumption) || 0;
+    const dates = [...new Set(floors.flatMap(item => Object.keys(item.daily)))].sort();
+    const dailyTotals = dates.map(date => ({
+      date,
+      kwh: floors.reduce((sum, item) => sum + (item.daily[date] || 0), 0)
+    }));
+    const peakDay = dailyTotals.reduce((max, day) => (!max || day.kwh > max.kwh ? day : max), null);
+    const monthPeak = demand?.month_peak || null;
+    const bill = calculateBill({ kwh: totalKwh, peakKw: monthPeak?.kw || 0, days, tariff });
+    return {
+      totalKwh,
+      dates,
+      dailyTotals,
+      peakDay,
+      monthPeak,
+      bill,
+      avgDailyKwh: dailyTotals.length > 0 ? totalKwh / dailyTotals.length : 0
+    };
+  }, [floors, statistics.totalConsumption, demand, days, tariff]);
+
+  const dailyChartData = useMemo(() => ({
+    labels: summary.dates.map(date => format(parseISO(date), 'MMM d')),
+    datasets: floors.map((item, index) => ({
+      label: item.name,
+      data: summary.dates.map(date => item.daily[date] || 0),
+      backgroundColor: FLOOR_COLORS[index % FLOOR_COLORS.length]
+    }))
+  }), [floors, summary.dates]);
+
+  const floorChartData = useMemo(() => ({
+    labels: floors.map(item => item.name),
+    datasets: [{
+      label: 'Consumption',
+      data: floors.map(item => item.kwh),
+      backgroundColor: floors.map((_, index) => FLOOR_COLORS[index % FLOOR_COLORS.length])
+    }]
+  }), [floors]);
+
+  const consumptionByType = useMemo(() => {
+    const totals = {};
+    units.forEach(unit => {
+      totals[unit.equipmentType] = (totals[unit.equipmentType] || 0) + unit.consumption;
+    });
+    return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+  }, [units]);
+
+  const typeChartData = useMemo(() => ({
+    labels: consumptionByType.map(([type]) => type),
+    datasets: [{
+      data: consumptionByType.map(([, kwh]) => kwh),
+      backgroundColor: consumptionByType.map((_, index) => TYPE_COLORS[index % TYPE_COLORS.length]),
+      borderWidth: 1
+    }]
+  }), [consumptionByType]);
+
+  const topUnits = useMemo(
+    () => [...units].sort((a, b) => b.consumption - a.consumption).slice(0, TOP_UNITS),
+    [units]
+  );
+
+  const recommendations = useMemo(() => {
+    if (units.length === 0) return [];
+    return generateRecommendations(units, statistics, { date: dateTo, branchId, budgetTrackers })
+      .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority))
+      .slice(0, MAX_RECOMMENDATIONS);
+  }, [units, statistics, dateTo, branchId, budgetTrackers]);
+
+  // The PDF file name comes from the document title in most browsers
+  const handlePrint = () => {
+    const previousTitle = document.title;
+    document.title = `Energy Report ${month} ${floorLabel}`;
+    window.print();
+    document.title = previousTitle;
+  };
+
+  const monthName = format(parseISO(dateFrom), 'MMMM yyyy');
+  const periodLabel = `${format(parseISO(dateFrom), 'MMM d')} - ${format(parseISO(dateTo), 'MMM d, yyyy')}`;
+  const loading = datesLoading || unitsLoading || floorLoading;
+  const isEmpty = !loading && summary.totalKwh === 0 && units.length === 0;
+  const pageClasses = 'report-page bg-white rounded-xl shadow-sm border border-gray-200 p-8 print:shadow-none print:border-0 print:rounded-none print:p-0';
+
+  return (
+    <div className="space-y-6 print:space-y-0">
+      {/* Report parameters - not printed */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 print:hidden">
+        <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Monthly Energy Report</h2>
+            <p className="text-gray-600 mt-1">Choose a month and floor, then print or save the report as PDF</p>
+          </div>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label htmlFor="report-month" className="block text-xs font-medium text-gray-500 mb-1">Month</label>
+              <select
+                id="report-month"
+                value={month}
+                onChange={(e) => setSelectedMonth(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              >
+                {!months.includes(month) && <option value={month}>{monthName}</option>}
+                {months.map(value => (
+                  <option key={value} value={value}>{format(parseISO(`${value}-01`), 'MMMM yyyy')}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="report-floor" className="block text-xs font-medium text-gray-500 mb-1">Floor</label>
+              <select
+                id="report-floor"
+                value={floor}
+                onChange={(e) => setFloor(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              >
+                <option value="all">All Floors</option>
+                {getSiteFloors(filters, hierarchy).map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handlePrint}
+              disabled={loading}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm hover:bg-primary-700 disabled:bg-gray-300"
+            >
+              <i className="fas fa-print mr-2"></i>
+              Print / Save as PDF
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="print:hidden">
+        <DataStatusBanner errors={[floorError, demandError]} isEmpty={isEmpty} fallbackError={fallbackError} />
+      </div>
+
+      {loading && <LoadingSpinner message="Assembling report..." />}
+
+      {!loading && (
+        <>
+          {/* Cover */}
+          <section className={`${pageClasses} flex flex-col justify-between min-h-[40rem] print:min-h-[260mm]`}>
+            <div>
+              <p className="text-sm font-semibold text-primary-600 uppercase tracking-wider">{getSiteName(branchId, hierarchy)}</p>
+              <h1 className="text-4xl font-bold text-gray-900 mt-4">Monthly Energy Report</h1>
+              <p className="text-2xl text-gray-700 mt-2">{monthName}</p>
+              <p className="text-lg text-gray-600 mt-1">{floorLabel}</p>
+            </div>
+            <div className="grid grid-cols-2 gap-6 my-12">
+              <div>
+                <p className="text-sm text-gray-500">Total consumption</p>
+                <p className="text-3xl font-bold text-gray-900">{formatKwh(summary.totalKwh)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Estimated bill</p>
+                <p className="text-3xl font-bold text-primary-600">{formatPeso(summary.bill.total)}</p>
+              </div>
+            </div>
+            <div className="text-sm text-gray-500 space-y-1 border-t border-gray-200 pt-4">
+              <p>Reporting period: {periodLabel} ({days} {days === 1 ? 'day' : 'days'}){isPartialMonth && ' • partial month'}</p>
+              <p>Tariff: {tariff.name} ({describeTariff(tariff)})</p>
+              <p>Generated {format(new Date(), 'MMMM d, yyyy h:mm a')}</p>
+            </div>
+          </section>
+
+          {/* KPI summary */}
+          <section className={pageClasses}>
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Summary</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 report-section">
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs font-medium text-gray-500">Total Consumption</p>
+                <p className="text-xl font-bold text-gray-900 mt-1">{formatKwh(summary.totalKwh)}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs font-medium text-gray-500">Average per Day</p>
+                <p className="text-xl font-bold text-gray-900 mt-1">{formatKwh(summary.avgDailyKwh)}</p>
+                <p className="text-xs text-gray-500">{summary.dailyTotals.length} days with readings</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs font-medium text-gray-500">Peak Demand</p>
+                <p className="text-xl font-bold text-gray-900 mt-1">
+                  {summary.monthPeak ? `${summary.monthPeak.kw.toFixed(2)} kW` : '—'}
+                </p>
+                {summary.monthPeak && <p className="text-xs text-gray-500">{summary.monthPeak.start}</p>}
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs font-medium text-gray-500">Highest Day</p>
+                <p className="text-xl font-bold text-gray-900 mt-1">
+                  {summary.peakDay ? formatKwh(summary.peakDay.kwh) : '—'}
+                </p>
+                {summary.peakDay && <p className="text-xs text-gray-500">{format(parseISO(summary.peakDay.date), 'EEE, MMM d')}</p>}
+              </div>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-900 mt-8 mb-3">Estimated Bill</h3>
+            <table className="w-full text-sm text-left report-section">
+              <tbody>
+                <tr className="border-b">
+                  <td className="py-2 text-gray-600">Energy charge ({formatKwh(summary.totalKwh)})</td>
+                  <td className="py-2 text-right">{formatPeso(summary.bill.energyCharge)}</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="py-2 text-gray-600">
+                    Demand charge{summary.monthPeak && ` (${summary.monthPeak.kw.toFixed(2)} kW)`}
+                  </td>
+                  <td className="py-2 text-right">{formatPeso(summary.bill.demandCharge)}</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="py-2 text-gray-600">Fixed charges</td>
+                  <td className="py-2 text-right">{formatPeso(summary.bill.fixedCharges)}</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="py-2 text-gray-600">VAT</td>
+                  <td className="py-2 text-right">{formatPeso(summary.bill.vat)}</td>
+                </tr>
+                <tr>
+                  <td className="py-2 font-semibold text-gray-900">Total</td>
+                  <td className="py-2 text-right font-semibold text-gray-900">{formatPeso(summary.bill.total)}</td>
+                </tr>
+              </tbody>
+            </table>
+            {isPartialMonth && (
+              <p className="text-xs text-gray-500 mt-2">
+                Readings run to {format(parseISO(dateTo), 'MMM d')}; demand and fixed charges are prorated to {days} days.
+              </p>
+            )}
+
+            <h3 className="text-lg font-semibold text-gray-900 mt-8 mb-3">Daily Consumption</h3>
+            <div className="report-section" style={{ height: '280px' }}>
+              {summary.dates.length > 0 ? (
+                <Bar data={dailyChartData} options={barOptions(floors.length > 1)} />
+              ) : (
+                <p className="text-sm text-gray-500">No daily readings for this period</p>
+              )}
+            </div>
+          </section>
+
+          {/* Breakdown */}
+          <section className={pageClasses}>
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Consumption Breakdown</h2>
+            <div className="grid grid-cols-2 gap-6 report-section">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">By Floor</h3>
+                <div style={{ height: '240px' }}>
+                  <Bar data={floorChartData} options={barOptions(false)} />
+                </div>
+              </div>
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">By Equipment Type</h3>
+                <div style={{ height: '240px' }}>
+                  {consumptionByType.length > 0 ? (
+                    <Doughnut data={typeChartData} options={doughnutOptions} />
+                  ) : (
+                    <p className="text-sm text-gray-500">No unit data for this period</p>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-900 mt-8 mb-3">Floors</h3>
+            <table className="w-full text-sm text-left report-section">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2">Floor</th>
+                  <th className="px-4 py-2 text-right">Consumption</th>
+                  <th className="px-4 py-2 text-right">Share</th>
+                  <th className="px-4 py-2 text-right">Allocated Cost</th>
+                  <th className="px-4 py-2 text-right">Peak Hour</th>
+                </tr>
+              </thead>
+              <tbody>
+                {floors.map(item => {
+                  const share = summary.totalKwh > 0 ? item.kwh / summary.totalKwh : 0;
+                  return (
+                    <tr key={item.floor} className="border-b">
+                      <td className="px-4 py-2 font-medium text-gray-900">{item.name}</td>
+                      <td className="px-4 py-2 text-right">{formatKwh(item.kwh)}</td>
+                      <td className="px-4 py-2 text-right">{formatPercent(share * 100)}</td>
+                      <td className="px-4 py-2 text-right">{formatPeso(summary.bill.total * share)}</td>
+                      <td className="px-4 py-2 text-right">
+                        {item.peakHour !== null ? `${String(item.peakHour).padStart(2, '0')}:00` : '—'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">Costs are the estimated bill split by each floor's share of consumption.</p>
+          </section>
+
+          {/* Units and recommendations */}
+          <section className={pageClasses}>
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Top {TOP_UNITS} Consuming Units</h2>
+            <table className="w-full text-sm text-left report-section">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2">Unit</th>
+                  <th className="px-4 py-2">Floor</th>
+                  <th className="px-4 py-2">Type</th>
+                  <th className="px-4 py-2 text-right">Consumption</th>
+                  <th className="px-4 py-2 text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topUnits.map(unit => (
+                  <tr key={unit.id} className="border-b">
+                    <td className="px-4 py-2 font-medium text-gray-900">{unit.name}</td>
+                    <td className="px-4 py-2">{getFloorName(unit.floorId)}</td>
+                    <td className="px-4 py-2">{unit.equipmentType}</td>
+                    <td className="px-4 py-2 text-right">{formatKwh(unit.consumption)}</td>
+                    <td className="px-4 py-2 text-right">{formatPeso(unit.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h2 className="text-xl font-bold text-gray-900 mt-8 mb-4">Recommendations</h2>
+            {recommendations.length === 0 ? (
+              <p className="text-sm text-gray-500">No recommendations for this period</p>
+            ) : (
+              <div className="space-y-3">
+                {recommendations.map(item => (
+                  <div key={item.id} className="p-4 border border-gray-200 rounded-lg report-section">
+                    <div className="flex items-center justify-between">
+                      <p className="font-semibold text-gray-900">{item.title}</p>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PRIORITY_BADGES[item.priority] || PRIORITY_BADGES.low}`}>
+                        {item.priority}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-700 mt-1">{item.description}</p>
+                    <p className="text-sm text-gray-600 mt-1"><span className="font-medium">Action:</span> {item.action}</p>
+                    {item.impact && <p className="text-xs text-green-700 mt-1">{item.impact}</p>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonthlyReport;
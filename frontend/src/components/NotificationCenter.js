@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { useNotifications } from '../hooks/useNotifications';
+import { useAlertRules } from '../hooks/useAlertRules';
+import { ALERT_SEVERITIES, isSnoozed } from '../utils/alerts';
+
+const SNOOZE_OPTIONS = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 24 * 60, label: '24 hours' }
+];
+
+// Header bell with the unread count and a dropdown of the notification history
+const NotificationCenter = ({ onManageRules }) => {
+  const {
+    notifications,
+    unreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    acknowledgeNotification,
+    clearNotifications
+  } = useNotifications();
+  const { rules, snoozeAlertRule } = useAlertRules();
+  const [isOpen, setIsOpen] = useState(false);
+  const [showUnreadOnly, setShowUnreadOnly] = useState(false);
+  const [ringing, setRinging] = useState(false);
+  const containerRef = useRef(null);
+  const latestId = notifications[0]?.id;
+  const lastSeenIdRef = useRef(latestId);
+
+  // Ring the bell briefly when something new arrives (not for history loaded at startup)
+  useEffect(() => {
+    if (!latestId || latestId === lastSeenIdRef.current) return undefined;
+    lastSeenIdRef.current = latestId;
+    setRinging(true);
+    const timer = setTimeout(() => setRinging(false), 3000);
+    return () => clearTimeout(timer);
+  }, [latestId]);
+
+  // Close on outside click
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const visible = showUnreadOnly ? notifications.filter(notification => !notification.read) : notifications;
+
+  const handleSnooze = (notification, minutes) => {
+    snoozeAlertRule(notification.ruleId, minutes);
+    markNotificationRead(notification.id);
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('Clear the notification history?')) return;
+    clearNotifications();
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100"
+        aria-label={`Notifications (${unreadCount} unread)`}
+        aria-expanded={isOpen}
+        title="Notifications"
+      >
+        <i className={`fas fa-bell text-lg ${ringing ? 'animate-bounce text-primary-600' : ''}`}></i>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-xl shadow-lg border border-gray-200 z-50">
+          <div className="border-b border-gray-200 px-4 py-3 flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-gray-900">Notifications</h3>
+              <p className="text-xs text-gray-500">{unreadCount} unread of {notifications.length}</p>
+            </div>
+            <div className="flex items-center space-x-3 text-xs">
+              <label className="flex items-center text-gray-600">
+                <input
+                  type="checkbox"
+                  className="mr-1"
+                  checked={showUnreadOnly}
+                  onChange={(e) => setShowUnreadOnly(e.target.checked)}
+                />
+                Unread
+              </label>
+              <button
+                onClick={markAllNotificationsRead}
+                disabled={unreadCount === 0}
+                className="text-primary-600 hover:text-primary-700 disabled:text-gray-400"
+              >
+                Mark all read
+              </button>
+            </div>
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {visible.length === 0 && (
+              <li className="px-4 py-8 text-center text-sm text-gray-500">
+                {showUnreadOnly ? 'No unread notifications' : 'No notifications yet'}
+              </li>
+            )}
+            {visible.map(notification => {
+              const severity = ALERT_SEVERITIES[notification.severity] || ALERT_SEVERITIES.info;
+              const rule = notification.ruleId ? rules.find(r => r.id === notification.ruleId) : null;
+              const isOpenAlert = Boolean(rule) && !notification.acknowledgedAt && !notification.resolvedAt;
+              return (
+                <li
+                  key={notification.id}
+                  className={`px-4 py-3 ${notification.read ? '' : 'bg-primary-50'}`}
+                  onMouseEnter={() => !notification.read && !isOpenAlert && markNotificationRead(notification.id)}
+                >
+                  <div className="flex items-start">
+                    <i className={`fas ${severity.icon} mt-0.5 mr-3`}></i>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm font-medium text-gray-900 truncate">{notification.title}</p>
+                        <span className="ml-2 text-xs text-gray-400 whitespace-nowrap">
+                          {formatDistanceToNow(parseISO(notification.createdAt), { addSuffix: true })}
+                        </span>
+                      </div>
+                      {notification.message && <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>}
+                      <div className="flex flex-wrap items-center gap-1 mt-1">
+                        {notification.ruleId && (
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${severity.badge}`}>{severity.label}</span>
+                        )}
+                        {notification.resolvedAt && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Resolved</span>
+                        )}
+                        {notification.acknowledgedAt && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">Acknowledged</span>
+                        )}
+                        {rule && isSnoozed(rule) && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                            Snoozed until {new Date(rule.snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                        )}
+                      </div>
+                      {isOpenAlert && (
+                        <div className="flex items-center space-x-2 mt-2">
+                          <button
+                            onClick={() => acknowledgeNotification(notification.id)}
+                            className="px-2 py-1 text-xs bg-primary-600 text-white rounded hover:bg-primary-700"
+                          >
+                            Acknowledge
+                          </button>
+                          <select
+                            value=""
+                            onChange={(e) => e.target.value && handleSnooze(notification, Number(e.target.value))}
+                            className="px-2 py-1 text-xs border border-gray-300 rounded bg-white"
+                            aria-label="Snooze this rule"
+                          >
+                            <option value="">Snooze…</option>
+                            {SNOOZE_OPTIONS.map(option => (
+                              <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="border-t border-gray-200 px-4 py-2 flex items-center justify-between text-xs">
+            {onManageRules ? (
+              <button
+                onClick={() => {
+                  setIsOpen(false);
+                  onManageRules();
+                }}
+                className="text-primary-600 hover:text-primary-700"
+              >
+                <i className="fas fa-sliders-h mr-1"></i>
+                Manage alert rules
+              </button>
+            ) : <span />}
+            <button
+              onClick={handleClear}
+              disabled={notifications.length === 0}
+              className="text-gray-500 hover:text-gray-700 disabled:text-gray-300"
+            >
+              Clear history
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,326 @@
+import React, { useState, useMemo } from 'react';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { usePowerQuality } from '../hooks/useEnergyData';
+import {
+  EVENT_TYPES,
+  getVoltageBands,
+  saveVoltageBands,
+  validateVoltageBands,
+  getBandLimits,
+  formatDuration
+} from '../utils/powerQuality';
+import DataStatusBanner from './DataStatusBanner';
+import LoadingSpinner from './LoadingSpinner';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+// Events listed before "Show all"
+const EVENT_PAGE_SIZE = 50;
+
+const histogramOptions = (xTitle) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: { display: false },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      titleFont: { size: 12 },
+      bodyFont: { size: 12 },
+      padding: 10,
+      callbacks: {
+        label: (context) => `${context.parsed.y.toLocaleString()} readings`
+      }
+    }
+  },
+  scales: {
+    x: {
+      grid: { display: false },
+      ticks: { font: { size: 11 }, color: '#6b7280', maxTicksLimit: 20 },
+      title: { display: true, text: xTitle }
+    },
+    y: {
+      grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 11 }, color: '#6b7280' },
+      beginAtZero: true,
+      title: { display: true, text: 'Readings' }
+    }
+  }
+});
+
+const PowerQuality = ({ filters }) => {
+  const [bands, setBands] = useState(getVoltageBands);
+  const [draft, setDraft] = useState(bands);
+  const [bandErrors, setBandErrors] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [showAllEvents, setShowAllEvents] = useState(false);
+
+  const { powerQuality, distribution, loading, error } = usePowerQuality(filters, bands);
+  const limits = getBandLimits(bands);
+
+  const handleApplyBands = () => {
+    const errors = validateVoltageBands(draft);
+    setBandErrors(errors);
+    if (errors.length === 0) {
+      const saved = saveVoltageBands(draft);
+      setBands(saved);
+      setDraft(saved);
+    }
+  };
+
+  const events = useMemo(() => {
+    const list = powerQuality?.events || [];
+    return typeFilter === 'all' ? list : list.filter(event => event.type === typeFilter);
+  }, [powerQuality, typeFilter]);
+
+  const voltageChartData = useMemo(() => {
+    const bins = distribution?.voltage || [];
+    return {
+      labels: bins.map(bin => `${bin.bin} V`),
+      datasets: [{
+        label: 'Voltage',
+        data: bins.map(bin => bin.count),
+        // Bins that fall outside the band are flagged red
+        backgroundColor: bins.map(bin =>
+          bin.bin < limits.low || bin.bin + 1 > limits.high ? 'rgba(239, 68, 68, 0.7)' : 'rgba(16, 185, 129, 0.7)'
+        ),
+        borderWidth: 0
+      }]
+    };
+  }, [distribution, limits.low, limits.high]);
+
+  const currentChartData = useMemo(() => {
+    const bins = distribution?.current || [];
+    const width = distribution?.current_bin_width || 1;
+    return {
+      labels: bins.map(bin => `${bin.bin}-${(bin.bin + width).toFixed(2)} A`),
+      datasets: [{
+        label: 'Current',
+        data: bins.map(bin => bin.count),
+        backgroundColor: 'rgba(59, 130, 246, 0.7)',
+        borderWidth: 0
+      }]
+    };
+  }, [distribution]);
+
+  const summary = powerQuality?.summary;
+  const counts = summary?.event_counts || {};
+  const isEmpty = Boolean(powerQuality) && !summary?.readings;
+  const visibleEvents = showAllEvents ? events : events.slice(0, EVENT_PAGE_SIZE);
+  const periodLabel = powerQuality
+    ? powerQuality.date_from === powerQuality.date_to
+      ? powerQuality.date_from
+      : `${powerQuality.date_from} to ${powerQuality.date_to}`
+    : null;
+
+  return (
+    <div className="space-y-6">
+      {/* Header with nominal band settings */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex flex-col lg:flex-row lg:items-end justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Power Quality</h2>
+            <p className="text-gray-600 mt-1">
+              Voltage excursions outside {limits.low.toFixed(1)} V - {limits.high.toFixed(1)} V
+              {periodLabel && <span className="text-primary-600"> • {periodLabel}</span>}
+              {filters.floor && filters.floor !== 'all' && <span className="text-primary-600"> • Floor {filters.floor}</span>}
+            </p>
+          </div>
+          <div className="mt-4 lg:mt-0 flex flex-wrap items-end gap-3">
+            <label className="text-sm text-gray-600">
+              Nominal (V)
+              <input
+                type="number"
+                value={draft.nominal}
+                onChange={(e) => setDraft({ ...draft, nominal: e.target.value })}
+                className="mt-1 block w-24 px-2 py-1.5 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Sag below (%)
+              <input
+                type="number"
+                value={draft.sagPercent}
+                onChange={(e) => setDraft({ ...draft, sagPercent: e.target.value })}
+                className="mt-1 block w-24 px-2 py-1.5 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Swell above (%)
+              <input
+                type="number"
+                value={draft.swellPercent}
+                onChange={(e) => setDraft({ ...draft, swellPercent: e.target.value })}
+                className="mt-1 block w-24 px-2 py-1.5 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <button
+              onClick={handleApplyBands}
+              className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+        {bandErrors.length > 0 && (
+          <ul className="mt-4 text-sm text-red-600 list-disc list-inside">
+            {bandErrors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+      </div>
+
+      <DataStatusBanner errors={[error]} isEmpty={isEmpty} />
+
+      {loading && !powerQuality && <LoadingSpinner message="Scanning voltage readings..." />}
+
+      {summary?.readings > 0 && (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Readings Within Band</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{summary.in_band_percent}%</p>
+              <p className="text-xs text-gray-500 mt-2">{summary.readings.toLocaleString()} per-second readings</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Voltage Range</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{summary.min_voltage} - {summary.max_voltage} V</p>
+              <p className="text-xs text-gray-500 mt-2">Average {summary.avg_voltage} V (nominal {bands.nominal} V)</p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Events</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{powerQuality.total_events.toLocaleString()}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {counts.sag || 0} sags • {counts.swell || 0} swells • {counts.interruption || 0} interruptions
+              </p>
+            </div>
+            <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-500">Peak Current</p>
+              <p className="text-2xl font-bold text-gray-900 mt-2">{summary.max_current} A</p>
+              <p className="text-xs text-gray-500 mt-2">Highest single-floor reading</p>
+            </div>
+          </div>
+
+          {/* Distributions */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4">
+                <h3 className="text-lg font-semibold text-gray-900">Voltage Distribution</h3>
+                <p className="text-gray-600 text-sm mt-1">1 V bins • red bins are outside the nominal band</p>
+              </div>
+              <div className="p-6">
+                <div className="chart-container" style={{ height: '300px' }}>
+                  <Bar data={voltageChartData} options={histogramOptions('Voltage (V)')} />
+                </div>
+              </div>
+            </div>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="border-b border-gray-200 px-6 py-4">
+                <h3 className="text-lg font-semibold text-gray-900">Current Distribution</h3>
+                <p className="text-gray-600 text-sm mt-1">Per-floor current readings in {distribution?.current_bin_width || 1} A bins</p>
+              </div>
+              <div className="p-6">
+                <div className="chart-container" style={{ height: '300px' }}>
+                  <Bar data={currentChartData} options={histogramOptions('Current (A)')} />
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Event list */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="border-b border-gray-200 px-6 py-4 flex flex-col md:flex-row md:items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Voltage Events</h3>
+                <p className="text-gray-600 text-sm mt-1">Most recent first • consecutive out-of-band seconds on a floor form one event</p>
+              </div>
+              <div className="mt-3 md:mt-0 flex flex-wrap gap-2">
+                <button
+                  onClick={() => setTypeFilter('all')}
+                  className={`px-3 py-1 text-xs rounded-full ${typeFilter === 'all' ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700'}`}
+                >
+                  All ({powerQuality.total_events})
+                </button>
+                {Object.entries(EVENT_TYPES).map(([type, info]) => (
+                  <button
+                    key={type}
+                    onClick={() => setTypeFilter(type)}
+                    title={info.description}
+                    className={`px-3 py-1 text-xs rounded-full ${typeFilter === type ? 'ring-2 ring-offset-1 ring-gray-400 ' : ''}${info.badge}`}
+                  >
+                    {info.label} ({counts[type] || 0})
+                  </button>
+                ))}
+              </div>
+            </div>
+            {events.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                <i className="fas fa-check-circle text-green-500 mr-2"></i>
+                No {typeFilter === 'all' ? 'voltage events' : EVENT_TYPES[typeFilter].label.toLowerCase() + ' events'} in this period
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3">Type</th>
+                      <th className="px-6 py-3">Floor</th>
+                      <th className="px-6 py-3">Start</th>
+                      <th className="px-6 py-3">Duration</th>
+                      <th className="px-6 py-3">Extreme Voltage</th>
+                      <th className="px-6 py-3">Max Current</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleEvents.map(event => (
+                      <tr key={`${event.floor}-${event.start}`} className="bg-white border-b hover:bg-gray-50">
+                        <td className="px-6 py-4">
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${EVENT_TYPES[event.type]?.badge || 'bg-gray-100 text-gray-800'}`}>
+                            {EVENT_TYPES[event.type]?.label || event.type}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 font-medium text-gray-900">Floor {event.floor}</td>
+                        <td className="px-6 py-4 text-gray-600">{event.start}</td>
+                        <td className="px-6 py-4">{formatDuration(event.duration_seconds)}</td>
+                        <td className="px-6 py-4">{event.extreme_voltage} V ({event.extreme_percent}%)</td>
+                        <td className="px-6 py-4">{event.max_current} A</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {events.length > EVENT_PAGE_SIZE && (
+                  <div className="px-6 py-3 text-sm text-gray-600 flex items-center justify-between">
+                    <span>
+                      Showing {visibleEvents.length} of {events.length}
+                      {powerQuality.total_events > powerQuality.events.length && ` (latest ${powerQuality.events.length} of ${powerQuality.total_events} returned)`}
+                    </span>
+                    <button onClick={() => setShowAllEvents(!showAllEvents)} className="text-primary-600 hover:text-primary-700">
+                      {showAllEvents ? 'Show fewer' : 'Show all'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PowerQuality;
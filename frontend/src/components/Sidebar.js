@@ -1,8 +1,23 @@
-import React, { useState, useEffect } from 'react';
-import { powerPlantData } from '../data/powerPlantData';
+import React, { useState, useEffect, useRef } from 'react';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { useAvailableDates } from '../hooks/useEnergyData';
+import { useFilterPresets } from '../hooks/useFilterPresets';
+import { useVirtualMeters } from '../hooks/useVirtualMeters';
+import { createPreset, mergePresets, findMatchingPreset, exportPresetsJson, parsePresetsJson } from '../utils/presets';
+import { getSiteBuildings, getSiteFloors } from '../utils/sites';
+import { getVirtualFloorValue } from '../utils/virtualMeters';
+import DateRangePicker from './DateRangePicker';
 
 const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onApplyFilters }) => {
+  const { hierarchy } = useAssetHierarchy();
   const [consumptionValue, setConsumptionValue] = useState(filters.consumptionRange || 1000);
+  const { availableDates } = useAvailableDates();
+  const { presets, savePresets } = useFilterPresets();
+  const { virtualMeters } = useVirtualMeters();
+  const [presetName, setPresetName] = useState('');
+  const [presetMessage, setPresetMessage] = useState(null);
+  const importInputRef = useRef(null);
+  const activePreset = findMatchingPreset(presets, filters);
 
   // Sync consumptionValue with filters
   useEffect(() => {
@@ -19,10 +34,23 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [filters.timeGranularity]);
 
+  // A new branch or building clears the narrower filters, which may sit outside it
+  const handleBranchChange = (e) => {
+    onFilterChange({ ...filters, branch: e.target.value, building: 'all', floor: 'all' });
+  };
+
+  const handleBuildingChange = (e) => {
+    onFilterChange({ ...filters, building: e.target.value, floor: 'all' });
+  };
+
   const handleFloorChange = (e) => {
     onFilterChange({ ...filters, floor: e.target.value });
   };
 
+  const handleDateRangeChange = ({ dateFrom, dateTo }) => {
+    onFilterChange({ ...filters, dateFrom, dateTo });
+  };
+
   const handleUnitTypeChange = (type) => {
     onFilterChange({ ...filters, unitType: type });
   };
@@ -37,15 +65,59 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
     onFilterChange({ ...filters, consumptionRange: value });
   };
 
+  const handleApplyPreset = (preset) => {
+    onFilterChange({ ...filters, ...preset.filters });
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    const name = presetName.trim();
+    if (!name) return;
+    const existing = presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(`Replace preset "${existing.name}" with the current filters?`)) return;
+    savePresets(mergePresets(presets, [createPreset(name, filters)]));
+    setPresetName('');
+    setPresetMessage({ type: 'success', text: `Saved "${name}"` });
+  };
+
+  const handleDeletePreset = (preset) => {
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+    savePresets(presets.filter(p => p.id !== preset.id));
+    setPresetMessage(null);
+  };
+
+  const handleExportPresets = () => {
+    const blob = new Blob([exportPresetsJson(presets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'filter-presets.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportPresets = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parsePresetsJson(await file.text());
+      savePresets(mergePresets(presets, imported));
+      setPresetMessage({ type: 'success', text: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}` });
+    } catch (error) {
+      setPresetMessage({ type: 'error', text: error.message });
+    }
+  };
+
   const handleModuleClick = (moduleId) => {
     onModuleChange(moduleId);
   };
 
   // Get unique equipment types
-  const equipmentTypes = [...new Set(powerPlantData.units.map(u => u.equipmentType))];
+  const equipmentTypes = [...new Set(hierarchy.units.map(u => u.equipmentType))];
 
   return (
-    <aside className="w-64 bg-white border-r border-gray-200 shadow-sm flex flex-col">
+    <aside className="w-64 bg-white border-r border-gray-200 shadow-sm flex flex-col print:hidden">
       {/* Logo Section */}
       <div className="p-6 border-b border-gray-200">
         <div className="flex items-center space-x-3">
@@ -66,6 +138,45 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
           Filters
         </h3>
         
+        {/* Site Filters - scope every request to a branch / building */}
+        <div className="mb-4">
+          <label htmlFor="branch-filter" className="block text-xs font-medium text-gray-500 mb-2">
+            <i className="fas fa-code-branch mr-1"></i>
+            Branch
+          </label>
+          <select
+            id="branch-filter"
+            value={filters.branch || 'all'}
+            onChange={handleBranchChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white"
+            aria-label="Select branch filter"
+          >
+            <option value="all">All Branches</option>
+            {hierarchy.branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="mb-4">
+          <label htmlFor="building-filter" className="block text-xs font-medium text-gray-500 mb-2">
+            <i className="fas fa-building mr-1"></i>
+            Building
+          </label>
+          <select
+            id="building-filter"
+            value={filters.building || 'all'}
+            onChange={handleBuildingChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white"
+            aria-label="Select building filter"
+          >
+            <option value="all">All Buildings</option>
+            {getSiteBuildings({ branch: filters.branch }, hierarchy).map(building => (
+              <option key={building.id} value={building.id}>{building.name}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Floor Filter - Primary Filter */}
         <div className="mb-4">
           <label htmlFor="floor-filter" className="block text-xs font-medium text-gray-500 mb-2">
@@ -80,9 +191,16 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
             aria-label="Select floor filter"
           >
             <option value="all">All Floors</option>
-            {powerPlantData.floors.map(floor => (
+            {getSiteFloors(filters, hierarchy).map(floor => (
               <option key={floor.id} value={floor.id}>{floor.name}</option>
             ))}
+            {virtualMeters.length > 0 && (
+              <optgroup label="Virtual meters">
+                {virtualMeters.map(meter => (
+                  <option key={meter.id} value={getVirtualFloorValue(meter)}>{meter.name}</option>
+                ))}
+              </optgroup>
+            )}
           </select>
         </div>
 
@@ -130,6 +248,25 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
           </div>
         )}
         
+        {/* Date Range - spans any dates in the imported data */}
+        <div className="mb-4">
+          <label className="block text-xs font-medium text-gray-500 mb-2">
+            <i className="fas fa-calendar-alt mr-1"></i>
+            Date Range
+          </label>
+          <div className="text-sm">
+            <DateRangePicker
+              defaultText="Latest Day"
+              dateFrom={filters.dateFrom}
+              dateTo={filters.dateTo}
+              minDate={availableDates[0] || null}
+              maxDate={availableDates[availableDates.length - 1] || null}
+              align="left"
+              onChange={handleDateRangeChange}
+            />
+          </div>
+        </div>
+        
         {/* Unit Type Filter */}
         <div className="mb-4">
           <label htmlFor="equipment-type-filter" className="block text-xs font-medium text-gray-500 mb-2">Equipment Type</label>
@@ -230,6 +367,90 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
           Apply Filters
         </button>
       </div>
+
+      {/* Saved Presets */}
+      <div className="p-4 border-b border-gray-200">
+        <h3 className="text-sm font-semibold text-gray-700 mb-3 flex items-center">
+          <i className="fas fa-bookmark mr-2 text-primary-600"></i>
+          Saved Presets
+        </h3>
+        {presets.length === 0 ? (
+          <p className="text-xs text-gray-500 mb-3">Save the current filters to reuse them in one click.</p>
+        ) : (
+          <ul className="space-y-1 mb-3">
+            {presets.map(preset => (
+              <li key={preset.id} className="flex items-center">
+                <button
+                  onClick={() => handleApplyPreset(preset)}
+                  className={`flex-1 text-left px-3 py-1.5 rounded-lg text-sm truncate ${
+                    activePreset?.id === preset.id
+                      ? 'bg-primary-50 text-primary-700 font-medium'
+                      : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                  title={`Apply "${preset.name}"`}
+                >
+                  {preset.name}
+                </button>
+                <button
+                  onClick={() => handleDeletePreset(preset)}
+                  className="p-1.5 text-gray-400 hover:text-red-600"
+                  aria-label={`Delete preset ${preset.name}`}
+                  title="Delete preset"
+                >
+                  <i className="fas fa-trash-alt text-xs"></i>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleSavePreset} className="flex space-x-2 mb-2">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+            aria-label="Name for the current filters"
+          />
+          <button
+            type="submit"
+            disabled={!presetName.trim()}
+            className="px-3 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm disabled:opacity-50"
+            title="Save current filters"
+          >
+            <i className="fas fa-save"></i>
+          </button>
+        </form>
+        <div className="flex space-x-2 text-xs">
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="flex-1 px-2 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            <i className="fas fa-file-import mr-1"></i>
+            Import
+          </button>
+          <button
+            onClick={handleExportPresets}
+            disabled={presets.length === 0}
+            className="flex-1 px-2 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <i className="fas fa-file-export mr-1"></i>
+            Export
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportPresets}
+            className="hidden"
+          />
+        </div>
+        {presetMessage && (
+          <p className={`text-xs mt-2 ${presetMessage.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+            {presetMessage.text}
+          </p>
+        )}
+      </div>
       
       {/* Navigation */}
       <nav className="flex-1 p-4">
@@ -275,6 +496,167 @@ const Sidebar = ({ filters, activeModule, onFilterChange, onModuleChange, onAppl
                 <span className={activeModule === 'building-map' ? 'font-medium' : ''}>Building Map</span>
               </button>
             </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('sites')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'sites'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-code-branch w-5 ${activeModule === 'sites' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'sites' ? 'font-medium' : ''}>Site Comparison</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('demand')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'demand'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-tachometer-alt w-5 ${activeModule === 'demand' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'demand' ? 'font-medium' : ''}>Peak Demand</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('power-quality')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'power-quality'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-wave-square w-5 ${activeModule === 'power-quality' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'power-quality' ? 'font-medium' : ''}>Power Quality</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('forecast')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'forecast'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-chart-area w-5 ${activeModule === 'forecast' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'forecast' ? 'font-medium' : ''}>Forecast</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('report')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'report'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-file-alt w-5 ${activeModule === 'report' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'report' ? 'font-medium' : ''}>Monthly Report</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('baseline')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'baseline'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-balance-scale w-5 ${activeModule === 'baseline' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'baseline' ? 'font-medium' : ''}>Baseline &amp; Savings</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('emissions')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'emissions'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-leaf w-5 ${activeModule === 'emissions' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'emissions' ? 'font-medium' : ''}>Emissions</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('budgets')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'budgets'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-bullseye w-5 ${activeModule === 'budgets' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'budgets' ? 'font-medium' : ''}>Budgets</span>
+              </button>
+            </li>
+          </ul>
+        </div>
+        <div className="mb-8">
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3">Settings</h3>
+          <ul className="space-y-1">
+            <li>
+              <button
+                onClick={() => handleModuleClick('tariffs')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'tariffs'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-file-invoice-dollar w-5 ${activeModule === 'tariffs' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'tariffs' ? 'font-medium' : ''}>Tariffs</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('alerts')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'alerts'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-bell w-5 ${activeModule === 'alerts' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'alerts' ? 'font-medium' : ''}>Alert Rules</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('assets')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'assets'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-sitemap w-5 ${activeModule === 'assets' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'assets' ? 'font-medium' : ''}>Asset Hierarchy</span>
+              </button>
+            </li>
+            <li>
+              <button
+                onClick={() => handleModuleClick('virtual-meters')}
+                className={`sidebar-link w-full flex items-center space-x-3 px-3 py-2 rounded-lg ${
+                  activeModule === 'virtual-meters'
+                    ? 'bg-primary-50 text-primary-700 border border-primary-100'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <i className={`fas fa-project-diagram w-5 ${activeModule === 'virtual-meters' ? 'text-primary-600' : 'text-gray-500'}`}></i>
+                <span className={activeModule === 'virtual-meters' ? 'font-medium' : ''}>Virtual Meters</span>
+              </button>
+            </li>
           </ul>
         </div>
       </nav>
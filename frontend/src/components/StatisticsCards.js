@@ -1,6 +1,44 @@
 import React, { useMemo } from 'react';
+import { format, parseISO, getDaysInMonth } from 'date-fns';
+import { calculateBill, calculateCost, getTariffForDate } from '../utils/tariff';
+import { getPeriodDays } from '../utils/filterUtils';
+import { getSummaryTotals, getDelta, formatDelta } from '../utils/comparison';
+import { calculateEmissions, formatEmissions } from '../utils/emissions';
+import { getScopeBranchId } from '../utils/sites';
+import { getPhysicalFilters } from '../utils/virtualMeters';
+import { useTariffs } from '../hooks/useTariffs';
+import { useDemandAnalytics } from '../hooks/useEnergyData';
+import { useEmissionFactors } from '../hooks/useEmissions';
 
-const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null }) => {
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Days billed for a period - days with readings for a range, otherwise the granularity's length
+const getBillDays = (filters, summary) => (
+  filters.dateFrom && filters.dateTo && summary?.day_count ? summary.day_count : getPeriodDays(filters)
+);
+
+// Demand for the bill - the month's highest interval demand from /energy/demand, as on the Monthly Report
+const getPeakKw = (demand) => Number(demand?.month_peak?.kw) || 0;
+
+const getHourlyProfile = (hourlyData) =>
+  (hourlyData?.hourly_data || []).map(h => ({ hour: Number(h.hour), kwh: (Number(h.total_energy) || 0) / 1000 }));
+
+// Change against the comparison period - red when usage or cost went up, green when down
+const DeltaLine = ({ delta, formatValue, label, neutral = false }) => {
+  const color = neutral || delta.absolute === 0 ? 'text-gray-500' : delta.absolute > 0 ? 'text-red-600' : 'text-green-600';
+  const icon = delta.absolute > 0 ? 'fa-arrow-up' : delta.absolute < 0 ? 'fa-arrow-down' : 'fa-equals';
+  return (
+    <p className={`text-xs mt-1 ${color}`}>
+      <i className={`fas ${icon} mr-1`}></i>
+      {formatDelta(delta, formatValue)} <span className="text-gray-500">{label}</span>
+    </p>
+  );
+};
+
+// live: running totals from useLiveReadings while live monitoring mode is on (null otherwise)
+// forecast: building-wide projection from useConsumptionForecast (null until loaded)
+// comparison: { label, summary, hourlyData, date } of the period to compare with (null when off)
+const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null, forecast = null, comparison = null, live = null }) => {
   // Formatter to keep numbers readable and avoid overflow
   const formatNum = (value, maxDigits = 4) => {
     const num = Number(value) || 0;
@@ -79,12 +117,93 @@ const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null
     hourlyData?.hourly_data // Include hourlyData to recalculate if summary is missing
   ]);
 
-  // Use stable statistics, not summary data
-  const totalEnergy = stableStats.totalConsumption;
-  const totalCost = stableStats.totalCost;
-  const avgCurrent = typeof stableStats.avgCurrent === 'number' 
-    ? stableStats.avgCurrent.toFixed(2) 
-    : stableStats.avgCurrent;
+  const { tariffs } = useTariffs();
+  const { factors } = useEmissionFactors();
+
+  // Peak demand of the billed months - the comparison asks for the current month again while it is off
+  const billDate = filters.dateTo || filters.date || summary?.date || null;
+  const { demand } = useDemandAnalytics({ ...getPhysicalFilters(filters), date: billDate });
+  const { demand: comparisonDemand } = useDemandAnalytics({ ...getPhysicalFilters(filters), date: comparison?.date || billDate });
+
+  // Bill for the period in view - energy from the units, demand from the month's peak,
+  // fixed charges prorated by the days covered
+  const bill = useMemo(() => {
+    const days = getBillDays(filters, summary);
+    return calculateBill({
+      kwh: stableStats.totalConsumption,
+      peakKw: getPeakKw(demand),
+      days,
+      tariff: getTariffForDate(billDate, tariffs, getScopeBranchId(filters)),
+      hourlyProfile: getHourlyProfile(hourlyData)
+    });
+  }, [stableStats.totalConsumption, filters, summary, hourlyData, demand, billDate, tariffs]);
+
+  // Deltas against the comparison period - both sides come from the metered summaries and are
+  // billed the same way, so they compare like with like
+  const deltas = useMemo(() => {
+    if (!comparison?.summary || !summary) return null;
+    const current = getSummaryTotals(summary);
+    const previous = getSummaryTotals(comparison.summary);
+    const billFor = (kwh, periodSummary, periodHourly, periodDemand, date) => {
+      const days = getBillDays(filters, periodSummary);
+      return calculateBill({
+        kwh,
+        peakKw: getPeakKw(periodDemand),
+        days,
+        tariff: getTariffForDate(date, tariffs, getScopeBranchId(filters)),
+        hourlyProfile: getHourlyProfile(periodHourly)
+      }).total;
+    };
+    const units = stableStats.totalUnits || 1;
+    return {
+      kwh: getDelta(current.kwh, previous.kwh),
+      emissions: getDelta(
+        calculateEmissions(current.kwh, { date: filters.dateTo || filters.date || summary.date || null, factors }),
+        calculateEmissions(previous.kwh, { date: comparison.date, factors })
+      ),
+      cost: getDelta(
+        billFor(current.kwh, summary, hourlyData, demand, billDate),
+        billFor(previous.kwh, comparison.summary, comparison.hourlyData, comparisonDemand, comparison.date)
+      ),
+      avgCurrent: getDelta(current.avgCurrent, previous.avgCurrent),
+      perUnit: getDelta(current.kwh / units, previous.kwh / units),
+      records: getDelta(current.records, previous.records)
+    };
+  }, [comparison, summary, hourlyData, demand, comparisonDemand, billDate, tariffs, factors, filters, stableStats.totalUnits]);
+  const versus = comparison ? `vs ${comparison.label}` : '';
+
+  // Projected full bill for the month of the forecast date, with the forecast's 80% range
+  const projectedBill = useMemo(() => {
+    if (!forecast) return null;
+    const tariff = getTariffForDate(forecast.asOf, tariffs, getScopeBranchId(filters));
+    const days = getDaysInMonth(parseISO(forecast.asOf));
+    const billFor = (kwh) => calculateBill({ kwh, peakKw: forecast.peakKw, days, tariff }).total;
+    return {
+      month: format(parseISO(forecast.asOf), 'MMMM'),
+      asOf: forecast.asOf,
+      total: billFor(forecast.month.total),
+      lower: billFor(forecast.month.lower),
+      upper: billFor(forecast.month.upper)
+    };
+  }, [forecast, tariffs, filters]);
+
+  // Use stable statistics, not summary data - live totals replace them while streaming
+  const isLive = live !== null;
+  const totalEnergy = isLive ? live.energyKwh : stableStats.totalConsumption;
+  const totalCost = isLive ? calculateCost(live.energyKwh) : bill.total;
+  // Scope 2 emissions at the grid factor for the year in view
+  const emissionOptions = { date: filters.dateTo || filters.date || summary?.date || null, factors };
+  const totalEmissions = calculateEmissions(totalEnergy, emissionOptions);
+  const billParts = [
+    ['Energy', bill.energyCharge],
+    ['Demand', bill.demandCharge],
+    ['Fixed', bill.fixedCharges],
+    ['VAT', bill.vat]
+  ].filter(([, amount]) => amount > 0);
+  const currentValue = isLive ? live.avgCurrent : stableStats.avgCurrent;
+  const avgCurrent = typeof currentValue === 'number' 
+    ? currentValue.toFixed(2) 
+    : currentValue;
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -112,6 +231,9 @@ const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null
               Maintenance: <span>{stableStats.statusCounts.maintenance}</span>
             </span>
           </div>
+          {deltas && (
+            <DeltaLine delta={deltas.records} formatValue={(v) => `${formatNum(v, 0)} readings`} label={versus} neutral />
+          )}
         </div>
       </div>
       
@@ -119,13 +241,34 @@ const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null
       <div className="stat-card bg-white rounded-xl shadow-sm border border-gray-200 p-6">
         <div className="flex items-center justify-between">
           <div>
-            <p className="text-sm font-medium text-gray-500">Total Consumption</p>
+            <p className="text-sm font-medium text-gray-500 flex items-center">
+              {isLive ? 'Live Consumption' : 'Total Consumption'}
+              {isLive && live.status === 'live' && (
+                <i className="fas fa-circle text-green-500 text-[8px] ml-2 animate-pulse" title="Updating live"></i>
+              )}
+            </p>
             <p className="text-2xl font-bold text-gray-900 mt-2">
               {formatNum(totalEnergy, 4)} <span className="text-base">kWh</span>
             </p>
-            <p className="text-lg font-semibold text-primary-600 mt-1">
-              ₱{parseFloat(totalCost).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            <p className="text-lg font-semibold text-primary-600 mt-1" title={`Tariff: ${bill.tariff.name}`}>
+              {formatPeso(totalCost)}
             </p>
+            <p className="text-sm font-medium text-gray-600 mt-1" title="Scope 2 emissions">
+              <i className="fas fa-leaf text-green-600 mr-1"></i>
+              {formatEmissions(totalEmissions)}
+            </p>
+            {!isLive && billParts.length > 1 && (
+              <p className="text-xs text-gray-500 mt-1">
+                {billParts.map(([label, amount]) => `${label} ${formatPeso(amount)}`).join(' • ')}
+              </p>
+            )}
+            {!isLive && deltas && (
+              <>
+                <DeltaLine delta={deltas.kwh} formatValue={(v) => `${formatNum(v, 2)} kWh`} label={versus} />
+                <DeltaLine delta={deltas.cost} formatValue={formatPeso} label={versus} />
+                <DeltaLine delta={deltas.emissions} formatValue={formatEmissions} label={versus} />
+              </>
+            )}
           </div>
           <div className="w-12 h-12 rounded-full bg-green-100 flex items-center justify-center">
             <i className="fas fa-bolt text-green-600 text-xl"></i>
@@ -134,7 +277,27 @@ const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null
         <div className="mt-4 flex items-center text-sm">
           <span className="text-gray-500">Avg Current: </span>
           <span className="ml-2 text-gray-900 font-medium">{avgCurrent} A</span>
+
+          {isLive && (
+            <>
+              <span className="text-gray-500 ml-4">Now: </span>
+              <span className="ml-2 text-gray-900 font-medium">{formatNum(live.currentPowerKw, 2)} kW</span>
+            </>
+          )}
         </div>
+        {!isLive && deltas && (
+          <DeltaLine delta={deltas.avgCurrent} formatValue={(v) => `${v.toFixed(2)} A avg current`} label={versus} neutral />
+        )}
+        {isLive && live.since && (
+          <p className="mt-1 text-xs text-gray-500">Since {live.since} • {live.samples}s of readings</p>
+        )}
+        {!isLive && projectedBill && (
+          <p className="mt-1 text-xs text-gray-500" title={`Forecast as of ${projectedBill.asOf}`}>
+            Projected {projectedBill.month} bill:{' '}
+            <span className="font-medium text-gray-900">{formatPeso(projectedBill.total)}</span>
+            {' '}({formatPeso(projectedBill.lower)} - {formatPeso(projectedBill.upper)})
+          </p>
+        )}
       </div>
       
       {/* Average Consumption per Unit */}
@@ -148,6 +311,10 @@ const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null
             <p className="text-lg font-semibold text-primary-600 mt-1">
               ₱{stableStats.avgCost.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
             </p>
+            <p className="text-sm font-medium text-gray-600 mt-1" title="Scope 2 emissions">
+              <i className="fas fa-leaf text-green-600 mr-1"></i>
+              {formatEmissions(calculateEmissions(stableStats.avgConsumption, emissionOptions))}
+            </p>
           </div>
           <div className="w-12 h-12 rounded-full bg-purple-100 flex items-center justify-center">
             <i className="fas fa-chart-bar text-purple-600 text-xl"></i>
@@ -159,6 +326,9 @@ const StatisticsCards = ({ statistics, summary, filters = {}, hourlyData = null
               Range: {stableStats.consumptionRange}
             </span>
           </div>
+          {deltas && (
+            <DeltaLine delta={deltas.perUnit} formatValue={(v) => `${formatNum(v, 4)} kWh/unit`} label={versus} />
+          )}
         </div>
       </div>
       
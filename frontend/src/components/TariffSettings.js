@@ -0,0 +1,494 @@
+import React, { useState, useEffect } from 'react';
+import { TARIFF_TYPES, validateTariff, getTariffForDate, describeTariff, calculateBill } from '../utils/tariff';
+import { useTariffs } from '../hooks/useTariffs';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Keep empty inputs as '' so validation can flag them instead of silently using 0
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white';
+const cellInputClasses = 'w-full px-2 py-1 border border-gray-300 rounded text-sm';
+
+// Example month used for the bill preview
+const PREVIEW = { kwh: 1000, peakKw: 50 };
+
+const TariffSettings = () => {
+  const { tariffs, saveTariffs, resetTariffs } = useTariffs();
+  const { hierarchy } = useAssetHierarchy();
+  const activeTariff = getTariffForDate(today(), tariffs);
+  const [selectedId, setSelectedId] = useState(activeTariff?.id || null);
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+
+  // Load the selected version into the form (and after saves / resets)
+  useEffect(() => {
+    const selected = tariffs.find(tariff => tariff.id === selectedId) || tariffs[tariffs.length - 1];
+    setDraft(selected ? JSON.parse(JSON.stringify(selected)) : null);
+    if (selected && selected.id !== selectedId) setSelectedId(selected.id);
+    setSaveError(null);
+  }, [selectedId, tariffs]);
+
+  if (!draft) return null;
+
+  const errors = validateTariff(draft);
+  const isNew = !tariffs.some(tariff => tariff.id === draft.id);
+  const preview = calculateBill({ ...PREVIEW, tariff: draft });
+
+  // Whether a version is the one in effect today for the site(s) it covers
+  const isInEffect = (tariff) => getTariffForDate(today(), tariffs, tariff.branchId)?.id === tariff.id;
+
+  const getSiteLabel = (branchId) => (branchId
+    ? hierarchy.branches.find(branch => branch.id === Number(branchId))?.name || `Site ${branchId}`
+    : 'All sites');
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setSavedAt(null);
+  };
+
+  const updateRow = (field, index, changes) => {
+    updateDraft({ [field]: draft[field].map((row, i) => (i === index ? { ...row, ...changes } : row)) });
+  };
+
+  const addRow = (field, row) => updateDraft({ [field]: [...(draft[field] || []), row] });
+
+  const removeRow = (field, index) => updateDraft({ [field]: draft[field].filter((_, i) => i !== index) });
+
+  const handleNewVersion = () => {
+    // Start from the latest version so only the changed rates need editing
+    const latest = tariffs[tariffs.length - 1];
+    setDraft({
+      ...JSON.parse(JSON.stringify(latest)),
+      id: `tariff-${Date.now()}`,
+      name: `${latest.name} (new)`,
+      effectiveFrom: today()
+    });
+    setSaveError(null);
+    setSavedAt(null);
+  };
+
+  const handleSave = () => {
+    try {
+      const next = isNew
+        ? [...tariffs, draft]
+        : tariffs.map(tariff => (tariff.id === draft.id ? draft : tariff));
+      saveTariffs(next);
+      setSelectedId(draft.id);
+      setSavedAt(new Date());
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (isNew) {
+      setSelectedId(activeTariff.id);
+      setDraft(JSON.parse(JSON.stringify(activeTariff)));
+      return;
+    }
+    if (!window.confirm(`Delete tariff "${draft.name}"?`)) return;
+    try {
+      saveTariffs(tariffs.filter(tariff => tariff.id !== draft.id));
+      setSelectedId(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Replace all tariff versions with the default ₱10/kWh flat rate?')) return;
+    resetTariffs();
+    setSelectedId(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex flex-col md:flex-row md:items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Tariff Settings</h2>
+          <p className="text-gray-600 mt-1">
+            Electricity rates used for every cost figure. Each version applies from its effective date until the next one.
+            A site with versions of its own uses those instead of the all-sites ones.
+          </p>
+        </div>
+        <div className="mt-4 md:mt-0 flex space-x-2">
+          <button
+            onClick={handleNewVersion}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium"
+          >
+            <i className="fas fa-plus mr-2"></i>
+            New Version
+          </button>
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+          >
+            Reset to Default
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Versions */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">Versions</h3>
+            <p className="text-gray-600 text-sm mt-1">Ordered by effective date</p>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {tariffs.map(tariff => (
+              <li key={tariff.id}>
+                <button
+                  onClick={() => setSelectedId(tariff.id)}
+                  className={`w-full text-left px-6 py-3 hover:bg-gray-50 ${tariff.id === draft.id ? 'bg-primary-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">{tariff.name}</span>
+                    {isInEffect(tariff) && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">In effect</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">From {tariff.effectiveFrom} • {getSiteLabel(tariff.branchId)} • {describeTariff(tariff)}</p>
+                </button>
+              </li>
+            ))}
+            {isNew && (
+              <li className="px-6 py-3 bg-primary-50">
+                <span className="font-medium text-gray-900">{draft.name || 'New version'}</span>
+                <p className="text-xs text-gray-500 mt-1">Not saved yet</p>
+              </li>
+            )}
+          </ul>
+        </div>
+
+        {/* Editor */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">{isNew ? 'New Tariff Version' : 'Edit Tariff'}</h3>
+            <p className="text-gray-600 text-sm mt-1">Rates in ₱/kWh before VAT; demand and fixed charges are monthly</p>
+          </div>
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label htmlFor="tariff-name" className="block text-xs font-medium text-gray-500 mb-2">Name</label>
+                <input
+                  id="tariff-name"
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="tariff-effective" className="block text-xs font-medium text-gray-500 mb-2">Effective From</label>
+                <input
+                  id="tariff-effective"
+                  type="date"
+                  value={draft.effectiveFrom}
+                  onChange={(e) => updateDraft({ effectiveFrom: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="tariff-site" className="block text-xs font-medium text-gray-500 mb-2">Site</label>
+                <select
+                  id="tariff-site"
+                  value={draft.branchId ?? ''}
+                  onChange={(e) => updateDraft({ branchId: e.target.value ? Number(e.target.value) : null })}
+                  className={inputClasses}
+                >
+                  <option value="">All sites</option>
+                  {hierarchy.branches.map(branch => (
+                    <option key={branch.id} value={branch.id}>{branch.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="tariff-type" className="block text-xs font-medium text-gray-500 mb-2">Rate Type</label>
+                <select
+                  id="tariff-type"
+                  value={draft.type}
+                  onChange={(e) => updateDraft({ type: e.target.value })}
+                  className={inputClasses}
+                >
+                  {TARIFF_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* Energy rates for the chosen type */}
+            {draft.type === 'flat' && (
+              <div className="md:w-1/3">
+                <label htmlFor="tariff-flat-rate" className="block text-xs font-medium text-gray-500 mb-2">Rate (₱/kWh)</label>
+                <input
+                  id="tariff-flat-rate"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={draft.flatRate}
+                  onChange={(e) => updateDraft({ flatRate: toNumber(e.target.value) })}
+                  className={inputClasses}
+                />
+              </div>
+            )}
+
+            {draft.type === 'tiered' && (
+              <div>
+                <h4 className="text-sm font-semibold text-gray-700 mb-2">Tiers (monthly kWh)</h4>
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2">Up to (kWh)</th>
+                      <th className="px-3 py-2">Rate (₱/kWh)</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.tiers.map((tier, index) => (
+                      <tr key={index} className="border-b">
+                        <td className="px-3 py-2">
+                          {index === draft.tiers.length - 1 ? (
+                            <span className="text-gray-500">Remaining kWh</span>
+                          ) : (
+                            <input
+                              type="number"
+                              min="0"
+                              value={tier.upTo ?? ''}
+                              onChange={(e) => updateRow('tiers', index, { upTo: toNumber(e.target.value) })}
+                              className={cellInputClasses}
+                              aria-label={`Tier ${index + 1} upper limit`}
+                            />
+                          )}
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={tier.rate}
+                            onChange={(e) => updateRow('tiers', index, { rate: toNumber(e.target.value) })}
+                            className={cellInputClasses}
+                            aria-label={`Tier ${index + 1} rate`}
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <button onClick={() => removeRow('tiers', index)} className="text-red-600 hover:text-red-800" aria-label="Remove tier">
+                            <i className="fas fa-trash-alt"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <button
+                  onClick={() => updateDraft({
+                    // New tiers go before the open-ended last one
+                    tiers: [...draft.tiers.slice(0, -1), { upTo: '', rate: '' }, ...draft.tiers.slice(-1)]
+                  })}
+                  className="mt-2 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <i className="fas fa-plus mr-1"></i>Add tier
+                </button>
+              </div>
+            )}
+
+            {draft.type === 'tou' && (
+              <div>
+                <h4 className="text-sm font-semibold text-gray-700 mb-2">Time-of-use periods</h4>
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2">Period</th>
+                      <th className="px-3 py-2">From (hour)</th>
+                      <th className="px-3 py-2">To (hour)</th>
+                      <th className="px-3 py-2">Rate (₱/kWh)</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.touPeriods.map((period, index) => (
+                      <tr key={index} className="border-b">
+                        <td className="px-3 py-2">
+                          <input
+                            type="text"
+                            value={period.name}
+                            onChange={(e) => updateRow('touPeriods', index, { name: e.target.value })}
+                            className={cellInputClasses}
+                            aria-label={`Period ${index + 1} name`}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max="23"
+                            value={period.startHour}
+                            onChange={(e) => updateRow('touPeriods', index, { startHour: toNumber(e.target.value) })}
+                            className={cellInputClasses}
+                            aria-label={`Period ${index + 1} start hour`}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max="24"
+                            value={period.endHour}
+                            onChange={(e) => updateRow('touPeriods', index, { endHour: toNumber(e.target.value) })}
+                            className={cellInputClasses}
+                            aria-label={`Period ${index + 1} end hour`}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={period.rate}
+                            onChange={(e) => updateRow('touPeriods', index, { rate: toNumber(e.target.value) })}
+                            className={cellInputClasses}
+                            aria-label={`Period ${index + 1} rate`}
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <button onClick={() => removeRow('touPeriods', index)} className="text-red-600 hover:text-red-800" aria-label="Remove period">
+                            <i className="fas fa-trash-alt"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <button
+                  onClick={() => addRow('touPeriods', { name: '', startHour: 0, endHour: 0, rate: '' })}
+                  className="mt-2 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <i className="fas fa-plus mr-1"></i>Add period
+                </button>
+              </div>
+            )}
+
+            {/* Charges on top of energy */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="tariff-demand" className="block text-xs font-medium text-gray-500 mb-2">Demand Charge (₱/kW of monthly peak)</label>
+                <input
+                  id="tariff-demand"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={draft.demandCharge}
+                  onChange={(e) => updateDraft({ demandCharge: toNumber(e.target.value) })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="tariff-vat" className="block text-xs font-medium text-gray-500 mb-2">VAT (%)</label>
+                <input
+                  id="tariff-vat"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  value={draft.vatRate === '' ? '' : Math.round(Number(draft.vatRate) * 1000) / 10}
+                  onChange={(e) => updateDraft({ vatRate: e.target.value === '' ? '' : Number(e.target.value) / 100 })}
+                  className={inputClasses}
+                />
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Fixed monthly charges</h4>
+              {(draft.fixedCharges || []).length === 0 && (
+                <p className="text-sm text-gray-500">No fixed charges.</p>
+              )}
+              {(draft.fixedCharges || []).map((charge, index) => (
+                <div key={index} className="flex items-center space-x-2 mb-2">
+                  <input
+                    type="text"
+                    placeholder="e.g. Metering charge"
+                    value={charge.name}
+                    onChange={(e) => updateRow('fixedCharges', index, { name: e.target.value })}
+                    className={cellInputClasses}
+                    aria-label={`Fixed charge ${index + 1} name`}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={charge.amount}
+                    onChange={(e) => updateRow('fixedCharges', index, { amount: toNumber(e.target.value) })}
+                    className={`${cellInputClasses} w-40`}
+                    aria-label={`Fixed charge ${index + 1} amount`}
+                  />
+                  <button onClick={() => removeRow('fixedCharges', index)} className="text-red-600 hover:text-red-800" aria-label="Remove fixed charge">
+                    <i className="fas fa-trash-alt"></i>
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => addRow('fixedCharges', { name: '', amount: '' })}
+                className="text-sm text-primary-600 hover:text-primary-700"
+              >
+                <i className="fas fa-plus mr-1"></i>Add fixed charge
+              </button>
+            </div>
+
+            {/* Preview */}
+            {errors.length === 0 && (
+              <div className="bg-gray-50 rounded-lg p-4 text-sm">
+                <p className="font-medium text-gray-900 mb-2">
+                  Example month: {PREVIEW.kwh.toLocaleString('en-US')} kWh, {PREVIEW.peakKw} kW peak
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-gray-700">
+                  <span>Energy: {formatPeso(preview.energyCharge)}</span>
+                  <span>Demand: {formatPeso(preview.demandCharge)}</span>
+                  <span>Fixed: {formatPeso(preview.fixedCharges)}</span>
+                  <span>VAT: {formatPeso(preview.vat)}</span>
+                  <span className="font-semibold text-primary-600">Total: {formatPeso(preview.total)}</span>
+                </div>
+              </div>
+            )}
+
+            {errors.length > 0 && (
+              <ul className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700 list-disc list-inside">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+            {saveError && <p className="text-sm text-red-700">{saveError}</p>}
+
+            <div className="flex items-center justify-between">
+              <button
+                onClick={handleDelete}
+                disabled={!isNew && tariffs.length <= 1}
+                className="px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isNew ? 'Discard' : 'Delete Version'}
+              </button>
+              <div className="flex items-center space-x-3">
+                {savedAt && <span className="text-sm text-green-700"><i className="fas fa-check mr-1"></i>Saved</span>}
+                <button
+                  onClick={handleSave}
+                  disabled={errors.length > 0}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save Tariff
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TariffSettings;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -11,8 +11,10 @@ import {
   Legend,
   Filler
 } from 'chart.js';
-import { locationData } from '../data/locationData';
-import DateRangePicker from './DateRangePicker';
+import { format, parseISO } from 'date-fns';
+import { useSecondData, useMinuteData, useDailyHourlyData } from '../hooks/useEnergyData';
+import { useVirtualMeterSeries } from '../hooks/useVirtualMeters';
+import { getSiteFilters } from '../utils/sites';
 
 ChartJS.register(
   CategoryScale,
@@ -25,47 +27,107 @@ ChartJS.register(
   Filler
 );
 
-const TimeIntervalCharts = ({ locations, showOnly, dateContext = null, hourContext = null }) => {
-  const [perSecondData, setPerSecondData] = useState(locationData.timeData.perSecond);
-  const [perMinuteData, setPerMinuteData] = useState(locationData.timeData.perMinute);
-  const [perHourData, setPerHourData] = useState(locationData.timeData.perHour);
+// Status badge for live monitoring mode
+const LIVE_STATUS = {
+  connecting: { label: 'Connecting', classes: 'bg-yellow-100 text-yellow-800' },
+  live: { label: 'Live', classes: 'bg-green-100 text-green-800' },
+  reconnecting: { label: 'Reconnecting', classes: 'bg-yellow-100 text-yellow-800' },
+  error: { label: 'Stream unavailable', classes: 'bg-red-100 text-red-800' },
+  unsupported: { label: 'Live not supported', classes: 'bg-gray-100 text-gray-700' }
+};
 
-  useEffect(() => {
-    // Update per hour chart based on filtered locations
-    const typeCount = {
-      residential: locations.filter(l => l.type === 'residential').length,
-      commercial: locations.filter(l => l.type === 'commercial').length,
-      industrial: locations.filter(l => l.type === 'industrial').length
-    };
+const pad = (value) => String(value).padStart(2, '0');
 
-    const scaleResidential = typeCount.residential / 8;
-    const scaleCommercial = typeCount.commercial / 8;
-    const scaleIndustrial = typeCount.industrial / 8;
+const HOURS = Array.from({ length: 24 }, (_, i) => i);
+const MINUTES = Array.from({ length: 60 }, (_, i) => i);
 
-    setPerHourData({
-      residential: locationData.timeData.perHour.residential.map(val => val * scaleResidential),
-      commercial: locationData.timeData.perHour.commercial.map(val => val * scaleCommercial),
-      industrial: locationData.timeData.perHour.industrial.map(val => val * scaleIndustrial)
-    });
-  }, [locations]);
+// Spread API rows over fixed slots (seconds of a minute, minutes of an hour, hours of a day)
+// so gaps in the readings show as gaps instead of shifting the line
+const toSlots = (rows, slotCount, slotField, getValue) => {
+  const slots = Array(slotCount).fill(null);
+  (rows || []).forEach(row => {
+    const slot = Number(row[slotField]);
+    if (slot >= 0 && slot < slotCount) slots[slot] = getValue(row);
+  });
+  return slots;
+};
+
+// Index of the largest value, or null when there is none
+const peakIndex = (values) => {
+  let peak = null;
+  values.forEach((value, index) => {
+    if (value !== null && (peak === null || value > values[peak])) peak = index;
+  });
+  return peak;
+};
 
-  // Simulate real-time updates for per-second chart
+const selectClasses = 'px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// floor: floor filter for the series ('all' sums every floor of the site)
+// site: { branch, building } filters the series is scoped to
+// dateContext: 'yyyy-MM-dd' date the charts show; hourContext: hour (0-23) the per-minute window starts on
+// The per-second window defaults to the busiest minute of that hour; both can be changed from the chart headers
+// liveReadings: rolling window from useLiveReadings - replaces the per-second series when given
+// virtualMeter: virtual meter shown in place of the floor - its formula is evaluated per hour and
+// per minute; per-second readings aren't evaluated for it
+const TimeIntervalCharts = ({ floor = 'all', site = {}, showOnly, dateContext = null, hourContext = null, liveReadings = null, liveStatus = 'idle', virtualMeter = null }) => {
+  const [selectedHour, setSelectedHour] = useState(hourContext);
+  const [selectedMinute, setSelectedMinute] = useState(null);
+
+  // A new date or hour from the parent resets the drill-down
   useEffect(() => {
-    const interval = setInterval(() => {
-      setPerSecondData(prev => {
-        const newData = [...prev];
-        newData.shift();
-        newData.push(Math.random() * 5 + 1);
-        return newData;
-      });
-    }, 1000);
+    setSelectedHour(hourContext);
+    setSelectedMinute(null);
+  }, [dateContext, hourContext, floor, virtualMeter]);
+
+  const isLive = Array.isArray(liveReadings);
+  const hour = selectedHour ?? hourContext ?? 0;
+
+  const { branch, building } = getSiteFilters(site);
+  // The floor series are skipped (no date) while a virtual meter is shown
+  const floorDate = virtualMeter ? null : dateContext;
+  const floorHourly = useDailyHourlyData({ branch, building, date: floorDate, floor });
+  const floorMinute = useMinuteData({ branch, building, date: floorDate, hour, floor });
+  const virtual = useVirtualMeterSeries(virtualMeter, { branch, building, date: dateContext, hour });
+  const hourlyData = virtualMeter ? virtual.hourlyData : floorHourly.hourlyData;
+  const hourlyLoading = virtualMeter ? virtual.loading : floorHourly.loading;
+  const minuteData = virtualMeter ? virtual.minuteData : floorMinute.minuteData;
+  const minuteLoading = virtualMeter ? virtual.loading : floorMinute.loading;
 
-    return () => clearInterval(interval);
-  }, []);
+  // Wh per hour equals average kW; Wh per minute * 60 / 1000 is the average kW over that minute
+  const perHourValues = useMemo(
+    () => toSlots(hourlyData?.hourly_data, 24, 'hour', row => Number(row.total_energy) / 1000),
+    [hourlyData]
+  );
+  const perMinuteValues = useMemo(
+    () => toSlots(minuteData?.minute_data, 60, 'minute', row => (Number(row.total_energy) * 60) / 1000),
+    [minuteData]
+  );
+
+  const minute = selectedMinute ?? peakIndex(perMinuteValues) ?? 0;
+  const { secondData, loading: secondLoading } = useSecondData({
+    branch,
+    building,
+    date: isLive || virtualMeter ? null : dateContext,
+    hour,
+    minute,
+    floor
+  });
+  const perSecondValues = useMemo(
+    () => toSlots(secondData?.second_data, 60, 'second', row => Number(row.total_power) / 1000),
+    [secondData]
+  );
+
+  const dateLabel = dateContext ? format(parseISO(dateContext), 'EEEE, MMMM d, yyyy') : null;
+  const floorLabel = virtualMeter
+    ? virtualMeter.name
+    : floor && floor !== 'all' ? `Floor ${floor}` : 'All floors';
 
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
+    // Re-animating the whole line every second makes the live window jitter
+    animation: isLive ? false : undefined,
     plugins: {
       legend: {
         display: true,
@@ -84,22 +146,13 @@ const TimeIntervalCharts = ({ locations, showOnly, dateContext = null, hourConte
         padding: 10,
         callbacks: {
           title: function(context) {
-            if (dateContext) {
-              return dateContext;
-            }
-            return context[0].label || '';
+            const label = context[0].label || '';
+            return dateLabel && !isLive ? `${dateLabel} at ${label}` : label;
           },
           label: function(context) {
             const label = context.dataset.label || '';
             const value = context.parsed.y || 0;
-            let dateTimeInfo = '';
-            if (dateContext) {
-              dateTimeInfo = ` • ${dateContext}`;
-              if (hourContext && context.dataIndex !== undefined) {
-                dateTimeInfo += ` at ${hourContext}:00`;
-              }
-            }
-            return `${label}: ${value.toFixed(2)} kW${dateTimeInfo}`;
+            return `${label}: ${value.toFixed(2)} kW`;
           }
         }
       }
@@ -112,7 +165,8 @@ const TimeIntervalCharts = ({ locations, showOnly, dateContext = null, hourConte
         },
         ticks: {
           font: { size: 11 },
-          color: '#6b7280'
+          color: '#6b7280',
+          maxTicksLimit: 12
         }
       },
       y: {
@@ -140,13 +194,12 @@ const TimeIntervalCharts = ({ locations, showOnly, dateContext = null, hourConte
   };
 
   const perSecondChartData = {
-    labels: Array.from({ length: 60 }, (_, i) => {
-      const baseLabel = `${i}s`;
-      return dateContext ? `${baseLabel} (${dateContext})` : baseLabel;
-    }),
+    labels: isLive
+      ? liveReadings.map(point => point.timestamp.split(' ')[1] || point.timestamp)
+      : MINUTES.map(second => `${pad(hour)}:${pad(minute)}:${pad(second)}`),
     datasets: [{
-      label: 'Energy Consumption (kW)',
-      data: perSecondData,
+      label: 'Power Draw (kW)',
+      data: isLive ? liveReadings.map(point => point.power_w / 1000) : perSecondValues,
       borderColor: '#10b981',
       backgroundColor: 'rgba(16, 185, 129, 0.1)',
       borderWidth: 2,
@@ -156,13 +209,10 @@ const TimeIntervalCharts = ({ locations, showOnly, dateContext = null, hourConte
   };
 
   const perMinuteChartData = {
-    labels: Array.from({ length: 60 }, (_, i) => {
-      const baseLabel = `${i}m`;
-      return dateContext && hourContext ? `${baseLabel} (${dateContext} ${hourContext}:00)` : baseLabel;
-    }),
+    labels: MINUTES.map(m => `${pad(hour)}:${pad(m)}`),
     datasets: [{
-      label: 'Energy Consumption (kW)',
-      data: perMinuteData,
+      label: 'Average Power (kW)',
+      data: perMinuteValues,
       borderColor: '#3b82f6',
       backgroundColor: 'rgba(59, 130, 246, 0.1)',
       borderWidth: 2,
@@ -172,248 +222,164 @@ const TimeIntervalCharts = ({ locations, showOnly, dateContext = null, hourConte
   };
 
   const perHourChartData = {
-    labels: Array.from({ length: 24 }, (_, i) => {
-      const baseLabel = `${i}:00`;
-      return dateContext ? `${baseLabel} (${dateContext})` : baseLabel;
-    }),
-    datasets: [
-      {
-        label: 'Residential',
-        data: perHourData.residential,
-        borderColor: '#8b5cf6',
-        backgroundColor: 'rgba(139, 92, 246, 0.1)',
-        borderWidth: 2,
-        fill: true,
-        tension: 0.4
-      },
-      {
-        label: 'Commercial',
-        data: perHourData.commercial,
-        borderColor: '#ef4444',
-        backgroundColor: 'rgba(239, 68, 68, 0.1)',
-        borderWidth: 2,
-        fill: true,
-        tension: 0.4
-      },
-      {
-        label: 'Industrial',
-        data: perHourData.industrial,
-        borderColor: '#3b82f6',
-        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-        borderWidth: 2,
-        fill: true,
-        tension: 0.4
-      }
-    ]
+    labels: HOURS.map(h => `${pad(h)}:00`),
+    datasets: [{
+      label: 'Average Power (kW)',
+      data: perHourValues,
+      borderColor: '#8b5cf6',
+      backgroundColor: 'rgba(139, 92, 246, 0.1)',
+      borderWidth: 2,
+      fill: true,
+      tension: 0.4
+    }]
   };
 
-  // Render only the selected chart if showOnly prop is provided
-  if (showOnly === 'per-second') {
+  // Chart body with loading / empty states
+  const emptyText = dateContext ? 'No readings for this window' : 'Select a date to see readings';
+  const renderChart = (data, values, loading, empty = emptyText) => {
+    const hasValues = values.some(value => value !== null);
     return (
-      <section id="per-second" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <div className="flex flex-col md:flex-row md:items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">Per Second Energy Consumption</h3>
-              <p className="text-gray-600 mt-1">
-                Real-time energy usage measured every second for selected locations
-                {dateContext && <span className="ml-2 text-primary-600">• {dateContext}</span>}
-              </p>
-            </div>
-            <div className="mt-4 md:mt-0">
-              <div className="flex items-center space-x-4">
-                <div className="flex items-center">
-                  <div className="w-3 h-3 rounded-full bg-energy-consumption mr-2"></div>
-                  <span className="text-sm text-gray-700">Consumption</span>
-                </div>
-                <DateRangePicker defaultText="Today" />
-              </div>
+      <div className="p-6">
+        <div className="chart-container relative">
+          <Line data={data} options={chartOptions} />
+          {!hasValues && (
+            <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+              {loading ? (
+                <span><i className="fas fa-spinner fa-spin mr-2"></i>Loading readings...</span>
+              ) : (
+                <span>{empty}</span>
+              )}
             </div>
-          </div>
+          )}
         </div>
-        <div className="p-6">
-          <div className="chart-container">
-            <Line data={perSecondChartData} options={chartOptions} />
-          </div>
-        </div>
-      </section>
+      </div>
     );
-  }
+  };
 
-  if (showOnly === 'per-minute') {
-    return (
-      <section id="per-minute" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <div className="flex flex-col md:flex-row md:items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">Per Minute Energy Consumption</h3>
-              <p className="text-gray-600 mt-1">
-                Minute-by-minute energy usage trends across locations
-                {dateContext && hourContext && (
-                  <span className="ml-2 text-primary-600">• {dateContext} at {hourContext}:00</span>
-                )}
-                {dateContext && !hourContext && (
-                  <span className="ml-2 text-primary-600">• {dateContext}</span>
-                )}
-              </p>
-            </div>
-            <div className="mt-4 md:mt-0">
-              <div className="flex items-center space-x-4">
-                <div className="flex items-center">
-                  <div className="w-3 h-3 rounded-full bg-energy-consumption mr-2"></div>
-                  <span className="text-sm text-gray-700">Consumption</span>
-                </div>
-                <DateRangePicker defaultText="Last 7 Days" />
-              </div>
-            </div>
-          </div>
-        </div>
-        <div className="p-6">
-          <div className="chart-container">
-            <Line data={perMinuteChartData} options={chartOptions} />
+  const renderPerSecond = () => (
+    <section id="per-second" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Per Second Power Draw</h3>
+            <p className="text-gray-600 mt-1">
+              {isLive
+                ? `Live readings streamed every second • last ${liveReadings.length}s`
+                : `Readings for every second of ${pad(hour)}:${pad(minute)} • ${floorLabel}`}
+              {dateLabel && !isLive && <span className="ml-2 text-primary-600">• {dateLabel}</span>}
+            </p>
           </div>
-        </div>
-      </section>
-    );
-  }
-
-  if (showOnly === 'per-hour') {
-    return (
-      <section id="per-hour" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <div className="flex flex-col md:flex-row md:items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">Per Hour Energy Consumption</h3>
-              <p className="text-gray-600 mt-1">
-                Hourly energy consumption patterns by location type
-                {dateContext && <span className="ml-2 text-primary-600">• Date Range: {dateContext}</span>}
-              </p>
-            </div>
-            <div className="mt-4 md:mt-0">
-              <div className="flex items-center space-x-4">
-                <div className="flex items-center">
-                  <div className="w-3 h-3 rounded-full bg-energy-residential mr-2"></div>
-                  <span className="text-sm text-gray-700 mr-3">Residential</span>
-                  <div className="w-3 h-3 rounded-full bg-energy-commercial mr-2"></div>
-                  <span className="text-sm text-gray-700 mr-3">Commercial</span>
-                  <div className="w-3 h-3 rounded-full bg-energy-industrial mr-2"></div>
-                  <span className="text-sm text-gray-700">Industrial</span>
-                </div>
-                <DateRangePicker defaultText="Last 30 Days" />
+          <div className="mt-4 md:mt-0">
+            <div className="flex items-center space-x-4">
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-energy-consumption mr-2"></div>
+                <span className="text-sm text-gray-700">Power</span>
               </div>
+              {isLive ? (
+                LIVE_STATUS[liveStatus] && (
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${LIVE_STATUS[liveStatus].classes}`}>
+                    {liveStatus === 'live' && <i className="fas fa-circle text-green-500 text-[8px] mr-1 animate-pulse"></i>}
+                    {LIVE_STATUS[liveStatus].label}
+                  </span>
+                )
+              ) : (
+                <select
+                  value={minute}
+                  onChange={(e) => setSelectedMinute(Number(e.target.value))}
+                  className={selectClasses}
+                  aria-label="Select minute"
+                >
+                  {MINUTES.map(m => (
+                    <option key={m} value={m}>{pad(hour)}:{pad(m)}</option>
+                  ))}
+                </select>
+              )}
             </div>
           </div>
         </div>
-        <div className="p-6">
-          <div className="chart-container">
-            <Line data={perHourChartData} options={chartOptions} />
-          </div>
-        </div>
-      </section>
-    );
-  }
+      </div>
+      {isLive
+        ? renderChart(perSecondChartData, liveReadings, liveStatus === 'connecting', 'Waiting for readings')
+        : virtualMeter
+          ? renderChart(perSecondChartData, perSecondValues, false, 'Per-second readings are not evaluated for virtual meters')
+          : renderChart(perSecondChartData, perSecondValues, secondLoading || minuteLoading)}
+    </section>
+  );
 
-  // If no showOnly prop, render all charts (for backward compatibility)
-  return (
-    <>
-      {/* Per Second Chart */}
-      <section id="per-second" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <div className="flex flex-col md:flex-row md:items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">Per Second Energy Consumption</h3>
-              <p className="text-gray-600 mt-1">
-                Real-time energy usage measured every second for selected locations
-                {dateContext && <span className="ml-2 text-primary-600">• {dateContext}</span>}
-              </p>
-            </div>
-            <div className="mt-4 md:mt-0">
-              <div className="flex items-center space-x-4">
-                <div className="flex items-center">
-                  <div className="w-3 h-3 rounded-full bg-energy-consumption mr-2"></div>
-                  <span className="text-sm text-gray-700">Consumption</span>
-                </div>
-                <DateRangePicker defaultText="Today" />
-              </div>
-            </div>
-          </div>
-        </div>
-        <div className="p-6">
-          <div className="chart-container">
-            <Line data={perSecondChartData} options={chartOptions} />
+  const renderPerMinute = () => (
+    <section id="per-minute" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Per Minute Power Draw</h3>
+            <p className="text-gray-600 mt-1">
+              Minute-by-minute average power for {pad(hour)}:00 - {pad(hour)}:59 • {floorLabel}
+              {dateLabel && <span className="ml-2 text-primary-600">• {dateLabel}</span>}
+            </p>
           </div>
-        </div>
-      </section>
-
-      {/* Per Minute Chart */}
-      <section id="per-minute" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <div className="flex flex-col md:flex-row md:items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">Per Minute Energy Consumption</h3>
-              <p className="text-gray-600 mt-1">
-                Minute-by-minute energy usage trends across locations
-                {dateContext && hourContext && (
-                  <span className="ml-2 text-primary-600">• {dateContext} at {hourContext}:00</span>
-                )}
-                {dateContext && !hourContext && (
-                  <span className="ml-2 text-primary-600">• {dateContext}</span>
-                )}
-              </p>
-            </div>
-            <div className="mt-4 md:mt-0">
-              <div className="flex items-center space-x-4">
-                <div className="flex items-center">
-                  <div className="w-3 h-3 rounded-full bg-energy-consumption mr-2"></div>
-                  <span className="text-sm text-gray-700">Consumption</span>
-                </div>
-                <DateRangePicker defaultText="Last 7 Days" />
+          <div className="mt-4 md:mt-0">
+            <div className="flex items-center space-x-4">
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-energy-consumption mr-2"></div>
+                <span className="text-sm text-gray-700">Power</span>
               </div>
+              <select
+                value={hour}
+                onChange={(e) => {
+                  setSelectedHour(Number(e.target.value));
+                  setSelectedMinute(null);
+                }}
+                className={selectClasses}
+                aria-label="Select hour"
+              >
+                {HOURS.map(h => (
+                  <option key={h} value={h}>{pad(h)}:00</option>
+                ))}
+              </select>
             </div>
           </div>
         </div>
-        <div className="p-6">
-          <div className="chart-container">
-            <Line data={perMinuteChartData} options={chartOptions} />
-          </div>
-        </div>
-      </section>
+      </div>
+      {renderChart(perMinuteChartData, perMinuteValues, minuteLoading)}
+    </section>
+  );
 
-      {/* Per Hour Chart */}
-      <section id="per-hour" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        <div className="border-b border-gray-200 px-6 py-4">
-          <div className="flex flex-col md:flex-row md:items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">Per Hour Energy Consumption</h3>
-              <p className="text-gray-600 mt-1">
-                Hourly energy consumption patterns by location type
-                {dateContext && <span className="ml-2 text-primary-600">• Date Range: {dateContext}</span>}
-              </p>
-            </div>
-            <div className="mt-4 md:mt-0">
-              <div className="flex items-center space-x-4">
-                <div className="flex items-center">
-                  <div className="w-3 h-3 rounded-full bg-energy-residential mr-2"></div>
-                  <span className="text-sm text-gray-700 mr-3">Residential</span>
-                  <div className="w-3 h-3 rounded-full bg-energy-commercial mr-2"></div>
-                  <span className="text-sm text-gray-700 mr-3">Commercial</span>
-                  <div className="w-3 h-3 rounded-full bg-energy-industrial mr-2"></div>
-                  <span className="text-sm text-gray-700">Industrial</span>
-                </div>
-                <DateRangePicker defaultText="Last 30 Days" />
-              </div>
-            </div>
+  const renderPerHour = () => (
+    <section id="per-hour" className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Per Hour Power Draw</h3>
+            <p className="text-gray-600 mt-1">
+              Hourly average power across the day • {floorLabel}
+              {dateLabel && <span className="ml-2 text-primary-600">• {dateLabel}</span>}
+            </p>
           </div>
-        </div>
-        <div className="p-6">
-          <div className="chart-container">
-            <Line data={perHourChartData} options={chartOptions} />
+          <div className="mt-4 md:mt-0">
+            <div className="flex items-center">
+              <div className="w-3 h-3 rounded-full bg-energy-residential mr-2"></div>
+              <span className="text-sm text-gray-700">Power</span>
+            </div>
           </div>
         </div>
-      </section>
+      </div>
+      {renderChart(perHourChartData, perHourValues, hourlyLoading)}
+    </section>
+  );
+
+  // Render only the selected chart if showOnly prop is provided
+  if (showOnly === 'per-second') return renderPerSecond();
+  if (showOnly === 'per-minute') return renderPerMinute();
+  if (showOnly === 'per-hour') return renderPerHour();
+
+  // If no showOnly prop, render all charts
+  return (
+    <>
+      {renderPerHour()}
+      {renderPerMinute()}
+      {renderPerSecond()}
     </>
   );
 };
 
 export default TimeIntervalCharts;
-
@@ -0,0 +1,196 @@
+import React, { useEffect, useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Filler
+} from 'chart.js';
+import { format, formatDistanceStrict, parseISO } from 'date-fns';
+import { useUnitReadings } from '../hooks/useEnergyData';
+import { findAsset, formatUnitChannel } from '../utils/assets';
+import { getUnitCost } from '../utils/filterUtils';
+import { getChannelSeries, getStatusPeriods } from '../utils/metering';
+import LoadingSpinner from './LoadingSpinner';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Filler);
+
+const STATUS_BADGES = {
+  operational: 'bg-green-100 text-green-800',
+  maintenance: 'bg-yellow-100 text-yellow-800',
+  critical: 'bg-red-100 text-red-800'
+};
+
+const formatKwh = (value) => `${(Number(value) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const seriesOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: { display: false },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      padding: 10,
+      callbacks: { label: (context) => `Energy: ${formatKwh(context.parsed.y)}` }
+    }
+  },
+  scales: {
+    x: { grid: { display: false }, ticks: { font: { size: 10 }, color: '#6b7280', maxTicksLimit: 8 } },
+    y: {
+      beginAtZero: true,
+      grid: { color: 'rgba(0, 0, 0, 0.05)' },
+      ticks: { font: { size: 10 }, color: '#6b7280' },
+      title: { display: true, text: 'kWh per hour' }
+    }
+  }
+};
+
+// Slide-over with one unit's metered time series, peak time and status history
+// unit: a unit from usePowerPlantData (priced, with metered set); null keeps the drawer closed
+const UnitDetailDrawer = ({ unit, filters = {}, onClose }) => {
+  const { channel, loading, error } = useUnitReadings(unit, filters);
+
+  // Escape closes the drawer like the backdrop does
+  useEffect(() => {
+    if (!unit) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [unit, onClose]);
+
+  const series = useMemo(() => getChannelSeries(channel), [channel]);
+  const chartData = useMemo(() => ({
+    labels: series.map(point => point.label),
+    datasets: [{
+      label: 'Energy (kWh)',
+      data: series.map(point => point.kwh),
+      borderColor: '#2563eb',
+      backgroundColor: 'rgba(37, 99, 235, 0.1)',
+      fill: true,
+      tension: 0.3,
+      // The peak hour stands out
+      pointRadius: series.map(point => (point.isPeak ? 5 : 0)),
+      pointBackgroundColor: series.map(point => (point.isPeak ? '#dc2626' : '#2563eb'))
+    }]
+  }), [series]);
+
+  if (!unit) return null;
+
+  const floor = findAsset('floors', unit.floorId);
+  const building = floor ? findAsset('buildings', floor.buildingId) : null;
+  const statusPeriods = getStatusPeriods(unit);
+  const peak = channel?.peak_hour;
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black bg-opacity-30" onClick={onClose}></div>
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="unit-drawer-title"
+        className="fixed inset-y-0 right-0 z-50 w-full max-w-lg bg-white shadow-xl overflow-y-auto"
+      >
+        <div className="border-b border-gray-200 px-6 py-4 flex items-start justify-between">
+          <div>
+            <h3 id="unit-drawer-title" className="text-lg font-semibold text-gray-900">{unit.name}</h3>
+            <p className="text-gray-600 text-sm mt-1">
+              {unit.equipmentType} • {building?.name || 'Unknown building'} • {floor?.name || `Floor ${unit.floorId}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close unit details"
+            title="Close"
+          >
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className={`px-2 py-1 rounded capitalize ${STATUS_BADGES[unit.status] || 'bg-gray-100 text-gray-700'}`}>{unit.status}</span>
+            <span
+              className={`px-2 py-1 rounded ${unit.metered ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}
+              title={unit.metered ? 'From the channel readings for the period in view' : 'Estimated share of the floor - no channel readings'}
+            >
+              <i className={`fas ${unit.metered ? 'fa-tachometer-alt' : 'fa-calculator'} mr-1`}></i>
+              {unit.metered ? 'Metered' : 'Estimated'}
+            </span>
+            <span className="text-gray-500">{formatUnitChannel(unit)}</span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Consumption</p>
+              <p className="text-lg font-semibold text-gray-900">{formatKwh(unit.consumption)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Cost</p>
+              <p className="text-lg font-semibold text-gray-900">{formatPeso(getUnitCost(unit))}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Peak time</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {peak ? `${format(parseISO(peak.date), 'MMM d')}, ${unit.peakTime}` : unit.peakTime || '—'}
+              </p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Max power</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {channel ? `${(channel.max_power / 1000).toFixed(2)} kW` : '—'}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Hourly energy</h4>
+            {!unit.meter ? (
+              <p className="text-sm text-gray-500">
+                Not mapped to a meter yet. Set its meter and channel in Asset Hierarchy to chart its readings.
+              </p>
+            ) : loading && !channel ? (
+              <LoadingSpinner message="Loading unit readings..." />
+            ) : error && !channel ? (
+              <p className="text-sm text-red-600">Could not load the channel readings: {error.message}</p>
+            ) : series.length > 0 ? (
+              <div className="chart-container" style={{ height: '220px' }}>
+                <Line data={chartData} options={seriesOptions} />
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No readings on this channel for the period in view.</p>
+            )}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Status history</h4>
+            <ul className="space-y-2">
+              {statusPeriods.map((period, index) => (
+                <li key={`${period.status}-${period.from || index}`} className="flex items-center justify-between text-sm">
+                  <span className={`px-2 py-1 rounded text-xs capitalize ${STATUS_BADGES[period.status] || 'bg-gray-100 text-gray-700'}`}>
+                    {period.status}
+                  </span>
+                  <span className="text-gray-500 text-xs">
+                    {period.from ? format(parseISO(period.from), 'MMM d, yyyy h:mm a') : 'Before status tracking'}
+                    {' → '}
+                    {period.to ? format(parseISO(period.to), 'MMM d, yyyy h:mm a') : 'now'}
+                    {period.from && ` (${formatDistanceStrict(parseISO(period.from), period.to ? parseISO(period.to) : new Date())})`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </aside>
+    </>
+  );
+};
+
+export default UnitDetailDrawer;
@@ -0,0 +1,326 @@
+import React, { useState, useMemo } from 'react';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip
+} from 'chart.js';
+import { format, parseISO } from 'date-fns';
+import { useAssetHierarchy } from '../hooks/useAssetHierarchy';
+import { useAvailableDates } from '../hooks/useEnergyData';
+import { useVirtualMeters, useVirtualMeterSeries } from '../hooks/useVirtualMeters';
+import { formatUnitChannel } from '../utils/assets';
+import { isMeteredUnit } from '../utils/metering';
+import {
+  validateVirtualMeter,
+  describeFormula,
+  formatRef,
+  getVirtualFloorValue,
+  getVirtualMeterForFloor
+} from '../utils/virtualMeters';
+import DataStatusBanner from './DataStatusBanner';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm bg-white';
+const chipClasses = 'px-2 py-1 border border-gray-300 rounded text-xs text-gray-700 hover:bg-gray-50';
+
+const OPERATORS = ['+', '-', '*', '/', '(', ')'];
+
+const previewOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: { display: false },
+    tooltip: {
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      padding: 10,
+      callbacks: { label: (context) => `${context.parsed.y.toFixed(2)} kWh` }
+    }
+  },
+  scales: {
+    x: { grid: { display: false }, ticks: { font: { size: 10 }, color: '#6b7280', maxTicksLimit: 12 } },
+    y: { grid: { color: 'rgba(0, 0, 0, 0.05)' }, ticks: { font: { size: 10 }, color: '#6b7280' } }
+  }
+};
+
+// Virtual meters - formulas over floors and metered units (e.g. "F1 - U1") that can be picked in
+// the floor filter like a floor. The editor previews the formula's hourly series for the latest day with readings.
+// onViewMeter(floor): open the dashboard with the virtual meter in the floor filter
+const VirtualMeters = ({ filters, onViewMeter, onFilterChange }) => {
+  const { hierarchy } = useAssetHierarchy();
+  const { virtualMeters, saveVirtualMeters } = useVirtualMeters();
+  const { availableDates } = useAvailableDates();
+
+  // Meter being edited - isNew until it is first saved
+  const [editing, setEditing] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  const errors = editing ? validateVirtualMeter(editing.meter, virtualMeters, hierarchy) : [];
+  const meteredUnits = hierarchy.units.filter(isMeteredUnit);
+
+  // Only a valid formula is previewed
+  const previewFormula = editing && errors.length === 0 ? editing.meter.formula : null;
+  const previewMeter = useMemo(() => (previewFormula ? { formula: previewFormula } : null), [previewFormula]);
+  const previewDate = availableDates[0] || null;
+  const { hourlyData, loading: previewLoading, error: previewError } = useVirtualMeterSeries(previewMeter, {
+    ...filters,
+    date: previewDate
+  });
+  const previewRows = hourlyData?.hourly_data || [];
+  const previewChartData = {
+    labels: previewRows.map(row => `${String(row.hour).padStart(2, '0')}:00`),
+    datasets: [{
+      label: 'Energy (kWh)',
+      data: previewRows.map(row => row.total_energy / 1000),
+      // Negative hours mean the subtracted channels read more than the total
+      backgroundColor: previewRows.map(row => (row.total_energy < 0 ? '#dc2626' : '#8b5cf6')),
+      borderRadius: 4
+    }]
+  };
+
+  const startCreate = () => {
+    const nextId = Math.max(0, ...virtualMeters.map(meter => meter.id)) + 1;
+    setEditing({ isNew: true, meter: { id: nextId, name: '', formula: '' } });
+    setSaveError(null);
+  };
+
+  const startEdit = (meter) => {
+    setEditing({ isNew: false, meter: { ...meter } });
+    setSaveError(null);
+  };
+
+  const updateDraft = (changes) => {
+    setEditing(prev => ({ ...prev, meter: { ...prev.meter, ...changes } }));
+    setSaveError(null);
+  };
+
+  // Chips append to the formula
+  const insertToken = (token) => {
+    const formula = editing.meter.formula.trim();
+    updateDraft({ formula: formula ? `${formula} ${token}` : token });
+  };
+
+  const handleSave = () => {
+    const { meter, isNew } = editing;
+    try {
+      saveVirtualMeters(isNew ? [...virtualMeters, meter] : virtualMeters.map(other => (other.id === meter.id ? meter : other)));
+      setEditing(null);
+    } catch (e) {
+      setSaveError(e.message);
+    }
+  };
+
+  const handleDelete = (meter) => {
+    if (!window.confirm(`Delete virtual meter "${meter.name}"?`)) return;
+    const remaining = virtualMeters.filter(other => other.id !== meter.id);
+    try {
+      saveVirtualMeters(remaining);
+    } catch (e) {
+      setSaveError(e.message);
+      return;
+    }
+    if (editing?.meter.id === meter.id) setEditing(null);
+    // The floor filter can't keep pointing at it
+    if (getVirtualMeterForFloor(filters.floor, virtualMeters)?.id === meter.id) {
+      onFilterChange({ ...filters, floor: 'all' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex flex-col md:flex-row md:items-start justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Virtual Meters</h2>
+          <p className="text-gray-600 mt-1">
+            Derived channels built from floors and metered units, e.g. a floor without its HVAC
+          </p>
+          <p className="text-xs text-gray-500 mt-2">
+            Pick a virtual meter in the floor filter to see it in the dashboard&apos;s peak hours chart and per-hour / per-minute drill-down.
+            Virtual meters are kept in this browser.
+          </p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <button
+            onClick={startCreate}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium"
+          >
+            <i className="fas fa-plus mr-2"></i>
+            New Virtual Meter
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Saved virtual meters */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden self-start">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">Saved Virtual Meters</h3>
+            <p className="text-gray-600 text-sm mt-1">{virtualMeters.length} defined</p>
+          </div>
+          {virtualMeters.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">
+              No virtual meters yet. Create one to combine floors and units, e.g. F1 - U1.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {virtualMeters.map(meter => (
+                <li
+                  key={meter.id}
+                  className={`px-6 py-4 flex items-start justify-between ${editing?.meter.id === meter.id ? 'bg-primary-50' : ''}`}
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">{meter.name}</p>
+                    <p className="text-sm font-mono text-gray-700 mt-1">{meter.formula}</p>
+                    <p className="text-xs text-gray-500 mt-1">{describeFormula(meter.formula, hierarchy)}</p>
+                  </div>
+                  <div className="flex items-center space-x-3 text-sm">
+                    <button
+                      onClick={() => onViewMeter(getVirtualFloorValue(meter))}
+                      className="text-primary-600 hover:text-primary-700"
+                      title="Show on the dashboard"
+                    >
+                      <i className="fas fa-chart-bar"></i>
+                    </button>
+                    <button
+                      onClick={() => startEdit(meter)}
+                      className="text-gray-500 hover:text-gray-700"
+                      title="Edit"
+                    >
+                      <i className="fas fa-pen"></i>
+                    </button>
+                    <button
+                      onClick={() => handleDelete(meter)}
+                      className="text-red-500 hover:text-red-700"
+                      title="Delete"
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Editor */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden self-start">
+          <div className="border-b border-gray-200 px-6 py-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {editing ? `${editing.isNew ? 'New' : 'Edit'} Virtual Meter` : 'Details'}
+            </h3>
+            <p className="text-gray-600 text-sm mt-1">
+              {editing ? 'F<id> is a floor, U<id> a metered unit; + - * / and parentheses' : 'Pick a virtual meter to edit it'}
+            </p>
+          </div>
+          {editing && (
+            <div className="p-6 space-y-4">
+              <div>
+                <label htmlFor="virtual-meter-name" className="block text-xs font-medium text-gray-500 mb-1">Name</label>
+                <input
+                  id="virtual-meter-name"
+                  type="text"
+                  value={editing.meter.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="virtual-meter-formula" className="block text-xs font-medium text-gray-500 mb-1">Formula</label>
+                <input
+                  id="virtual-meter-formula"
+                  type="text"
+                  value={editing.meter.formula}
+                  onChange={(e) => updateDraft({ formula: e.target.value })}
+                  placeholder="F1 - U1"
+                  className={`${inputClasses} font-mono`}
+                />
+                {editing.meter.formula.trim() && (
+                  <p className="text-xs text-gray-500 mt-1">{describeFormula(editing.meter.formula, hierarchy)}</p>
+                )}
+              </div>
+
+              <div>
+                <p className="text-xs font-medium text-gray-500 mb-1">Floors</p>
+                <div className="flex flex-wrap gap-1">
+                  {hierarchy.floors.map(floor => (
+                    <button key={floor.id} onClick={() => insertToken(formatRef({ kind: 'floors', id: floor.id }))} className={chipClasses} title={floor.name}>
+                      {formatRef({ kind: 'floors', id: floor.id })} {floor.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <p className="text-xs font-medium text-gray-500 mb-1">Metered units</p>
+                {meteredUnits.length === 0 ? (
+                  <p className="text-xs text-gray-500">No unit is mapped to a meter channel - map one in Asset Hierarchy.</p>
+                ) : (
+                  <div className="flex flex-wrap gap-1">
+                    {meteredUnits.map(unit => (
+                      <button key={unit.id} onClick={() => insertToken(formatRef({ kind: 'units', id: unit.id }))} className={chipClasses} title={formatUnitChannel(unit)}>
+                        {formatRef({ kind: 'units', id: unit.id })} {unit.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {OPERATORS.map(operator => (
+                  <button key={operator} onClick={() => insertToken(operator)} className={`${chipClasses} font-mono`}>
+                    {operator}
+                  </button>
+                ))}
+              </div>
+
+              {errors.length > 0 && (
+                <ul className="text-xs text-red-600 list-disc list-inside">
+                  {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+              {saveError && <p className="text-xs text-red-600">{saveError}</p>}
+
+              {previewMeter && (
+                <div>
+                  <p className="text-xs font-medium text-gray-500 mb-1">
+                    Preview{previewDate && ` • ${format(parseISO(previewDate), 'MMM d, yyyy')}`}
+                  </p>
+                  <DataStatusBanner errors={[previewError]} />
+                  {previewRows.length > 0 ? (
+                    <div className="chart-container" style={{ height: '180px' }}>
+                      <Bar data={previewChartData} options={previewOptions} />
+                    </div>
+                  ) : (
+                    <p className="text-xs text-gray-500">
+                      {previewLoading ? 'Evaluating the formula...' : 'No readings to evaluate for this day.'}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              <div className="flex space-x-2">
+                <button
+                  onClick={handleSave}
+                  disabled={errors.length > 0}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm font-medium disabled:opacity-50"
+                >
+                  Save Virtual Meter
+                </button>
+                <button
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VirtualMeters;
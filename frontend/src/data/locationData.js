@@ -2,6 +2,8 @@
 // Energy consumption in kWh, cost in PHP (Philippine Peso)
 // Average rate: ~₱8-12 per kWh
 
+import { calculateCost as tariffCost } from '../utils/tariff';
+
 export const locationData = {
   cities: [
     { "id": 1, "name": "Calamba", "region": "south" },
@@ -62,7 +64,7 @@ export const locationData = {
   }
 };
 
-// Helper function to calculate cost from consumption (kWh * rate)
-export const calculateCost = (consumption, rate = 10) => {
-  return consumption * rate;
+// Helper function to calculate cost from consumption - uses the configured tariff unless a rate is given
+export const calculateCost = (consumption, rate = null) => {
+  return rate === null ? tariffCost(consumption) : consumption * rate;
 };
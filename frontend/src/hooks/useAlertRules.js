@@ -0,0 +1,125 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api, { isAbortError } from '../utils/api';
+import { useLocalStore } from './useLocalStore';
+import {
+  alertRuleStore,
+  saveAlertRules,
+  snoozeAlertRule,
+  isSnoozed,
+  createMonitorState,
+  addMonitorReadings,
+  evaluateAlertRules,
+  describeAlertRule,
+  describeAlertValue
+} from '../utils/alerts';
+import { addNotification, resolveNotification } from '../utils/notifications';
+
+// How often new readings are fetched and enabled rules re-checked - no-data rules need a clock, not just new readings
+const EVALUATE_INTERVAL_MS = 10000;
+
+// Hook for the alert rules
+export const useAlertRules = () => {
+  const rules = useLocalStore(alertRuleStore);
+  return { rules, saveAlertRules, snoozeAlertRule };
+};
+
+// Hook that evaluates the enabled alert rules against new readings of all floors
+// Mount it once, at the app root. A rule notifies when it starts firing and again when a
+// snooze runs out while it is still firing; its notification is marked resolved once it clears.
+// Readings are polled rather than streamed so the monitor doesn't hold a server worker all the time.
+// status: idle | connecting | live | reconnecting
+export const useAlertMonitor = () => {
+  const { rules } = useAlertRules();
+  const [status, setStatus] = useState('idle');
+  const [evaluations, setEvaluations] = useState([]);
+  const rulesRef = useRef(rules);
+  const stateRef = useRef(null);
+  // ruleId -> { notificationId, notifiedAt } for rules that are currently firing
+  const activeRef = useRef({});
+  const enabled = rules.some(rule => rule.enabled);
+
+  const evaluate = useCallback(() => {
+    if (!stateRef.current) return;
+    const now = Date.now();
+    const results = evaluateAlertRules(rulesRef.current, stateRef.current, now);
+    const active = activeRef.current;
+
+    results.forEach(result => {
+      const { rule, firing } = result;
+      const current = active[rule.id];
+      if (!firing) {
+        if (current) {
+          resolveNotification(current.notificationId);
+          delete active[rule.id];
+        }
+        return;
+      }
+      if (isSnoozed(rule, now)) return;
+      const snoozeEndedAt = rule.snoozedUntil ? new Date(rule.snoozedUntil).getTime() : 0;
+      if (current && current.notifiedAt >= snoozeEndedAt) return;
+
+      const notification = addNotification({
+        title: rule.name,
+        message: `${describeAlertRule(rule)} (now ${describeAlertValue(result)})`,
+        severity: rule.severity,
+        ruleId: rule.id
+      });
+      active[rule.id] = { notificationId: notification.id, notifiedAt: now };
+    });
+
+    // Disabled or deleted rules stop being tracked
+    Object.keys(active).forEach(ruleId => {
+      if (!results.some(result => result.rule.id === ruleId)) delete active[ruleId];
+    });
+    setEvaluations(results);
+  }, []);
+
+  // Re-check straight away when rules are edited
+  useEffect(() => {
+    rulesRef.current = rules;
+    evaluate();
+  }, [rules, evaluate]);
+
+  useEffect(() => {
+    if (!enabled) {
+      stateRef.current = null;
+      activeRef.current = {};
+      setEvaluations([]);
+      setStatus('idle');
+      return undefined;
+    }
+
+    stateRef.current = createMonitorState();
+    setStatus('connecting');
+
+    const controller = new AbortController();
+    // The first poll only returns the newest row id - monitoring starts from there
+    let afterId = 0;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const data = await api.getLatestReadings({ afterId }, { signal: controller.signal, retries: 0 });
+        const readings = data?.readings || [];
+        if (afterId > 0 && readings.length > 0) {
+          stateRef.current = addMonitorReadings(stateRef.current, readings);
+        }
+        afterId = Number(data?.last_id) || afterId;
+        setStatus('live');
+      } catch (error) {
+        if (isAbortError(error)) return;
+        setStatus('reconnecting');
+      }
+      evaluate();
+      timer = setTimeout(poll, EVALUATE_INTERVAL_MS);
+    };
+    poll();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [enabled, evaluate]);
+
+  return { status, evaluations };
+};
@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { parseISO, format } from 'date-fns';
+import { useFloorAnalytics } from './useEnergyData';
+import { detectFloorAnomalies } from '../utils/anomaly';
+
+// Whether an anomaly falls in the period the dashboard filters show - mirrors how
+// getHourlyData picks its dates (weekday views span every matching day in the range)
+const isInView = (anomaly, { date, dateFrom, dateTo, timeGranularity, weekday }) => {
+  if (dateFrom && dateTo && (anomaly.date < dateFrom || anomaly.date > dateTo)) return false;
+  if (timeGranularity === 'week' && weekday && weekday !== 'all') {
+    return format(parseISO(anomaly.date), 'EEEE').toLowerCase() === weekday;
+  }
+  if (!(dateFrom && dateTo) && date) return anomaly.date === date;
+  return true;
+};
+
+// Hook for hourly consumption anomalies per floor
+// The whole history is fetched so every hour has a baseline; `anomalies` is narrowed to the
+// filters' period and `allAnomalies` keeps the full feed (newest first)
+export const useFloorAnomalies = (filters = {}, { method = 'zscore' } = {}) => {
+  const { branch, building, floor, date, dateFrom, dateTo, timeGranularity, weekday } = filters;
+  const { floorAnalytics, loading, error } = useFloorAnalytics({ branch, building, floor, includeHourly: true });
+
+  const allAnomalies = useMemo(
+    () => detectFloorAnomalies(floorAnalytics?.floor_analytics, { method }),
+    [floorAnalytics, method]
+  );
+
+  const anomalies = useMemo(
+    () => allAnomalies.filter(anomaly => isInView(anomaly, { date, dateFrom, dateTo, timeGranularity, weekday })),
+    [allAnomalies, date, dateFrom, dateTo, timeGranularity, weekday]
+  );
+
+  return { anomalies, allAnomalies, loading, error };
+};
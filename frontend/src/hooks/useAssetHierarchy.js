@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { api, useMockData, HttpError } from '../utils/api';
+import {
+  assetHierarchyStore,
+  getAssetHierarchy,
+  saveAssetHierarchy,
+  resetAssetHierarchy,
+  validateAsset,
+  getDeleteBlocker,
+  normalizeAsset,
+  getNextAssetId,
+  findAsset,
+  upsertAsset,
+  removeAsset,
+  logStatusChange,
+  ASSET_KINDS
+} from '../utils/assets';
+import { useLocalStore } from './useLocalStore';
+
+// API calls per kind - every edit goes through these before it is stored locally
+const STRUCTURE_WRITES = {
+  branches: { create: api.createBranch, update: api.updateBranch, remove: api.deleteBranch },
+  buildings: { create: api.createBuilding, update: api.updateBuilding, remove: api.deleteBuilding },
+  floors: { create: api.createFloor, update: api.updateFloor, remove: api.deleteFloor },
+  units: { create: api.createUnit, update: api.updateUnit, remove: api.deleteUnit }
+};
+
+// Backend structure routes - null until tried, false once the backend turns out not to have them
+let serverAvailable = null;
+let serverLoad = null;
+
+const isMissingRoute = (error) => error instanceof HttpError && (error.status === 404 || error.status === 405);
+
+// Pull the hierarchy from the backend once per session - it replaces the local copy
+const loadServerHierarchy = () => {
+  if (serverLoad) return serverLoad;
+  serverLoad = Promise.all([api.getBranches(), api.getBuildings(), api.getFloors(), api.getUnits()])
+    .then(([branches, buildings, floors, units]) => {
+      serverAvailable = true;
+      saveAssetHierarchy({
+        branches: branches.branches || branches,
+        buildings: buildings.buildings || buildings,
+        floors: floors.floors || floors,
+        units: units.units || units
+      });
+    })
+    .catch(error => {
+      serverAvailable = !isMissingRoute(error);
+      console.warn('Asset hierarchy is local only - could not load it from the backend:', error);
+    });
+  return serverLoad;
+};
+
+// Send a write to the backend when it has the structure routes; resolves to its response (or null)
+const writeToServer = async (useMock, kind, action, ...args) => {
+  if (useMock) return null;
+  await loadServerHierarchy();
+  if (serverAvailable === false) return null;
+  return STRUCTURE_WRITES[kind][action](...args);
+};
+
+const assertValid = (kind, asset, list) => {
+  const errors = validateAsset(kind, asset, list);
+  if (errors.length > 0) throw new Error(`${ASSET_KINDS[kind].label} "${asset.name || 'unnamed'}" is invalid: ${errors.join(', ')}`);
+};
+
+// Hook for the asset hierarchy
+// Edits are validated, sent to the backend (when it has the routes) and then stored locally;
+// they reject with the validation or API error so the editor can show it.
+export const useAssetHierarchy = () => {
+  const useMock = useMockData();
+  const hierarchy = useLocalStore(assetHierarchyStore);
+  const [isLocalOnly, setIsLocalOnly] = useState(useMock || serverAvailable === false);
+
+  useEffect(() => {
+    if (!useMock) loadServerHierarchy().then(() => setIsLocalOnly(serverAvailable === false));
+  }, [useMock]);
+
+  const createAsset = async (kind, draft) => {
+    const asset = logStatusChange(kind, normalizeAsset(kind, { ...draft, id: getNextAssetId(kind) }));
+    assertValid(kind, asset, getAssetHierarchy());
+    const { id, ...data } = asset;
+    const created = await writeToServer(useMock, kind, 'create', data);
+    // The backend's id wins over the local one
+    const stored = { ...asset, id: Number(created?.id ?? created?.data?.id ?? id) };
+    saveAssetHierarchy(upsertAsset(getAssetHierarchy(), kind, stored));
+    return stored;
+  };
+
+  const updateAsset = async (kind, changes) => {
+    const current = findAsset(kind, changes.id);
+    if (!current) throw new Error(`${ASSET_KINDS[kind].label} ${changes.id} no longer exists`);
+    const asset = logStatusChange(kind, normalizeAsset(kind, { ...current, ...changes }), current);
+    assertValid(kind, asset, getAssetHierarchy());
+    await writeToServer(useMock, kind, 'update', asset.id, asset);
+    saveAssetHierarchy(upsertAsset(getAssetHierarchy(), kind, asset));
+    return asset;
+  };
+
+  const deleteAsset = async (kind, id) => {
+    const blocker = getDeleteBlocker(kind, id);
+    if (blocker) throw new Error(blocker);
+    await writeToServer(useMock, kind, 'remove', id);
+    saveAssetHierarchy(removeAsset(getAssetHierarchy(), kind, id));
+  };
+
+  // Drag-to-reparent - a unit moved onto another floor
+  const moveUnit = (unitId, floorId) => updateAsset('units', { id: unitId, floorId });
+
+  return { hierarchy, isLocalOnly, createAsset, updateAsset, deleteAsset, moveUnit, resetAssetHierarchy };
+};
@@ -0,0 +1,83 @@
+import { useMemo } from 'react';
+import { useFloorAnalytics, useRangeHourlyData } from './useEnergyData';
+import { useTariffs } from './useTariffs';
+import { useLocalStore } from './useLocalStore';
+import {
+  baselineStore,
+  saveBaseline,
+  deleteBaseline,
+  validateBaseline,
+  getHourlyReadings,
+  fitBaseline,
+  calculateSavings,
+  getBaselineDayProfile
+} from '../utils/baseline';
+import { getFloorBranchId } from '../utils/sites';
+
+// Hook for the saved baselines
+export const useBaselines = () => {
+  const baselines = useLocalStore(baselineStore);
+  return { baselines, saveBaseline, deleteBaseline };
+};
+
+// Average kWh per day by hour from a getHourlyData response (which sums energy over the range)
+const toDayProfile = (hourlyData, days) => {
+  if (!hourlyData?.hourly_data || days === 0) return null;
+  const profile = Array(24).fill(0);
+  hourlyData.hourly_data.forEach(point => {
+    const hour = Number(point.hour);
+    if (hour >= 0 && hour < 24) profile[hour] = (Number(point.total_energy) || 0) / 1000 / days;
+  });
+  return profile;
+};
+
+// Hook for the baseline fit and the savings of one floor (see utils/baseline.js)
+// baseline: { floor, baselineFrom, baselineTo, model, reportFrom, reportTo } - saved or a draft;
+// nothing is computed while it is invalid.
+export const useBaselineSavings = (baseline) => {
+  const valid = Boolean(baseline) && validateBaseline(baseline).length === 0;
+  const floor = baseline?.floor;
+  const { tariffs } = useTariffs();
+
+  // Whole history with hourly points - both periods are cut from the one response
+  const { floorAnalytics, loading, error } = useFloorAnalytics({ floor: valid ? floor : 'all', includeHourly: true });
+  const { hourlyData: baselineHourly, loading: baselineHourlyLoading, error: baselineHourlyError } = useRangeHourlyData(
+    valid ? { floor, dateFrom: baseline.baselineFrom, dateTo: baseline.baselineTo } : {}
+  );
+  const { hourlyData: reportHourly, loading: reportHourlyLoading, error: reportHourlyError } = useRangeHourlyData(
+    valid ? { floor, dateFrom: baseline.reportFrom, dateTo: baseline.reportTo } : {}
+  );
+
+  const { baselineFrom, baselineTo, model, reportFrom, reportTo } = baseline || {};
+
+  const result = useMemo(() => {
+    if (!valid) return null;
+    const floorItem = (floorAnalytics?.floor_analytics || []).find(item => String(item.floor) === String(floor));
+    if (!floorItem) return null;
+
+    const baselineReadings = getHourlyReadings(floorItem, baselineFrom, baselineTo);
+    const reportReadings = getHourlyReadings(floorItem, reportFrom, reportTo);
+    const fit = fitBaseline(baselineReadings, model);
+    const countDays = (readings) => new Set(readings.map(reading => reading.date)).size;
+    return {
+      fit,
+      baselineDays: countDays(baselineReadings),
+      reportDays: countDays(reportReadings),
+      savings: calculateSavings(fit, reportReadings, { tariffs, branchId: getFloorBranchId(floor) }),
+      adjustedProfile: getBaselineDayProfile(fit, reportReadings)
+    };
+  }, [valid, floorAnalytics, floor, baselineFrom, baselineTo, model, reportFrom, reportTo, tariffs]);
+
+  // Metered average days of both periods, for the profile chart
+  const profiles = useMemo(() => ({
+    baseline: toDayProfile(baselineHourly, result?.baselineDays || 0),
+    report: toDayProfile(reportHourly, result?.reportDays || 0)
+  }), [baselineHourly, reportHourly, result]);
+
+  return {
+    ...(result || {}),
+    profiles,
+    loading: loading || baselineHourlyLoading || reportHourlyLoading,
+    error: error || baselineHourlyError || reportHourlyError
+  };
+};
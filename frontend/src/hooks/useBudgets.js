@@ -0,0 +1,55 @@
+import { useMemo } from 'react';
+import { format, parseISO, endOfMonth } from 'date-fns';
+import { useAvailableDates, useFloorAnalytics } from './useEnergyData';
+import { useTariffs } from './useTariffs';
+import { useLocalStore } from './useLocalStore';
+import {
+  budgetStore,
+  saveBudgets,
+  getBudgetLabel,
+  getBudgetDailyKwh,
+  calculateBurnDown
+} from '../utils/budgets';
+
+// Hook for the saved budgets
+export const useBudgets = () => {
+  const budgets = useLocalStore(budgetStore);
+  return { budgets, saveBudgets };
+};
+
+// Hook for the burn-down of every saved budget over one month ('yyyy-MM')
+// Without a month it tracks the month of the dashboard date when that has readings, else the latest one.
+// trackers: [{ budget, label, burnDown }] - see calculateBurnDown in utils/budgets.js
+export const useBudgetTracking = ({ month = null, filters = {} } = {}) => {
+  const { budgets, saveBudgets } = useBudgets();
+  const { tariffs } = useTariffs();
+  const { availableDates } = useAvailableDates();
+
+  const months = useMemo(
+    () => [...new Set(availableDates.map(date => date.slice(0, 7)))].sort().reverse(),
+    [availableDates]
+  );
+  const filterMonth = (filters.dateTo || filters.date || '').slice(0, 7);
+  const trackedMonth = month || (months.includes(filterMonth) ? filterMonth : months[0]) || format(new Date(), 'yyyy-MM');
+
+  // One request for every floor's days in the month
+  const dateFrom = `${trackedMonth}-01`;
+  const { floorAnalytics, loading, error } = useFloorAnalytics({
+    floor: 'all',
+    timeGranularity: 'day',
+    weekday: 'all',
+    dateFrom,
+    dateTo: format(endOfMonth(parseISO(dateFrom)), 'yyyy-MM-dd')
+  });
+
+  const trackers = useMemo(() => {
+    if (!floorAnalytics) return [];
+    return budgets.map(budget => ({
+      budget,
+      label: getBudgetLabel(budget),
+      burnDown: calculateBurnDown(budget, getBudgetDailyKwh(budget, floorAnalytics, trackedMonth), trackedMonth, { tariffs })
+    }));
+  }, [budgets, floorAnalytics, trackedMonth, tariffs]);
+
+  return { month: trackedMonth, months, budgets, saveBudgets, trackers, loading, error };
+};
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { emissionFactorStore, saveEmissionFactors, resetEmissionFactors } from '../utils/emissions';
+import { getDisplayMetric, setDisplayMetric, subscribeDisplayMetric } from '../utils/displayMetric';
+import { useLocalStore } from './useLocalStore';
+
+// Hook for the emission factor versions
+// Include `factors` in memo dependencies that compute emissions so they update on edits
+export const useEmissionFactors = () => {
+  const factors = useLocalStore(emissionFactorStore);
+  return { factors, saveEmissionFactors, resetEmissionFactors };
+};
+
+// Hook for the kWh / ₱ / kgCO2e display metric picked in the header
+export const useDisplayMetric = () => {
+  const [metric, setMetric] = useState(getDisplayMetric);
+
+  useEffect(() => {
+    setMetric(getDisplayMetric());
+    return subscribeDisplayMetric(setMetric);
+  }, []);
+
+  return { metric, setDisplayMetric };
+};
@@ -1,5 +1,10 @@
-import { useState, useEffect, useRef } from 'react';
+import { useRef, useMemo } from 'react';
 import api from '../utils/api';
+import { getQueryKey } from '../utils/queryCache';
+import { getSiteFilters } from '../utils/sites';
+import { getUnitChannelKey } from '../utils/assets';
+import { indexChannels } from '../utils/metering';
+import { useQuery } from './useQuery';
 
 // Generate mock dates (last 8 days) as fallback when backend dates are unavailable
 const getMockDates = () => {
@@ -13,543 +18,271 @@ const getMockDates = () => {
   return dates.sort(); // ascending
 };
 
-// Simple cache for hourly data to make it feel instant
-const hourlyDataCache = new Map();
-// Cache for summary data
-const summaryCache = new Map();
+// Slow-changing data doesn't need revalidating as often as the readings
+const DATES_STALE_TIME = 5 * 60 * 1000;
+const WEEKLY_STALE_TIME = 5 * 60 * 1000;
+
+// Filter values the energy dashboard endpoints understand
+// Every hook passes the branch / building on so requests are scoped to the site in view.
+const getEnergyParams = (filters) => ({
+  ...getSiteFilters(filters),
+  date: filters.date,
+  floor: filters.floor,
+  timeGranularity: filters.timeGranularity,
+  weekday: filters.weekday,
+  dateFrom: filters.dateFrom,
+  dateTo: filters.dateTo
+});
+
+// Hook for the dates that have readings - shares its cache entry with useEnergyData
+export const useAvailableDates = () => {
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/dates'),
+    ({ signal }) => api.getAvailableDates({ signal }),
+    { staleTime: DATES_STALE_TIME }
+  );
+
+  const availableDates = useMemo(() => {
+    if (data?.dates) return data.dates;
+    if (data || error) return getMockDates();
+    return [];
+  }, [data, error]);
+
+  return { availableDates, loading, error };
+};
 
 // Hook for fetching energy data from backend API
 export const useEnergyData = (filters = {}) => {
-  const [summary, setSummary] = useState(null);
-  const [hourlyData, setHourlyData] = useState(null);
-  const [availableDates, setAvailableDates] = useState([]);
-  const [loading, setLoading] = useState(false); // Start as false to allow immediate rendering
-  const [error, setError] = useState(null);
-
-  // Use ref to track the last fetch key to prevent unnecessary re-fetches
-  const lastFetchKeyRef = useRef(null);
-  const isInitialMount = useRef(true);
   // Lock the date once determined - prevents it from changing
   const lockedDateRef = useRef(null);
 
-  // Fetch ALL data in parallel - dates, hourly, and summary simultaneously
-  useEffect(() => {
-    const fetchAllData = async () => {
-      // Create a unique key for this fetch based on actual filter values
-      const fetchKey = `${filters.date || 'auto'}_${filters.floor || 'all'}_${filters.timeGranularity || 'day'}_${filters.weekday || 'all'}`;
-      
-      // Skip re-fetch if we already have data for these exact filters (unless it's the initial mount)
-      // This prevents data from changing after initial load
-      if (!isInitialMount.current && lastFetchKeyRef.current === fetchKey) {
-        // Check if we have cached data for this key
-        const cacheKey = `${filters.date || 'no-date'}_${filters.floor || 'all'}_${filters.timeGranularity || 'day'}_${filters.weekday || 'all'}`;
-        const cachedHourlyData = hourlyDataCache.get(cacheKey);
-        const cachedSummary = summaryCache.get(cacheKey);
-
-        // If we have cached data AND we already have state data, don't refetch
-        if (cachedHourlyData && cachedSummary && hourlyData && summary) {
-          // We already have data for these filters, don't refetch
-          return;
-        }
-        
-        // If we have cached data but no state, restore from cache
-        if (cachedHourlyData && cachedSummary) {
-          if (!hourlyData) setHourlyData(cachedHourlyData);
-          if (!summary) setSummary(cachedSummary);
-          return;
-        }
-      }
-      
-      isInitialMount.current = false;
-      lastFetchKeyRef.current = fetchKey;
-      setError(null);
-      
-      // Determine the date to use - prioritize filters.date, otherwise use locked date or first available
-      // Lock the date once determined to prevent it from changing
-      let dateToUse = filters.date;
-      
-      // If filters.date is explicitly set, use it and lock it
-      if (dateToUse) {
-        lockedDateRef.current = dateToUse;
-      } else {
-        // If no date in filters, use locked date if available, otherwise determine it
-        if (lockedDateRef.current) {
-          // Use the locked date (prevents date from changing after initial load)
-          dateToUse = lockedDateRef.current;
-        } else {
-          // Determine date for the first time
-          if (availableDates.length > 0) {
-        dateToUse = availableDates[0];
-            lockedDateRef.current = dateToUse; // Lock it
-          } else {
-            // Fetch dates only if we don't have them yet
-            try {
-              const datesResponse = await api.getAvailableDates();
-              const dates = datesResponse?.dates || getMockDates();
-              setAvailableDates(dates);
-              if (dates.length > 0) {
-                dateToUse = dates[0]; // Use first available date (earliest)
-                lockedDateRef.current = dateToUse; // Lock it immediately
-              }
-            } catch (err) {
-              console.error('Error fetching dates:', err);
-              const mockDates = getMockDates();
-              setAvailableDates(mockDates);
-              if (mockDates.length > 0) {
-                dateToUse = mockDates[0];
-                lockedDateRef.current = dateToUse; // Lock it
-              }
-            }
-          }
-        }
-      }
-      
-      // Build filters with the determined date
-      const filtersWithDate = { ...filters, date: dateToUse };
-      
-      // Create cache key - use the actual date, not 'no-date'
-      const cacheKey = `${dateToUse || 'no-date'}_${filtersWithDate.floor || 'all'}_${filtersWithDate.timeGranularity || 'day'}_${filtersWithDate.weekday || 'all'}`;
-      
-      // Check cache first for instant display
-      const cachedHourlyData = hourlyDataCache.get(cacheKey);
-      const cachedSummary = summaryCache.get(cacheKey);
-      
-      // If we have cached data, use it immediately
-      if (cachedHourlyData) {
-        setHourlyData(cachedHourlyData);
-        setLoading(false);
-      } else {
-        setLoading(true);
-      }
-      
-      if (cachedSummary) {
-        setSummary(cachedSummary);
-      }
-      
-      // Fetch dates (if not already fetched), hourly data, and summary ALL IN PARALLEL
-      const promises = [];
-      
-      // Fetch dates if not already fetched
-      if (!filters.date) {
-        promises.push(
-          api.getAvailableDates()
-            .then(response => {
-              const dates = response?.dates || getMockDates();
-              setAvailableDates(dates);
-              return dates;
-            })
-            .catch(err => {
-              console.error('Error fetching dates:', err);
-              const mockDates = getMockDates();
-              setAvailableDates(mockDates);
-              return mockDates;
-            })
-        );
-      } else {
-        // If date is specified, still fetch available dates for the dropdown
-        promises.push(
-          api.getAvailableDates()
-            .then(response => {
-              const dates = response?.dates || getMockDates();
-              setAvailableDates(dates);
-              return dates;
-            })
-            .catch(err => {
-              console.error('Error fetching dates:', err);
-              return [];
-            })
-        );
-      }
-      
-      // Fetch hourly data in parallel (if we have a date)
-      if (dateToUse || filters.timeGranularity === 'week') {
-        if (!cachedHourlyData) {
-          promises.push(
-            api.getHourlyData(filtersWithDate)
-              .then(hourlyResult => {
-          if (hourlyResult) {
-            hourlyDataCache.set(cacheKey, hourlyResult);
-            if (hourlyDataCache.size > 50) {
-              const firstKey = hourlyDataCache.keys().next().value;
-              hourlyDataCache.delete(firstKey);
-            }
-            // Only update if we don't already have data for this exact date
-            // This prevents overwriting existing data
-            if (!hourlyData || hourlyData.date !== hourlyResult.date) {
-            setHourlyData(hourlyResult);
-            }
-                  setLoading(false);
-          }
-                return hourlyResult;
-              })
-              .catch(err => {
-          console.error('Error fetching hourly data:', err);
-          // Don't clear existing data on error - keep what we have
-          if (!cachedHourlyData && !hourlyData) {
-            setHourlyData(null);
-          }
-                setLoading(false);
-                return null;
-              })
-          );
-        }
-      }
-      
-      // Fetch summary in parallel (if needed)
-      if (!cachedSummary) {
-        promises.push(
-      api.getEnergySummary(filtersWithDate)
-        .then(data => {
-              if (data) {
-                summaryCache.set(cacheKey, data);
-                if (summaryCache.size > 50) {
-                  const firstKey = summaryCache.keys().next().value;
-                  summaryCache.delete(firstKey);
-                }
-          setSummary(data);
-              }
-              return data;
-        })
-        .catch(err => {
-          console.error('Error fetching summary:', err);
-          setError(err?.message || 'Failed to fetch summary');
-          setSummary(null);
-              return null;
-            })
-        );
-      }
-      
-      // Wait for all parallel requests to complete
-      await Promise.all(promises);
-    };
-    
-    fetchAllData();
-  }, [filters.floor, filters.timeGranularity, filters.weekday, filters.date]);
+  const { availableDates, loading: datesLoading, error: datesError } = useAvailableDates();
+
+  // Determine the date to use - prioritize filters.date, otherwise use locked date or first available
+  if (filters.date) {
+    lockedDateRef.current = filters.date;
+  } else if (!lockedDateRef.current && availableDates.length > 0) {
+    lockedDateRef.current = availableDates[0]; // Use first available date (earliest)
+  }
+  const dateToUse = filters.date || lockedDateRef.current;
+  const params = { ...getEnergyParams(filters), date: dateToUse };
+  const hasDateRange = Boolean(filters.dateFrom && filters.dateTo);
+
+  // Hourly data needs a date or range (except for the weekly view), the summary only waits for the dates lookup
+  const hourlyQuery = useQuery(
+    dateToUse || hasDateRange || filters.timeGranularity === 'week' ? getQueryKey('energy/hourly', params) : null,
+    ({ signal }) => api.getHourlyData(params, { signal })
+  );
+  const summaryQuery = useQuery(
+    dateToUse || hasDateRange || !datesLoading ? getQueryKey('energy/summary', params) : null,
+    ({ signal }) => api.getEnergySummary(params, { signal })
+  );
 
   return {
-    summary,
-    hourlyData,
+    summary: summaryQuery.data,
+    hourlyData: hourlyQuery.data,
     availableDates,
-    loading,
-    error
+    loading: hourlyQuery.loading,
+    error: hourlyQuery.error || summaryQuery.error || datesError
   };
 };
 
-// Hook for fetching minute data
-export const useMinuteData = (date, hour) => {
-  const [minuteData, setMinuteData] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    if (!date || hour === null || hour === undefined) {
-      setMinuteData(null);
-      return;
-    }
-
-    const fetchMinuteData = async () => {
-      setLoading(true);
-      try {
-        const data = await api.getMinuteData(date, hour);
-        setMinuteData(data);
-      } catch (err) {
-        console.error('Error fetching minute data:', err);
-        setMinuteData(null);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchMinuteData();
-  }, [date, hour]);
-
-  return { minuteData, loading };
+// Hook for fetching minute data for one hour of a date
+export const useMinuteData = (filters = {}) => {
+  const params = { ...getSiteFilters(filters), date: filters.date, hour: filters.hour, floor: filters.floor };
+  const hasHour = params.hour !== null && params.hour !== undefined;
+  const { data, loading, error } = useQuery(
+    params.date && hasHour ? getQueryKey('energy/minute', params) : null,
+    ({ signal }) => api.getMinuteData(params, { signal })
+  );
+
+  return { minuteData: data, loading, error };
+};
+
+// Hook for fetching per-second readings for one minute of a date
+export const useSecondData = (filters = {}) => {
+  const params = { ...getSiteFilters(filters), date: filters.date, hour: filters.hour, minute: filters.minute, floor: filters.floor };
+  const hasTime = [params.hour, params.minute].every(value => value !== null && value !== undefined);
+  const { data, loading, error } = useQuery(
+    params.date && hasTime ? getQueryKey('energy/second', params) : null,
+    ({ signal }) => api.getSecondData(params, { signal })
+  );
+
+  return { secondData: data, loading, error };
+};
+
+// Hook for voltage sag/swell events and the voltage/current distributions of the raw readings
+// bands: { nominal, sagPercent, swellPercent } - see utils/powerQuality.js
+export const usePowerQuality = (filters = {}, bands = {}) => {
+  const params = {
+    ...getSiteFilters(filters),
+    date: filters.date,
+    floor: filters.floor,
+    dateFrom: filters.dateFrom,
+    dateTo: filters.dateTo,
+    nominal: bands.nominal,
+    sagPercent: bands.sagPercent,
+    swellPercent: bands.swellPercent
+  };
+  const events = useQuery(
+    getQueryKey('energy/power-quality', params),
+    ({ signal }) => api.getPowerQuality(params, { signal })
+  );
+  const distribution = useQuery(
+    getQueryKey('energy/power-quality/distribution', params),
+    ({ signal }) => api.getPowerQualityDistribution(params, { signal })
+  );
+
+  return {
+    powerQuality: events.data,
+    distribution: distribution.data,
+    loading: events.loading || distribution.loading,
+    error: events.error || distribution.error
+  };
+};
+
+// Hook for fetching the hourly profile of a single date (no range or weekday aggregation)
+export const useDailyHourlyData = (filters = {}) => {
+  const params = { ...getSiteFilters(filters), date: filters.date, floor: filters.floor };
+  const { data, loading, error } = useQuery(
+    params.date ? getQueryKey('energy/hourly', params) : null,
+    ({ signal }) => api.getHourlyData(params, { signal })
+  );
+
+  return { hourlyData: data, loading, error };
+};
+
+// Hook for fetching the hourly profile of a date range - energy is summed over the days in the range
+export const useRangeHourlyData = (filters = {}) => {
+  const params = { ...getSiteFilters(filters), floor: filters.floor, dateFrom: filters.dateFrom, dateTo: filters.dateTo };
+  const { data, loading, error } = useQuery(
+    params.dateFrom && params.dateTo ? getQueryKey('energy/hourly', params) : null,
+    ({ signal }) => api.getHourlyData(params, { signal })
+  );
+
+  return { hourlyData: data, loading, error };
 };
 
-// Cache for weekly peak hours
-const weeklyPeakHoursCache = new Map();
+// Hook for fetching peak demand analytics (rolling interval averages) for the month of filters.date
+export const useDemandAnalytics = (filters = {}) => {
+  const params = { ...getSiteFilters(filters), date: filters.date, floor: filters.floor, interval: filters.interval };
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/demand', params),
+    ({ signal }) => api.getDemandAnalytics(params, { signal }),
+    { staleTime: WEEKLY_STALE_TIME }
+  );
+
+  return { demand: data, loading, error };
+};
 
 // Hook for fetching weekly peak hours
 export const useWeeklyPeakHours = (filters = {}) => {
-  const [weeklyPeakHours, setWeeklyPeakHours] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    // Create cache key
-    const cacheKey = `${filters.floor || 'all'}`;
-    
-    // Check cache first for instant display - synchronous check
-    const cachedData = weeklyPeakHoursCache.get(cacheKey);
-    if (cachedData) {
-      setWeeklyPeakHours(cachedData);
-      setLoading(false);
-      return; // Use cached data immediately, no async needed
-    }
-    
-    // Fetch immediately if not cached
-      setLoading(true);
-    api.getWeeklyPeakHours(filters)
-      .then(data => {
-        if (data) {
-          weeklyPeakHoursCache.set(cacheKey, data);
-          if (weeklyPeakHoursCache.size > 20) {
-            const firstKey = weeklyPeakHoursCache.keys().next().value;
-            weeklyPeakHoursCache.delete(firstKey);
-          }
-        setWeeklyPeakHours(data);
-        }
-        setLoading(false);
-      })
-      .catch(err => {
-        console.error('Error fetching weekly peak hours:', err);
-        setWeeklyPeakHours(null);
-        setLoading(false);
-      });
-  }, [filters.floor]);
-
-  return { weeklyPeakHours, loading };
+  const params = { ...getSiteFilters(filters), floor: filters.floor, dateFrom: filters.dateFrom, dateTo: filters.dateTo };
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/weekly-peak-hours', params),
+    ({ signal }) => api.getWeeklyPeakHours(params, { signal }),
+    { staleTime: WEEKLY_STALE_TIME }
+  );
+
+  return { weeklyPeakHours: data, loading, error };
 };
 
-// Cache for floor analytics
-const floorAnalyticsCache = new Map();
-
 // Hook for fetching floor analytics
 export const useFloorAnalytics = (filters = {}) => {
-  const [floorAnalytics, setFloorAnalytics] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    // Create cache key
-    const cacheKey = `${filters.floor || 'all'}_${filters.timeGranularity || 'day'}_${filters.weekday || 'all'}`;
-    
-    // Check cache first for instant display - synchronous check
-    const cachedData = floorAnalyticsCache.get(cacheKey);
-    if (cachedData) {
-      setFloorAnalytics(cachedData);
-      setLoading(false);
-      return; // Use cached data immediately, no async needed
-    }
-    
-    // Fetch immediately if not cached
-      setLoading(true);
-    api.getFloorAnalytics(filters)
-      .then(data => {
-        if (data) {
-          floorAnalyticsCache.set(cacheKey, data);
-          if (floorAnalyticsCache.size > 30) {
-            const firstKey = floorAnalyticsCache.keys().next().value;
-            floorAnalyticsCache.delete(firstKey);
-          }
-        setFloorAnalytics(data);
-        }
-        setLoading(false);
-      })
-      .catch(err => {
-        console.error('Error fetching floor analytics:', err);
-        setFloorAnalytics(null);
-        setLoading(false);
-      });
-  }, [filters.floor, filters.timeGranularity, filters.weekday]);
-
-  return { floorAnalytics, loading };
-};
+  const params = {
+    ...getSiteFilters(filters),
+    floor: filters.floor,
+    timeGranularity: filters.timeGranularity,
+    weekday: filters.weekday,
+    dateFrom: filters.dateFrom,
+    dateTo: filters.dateTo,
+    includeHourly: filters.includeHourly
+  };
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/floor-analytics', params),
+    ({ signal }) => api.getFloorAnalytics(params, { signal })
+  );
 
-// Cache for floor metrics to prevent data from disappearing
-const floorMetricsCache = new Map();
+  return { floorAnalytics: data, loading, error };
+};
 
 // Hook for fetching floor metrics from real data
 export const useFloorMetrics = (filters = {}) => {
-  const [floorMetrics, setFloorMetrics] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    // Create cache key
-    const cacheKey = `${filters.date || 'no-date'}_${filters.floor || 'all'}_${filters.timeGranularity || 'day'}_${filters.weekday || 'all'}`;
-    
-    // Check cache first - keep data persistent
-    const cachedData = floorMetricsCache.get(cacheKey);
-    if (cachedData) {
-      setFloorMetrics(cachedData);
-      setLoading(false);
-      return; // Use cached data immediately, no async needed
-    }
-    
-    // Fetch immediately if not cached
-    const fetchFloorMetrics = async () => {
-      setLoading(true);
-      try {
-        const data = await api.getFloorMetrics(filters);
-        if (data) {
-          // Cache the data to prevent it from disappearing
-          floorMetricsCache.set(cacheKey, data);
-          if (floorMetricsCache.size > 50) {
-            const firstKey = floorMetricsCache.keys().next().value;
-            floorMetricsCache.delete(firstKey);
-          }
-          setFloorMetrics(data);
-        }
-      } catch (err) {
-        console.error('Error fetching floor metrics:', err);
-        // Don't set to null - keep previous data if available
-        // Only set to null if we never had data
-        if (!floorMetrics) {
-          setFloorMetrics(null);
-        }
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    fetchFloorMetrics();
-  }, [filters.date, filters.floor, filters.timeGranularity, filters.weekday]);
-
-  return { floorMetrics, loading };
-};
+  const params = getEnergyParams(filters);
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/floor-metrics', params),
+    ({ signal }) => api.getFloorMetrics(params, { signal })
+  );
 
-// Cache for building metrics
-const buildingMetricsCache = new Map();
+  return { floorMetrics: data, loading, error };
+};
 
 // Hook for fetching building metrics from real data
 export const useBuildingMetrics = (filters = {}) => {
-  const [buildingMetrics, setBuildingMetrics] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    // Create cache key
-    const cacheKey = `${filters.date || 'no-date'}_${filters.floor || 'all'}_${filters.timeGranularity || 'day'}_${filters.weekday || 'all'}`;
-    
-    // Check cache first - keep data persistent
-    const cachedData = buildingMetricsCache.get(cacheKey);
-    if (cachedData) {
-      setBuildingMetrics(cachedData);
-      setLoading(false);
-      return;
-    }
-    
-    const fetchBuildingMetrics = async () => {
-      setLoading(true);
-      try {
-        const data = await api.getBuildingMetrics(filters);
-        if (data) {
-          buildingMetricsCache.set(cacheKey, data);
-          if (buildingMetricsCache.size > 50) {
-            const firstKey = buildingMetricsCache.keys().next().value;
-            buildingMetricsCache.delete(firstKey);
-          }
-          setBuildingMetrics(data);
-        }
-      } catch (err) {
-        console.error('Error fetching building metrics:', err);
-        // Don't clear existing data on error
-        if (!buildingMetrics) {
-          setBuildingMetrics(null);
-        }
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    fetchBuildingMetrics();
-  }, [filters.date, filters.floor, filters.timeGranularity, filters.weekday]);
-
-  return { buildingMetrics, loading };
-};
+  const params = getEnergyParams(filters);
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/building-metrics', params),
+    ({ signal }) => api.getBuildingMetrics(params, { signal })
+  );
 
-// Cache for branch metrics
-const branchMetricsCache = new Map();
+  return { buildingMetrics: data, loading, error };
+};
 
 // Hook for fetching branch metrics from real data
 export const useBranchMetrics = (filters = {}) => {
-  const [branchMetrics, setBranchMetrics] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    // Create cache key
-    const cacheKey = `${filters.date || 'no-date'}_${filters.floor || 'all'}_${filters.timeGranularity || 'day'}_${filters.weekday || 'all'}`;
-    
-    // Check cache first - keep data persistent
-    const cachedData = branchMetricsCache.get(cacheKey);
-    if (cachedData) {
-      setBranchMetrics(cachedData);
-      setLoading(false);
-      return;
-    }
-    
-    const fetchBranchMetrics = async () => {
-      setLoading(true);
-      try {
-        const data = await api.getBranchMetrics(filters);
-        if (data) {
-          branchMetricsCache.set(cacheKey, data);
-          if (branchMetricsCache.size > 50) {
-            const firstKey = branchMetricsCache.keys().next().value;
-            branchMetricsCache.delete(firstKey);
-          }
-          setBranchMetrics(data);
-        }
-      } catch (err) {
-        console.error('Error fetching branch metrics:', err);
-        // Don't clear existing data on error
-        if (!branchMetrics) {
-          setBranchMetrics(null);
-        }
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    fetchBranchMetrics();
-  }, [filters.date, filters.floor, filters.timeGranularity, filters.weekday]);
-
-  return { branchMetrics, loading };
+  const params = getEnergyParams(filters);
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/branch-metrics', params),
+    ({ signal }) => api.getBranchMetrics(params, { signal })
+  );
+
+  return { branchMetrics: data, loading, error };
 };
 
 // Hook for fetching top consuming units from real data
 export const useTopConsumingUnits = (filters = {}) => {
-  const [topUnits, setTopUnits] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    const fetchTopUnits = async () => {
-      setLoading(true);
-      try {
-        const data = await api.getTopConsumingUnits(filters);
-        setTopUnits(data);
-      } catch (err) {
-        console.error('Error fetching top consuming units:', err);
-        setTopUnits(null);
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    fetchTopUnits();
-  }, [filters.date, filters.floor, filters.timeGranularity, filters.weekday]);
-
-  return { topUnits, loading };
+  const params = { ...getEnergyParams(filters), limit: filters.limit };
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/top-units', params),
+    ({ signal }) => api.getTopConsumingUnits(params, { signal })
+  );
+
+  return { topUnits: data, loading, error };
 };
 
 // Hook for fetching consumption by equipment type from real data
 export const useConsumptionByEquipmentType = (filters = {}) => {
-  const [consumptionByType, setConsumptionByType] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    const fetchConsumptionByType = async () => {
-      setLoading(true);
-      try {
-        const data = await api.getConsumptionByEquipmentType(filters);
-        setConsumptionByType(data);
-      } catch (err) {
-        console.error('Error fetching consumption by equipment type:', err);
-        setConsumptionByType(null);
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    fetchConsumptionByType();
-  }, [filters.date, filters.floor, filters.timeGranularity, filters.weekday]);
-
-  return { consumptionByType, loading };
+  const params = getEnergyParams(filters);
+  const { data, loading, error } = useQuery(
+    getQueryKey('energy/equipment-type', params),
+    ({ signal }) => api.getConsumptionByEquipmentType(params, { signal })
+  );
+
+  return { consumptionByType: data, loading, error };
 };
 
+// Hook for the hourly readings of one unit's meter channel over the period in view
+// channel is null while loading, for unmapped units and when the channel has no readings
+export const useUnitReadings = (unit, filters = {}) => {
+  const channelKey = unit ? getUnitChannelKey(unit) : null;
+  const params = {
+    ...getSiteFilters(filters),
+    date: filters.date,
+    timeGranularity: filters.timeGranularity,
+    weekday: filters.weekday,
+    dateFrom: filters.dateFrom,
+    dateTo: filters.dateTo,
+    meter: unit?.meter,
+    includeHourly: true
+  };
+  const { data, loading, error } = useQuery(
+    channelKey ? getQueryKey('energy/channels', params) : null,
+    ({ signal }) => api.getChannelReadings(params, { signal })
+  );
+  const channel = useMemo(
+    () => (data && channelKey ? indexChannels(data).get(channelKey) || null : null),
+    [data, channelKey]
+  );
+
+  return { channel, loading, error };
+};
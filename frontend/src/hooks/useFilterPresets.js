@@ -0,0 +1,77 @@
+import { useEffect } from 'react';
+import { api, useMockData, HttpError } from '../utils/api';
+import { presetStore, getPresets, savePresets, mergePresets } from '../utils/presets';
+import { useLocalStore } from './useLocalStore';
+
+// Backend preset sync - null until tried, false once the backend has no /filter-presets route
+let serverAvailable = null;
+let serverLoad = null;
+
+// Pull the team's presets from the backend once per session and merge them into the local ones
+const loadServerPresets = () => {
+  if (serverLoad) return serverLoad;
+  serverLoad = api.getFilterPresets()
+    .then(data => {
+      serverAvailable = true;
+      const remote = Array.isArray(data) ? data : data?.presets;
+      if (Array.isArray(remote) && remote.length > 0) savePresets(mergePresets(getPresets(), remote));
+    })
+    .catch(error => {
+      serverAvailable = !(error instanceof HttpError && (error.status === 404 || error.status === 405));
+      console.warn('Filter presets are local only - could not load them from the backend:', error);
+    });
+  return serverLoad;
+};
+
+// Writes to the backend run one after another, each on top of the one before
+let syncQueue = Promise.resolve();
+
+// Push a local edit to the backend - only what changed (presets added, edited or removed) is
+// applied to a fresh copy of the server's list, so presets saved by others meanwhile are kept.
+// Waits for the initial load so its merge can't be overwritten.
+const syncToServer = async (previous, saved) => {
+  await loadServerPresets();
+  if (serverAvailable === false) return;
+
+  const before = new Map(previous.map(preset => [preset.id, JSON.stringify(preset)]));
+  const savedIds = new Set(saved.map(preset => preset.id));
+  const removedIds = new Set(previous.filter(preset => !savedIds.has(preset.id)).map(preset => preset.id));
+  const changed = saved.filter(preset => before.get(preset.id) !== JSON.stringify(preset));
+  if (removedIds.size === 0 && changed.length === 0) return;
+
+  const data = await api.getFilterPresets();
+  const remote = (Array.isArray(data) ? data : data?.presets) || [];
+  const merged = mergePresets(remote.filter(preset => !removedIds.has(preset.id)), changed);
+  await api.saveFilterPresets(merged);
+
+  // Pick up presets others saved - local ones are left alone, they may have been edited since
+  const local = getPresets();
+  const fromOthers = merged.filter(preset => !local.some(item => item.id === preset.id || item.name.toLowerCase() === preset.name.toLowerCase()));
+  if (fromOthers.length > 0) savePresets([...local, ...fromOthers]);
+};
+
+// Save locally, then push to the backend when it has the route
+const saveAndSync = (next, useMock) => {
+  const previous = getPresets();
+  const saved = savePresets(next);
+  if (!useMock && serverAvailable !== false) {
+    syncQueue = syncQueue
+      .then(() => syncToServer(previous, saved))
+      .catch(error => {
+        console.warn('Could not save filter presets to the backend:', error);
+      });
+  }
+  return saved;
+};
+
+// Hook for the saved filter presets
+export const useFilterPresets = () => {
+  const useMock = useMockData();
+  const presets = useLocalStore(presetStore);
+
+  useEffect(() => {
+    if (!useMock) loadServerPresets();
+  }, [useMock]);
+
+  return { presets, savePresets: (next) => saveAndSync(next, useMock) };
+};
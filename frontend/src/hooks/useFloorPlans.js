@@ -0,0 +1,8 @@
+import { floorPlanStore, saveFloorPlan, deleteFloorPlan } from '../utils/floorPlans';
+import { useLocalStore } from './useLocalStore';
+
+// Hook for the uploaded floor plans
+export const useFloorPlans = () => {
+  const floorPlans = useLocalStore(floorPlanStore);
+  return { floorPlans, saveFloorPlan, deleteFloorPlan };
+};
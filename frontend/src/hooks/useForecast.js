@@ -0,0 +1,22 @@
+import { useMemo } from 'react';
+import { useFloorAnalytics } from './useEnergyData';
+import { forecastFloor, combineForecasts } from '../utils/forecast';
+
+// Hook for per-floor and building-wide consumption forecasts (see utils/forecast.js)
+// asOf defaults to the latest date with readings. An earlier asOf ignores later readings,
+// so a past period shows what would have been projected at the time. branch / building scope it to a site.
+export const useConsumptionForecast = ({ branch, building, floor, asOf = null, horizonDays = 7 } = {}) => {
+  const { floorAnalytics, loading, error } = useFloorAnalytics({ branch, building, floor, includeHourly: true });
+
+  const forecast = useMemo(() => {
+    const floors = (floorAnalytics?.floor_analytics || []).filter(item => item.floor > 0);
+    const latest = floors.flatMap(item => (item.daily_trend || []).map(point => point.date)).sort().pop();
+    if (!latest) return null;
+
+    const date = asOf && asOf < latest ? asOf : latest;
+    const perFloor = floors.map(item => forecastFloor(item, { asOf: date, horizonDays })).filter(Boolean);
+    return { asOf: date, floors: perFloor, total: combineForecasts(perFloor) };
+  }, [floorAnalytics, asOf, horizonDays]);
+
+  return { forecast, loading, error };
+};
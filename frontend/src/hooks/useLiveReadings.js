@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import { getLiveStreamUrl } from '../utils/api';
+
+// Rolling window length in seconds (one point per second)
+const DEFAULT_WINDOW_SIZE = 300;
+
+const emptyState = {
+  window: [],
+  totals: { energyWh: 0, currentSum: 0, samples: 0, peakPowerW: 0 },
+  since: null
+};
+
+// Add a reading (one floor) to a per-second point (all selected floors summed)
+const addReading = (point, reading) => ({
+  timestamp: reading.timestamp,
+  power_w: point.power_w + (Number(reading.power_w) || 0),
+  current_a: point.current_a + (Number(reading.current_a) || 0),
+  energy_wh: point.energy_wh + (Number(reading.energy_wh) || 0),
+  voltage_sum: point.voltage_sum + (Number(reading.voltage_v) || 0),
+  floors: point.floors + 1
+});
+
+const emptyPoint = { power_w: 0, current_a: 0, energy_wh: 0, voltage_sum: 0, floors: 0 };
+
+// Append readings to the window, merging rows that share a timestamp.
+// Returns the new window and the points that were new seconds (for the running totals).
+const appendReadings = (window, readings) => {
+  const next = [...window];
+  const added = [];
+  readings.forEach(reading => {
+    const last = next[next.length - 1];
+    if (last && last.timestamp === reading.timestamp) {
+      next[next.length - 1] = addReading(last, reading);
+      return;
+    }
+    const point = addReading(emptyPoint, reading);
+    next.push(point);
+    added.push(point);
+  });
+  return { next, added };
+};
+
+// Hook for live monitoring mode - subscribes to the server-sent readings stream while enabled
+// Returns a rolling window of per-second points plus running totals since the stream connected
+// status: idle | connecting | live | reconnecting | error | unsupported
+export const useLiveReadings = ({ enabled = false, branch = 'all', building = 'all', floor = 'all', windowSize = DEFAULT_WINDOW_SIZE } = {}) => {
+  const [state, setState] = useState(emptyState);
+  const [status, setStatus] = useState('idle');
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('idle');
+      return undefined;
+    }
+    if (typeof EventSource === 'undefined') {
+      setStatus('unsupported');
+      return undefined;
+    }
+
+    // Fresh window for every site / floor / connection
+    setState(emptyState);
+    setStatus('connecting');
+
+    const source = new EventSource(getLiveStreamUrl({ branch, building, floor }));
+    // The backend ends every request after a few seconds and says so with a reconnect event
+    let reconnectExpected = false;
+    source.addEventListener('reconnect', () => {
+      reconnectExpected = true;
+    });
+    source.onopen = () => {
+      reconnectExpected = false;
+      setStatus('live');
+    };
+    // EventSource retries by itself unless the server refused the connection outright
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        setStatus('error');
+      } else if (reconnectExpected) {
+        reconnectExpected = false;
+      } else {
+        setStatus('reconnecting');
+      }
+    };
+
+    source.addEventListener('readings', (event) => {
+      let payload;
+      try {
+        payload = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      const readings = payload?.readings || [];
+      if (readings.length === 0) return;
+
+      setStatus('live');
+      setState(prev => {
+        const { next, added } = appendReadings(prev.window, readings);
+        // Every reading adds to some second's summed current, so currentSum / samples
+        // is the average combined current per second
+        const totals = {
+          energyWh: prev.totals.energyWh + readings.reduce((sum, r) => sum + (Number(r.energy_wh) || 0), 0),
+          currentSum: prev.totals.currentSum + readings.reduce((sum, r) => sum + (Number(r.current_a) || 0), 0),
+          samples: prev.totals.samples + added.length,
+          // Only the new points and the (possibly merged) previous last point changed
+          peakPowerW: Math.max(prev.totals.peakPowerW, ...next.slice(-(added.length + 1)).map(p => p.power_w))
+        };
+        return {
+          window: next.slice(-windowSize),
+          totals,
+          since: prev.since || readings[0].timestamp
+        };
+      });
+    });
+
+    return () => source.close();
+  }, [enabled, branch, building, floor, windowSize]);
+
+  const { window, totals, since } = state;
+  const latest = window.length > 0 ? window[window.length - 1] : null;
+
+  return {
+    status,
+    readings: window,
+    latest,
+    stats: {
+      since,
+      samples: totals.samples,
+      energyKwh: totals.energyWh / 1000,
+      avgCurrent: totals.samples > 0 ? totals.currentSum / totals.samples : 0,
+      currentPowerKw: latest ? latest.power_w / 1000 : 0,
+      peakPowerKw: totals.peakPowerW / 1000
+    }
+  };
+};
@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+
+// Current value of a store from utils/localStore.js - re-renders whenever it is saved anywhere in the app
+export const useLocalStore = (store) => {
+  const [value, setValue] = useState(store.get);
+
+  useEffect(() => {
+    // Pick up saves made between the first render and subscribing
+    setValue(store.get());
+    return store.subscribe(setValue);
+  }, [store]);
+
+  return value;
+};
@@ -0,0 +1,27 @@
+import { useMemo } from 'react';
+import { useLocalStore } from './useLocalStore';
+import {
+  notificationStore,
+  addNotification,
+  markNotificationRead,
+  markAllNotificationsRead,
+  acknowledgeNotification,
+  clearNotifications
+} from '../utils/notifications';
+
+// Hook for the notification center
+export const useNotifications = () => {
+  const notifications = useLocalStore(notificationStore);
+
+  const unreadCount = useMemo(() => notifications.filter(notification => !notification.read).length, [notifications]);
+
+  return {
+    notifications,
+    unreadCount,
+    addNotification,
+    markNotificationRead,
+    markAllNotificationsRead,
+    acknowledgeNotification,
+    clearNotifications
+  };
+};
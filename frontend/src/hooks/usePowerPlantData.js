@@ -1,194 +1,175 @@
-import { useState, useEffect } from 'react';
-import { powerPlantData } from '../data/powerPlantData';
-import { filterUnits, calculatePowerPlantStatistics, scaleUnitsByTime } from '../utils/filterUtils';
-import api, { useMockData } from '../utils/api';
+import { useMemo } from 'react';
+import { filterUnits, filterUnitsByConsumption, calculatePowerPlantStatistics, scaleUnitsByTime, getPricingOptions, applySiteTariffs } from '../utils/filterUtils';
+import api, { useMockData, isAbortError } from '../utils/api';
+import { getQueryKey } from '../utils/queryCache';
+import { getAssetHierarchy } from '../utils/assets';
+import { applyUnitMetering, isMeteredUnit } from '../utils/metering';
+import { useQuery } from './useQuery';
+import { useTariffs } from './useTariffs';
+
+// The asset hierarchy rarely changes - revalidate it less often than readings
+const STRUCTURE_STALE_TIME = 5 * 60 * 1000;
+
+// Mock units with time scaling, shaped like the API result - mapped units are metered from
+// channelReadings when there are any
+const getMockUnits = (filters, fallbackError = null, channelReadings = null) => {
+  const metered = applyUnitMetering(filterUnits(filters), channelReadings, filters);
+  const scaled = filterUnitsByConsumption(scaleUnitsByTime(metered, filters), filters);
+  return { units: scaled, statistics: calculatePowerPlantStatistics(scaled), fallbackError };
+};
+
+// Per-channel readings for the mapped units - null when no unit is mapped or the backend can't
+// provide them, in which case every unit stays estimated
+const fetchChannelReadings = async (filters, signal) => {
+  if (!getAssetHierarchy().units.some(isMeteredUnit)) return null;
+  try {
+    return await api.getChannelReadings(filters, { signal });
+  } catch (channelError) {
+    if (isAbortError(channelError)) throw channelError;
+    console.warn('Channel readings unavailable, unit consumption stays estimated:', channelError);
+    return null;
+  }
+};
+
+const fetchUnits = async (filters, useMock, signal) => {
+  if (useMock) {
+    return getMockUnits(filters);
+  }
+
+  const channelReadings = await fetchChannelReadings(filters, signal);
+
+  // Fetch from API - the consumption range is applied here, to the metered consumption
+  try {
+    const { consumptionRange, ...unitFilters } = filters;
+    const data = await api.getUnits(unitFilters, { signal });
+    const apiUnits = applyUnitMetering(data.units || data, channelReadings, filters);
+    // If backend does not apply time granularity, scale the estimated units locally for now
+    const scaled = filterUnitsByConsumption(scaleUnitsByTime(apiUnits, filters), filters);
+
+    // Fetch statistics (if backend provides), otherwise compute locally
+    let statistics;
+    try {
+      statistics = await api.getStatistics(filters, { signal });
+    } catch (statsError) {
+      if (isAbortError(statsError)) throw statsError;
+      statistics = calculatePowerPlantStatistics(scaled);
+    }
+    return { units: scaled, statistics, fallbackError: null };
+  } catch (apiError) {
+    if (isAbortError(apiError)) throw apiError;
+    console.warn('API call failed, falling back to mock data:', apiError);
+    // Fallback to mock data with scaling
+    return getMockUnits(filters, apiError, channelReadings);
+  }
+};
 
 // Custom hook for power plant data management
 export const usePowerPlantData = (filters) => {
-  const [units, setUnits] = useState([]);
-  const [statistics, setStatistics] = useState({});
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const useMock = useMockData();
-
-  useEffect(() => {
-    const fetchData = async () => {
-      setLoading(true);
-      setError(null);
-
-      try {
-        if (useMock) {
-          // Use mock data with time scaling
-          const filtered = filterUnits(filters);
-          const scaled = scaleUnitsByTime(filtered, filters);
-          setUnits(scaled);
-          const stats = calculatePowerPlantStatistics(scaled);
-          setStatistics(stats);
-        } else {
-          // Fetch from API
-          try {
-            const data = await api.getUnits(filters);
-            const apiUnits = data.units || data;
-            // If backend does not apply time granularity, scale locally for now
-            const scaled = scaleUnitsByTime(apiUnits, filters);
-            setUnits(scaled);
-            
-            // Fetch statistics (if backend provides), otherwise compute locally
-            try {
-              const stats = await api.getStatistics(filters);
-              setStatistics(stats);
-            } catch {
-              const stats = calculatePowerPlantStatistics(scaled);
-              setStatistics(stats);
-            }
-          } catch (apiError) {
-            console.warn('API call failed, falling back to mock data:', apiError);
-            // Fallback to mock data with scaling
-            const filtered = filterUnits(filters);
-            const scaled = scaleUnitsByTime(filtered, filters);
-            setUnits(scaled);
-            const stats = calculatePowerPlantStatistics(scaled);
-            setStatistics(stats);
-          }
-        }
-      } catch (err) {
-        setError(err.message);
-        console.error('Data fetch error:', err);
-      } finally {
-        setLoading(false);
-      }
+  const { tariffs } = useTariffs();
+  const { data, loading, error } = useQuery(
+    getQueryKey(useMock ? 'units/mock' : 'units', filters),
+    ({ signal }) => fetchUnits(filters, useMock, signal)
+  );
+
+  // Re-price cached units when the tariff is edited instead of refetching them - each site at its own tariff
+  const { date: pricingDate, days: periodDays } = getPricingOptions(filters);
+  const units = useMemo(
+    () => (data?.units ? applySiteTariffs(data.units, { date: pricingDate, days: periodDays, tariffs }) : []),
+    [data, tariffs, pricingDate, periodDays]
+  );
+  const statistics = useMemo(() => {
+    if (!data?.statistics) return {};
+    const totalCost = units.reduce((sum, unit) => sum + unit.cost, 0);
+    return {
+      ...data.statistics,
+      totalCost,
+      avgCost: units.length > 0 ? totalCost / units.length : 0
     };
+  }, [data, units]);
+
+  return {
+    units,
+    statistics,
+    loading,
+    error: error ? error.message : null,
+    // Typed API error that forced a fallback to mock data (null when serving live data)
+    fallbackError: data?.fallbackError || null
+  };
+};
 
-    fetchData();
-  }, [filters, useMock]);
+// Runs an API structure request, falling back to mock data when it fails.
+// Resolves to { items, error } where error is the API error behind a fallback.
+const fetchWithFallback = async (useMock, request, getMockItems, field) => {
+  if (useMock) {
+    return { items: getMockItems(), error: null };
+  }
+  try {
+    const data = await request();
+    return { items: data[field] || data, error: null };
+  } catch (apiError) {
+    if (isAbortError(apiError)) throw apiError;
+    console.warn('API call failed, using mock data:', apiError);
+    return { items: getMockItems(), error: apiError };
+  }
+};
 
-  return { units, statistics, loading, error };
+const filterByParent = (items, parentField, parentId) => {
+  if (!parentId || parentId === 'all') return items;
+  return items.filter(item => item[parentField] === parseInt(parentId));
 };
 
 // Hook for fetching branches
 export const useBranches = () => {
-  const [branches, setBranches] = useState([]);
-  const [loading, setLoading] = useState(true);
   const useMock = useMockData();
-
-  useEffect(() => {
-    const fetchBranches = async () => {
-      setLoading(true);
-      try {
-        if (useMock) {
-          setBranches(powerPlantData.branches);
-        } else {
-          try {
-            const data = await api.getBranches();
-            setBranches(data.branches || data);
-          } catch (error) {
-            console.warn('API call failed, using mock data');
-            setBranches(powerPlantData.branches);
-          }
-        }
-      } catch (err) {
-        console.error('Error fetching branches:', err);
-        setBranches(powerPlantData.branches);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchBranches();
-  }, [useMock]);
-
-  return { branches, loading };
+  const { data, loading } = useQuery(
+    getQueryKey('structure/branches', { mock: useMock }),
+    ({ signal }) => fetchWithFallback(
+      useMock,
+      () => api.getBranches({ signal }),
+      () => getAssetHierarchy().branches,
+      'branches'
+    ),
+    { staleTime: STRUCTURE_STALE_TIME }
+  );
+
+  return { branches: data?.items || [], loading, error: data?.error || null };
 };
 
 // Hook for fetching buildings
 export const useBuildings = (branchId = null) => {
-  const [buildings, setBuildings] = useState([]);
-  const [loading, setLoading] = useState(true);
   const useMock = useMockData();
-
-  useEffect(() => {
-    const fetchBuildings = async () => {
-      setLoading(true);
-      try {
-        if (useMock) {
-          let buildingsData = powerPlantData.buildings;
-          if (branchId && branchId !== 'all') {
-            buildingsData = buildingsData.filter(b => b.branchId === parseInt(branchId));
-          }
-          setBuildings(buildingsData);
-        } else {
-          try {
-            const data = branchId && branchId !== 'all'
-              ? await api.getBranchBuildings(branchId)
-              : await api.getBuildings();
-            setBuildings(data.buildings || data);
-          } catch (error) {
-            console.warn('API call failed, using mock data');
-            let buildingsData = powerPlantData.buildings;
-            if (branchId && branchId !== 'all') {
-              buildingsData = buildingsData.filter(b => b.branchId === parseInt(branchId));
-            }
-            setBuildings(buildingsData);
-          }
-        }
-      } catch (err) {
-        console.error('Error fetching buildings:', err);
-        setBuildings(powerPlantData.buildings);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchBuildings();
-  }, [branchId, useMock]);
-
-  return { buildings, loading };
+  const { data, loading } = useQuery(
+    getQueryKey('structure/buildings', { branchId, mock: useMock }),
+    ({ signal }) => fetchWithFallback(
+      useMock,
+      () => (branchId && branchId !== 'all'
+        ? api.getBranchBuildings(branchId, { signal })
+        : api.getBuildings({}, { signal })),
+      () => filterByParent(getAssetHierarchy().buildings, 'branchId', branchId),
+      'buildings'
+    ),
+    { staleTime: STRUCTURE_STALE_TIME }
+  );
+
+  return { buildings: data?.items || [], loading, error: data?.error || null };
 };
 
 // Hook for fetching floors
 export const useFloors = (buildingId = null) => {
-  const [floors, setFloors] = useState([]);
-  const [loading, setLoading] = useState(true);
   const useMock = useMockData();
-
-  useEffect(() => {
-    const fetchFloors = async () => {
-      setLoading(true);
-      try {
-        if (useMock) {
-          let floorsData = powerPlantData.floors;
-          if (buildingId && buildingId !== 'all') {
-            floorsData = floorsData.filter(f => f.buildingId === parseInt(buildingId));
-          }
-          setFloors(floorsData);
-        } else {
-          try {
-            const data = buildingId && buildingId !== 'all'
-              ? await api.getBuildingFloors(buildingId)
-              : await api.getFloors();
-            setFloors(data.floors || data);
-          } catch (error) {
-            console.warn('API call failed, using mock data');
-            let floorsData = powerPlantData.floors;
-            if (buildingId && buildingId !== 'all') {
-              floorsData = floorsData.filter(f => f.buildingId === parseInt(buildingId));
-            }
-            setFloors(floorsData);
-          }
-        }
-      } catch (err) {
-        console.error('Error fetching floors:', err);
-        setFloors(powerPlantData.floors);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchFloors();
-  }, [buildingId, useMock]);
-
-  return { floors, loading };
+  const { data, loading } = useQuery(
+    getQueryKey('structure/floors', { buildingId, mock: useMock }),
+    ({ signal }) => fetchWithFallback(
+      useMock,
+      () => (buildingId && buildingId !== 'all'
+        ? api.getBuildingFloors(buildingId, { signal })
+        : api.getFloors({}, { signal })),
+      () => filterByParent(getAssetHierarchy().floors, 'buildingId', buildingId),
+      'floors'
+    ),
+    { staleTime: STRUCTURE_STALE_TIME }
+  );
+
+  return { floors: data?.items || [], loading, error: data?.error || null };
 };
-
-
-
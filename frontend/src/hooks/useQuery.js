@@ -0,0 +1,82 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { fetchQuery, getQueryEntry, isQueryStale, subscribeQuery, invalidateQueries } from '../utils/queryCache';
+import { isAbortError } from '../utils/apiErrors';
+
+// Generic data hook backed by the shared query cache (utils/queryCache.js)
+// key: from getQueryKey() - pass null to skip fetching (e.g. until a date is known)
+// fetcher: ({ signal }) => Promise resolving to the data for key
+// options: { staleTime, ttl } overrides for this query
+export const useQuery = (key, fetcher, { staleTime, ttl } = {}) => {
+  const [state, setState] = useState({ key: undefined, data: null, error: null, loading: false, isRevalidating: false });
+  // Bumped when the key is invalidated so the effect below revalidates
+  const [revision, setRevision] = useState(0);
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  useEffect(() => {
+    if (!key) {
+      setState({ key, data: null, error: null, loading: false, isRevalidating: false });
+      return undefined;
+    }
+
+    // Aborted when the key changes or the component unmounts
+    const controller = new AbortController();
+    const entry = getQueryEntry(key, { ttl });
+    const stale = !entry || isQueryStale(entry, staleTime);
+
+    // Serve whatever is cached right away, revalidate in the background if stale
+    setState({
+      key,
+      data: entry ? entry.data : null,
+      error: null,
+      loading: !entry,
+      isRevalidating: Boolean(entry) && stale
+    });
+
+    if (stale) {
+      fetchQuery(key, fetcherRef.current, { signal: controller.signal })
+        .then(data => {
+          if (controller.signal.aborted) return;
+          setState({ key, data, error: null, loading: false, isRevalidating: false });
+        })
+        .catch(err => {
+          if (controller.signal.aborted || isAbortError(err)) return;
+          console.error(`Error fetching ${key}:`, err);
+          // Keep the cached data (if any) alongside the error
+          setState(prev => ({ ...prev, error: err, loading: false, isRevalidating: false }));
+        });
+    }
+
+    const unsubscribe = subscribeQuery(key, () => setRevision(value => value + 1));
+
+    return () => {
+      controller.abort();
+      unsubscribe();
+    };
+  }, [key, staleTime, ttl, revision]);
+
+  const refetch = useCallback(() => {
+    if (key) invalidateQueries(candidate => candidate === key);
+  }, [key]);
+
+  // First render after a key change - answer from the cache instead of
+  // showing the previous key's data until the effect runs
+  if (state.key !== key) {
+    const entry = key ? getQueryEntry(key, { ttl }) : null;
+    return {
+      data: entry ? entry.data : null,
+      error: null,
+      loading: Boolean(key) && !entry,
+      isRevalidating: false,
+      refetch
+    };
+  }
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: state.loading,
+    isRevalidating: state.isRevalidating,
+    refetch
+  };
+};
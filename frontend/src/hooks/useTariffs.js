@@ -0,0 +1,9 @@
+import { tariffStore, saveTariffs, resetTariffs } from '../utils/tariff';
+import { useLocalStore } from './useLocalStore';
+
+// Hook for the tariff versions
+// Include `tariffs` in memo dependencies that compute costs so they re-price on edits
+export const useTariffs = () => {
+  const tariffs = useLocalStore(tariffStore);
+  return { tariffs, saveTariffs, resetTariffs };
+};
@@ -0,0 +1,49 @@
+import { useState, useEffect, useRef } from 'react';
+import { parseUrlState, buildUrlSearch } from '../utils/urlState';
+
+// Hook keeping the filters, active module and selection in the URL
+// Restores them on load, adds a history entry for each change (slider drags and other
+// rapid edits replace the entry instead) and follows back / forward navigation.
+export const useUrlState = () => {
+  const [initialState] = useState(() => parseUrlState(window.location.search));
+  const [filters, setFilters] = useState(initialState.filters);
+  const [activeModule, setActiveModule] = useState(initialState.activeModule);
+  const [selection, setSelection] = useState(initialState.selection);
+  const lastPushRef = useRef(0);
+  const isFirstSyncRef = useRef(true);
+
+  useEffect(() => {
+    const search = buildUrlSearch({ filters, activeModule, selection });
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const now = Date.now();
+    // Tidying the URL we loaded with, and changes within a second of the last one (e.g. dragging
+    // the consumption slider), don't get history entries of their own
+    if (isFirstSyncRef.current || now - lastPushRef.current < 1000) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    lastPushRef.current = now;
+  }, [filters, activeModule, selection]);
+
+  useEffect(() => {
+    isFirstSyncRef.current = false;
+  }, []);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = parseUrlState(window.location.search);
+      setFilters(state.filters);
+      setActiveModule(state.activeModule);
+      setSelection(state.selection);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Merge changes into the selection (e.g. { building: 3 })
+  const updateSelection = (changes) => setSelection(prev => ({ ...prev, ...changes }));
+
+  return { filters, setFilters, activeModule, setActiveModule, selection, updateSelection };
+};
@@ -0,0 +1,130 @@
+import { useMemo } from 'react';
+import { format } from 'date-fns';
+import api from '../utils/api';
+import { getQueryKey } from '../utils/queryCache';
+import { findAsset, getUnitChannelKey } from '../utils/assets';
+import { indexChannels } from '../utils/metering';
+import { getSiteFilters } from '../utils/sites';
+import {
+  virtualMeterStore,
+  saveVirtualMeters,
+  parseFormula,
+  getFormulaRefs,
+  evaluateSlots,
+  formatRef
+} from '../utils/virtualMeters';
+import { useQuery } from './useQuery';
+import { useLocalStore } from './useLocalStore';
+
+// Hook for the saved virtual meters
+export const useVirtualMeters = () => {
+  const virtualMeters = useLocalStore(virtualMeterStore);
+  return { virtualMeters, saveVirtualMeters };
+};
+
+const emptySlots = (count) => Array(count).fill(null);
+
+// Spread API rows (energy in Wh) over fixed slots so missing readings stay gaps
+const toSlots = (rows, slotCount, slotField) => {
+  const slots = emptySlots(slotCount);
+  (rows || []).forEach(row => {
+    const slot = Number(row[slotField]);
+    if (slot >= 0 && slot < slotCount) slots[slot] = (slots[slot] || 0) + (Number(row.total_energy) || 0);
+  });
+  return slots;
+};
+
+// Hour-of-day Wh of one floor or unit for a date, or summed over the days of a range
+const fetchHourlySlots = async (ref, params, signal) => {
+  if (ref.kind === 'floors') {
+    const data = await api.getHourlyData({ ...params, floor: ref.id }, { signal });
+    return toSlots(data?.hourly_data, 24, 'hour');
+  }
+  const unit = findAsset('units', ref.id);
+  if (!unit || !getUnitChannelKey(unit)) return emptySlots(24);
+  const data = await api.getChannelReadings({ ...params, meter: unit.meter, includeHourly: true }, { signal });
+  return toSlots(indexChannels(data).get(getUnitChannelKey(unit))?.hourly_trend, 24, 'hour');
+};
+
+// Minute-of-hour Wh of one floor or unit
+const fetchMinuteSlots = async (ref, params, signal) => {
+  if (ref.kind === 'floors') {
+    const data = await api.getMinuteData({ ...params, floor: ref.id }, { signal });
+    return toSlots(data?.minute_data, 60, 'minute');
+  }
+  const unit = findAsset('units', ref.id);
+  if (!unit || !getUnitChannelKey(unit)) return emptySlots(60);
+  const data = await api.getMinuteData({ ...params, floor: unit.meter, channel: unit.channel ?? 'main' }, { signal });
+  return toSlots(data?.minute_data, 60, 'minute');
+};
+
+// Fetch every floor / unit the formula reads and evaluate it slot by slot
+const evaluateMeter = async (tree, fetchSlots, params, slotCount, signal) => {
+  const refs = getFormulaRefs(tree);
+  const slots = await Promise.all(refs.map(ref => fetchSlots(ref, params, signal)));
+  const slotsByRef = Object.fromEntries(refs.map((ref, index) => [formatRef(ref), slots[index]]));
+  return evaluateSlots(tree, slotsByRef, slotCount);
+};
+
+// Where each unit in the formula reads from, so remapping a unit refetches the series
+const getChannelSignature = (tree) => getFormulaRefs(tree)
+  .filter(ref => ref.kind === 'units')
+  .map(ref => `${formatRef(ref)}@${getUnitChannelKey(findAsset('units', ref.id) || {}) || 'none'}`)
+  .join(',');
+
+// Hook for a virtual meter's evaluated series, shaped like the hourly and minute endpoints
+// (total_energy in Wh) so charts can show it in place of a floor:
+// hourlyData for the date (or dateFrom/dateTo), minuteData for one hour of the date
+// meter: { formula } - null skips fetching
+export const useVirtualMeterSeries = (meter, filters = {}) => {
+  const { tree } = useMemo(() => parseFormula(meter?.formula), [meter]);
+  const site = getSiteFilters(filters);
+  const hasRange = Boolean(filters.dateFrom && filters.dateTo);
+  const hourlyParams = hasRange
+    ? { ...site, dateFrom: filters.dateFrom, dateTo: filters.dateTo }
+    : { ...site, date: filters.date };
+  const minuteParams = { ...site, date: filters.date, hour: filters.hour };
+  const keyParams = tree ? { formula: meter.formula, channels: getChannelSignature(tree) } : {};
+
+  const hourly = useQuery(
+    tree && (hasRange || filters.date) ? getQueryKey('energy/virtual/hourly', { ...hourlyParams, ...keyParams }) : null,
+    async ({ signal }) => {
+      const values = await evaluateMeter(tree, fetchHourlySlots, hourlyParams, 24, signal);
+      const rows = values
+        .map((value, hour) => (value === null ? null : { hour, total_energy: value }))
+        .filter(Boolean);
+      const peak = rows.reduce((best, row) => (!best || row.total_energy > best.total_energy ? row : best), null);
+      return {
+        date: filters.date || null,
+        date_from: hourlyParams.dateFrom || null,
+        date_to: hourlyParams.dateTo || null,
+        hourly_data: rows,
+        peak_hour: peak
+          ? { hour: peak.hour, total_energy: peak.total_energy, formatted_time: format(new Date(2000, 0, 1, peak.hour), 'h:mm a') }
+          : { hour: null, total_energy: 0, formatted_time: null }
+      };
+    }
+  );
+
+  const hasHour = filters.hour !== null && filters.hour !== undefined;
+  const minute = useQuery(
+    tree && filters.date && hasHour ? getQueryKey('energy/virtual/minute', { ...minuteParams, ...keyParams }) : null,
+    async ({ signal }) => {
+      const values = await evaluateMeter(tree, fetchMinuteSlots, minuteParams, 60, signal);
+      return {
+        date: filters.date,
+        hour: filters.hour,
+        minute_data: values
+          .map((value, slot) => (value === null ? null : { minute: slot, total_energy: value }))
+          .filter(Boolean)
+      };
+    }
+  );
+
+  return {
+    hourlyData: hourly.data,
+    minuteData: minute.data,
+    loading: hourly.loading || minute.loading,
+    error: hourly.error || minute.error
+  };
+};
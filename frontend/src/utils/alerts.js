@@ -0,0 +1,215 @@
+// Threshold alert rules - evaluated against new readings of every floor by useAlertMonitor
+// Rules are edited from the Alert Rules module (components/AlertRules.js) and kept in
+// localStorage; a rule that starts firing posts to the notification center (utils/notifications.js).
+
+import { createLocalStore } from './localStore';
+
+// Longest window a rule can look back over - the monitor keeps this much of each floor's readings
+export const MAX_WINDOW_MINUTES = 60;
+
+export const ALERT_METRICS = {
+  hourly_energy: { label: 'Hourly energy', unit: 'Wh', description: 'Energy used so far in the current clock hour' },
+  avg_current: { label: 'Average current', unit: 'A', description: 'Average current over the rule window' },
+  no_data: { label: 'No data', unit: 'min', description: 'Minutes since the floor last sent a reading - each floor on its own' }
+};
+
+export const ALERT_OPERATORS = {
+  above: { label: 'above', symbol: '>' },
+  below: { label: 'below', symbol: '<' }
+};
+
+export const ALERT_SEVERITIES = {
+  info: { label: 'Info', badge: 'bg-blue-100 text-blue-800', icon: 'fa-info-circle text-blue-500' },
+  warning: { label: 'Warning', badge: 'bg-yellow-100 text-yellow-800', icon: 'fa-exclamation-triangle text-yellow-500' },
+  critical: { label: 'Critical', badge: 'bg-red-100 text-red-800', icon: 'fa-exclamation-circle text-red-500' }
+};
+
+// Examples of each metric, disabled until a threshold that suits the site is set
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'floor-2-hourly-energy',
+    name: 'Floor 2 hourly energy',
+    metric: 'hourly_energy',
+    floor: '2',
+    operator: 'above',
+    threshold: 5000,
+    windowMinutes: 10,
+    severity: 'warning',
+    enabled: false,
+    snoozedUntil: null
+  },
+  {
+    id: 'high-current',
+    name: 'Sustained high current',
+    metric: 'avg_current',
+    floor: 'all',
+    operator: 'above',
+    threshold: 30,
+    windowMinutes: 10,
+    severity: 'warning',
+    enabled: false,
+    snoozedUntil: null
+  },
+  {
+    id: 'no-data',
+    name: 'Meters not reporting',
+    metric: 'no_data',
+    floor: 'all',
+    operator: 'above',
+    threshold: 30,
+    windowMinutes: 10,
+    severity: 'critical',
+    enabled: false,
+    snoozedUntil: null
+  }
+];
+
+// Problems with a rule, as messages for the rule form (empty when valid)
+export const validateAlertRule = (rule) => {
+  const errors = [];
+  const threshold = Number(rule.threshold);
+  const windowMinutes = Number(rule.windowMinutes);
+
+  if (!String(rule.name || '').trim()) errors.push('Name is required');
+  if (!ALERT_METRICS[rule.metric]) errors.push('Choose a metric');
+  if (!ALERT_OPERATORS[rule.operator]) errors.push('Choose above or below');
+  if (!ALERT_SEVERITIES[rule.severity]) errors.push('Choose a severity');
+  if (rule.floor !== 'all' && !(Number(rule.floor) > 0)) errors.push('Choose a floor');
+  if (rule.threshold === '' || !(threshold >= 0)) errors.push('Threshold must be zero or more');
+  if (rule.metric === 'no_data' && !(threshold >= 1)) errors.push('No-data threshold must be at least 1 minute');
+  if (rule.metric === 'avg_current' && !(windowMinutes >= 1 && windowMinutes <= MAX_WINDOW_MINUTES)) {
+    errors.push(`Window must be between 1 and ${MAX_WINDOW_MINUTES} minutes`);
+  }
+
+  return errors;
+};
+
+export const alertRuleStore = createLocalStore('alertRules', {
+  label: 'alert rules',
+  fallback: DEFAULT_ALERT_RULES,
+  load: (parsed) => (Array.isArray(parsed) ? parsed.filter(rule => validateAlertRule(rule).length === 0) : undefined),
+  validate: (next) => {
+    const invalid = next.find(rule => validateAlertRule(rule).length > 0);
+    if (invalid) {
+      throw new Error(`Alert rule "${invalid.name || invalid.id}" is invalid: ${validateAlertRule(invalid).join(', ')}`);
+    }
+  },
+  normalize: (next) => next.map(rule => ({
+    ...rule,
+    floor: String(rule.floor),
+    threshold: Number(rule.threshold),
+    windowMinutes: Number(rule.windowMinutes)
+  }))
+});
+
+export const getAlertRules = alertRuleStore.get;
+
+// Replace every rule - persisted and pushed to subscribers (useAlertRules)
+export const saveAlertRules = alertRuleStore.set;
+
+// Silence a rule for a number of minutes; it notifies again afterwards if it is still firing
+export const snoozeAlertRule = (ruleId, minutes) => saveAlertRules(
+  getAlertRules().map(rule => (rule.id === ruleId
+    ? { ...rule, snoozedUntil: new Date(Date.now() + minutes * 60 * 1000).toISOString() }
+    : rule))
+);
+
+export const isSnoozed = (rule, now = Date.now()) =>
+  Boolean(rule.snoozedUntil) && new Date(rule.snoozedUntil).getTime() > now;
+
+// "Floor 2 hourly energy > 5000 Wh" style summary of a rule
+export const describeAlertRule = (rule) => {
+  const metric = ALERT_METRICS[rule.metric];
+  const scope = rule.floor === 'all' ? 'All floors' : `Floor ${rule.floor}`;
+  if (rule.metric === 'no_data') return `${scope}: no data for ${rule.threshold} min`;
+  const window = rule.metric === 'avg_current' ? ` over ${rule.windowMinutes} min` : '';
+  return `${scope}: ${metric.label.toLowerCase()}${window} ${ALERT_OPERATORS[rule.operator].symbol} ${rule.threshold} ${metric.unit}`;
+};
+
+export const formatAlertValue = (metric, value) => {
+  if (value === null || value === undefined) return '—';
+  const digits = metric === 'avg_current' ? 2 : 0;
+  return `${Number(value).toLocaleString('en-US', { maximumFractionDigits: digits })} ${ALERT_METRICS[metric].unit}`;
+};
+
+// Value of an evaluation, naming the floor when a rule for all floors is about one of them
+export const describeAlertValue = ({ rule, value, floor }) => {
+  const formatted = formatAlertValue(rule.metric, value);
+  return floor && floor !== rule.floor ? `${formatted} on Floor ${floor}` : formatted;
+};
+
+// Monitor state - recent readings per floor plus when each floor last reported (wall clock)
+export const createMonitorState = (startedAt = Date.now()) => ({ startedAt, readings: {}, receivedAt: {} });
+
+// Reading time in ms from its date / hour / minute / second columns
+const getReadingTime = (reading) => {
+  const pad = (value) => String(Number(value) || 0).padStart(2, '0');
+  return new Date(`${reading.date}T${pad(reading.hour)}:${pad(reading.minute)}:${pad(reading.second)}`).getTime();
+};
+
+// Add stream readings to the monitor state, dropping anything older than the longest window
+export const addMonitorReadings = (state, readings, receivedAt = Date.now()) => {
+  const next = { ...state, readings: { ...state.readings }, receivedAt: { ...state.receivedAt } };
+  readings.forEach(reading => {
+    const floor = String(reading.floor);
+    if (!next.readings[floor] || next.readings[floor] === state.readings[floor]) {
+      next.readings[floor] = [...(state.readings[floor] || [])];
+    }
+    next.readings[floor].push({
+      time: getReadingTime(reading),
+      hourKey: `${reading.date} ${reading.hour}`,
+      current: Number(reading.current_a) || 0,
+      energy: Number(reading.energy_wh) || 0
+    });
+    next.receivedAt[floor] = receivedAt;
+  });
+  Object.keys(next.readings).forEach(floor => {
+    const list = next.readings[floor];
+    const cutoff = list[list.length - 1].time - MAX_WINDOW_MINUTES * 60 * 1000;
+    next.readings[floor] = list.filter(point => point.time > cutoff);
+  });
+  return next;
+};
+
+// Current value of a rule's metric and the floor it is about, or a null value while there isn't enough data to judge it
+const getMetricValue = (rule, state, now) => {
+  const floors = rule.floor === 'all' ? Object.keys(state.readings) : [rule.floor];
+
+  // Every floor that has reported since monitoring started is judged on its own, so one silent
+  // floor isn't hidden by the others - the value is the quietest floor's
+  if (rule.metric === 'no_data') {
+    const silentMinutes = (floor) => (now - Math.max(state.startedAt, state.receivedAt[floor] || 0)) / 60000;
+    if (floors.length === 0) return { value: silentMinutes(null), floor: rule.floor };
+    return floors
+      .map(floor => ({ value: silentMinutes(floor), floor }))
+      .reduce((quietest, entry) => (entry.value > quietest.value ? entry : quietest));
+  }
+
+  const points = floors.flatMap(floor => state.readings[floor] || []);
+  if (points.length === 0) return { value: null, floor: rule.floor };
+  const latest = points.reduce((max, point) => (point.time > max.time ? point : max), points[0]);
+
+  if (rule.metric === 'hourly_energy') {
+    const value = points.filter(point => point.hourKey === latest.hourKey).reduce((sum, point) => sum + point.energy, 0);
+    return { value, floor: rule.floor };
+  }
+
+  // Average of the per-second totals, once the readings span the whole window
+  const windowMs = rule.windowMinutes * 60 * 1000;
+  const earliest = Math.min(...points.map(point => point.time));
+  if (latest.time - earliest < windowMs - 1000) return { value: null, floor: rule.floor };
+  const inWindow = points.filter(point => point.time > latest.time - windowMs);
+  const seconds = new Set(inWindow.map(point => point.time)).size;
+  return { value: inWindow.reduce((sum, point) => sum + point.current, 0) / seconds, floor: rule.floor };
+};
+
+// Value, floor and firing state of every enabled rule
+export const evaluateAlertRules = (ruleList, state, now = Date.now()) =>
+  ruleList
+    .filter(rule => rule.enabled)
+    .map(rule => {
+      const { value, floor } = getMetricValue(rule, state, now);
+      const operator = rule.metric === 'no_data' ? 'above' : rule.operator;
+      const firing = value !== null && (operator === 'above' ? value > rule.threshold : value < rule.threshold);
+      return { rule, value, floor, firing };
+    });
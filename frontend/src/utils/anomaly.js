@@ -0,0 +1,121 @@
+// Statistical anomaly detection for hourly floor consumption
+// Each reading hour is compared with the same hour of the week in the rest of the history
+// (leave-one-out, so a spike can't hide in its own baseline). Slots with too little history
+// fall back to the same hour of day across every weekday.
+import { parseISO } from 'date-fns';
+
+export const ANOMALY_METHODS = {
+  zscore: { label: 'Z-score', threshold: 3, criticalThreshold: 4.5 },
+  iqr: { label: 'IQR', threshold: 1.5, criticalThreshold: 3 }
+};
+
+// Fewest other readings a baseline needs before it is trusted
+const MIN_SAMPLES = 3;
+// Spread floor as a share of the baseline level - keeps a near-constant baseline
+// from flagging every small wiggle
+const MIN_SPREAD_RATIO = 0.05;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values, average) =>
+  Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / Math.max(values.length - 1, 1));
+
+// Linear-interpolated quantile of sorted values (q in 0..1)
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Expected value, band and score for a reading against its baseline samples
+const scoreReading = (value, samples, method) => {
+  const { threshold } = ANOMALY_METHODS[method];
+
+  if (method === 'iqr') {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const median = quantile(sorted, 0.5);
+    const q3 = quantile(sorted, 0.75);
+    const spread = Math.max(q3 - q1, Math.abs(median) * MIN_SPREAD_RATIO, Number.EPSILON);
+    const lower = q1 - threshold * spread;
+    const upper = q3 + threshold * spread;
+    let score = 0;
+    if (value > q3) score = (value - q3) / spread;
+    if (value < q1) score = (value - q1) / spread;
+    return { expected: median, lower, upper, score };
+  }
+
+  const average = mean(samples);
+  const spread = Math.max(standardDeviation(samples, average), Math.abs(average) * MIN_SPREAD_RATIO, Number.EPSILON);
+  return {
+    expected: average,
+    lower: average - threshold * spread,
+    upper: average + threshold * spread,
+    score: (value - average) / spread
+  };
+};
+
+// Anomalous hours in one series of { date: 'yyyy-MM-dd', hour, value }
+export const detectAnomalies = (series, { method = 'zscore' } = {}) => {
+  const { criticalThreshold } = ANOMALY_METHODS[method] || ANOMALY_METHODS.zscore;
+  const readings = series.map(point => ({
+    ...point,
+    hourOfWeek: parseISO(point.date).getDay() * 24 + point.hour
+  }));
+
+  const byHourOfWeek = new Map();
+  const byHour = new Map();
+  readings.forEach((reading, index) => {
+    if (!byHourOfWeek.has(reading.hourOfWeek)) byHourOfWeek.set(reading.hourOfWeek, []);
+    if (!byHour.has(reading.hour)) byHour.set(reading.hour, []);
+    byHourOfWeek.get(reading.hourOfWeek).push(index);
+    byHour.get(reading.hour).push(index);
+  });
+
+  const others = (indexes, self) => indexes.filter(index => index !== self).map(index => readings[index].value);
+
+  const anomalies = [];
+  readings.forEach((reading, index) => {
+    let baseline = 'hour-of-week';
+    let samples = others(byHourOfWeek.get(reading.hourOfWeek), index);
+    if (samples.length < MIN_SAMPLES) {
+      baseline = 'hour-of-day';
+      samples = others(byHour.get(reading.hour), index);
+    }
+    if (samples.length < MIN_SAMPLES) return;
+
+    const { expected, lower, upper, score } = scoreReading(reading.value, samples, method);
+    if (reading.value <= upper && reading.value >= lower) return;
+
+    anomalies.push({
+      date: reading.date,
+      hour: reading.hour,
+      timestamp: `${reading.date} ${String(reading.hour).padStart(2, '0')}:00`,
+      value: reading.value,
+      expected,
+      lower: Math.max(lower, 0),
+      upper,
+      score,
+      direction: reading.value > upper ? 'high' : 'low',
+      severity: Math.abs(score) >= criticalThreshold ? 'critical' : 'warning',
+      baseline,
+      method
+    });
+  });
+
+  return anomalies;
+};
+
+// Anomaly events for every floor in a getFloorAnalytics response fetched with includeHourly,
+// newest first. Values are kWh per hour.
+export const detectFloorAnomalies = (floorAnalytics, options = {}) =>
+  (floorAnalytics || [])
+    .filter(floor => floor.floor > 0 && Array.isArray(floor.hourly_trend))
+    .flatMap(floor =>
+      detectAnomalies(
+        floor.hourly_trend.map(point => ({ date: point.date, hour: point.hour, value: point.total_energy / 1000 })),
+        options
+      ).map(anomaly => ({ ...anomaly, id: `${floor.floor}-${anomaly.timestamp}`, floor: floor.floor }))
+    )
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || a.floor - b.floor);
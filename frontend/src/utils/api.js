@@ -1,343 +1,517 @@
 // API Service Layer for Backend Integration
+import { ApiError, NetworkError, TimeoutError, HttpError, ValidationError, isRetryableError, isAbortError } from './apiErrors';
+import { invalidateQueries } from './queryCache';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
 
-// Helper function for API calls
-const apiCall = async (endpoint, options = {}) => {
+// Defaults for every apiCall - override globally with configureApi() or per call via options
+const apiConfig = {
+  timeout: 15000,     // ms before a request is aborted
+  retries: 2,         // extra attempts for idempotent (GET) requests
+  retryDelay: 300,    // base backoff delay in ms, doubled on each attempt
+  maxRetryDelay: 4000
+};
+
+export const configureApi = (config = {}) => {
+  Object.assign(apiConfig, config);
+};
+
+const createAbortError = () => new DOMException('Request aborted', 'AbortError');
+
+// Resolves after ms, or rejects early with an AbortError when the signal fires
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Exponential backoff with a little jitter so parallel hooks don't retry in lockstep
+const getRetryDelay = (attempt, retryDelay, maxRetryDelay) => {
+  const delay = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Parsed JSON body - null when there is no body (e.g. 204 No Content), undefined when it isn't JSON
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...options.headers
-      },
-      ...options
-    });
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+// Single fetch attempt with timeout, mapped onto the typed errors in apiErrors.js
+// An abort from the caller's signal is re-thrown as-is (AbortError), not as a TimeoutError
+const request = async (url, fetchOptions, timeout, signal) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw timedOut ? new TimeoutError(url, timeout) : error;
+      }
+      throw new NetworkError(url, error);
+    }
+
+    const payload = await parseBody(response);
 
     if (!response.ok) {
-      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+      if (response.status === 422) {
+        throw new ValidationError(url, payload);
+      }
+      throw new HttpError(url, response.status, response.statusText, payload);
     }
 
-    const data = await response.json();
+    if (payload === undefined) {
+      throw new ApiError(`Invalid JSON response from ${url}`, { kind: 'parse', status: response.status, url });
+    }
+
+    // Nothing to return, e.g. after a DELETE
+    if (payload === null) return null;
+
     // Handle Laravel API response format
-    return data.data || data;
+    return payload.data || payload;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// Fetch with the retry policy applied
+const requestWithRetry = async (url, requestOptions, { timeout, maxRetries, signal }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(url, requestOptions, timeout, signal);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      await sleep(getRetryDelay(attempt, apiConfig.retryDelay, apiConfig.maxRetryDelay), signal);
+    }
+  }
+};
+
+// In-flight GET requests keyed by URL - identical concurrent reads share one fetch.
+// Each caller keeps its own AbortSignal; the shared fetch is only aborted once
+// every caller waiting on it has gone away.
+const inflightRequests = new Map();
+
+const subscribe = (entry, signal) => {
+  entry.subscribers += 1;
+  if (!signal) return entry.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.subscribers -= 1;
+      if (entry.subscribers === 0 && inflightRequests.get(entry.url) === entry) {
+        inflightRequests.delete(entry.url);
+        entry.controller.abort();
+      }
+      reject(createAbortError());
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise.then(
+      data => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(data);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
+const sharedGet = (url, requestOptions, { timeout, maxRetries, signal }) => {
+  let entry = inflightRequests.get(url);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { url, controller, subscribers: 0 };
+    entry.promise = requestWithRetry(url, requestOptions, { timeout, maxRetries, signal: controller.signal })
+      .finally(() => {
+        if (inflightRequests.get(url) === entry) {
+          inflightRequests.delete(url);
+        }
+      });
+    // Avoid unhandled rejection warnings when every subscriber aborted
+    entry.promise.catch(() => {});
+    inflightRequests.set(url, entry);
+  }
+  return subscribe(entry, signal);
+};
+
+// Helper function for API calls
+// options: fetch options (including signal) plus { timeout, retries } overrides
+const apiCall = async (endpoint, options = {}) => {
+  const {
+    timeout = apiConfig.timeout,
+    retries,
+    signal,
+    ...fetchOptions
+  } = options;
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  // Only idempotent reads are retried - never replay a PUT/POST/DELETE
+  const maxRetries = method === 'GET' ? (retries ?? apiConfig.retries) : 0;
+  const url = `${API_BASE_URL}${endpoint}`;
+
+  const requestOptions = {
+    ...fetchOptions,
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...fetchOptions.headers
+    }
+  };
+
+  try {
+    if (method === 'GET') {
+      return await sharedGet(url, requestOptions, { timeout, maxRetries, signal });
+    }
+    return await requestWithRetry(url, requestOptions, { timeout, maxRetries, signal });
   } catch (error) {
-    console.error('API Call Error:', error);
+    // Cancelled requests are expected when filters change - not worth logging
+    if (!isAbortError(error)) {
+      console.error('API Call Error:', error);
+    }
     throw error;
   }
 };
 
+// Create / update / delete in the asset hierarchy - cached structure and unit lists are
+// refetched afterwards
+const writeStructure = async (endpoint, method, data = null) => {
+  const result = await apiCall(endpoint, {
+    method,
+    ...(data ? { body: JSON.stringify(data) } : {})
+  });
+  invalidateQueries('structure/');
+  invalidateQueries('units');
+  return result;
+};
+
+// Branch / building the request is scoped to - sent by every energy endpoint and the live stream
+const appendSite = (params, filters) => {
+  if (filters.branch && filters.branch !== 'all') params.append('branch', filters.branch);
+  if (filters.building && filters.building !== 'all') params.append('building', filters.building);
+};
+
+// dateFrom/dateTo span (inclusive) - the backend gives it precedence over a single date
+const appendDateRange = (params, filters) => {
+  if (filters.dateFrom && filters.dateTo) {
+    params.append('dateFrom', filters.dateFrom);
+    params.append('dateTo', filters.dateTo);
+  }
+};
+
+// Date, floor and nominal voltage band params shared by the power-quality endpoints
+const getPowerQualityParams = (filters) => {
+  const params = new URLSearchParams();
+  appendSite(params, filters);
+  if (filters.date) params.append('date', filters.date);
+  if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+  appendDateRange(params, filters);
+  if (filters.nominal) params.append('nominal', filters.nominal);
+  if (filters.sagPercent) params.append('sagPercent', filters.sagPercent);
+  if (filters.swellPercent) params.append('swellPercent', filters.swellPercent);
+  return params;
+};
+
 // API Service Object - Backend Integration
 export const api = {
   // Energy Data Endpoints (Actual Backend API - Priority)
-  getEnergySummary: (filters = {}) => {
+  getEnergySummary: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/summary?${params}` : '/energy/dashboard/summary';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getHourlyData: (filters = {}) => {
+  getHourlyData: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/hourly?${params}` : '/energy/dashboard/hourly';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getWeeklyPeakHours: (filters = {}) => {
+  getWeeklyPeakHours: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/weekly-peak-hours?${params}` : '/energy/dashboard/weekly-peak-hours';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getFloorAnalytics: (filters = {}) => {
+  getFloorAnalytics: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
+    if (filters.includeHourly) params.append('includeHourly', '1');
     const url = params.toString() ? `/energy/dashboard/floor-analytics?${params}` : '/energy/dashboard/floor-analytics';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getFloorMetrics: (filters = {}) => {
+  getFloorMetrics: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/floor-metrics?${params}` : '/energy/dashboard/floor-metrics';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getBuildingMetrics: (filters = {}) => {
+  getBuildingMetrics: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/building-metrics?${params}` : '/energy/dashboard/building-metrics';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getBranchMetrics: (filters = {}) => {
+  getBranchMetrics: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/branch-metrics?${params}` : '/energy/dashboard/branch-metrics';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getTopConsumingUnits: (filters = {}) => {
+  getTopConsumingUnits: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
     if (filters.limit) params.append('limit', filters.limit);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/top-units?${params}` : '/energy/dashboard/top-units';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getConsumptionByEquipmentType: (filters = {}) => {
+  getConsumptionByEquipmentType: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
     if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
+    appendDateRange(params, filters);
     const url = params.toString() ? `/energy/dashboard/equipment-type?${params}` : '/energy/dashboard/equipment-type';
-    return apiCall(url);
+    return apiCall(url, options);
   },
-  getMinuteData: (date, hour) => {
+  getMinuteData: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
-    if (date) params.append('date', date);
-    if (hour !== undefined && hour !== null) params.append('hour', hour);
+    appendSite(params, filters);
+    if (filters.date) params.append('date', filters.date);
+    if (filters.hour !== undefined && filters.hour !== null) params.append('hour', filters.hour);
+    if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+    // One channel of the floor's meter ('main' for readings without one)
+    if (filters.channel !== undefined && filters.channel !== null) params.append('channel', filters.channel);
     const url = params.toString() ? `/energy/dashboard/minute?${params}` : '/energy/dashboard/minute';
-    return apiCall(url);
-  },
-  getAvailableDates: () => apiCall('/energy/dashboard/dates'),
-  getEnergySummaryLegacy: () => apiCall('/energy/summary'),
-  testAPI: () => apiCall('/test'),
-
-  // Power Plant Structure Endpoints (To be implemented in backend)
-  // For now, these will fall back to mock data
-  getBranches: async () => {
-    try {
-      return await apiCall('/branches');
-    } catch {
-      return null; // Fallback to mock
-    }
-  },
-  getBranch: async (id) => {
-    try {
-      return await apiCall(`/branches/${id}`);
-    } catch {
-      return null;
-    }
-  },
-  getBranchBuildings: async (id) => {
-    try {
-      return await apiCall(`/branches/${id}/buildings`);
-    } catch {
-      return null;
-    }
-  },
-
-  // Buildings
-  getBuildings: async (filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/buildings${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
+    return apiCall(url, options);
   },
-  getBuilding: async (id) => {
-    try {
-      return await apiCall(`/buildings/${id}`);
-    } catch {
-      return null;
-    }
-  },
-  getBuildingFloors: async (id) => {
-    try {
-      return await apiCall(`/buildings/${id}/floors`);
-    } catch {
-      return null;
-    }
-  },
-  getBuildingUnits: async (id) => {
-    try {
-      return await apiCall(`/buildings/${id}/units`);
-    } catch {
-      return null;
-    }
-  },
-  getBuildingMetrics: (filters = {}) => {
+  getSecondData: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
-    if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
-    if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
-    const url = params.toString() ? `/energy/dashboard/building-metrics?${params}` : '/energy/dashboard/building-metrics';
-    return apiCall(url);
-  },
-
-  // Floors
-  getFloors: async (filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/floors${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
-  },
-  getFloor: async (id) => {
-    try {
-      return await apiCall(`/floors/${id}`);
-    } catch {
-      return null;
-    }
-  },
-  getFloorUnits: async (id) => {
-    try {
-      return await apiCall(`/floors/${id}/units`);
-    } catch {
-      return null;
-    }
+    if (filters.hour !== undefined && filters.hour !== null) params.append('hour', filters.hour);
+    if (filters.minute !== undefined && filters.minute !== null) params.append('minute', filters.minute);
+    if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+    const url = params.toString() ? `/energy/dashboard/second?${params}` : '/energy/dashboard/second';
+    return apiCall(url, options);
   },
-  getFloorMetrics: (filters = {}) => {
+  // Rolling 15/30-minute demand (kW) for the billing month of filters.date
+  getDemandAnalytics: (filters = {}, options = {}) => {
+    const params = new URLSearchParams();
+    appendSite(params, filters);
+    if (filters.date) params.append('date', filters.date);
+    if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+    if (filters.interval) params.append('interval', filters.interval);
+    const url = params.toString() ? `/energy/demand?${params}` : '/energy/demand';
+    return apiCall(url, options);
+  },
+  // Voltage sag/swell events against the nominal band (filters.nominal, sagPercent, swellPercent)
+  getPowerQuality: (filters = {}, options = {}) => {
+    const params = getPowerQualityParams(filters);
+    const url = params.toString() ? `/energy/power-quality?${params}` : '/energy/power-quality';
+    return apiCall(url, options);
+  },
+  getPowerQualityDistribution: (filters = {}, options = {}) => {
+    const params = getPowerQualityParams(filters);
+    const url = params.toString() ? `/energy/power-quality/distribution?${params}` : '/energy/power-quality/distribution';
+    return apiCall(url, options);
+  },
+  // Energy per meter (floor) / channel for unit-level metering - filters.meter narrows it to one meter
+  getChannelReadings: (filters = {}, options = {}) => {
     const params = new URLSearchParams();
+    appendSite(params, filters);
     if (filters.date) params.append('date', filters.date);
+    if (filters.meter) params.append('meter', filters.meter);
     if (filters.timeGranularity) params.append('timeGranularity', filters.timeGranularity);
     if (filters.weekday && filters.weekday !== 'all') params.append('weekday', filters.weekday);
-    const url = params.toString() ? `/energy/dashboard/floor-metrics?${params}` : '/energy/dashboard/floor-metrics';
-    return apiCall(url);
+    appendDateRange(params, filters);
+    if (filters.includeHourly) params.append('includeHourly', '1');
+    const url = params.toString() ? `/energy/channels?${params}` : '/energy/channels';
+    return apiCall(url, options);
   },
+  // Readings added since filters.afterId, oldest first - last_id is where the next poll starts
+  getLatestReadings: (filters = {}, options = {}) => {
+    const params = new URLSearchParams();
+    appendSite(params, filters);
+    if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+    if (filters.afterId) params.append('afterId', filters.afterId);
+    const url = params.toString() ? `/energy/live/readings?${params}` : '/energy/live/readings';
+    return apiCall(url, options);
+  },
+  getAvailableDates: (options = {}) => apiCall('/energy/dashboard/dates', options),
+  // Saved filter presets shared across the team (FilterPresetController)
+  getFilterPresets: (options = {}) => apiCall('/filter-presets', options),
+  saveFilterPresets: (presets) => apiCall('/filter-presets', {
+    method: 'PUT',
+    body: JSON.stringify({ presets })
+  }),
+  getEnergySummaryLegacy: () => apiCall('/energy/summary'),
+  testAPI: () => apiCall('/test'),
+
+  // Power Plant Structure Endpoints (BranchController, BuildingController, FloorController, UnitController)
+  // These throw typed errors (usually HttpError 404) against a backend without the routes -
+  // callers decide whether to fall back to mock data
+  getBranches: (options = {}) => apiCall('/branches', options),
+  getBranch: (id) => apiCall(`/branches/${id}`),
+  getBranchBuildings: (id, options = {}) => apiCall(`/branches/${id}/buildings`, options),
+  createBranch: (data) => writeStructure('/branches', 'POST', data),
+  updateBranch: (id, data) => writeStructure(`/branches/${id}`, 'PUT', data),
+  deleteBranch: (id) => writeStructure(`/branches/${id}`, 'DELETE'),
+
+  // Buildings
+  getBuildings: (filters = {}, options = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiCall(`/buildings${queryParams ? `?${queryParams}` : ''}`, options);
+  },
+  getBuilding: (id) => apiCall(`/buildings/${id}`),
+  getBuildingFloors: (id, options = {}) => apiCall(`/buildings/${id}/floors`, options),
+  getBuildingUnits: (id) => apiCall(`/buildings/${id}/units`),
+  createBuilding: (data) => writeStructure('/buildings', 'POST', data),
+  updateBuilding: (id, data) => writeStructure(`/buildings/${id}`, 'PUT', data),
+  deleteBuilding: (id) => writeStructure(`/buildings/${id}`, 'DELETE'),
+
+  // Floors
+  getFloors: (filters = {}, options = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiCall(`/floors${queryParams ? `?${queryParams}` : ''}`, options);
+  },
+  getFloor: (id) => apiCall(`/floors/${id}`),
+  getFloorUnits: (id) => apiCall(`/floors/${id}/units`),
+  createFloor: (data) => writeStructure('/floors', 'POST', data),
+  updateFloor: (id, data) => writeStructure(`/floors/${id}`, 'PUT', data),
+  deleteFloor: (id) => writeStructure(`/floors/${id}`, 'DELETE'),
 
   // Units/Equipment
-  getUnits: async (filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/units${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
-  },
-  getUnit: async (id) => {
-    try {
-      return await apiCall(`/units/${id}`);
-    } catch {
-      return null;
-    }
+  getUnits: (filters = {}, options = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiCall(`/units${queryParams ? `?${queryParams}` : ''}`, options);
   },
+  getUnit: (id) => apiCall(`/units/${id}`),
   updateUnit: async (id, data) => {
-    try {
-      return await apiCall(`/units/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify(data)
-      });
-    } catch {
-      return null;
-    }
+    const result = await apiCall(`/units/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+    // Cached unit lists no longer reflect the edit
+    invalidateQueries('units');
+    return result;
   },
+  createUnit: (data) => writeStructure('/units', 'POST', data),
+  deleteUnit: (id) => writeStructure(`/units/${id}`, 'DELETE'),
 
   // Statistics
-  getStatistics: async (filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/statistics${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
-  },
-  getPowerPlantStatistics: async () => {
-    try {
-      return await apiCall('/statistics/power-plant');
-    } catch {
-      return null;
-    }
-  },
-  getBuildingStatistics: async (buildingId) => {
-    try {
-      return await apiCall(`/statistics/building/${buildingId}`);
-    } catch {
-      return null;
-    }
-  },
-  getBranchStatistics: async (branchId) => {
-    try {
-      return await apiCall(`/statistics/branch/${branchId}`);
-    } catch {
-      return null;
-    }
+  getStatistics: (filters = {}, options = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiCall(`/statistics${queryParams ? `?${queryParams}` : ''}`, options);
   },
+  getPowerPlantStatistics: () => apiCall('/statistics/power-plant'),
+  getBuildingStatistics: (buildingId) => apiCall(`/statistics/building/${buildingId}`),
+  getBranchStatistics: (branchId) => apiCall(`/statistics/branch/${branchId}`),
 
   // Recommendations
-  getRecommendations: async (filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/recommendations${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
+  getRecommendations: (filters = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiCall(`/recommendations${queryParams ? `?${queryParams}` : ''}`);
   },
 
   // Time Series Data (using actual backend endpoints)
-  getTimeSeriesData: async (type, filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/time-series/${type}${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
+  getTimeSeriesData: (type, filters = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiCall(`/time-series/${type}${queryParams ? `?${queryParams}` : ''}`);
   },
   getPerSecondData: async (filters) => {
-    // Use actual backend endpoint
-    try {
-      const summary = await api.getEnergySummary(filters);
-      return summary?.per_second || null;
-    } catch {
-      return null;
-    }
+    const secondData = await api.getSecondData(filters);
+    return secondData?.second_data || null;
   },
   getPerMinuteData: async (filters) => {
-    try {
-      const summary = await api.getEnergySummary(filters);
-      return summary?.per_minute || null;
-    } catch {
-      return null;
-    }
+    const minuteData = await api.getMinuteData(filters);
+    return minuteData?.minute_data || null;
   },
   getPerHourData: async (filters) => {
-    try {
-      const hourlyData = await api.getHourlyData(filters);
-      return hourlyData?.hourly_data || null;
-    } catch {
-      return null;
-    }
+    const hourlyData = await api.getHourlyData(filters);
+    return hourlyData?.hourly_data || null;
   },
 
   // Search
-  searchUnits: async (query) => {
-    try {
-      return await apiCall(`/search/units?q=${encodeURIComponent(query)}`);
-    } catch {
-      return null;
-    }
-  },
-  searchBuildings: async (query) => {
-    try {
-      return await apiCall(`/search/buildings?q=${encodeURIComponent(query)}`);
-    } catch {
-      return null;
-    }
-  },
+  searchUnits: (query) => apiCall(`/search/units?q=${encodeURIComponent(query)}`),
+  searchBuildings: (query) => apiCall(`/search/buildings?q=${encodeURIComponent(query)}`)
+};
 
-  // Reports
-  exportData: async (format, filters = {}) => {
-    try {
-      const queryParams = new URLSearchParams(filters).toString();
-      return await apiCall(`/export/${format}${queryParams ? `?${queryParams}` : ''}`);
-    } catch {
-      return null;
-    }
-  }
+// Server-sent events stream of new readings for live monitoring mode
+// REACT_APP_LIVE_URL points it elsewhere, e.g. the CSV replay server (backend/scripts/replay-server.js)
+export const getLiveStreamUrl = (filters = {}) => {
+  const baseUrl = process.env.REACT_APP_LIVE_URL || `${API_BASE_URL}/energy/live/stream`;
+  const params = new URLSearchParams();
+  appendSite(params, filters);
+  if (filters.floor && filters.floor !== 'all') params.append('floor', filters.floor);
+  return params.toString() ? `${baseUrl}?${params}` : baseUrl;
 };
 
 // Fallback to mock data if API is not available
@@ -345,5 +519,7 @@ export const useMockData = () => {
   return process.env.REACT_APP_USE_MOCK_DATA === 'true' || !process.env.REACT_APP_API_URL;
 };
 
+export * from './apiErrors';
+
 export default api;
 
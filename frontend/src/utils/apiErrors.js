@@ -0,0 +1,83 @@
+// Typed errors thrown by the API service layer (see api.js)
+// Lets screens tell "backend down" from "no data" from "bad filter"
+
+export class ApiError extends Error {
+  constructor(message, { kind = 'unknown', status = null, url = null, payload = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+    this.payload = payload;
+  }
+}
+
+// Backend could not be reached at all (server down, CORS, DNS, offline)
+export class NetworkError extends ApiError {
+  constructor(url, cause = null) {
+    super(`Network Error: could not reach ${url}`, { kind: 'network', url });
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+// Request exceeded its per-call timeout and was aborted
+export class TimeoutError extends ApiError {
+  constructor(url, timeout) {
+    super(`Timeout Error: no response from ${url} after ${timeout}ms`, { kind: 'timeout', url });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// Backend answered with a non-2xx status
+export class HttpError extends ApiError {
+  constructor(url, status, statusText = '', payload = null, kind = 'http') {
+    super(payload?.message || `API Error: ${status} ${statusText}`.trim(), { kind, status, url, payload });
+    this.name = 'HttpError';
+    this.statusText = statusText;
+  }
+}
+
+// Laravel validation failure (422) - errors is { field: [messages] }
+export class ValidationError extends HttpError {
+  constructor(url, payload = {}) {
+    super(url, 422, 'Unprocessable Content', payload, 'validation');
+    this.name = 'ValidationError';
+    this.errors = payload?.errors || {};
+  }
+}
+
+// Errors that may succeed on a second attempt
+export const isRetryableError = (error) => {
+  if (!(error instanceof ApiError)) return false;
+  if (error.kind === 'network' || error.kind === 'timeout') return true;
+  if (error.kind === 'http') {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  return false;
+};
+
+// Cancelled requests (superseded filters, unmounted component) are not failures
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Short user-facing description for each error kind
+export const getErrorMessage = (error) => {
+  if (!error) return null;
+  switch (error.kind) {
+    case 'network':
+      return 'Cannot reach the energy data server. Check that the backend is running.';
+    case 'timeout':
+      return 'The energy data server took too long to respond.';
+    case 'validation': {
+      const firstField = Object.keys(error.errors || {})[0];
+      const firstMessage = firstField ? error.errors[firstField][0] : null;
+      return `Invalid filter: ${firstMessage || error.message}`;
+    }
+    case 'http':
+      if (error.status === 404) return 'The requested data endpoint does not exist.';
+      return `The energy data server returned an error (${error.status}).`;
+    default:
+      return error.message || 'Unexpected error while loading data.';
+  }
+};
@@ -0,0 +1,204 @@
+// Asset hierarchy - branches → buildings → floors → units
+// The app reads the hierarchy from here rather than from data/powerPlantData.js, which only
+// seeds it. Edits come from the Asset Hierarchy module and are persisted through the API by
+// hooks/useAssetHierarchy.js; a copy is kept in localStorage so they survive a reload (and are
+// all there is while the backend has no structure routes).
+import { powerPlantData } from '../data/powerPlantData';
+import { invalidateQueries } from './queryCache';
+import { createLocalStore } from './localStore';
+
+// Kinds from the top of the tree down - parentField links each level to the one above
+export const ASSET_KINDS = {
+  branches: { label: 'Branch', parentKind: null, parentField: null, childKind: 'buildings' },
+  buildings: { label: 'Building', parentKind: 'branches', parentField: 'branchId', childKind: 'floors' },
+  floors: { label: 'Floor', parentKind: 'buildings', parentField: 'buildingId', childKind: 'units' },
+  units: { label: 'Unit', parentKind: 'floors', parentField: 'floorId', childKind: null }
+};
+
+export const UNIT_STATUSES = ['operational', 'maintenance', 'critical'];
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+// A unit's readings come from a meter (the readings' floor) and a channel on it - no channel
+// means the meter's main channel. Unmapped units (no meter) are estimated - see utils/metering.js
+export const getChannelKey = (meter, channel) => `${Number(meter)}:${hasValue(channel) ? Number(channel) : 'main'}`;
+
+export const getUnitChannelKey = (unit) => (hasValue(unit.meter) ? getChannelKey(unit.meter, unit.channel) : null);
+
+// "Meter 1 · Channel 2" / "Meter 1 · Main channel"
+export const formatUnitChannel = (unit) => {
+  if (!hasValue(unit.meter)) return 'Not mapped';
+  return `Meter ${unit.meter} · ${hasValue(unit.channel) ? `Channel ${unit.channel}` : 'Main channel'}`;
+};
+
+// Every branch is a site with its own timezone (IANA name) - see utils/sites.js
+export const DEFAULT_TIMEZONE = 'Asia/Manila';
+
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const seedHierarchy = () => ({
+  branches: powerPlantData.branches,
+  buildings: powerPlantData.buildings,
+  floors: powerPlantData.floors,
+  units: powerPlantData.units
+});
+
+const isHierarchy = (value) =>
+  Boolean(value) && Object.keys(ASSET_KINDS).every(kind => Array.isArray(value[kind]));
+
+export const assetHierarchyStore = createLocalStore('assetHierarchy', {
+  label: 'asset hierarchy',
+  fallback: seedHierarchy(),
+  load: (parsed) => (isHierarchy(parsed) ? parsed : undefined),
+  validate: (next) => {
+    if (!isHierarchy(next)) throw new Error('Asset hierarchy needs branches, buildings, floors and units lists');
+  },
+  // Keep the stored counts in step with the tree
+  normalize: (next) => ({
+    ...next,
+    buildings: next.buildings.map(building => ({ ...building, totalFloors: next.floors.filter(floor => floor.buildingId === building.id).length })),
+    floors: next.floors.map(floor => ({ ...floor, unitCount: next.units.filter(unit => unit.floorId === floor.id).length }))
+  })
+});
+
+export const getAssetHierarchy = assetHierarchyStore.get;
+
+// Replace the whole hierarchy - persisted, pushed to subscribers (useAssetHierarchy) and
+// cached unit and structure queries are refetched so every module picks up the change
+export const saveAssetHierarchy = (next) => {
+  const saved = assetHierarchyStore.set(next);
+  invalidateQueries('units');
+  invalidateQueries('structure/');
+  return saved;
+};
+
+export const resetAssetHierarchy = () => saveAssetHierarchy(seedHierarchy());
+
+export const findAsset = (kind, id, list = getAssetHierarchy()) =>
+  list[kind].find(item => item.id === Number(id)) || null;
+
+// Direct children of an asset (buildings of a branch, floors of a building, units of a floor)
+export const getChildAssets = (kind, id, list = getAssetHierarchy()) => {
+  const { childKind } = ASSET_KINDS[kind];
+  if (!childKind) return [];
+  const { parentField } = ASSET_KINDS[childKind];
+  return list[childKind].filter(item => item[parentField] === Number(id));
+};
+
+export const getUnitsByFloorId = (floorId, list = getAssetHierarchy()) =>
+  list.units.filter(unit => unit.floorId === floorId);
+
+export const getUnitsByBuildingId = (buildingId, list = getAssetHierarchy()) => {
+  const floorIds = list.floors.filter(floor => floor.buildingId === buildingId).map(floor => floor.id);
+  return list.units.filter(unit => floorIds.includes(unit.floorId));
+};
+
+export const getUnitsByBranchId = (branchId, list = getAssetHierarchy()) => {
+  const buildingIds = list.buildings.filter(building => building.branchId === branchId).map(building => building.id);
+  const floorIds = list.floors.filter(floor => buildingIds.includes(floor.buildingId)).map(floor => floor.id);
+  return list.units.filter(unit => floorIds.includes(unit.floorId));
+};
+
+// Id for a new asset when the backend doesn't hand one out
+export const getNextAssetId = (kind, list = getAssetHierarchy()) =>
+  list[kind].reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Problems with a new or edited asset, as messages for the editor (empty when valid)
+// Names are unique among siblings (branches across the whole tree).
+export const validateAsset = (kind, asset, list = getAssetHierarchy()) => {
+  const errors = [];
+  const { label, parentKind, parentField } = ASSET_KINDS[kind];
+  if (!String(asset.name || '').trim()) errors.push('Name is required');
+
+  if (parentKind && !findAsset(parentKind, asset[parentField], list)) {
+    errors.push(`Choose a ${ASSET_KINDS[parentKind].label.toLowerCase()}`);
+  }
+  const siblings = list[kind].filter(item => item.id !== asset.id && (!parentField || item[parentField] === Number(asset[parentField])));
+  if (asset.name && siblings.some(item => sameName(item.name, asset.name))) {
+    errors.push(parentKind
+      ? `There is already a ${label.toLowerCase()} named "${asset.name.trim()}" in this ${ASSET_KINDS[parentKind].label.toLowerCase()}`
+      : `There is already a ${label.toLowerCase()} named "${asset.name.trim()}"`);
+  }
+
+  if (kind === 'branches' && asset.timezone && !isValidTimezone(asset.timezone)) {
+    errors.push(`Unknown timezone "${asset.timezone}" - use a name like ${DEFAULT_TIMEZONE}`);
+  }
+  if ((kind === 'buildings' || kind === 'floors') && !(Number(asset.area) > 0)) errors.push('Area must be more than zero');
+  if (kind === 'floors') {
+    if (!Number.isInteger(Number(asset.floorNumber)) || asset.floorNumber === '') {
+      errors.push('Floor number must be a whole number');
+    } else if (siblings.some(item => Number(item.floorNumber) === Number(asset.floorNumber))) {
+      errors.push(`Floor ${asset.floorNumber} already exists in this building`);
+    }
+  }
+  if (kind === 'units') {
+    if (!String(asset.equipmentType || '').trim()) errors.push('Equipment type is required');
+    if (!UNIT_STATUSES.includes(asset.status)) errors.push('Choose a status');
+    const isWholeAboveZero = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+    if (hasValue(asset.meter) && !isWholeAboveZero(asset.meter)) errors.push('Meter must be a whole number above zero');
+    if (hasValue(asset.channel)) {
+      if (!hasValue(asset.meter)) errors.push('Choose the meter the channel is on');
+      else if (!isWholeAboveZero(asset.channel)) errors.push('Channel must be a whole number above zero');
+    }
+    const channelKey = getUnitChannelKey(asset);
+    const sharing = channelKey && list.units.find(item => item.id !== asset.id && getUnitChannelKey(item) === channelKey);
+    if (sharing) errors.push(`${formatUnitChannel(asset)} is already mapped to ${sharing.name}`);
+  }
+  return errors;
+};
+
+// Why an asset can't be deleted (null when it can) - children are moved or deleted first
+export const getDeleteBlocker = (kind, id, list = getAssetHierarchy()) => {
+  const children = getChildAssets(kind, id, list);
+  if (children.length === 0) return null;
+  const childLabel = ASSET_KINDS[ASSET_KINDS[kind].childKind].label.toLowerCase();
+  return `Move or delete its ${children.length} ${childLabel}${children.length === 1 ? '' : 's'} first`;
+};
+
+// Normalized copy of an asset as stored - numeric ids and areas, trimmed names
+export const normalizeAsset = (kind, asset) => {
+  const { parentField } = ASSET_KINDS[kind];
+  const normalized = { ...asset, id: Number(asset.id), name: String(asset.name).trim() };
+  if (parentField) normalized[parentField] = Number(asset[parentField]);
+  if (asset.area !== undefined) normalized.area = Number(asset.area);
+  if (kind === 'floors') normalized.floorNumber = Number(asset.floorNumber);
+  if (kind === 'units') {
+    normalized.consumption = Number(asset.consumption) || 0;
+    normalized.meter = hasValue(asset.meter) ? Number(asset.meter) : null;
+    normalized.channel = hasValue(asset.channel) ? Number(asset.channel) : null;
+  }
+  return normalized;
+};
+
+// Unit with a status change logged in statusHistory ([{ status, at }], oldest first) when its
+// status differs from the previous version - other kinds and unchanged statuses pass through.
+// A unit changed before it had a log keeps its old status as the first entry, with no date.
+export const logStatusChange = (kind, asset, previous = null) => {
+  if (kind !== 'units' || previous?.status === asset.status) return asset;
+  const history = asset.statusHistory?.length ? asset.statusHistory : (previous ? [{ status: previous.status, at: null }] : []);
+  return { ...asset, statusHistory: [...history, { status: asset.status, at: new Date().toISOString() }] };
+};
+
+// Hierarchy with an asset added or replaced (matched by id)
+export const upsertAsset = (list, kind, asset) => {
+  const exists = list[kind].some(item => item.id === asset.id);
+  return {
+    ...list,
+    [kind]: exists ? list[kind].map(item => (item.id === asset.id ? asset : item)) : [...list[kind], asset]
+  };
+};
+
+export const removeAsset = (list, kind, id) => ({
+  ...list,
+  [kind]: list[kind].filter(item => item.id !== Number(id))
+});
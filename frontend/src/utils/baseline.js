@@ -0,0 +1,190 @@
+// Energy baselines and savings verification (IPMVP option C style, per floor)
+// A baseline model is fitted to a floor's hourly readings over a baseline period, before a
+// retrofit. Over a later reporting period it predicts what the floor would have used
+// (the adjusted baseline), and avoided energy is that prediction minus the metered use.
+// Readings come from getFloorAnalytics (hourly_trend with includeHourly, energy in Wh).
+import { parseISO, differenceInCalendarDays } from 'date-fns';
+import { calculateCost, getTariffForDate } from './tariff';
+import { createLocalStore } from './localStore';
+
+export const BASELINE_MODELS = {
+  'hour-of-week': { label: 'Hour of week', description: 'Average kWh for each hour of each weekday (168 bins)' },
+  'day-type': { label: 'Weekday / weekend', description: 'Average kWh for each hour of weekdays and of weekends (48 bins)' }
+};
+
+// ASHRAE Guideline 14 calibration limits for hourly models, in %
+export const FIT_LIMITS = { cvRmse: 30, nmbe: 10 };
+
+// Shortest baseline that sees every day of the week once
+export const MIN_BASELINE_DAYS = 7;
+
+// Problems with a baseline definition, as messages for the form (empty when valid)
+export const validateBaseline = (baseline) => {
+  const errors = [];
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+  if (!(Number(baseline.floor) > 0)) errors.push('Choose a floor');
+  if (!BASELINE_MODELS[baseline.model]) errors.push('Choose a baseline model');
+  if (!isDate(baseline.baselineFrom) || !isDate(baseline.baselineTo)) {
+    errors.push('Baseline period needs a start and end date');
+  } else if (baseline.baselineFrom > baseline.baselineTo) {
+    errors.push('Baseline period ends before it starts');
+  } else if (differenceInCalendarDays(parseISO(baseline.baselineTo), parseISO(baseline.baselineFrom)) + 1 < MIN_BASELINE_DAYS) {
+    errors.push(`Baseline period must cover at least ${MIN_BASELINE_DAYS} days`);
+  }
+  if (!isDate(baseline.reportFrom) || !isDate(baseline.reportTo)) {
+    errors.push('Reporting period needs a start and end date');
+  } else if (baseline.reportFrom > baseline.reportTo) {
+    errors.push('Reporting period ends before it starts');
+  } else if (isDate(baseline.baselineTo) && baseline.reportFrom <= baseline.baselineTo) {
+    errors.push('Reporting period must start after the baseline period');
+  }
+  return errors;
+};
+
+// Saved baselines by floor id ('1', '2', ...)
+export const baselineStore = createLocalStore('baselines', {
+  label: 'baselines',
+  fallback: {},
+  load: (parsed) => (parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+    ? Object.fromEntries(Object.entries(parsed).filter(([, baseline]) => validateBaseline(baseline).length === 0))
+    : undefined)
+});
+
+export const getBaselines = baselineStore.get;
+
+// Save the baseline of one floor, replacing any earlier one - persisted and pushed to subscribers (useBaselines)
+export const saveBaseline = (baseline) => {
+  const errors = validateBaseline(baseline);
+  if (errors.length > 0) {
+    throw new Error(`Baseline for Floor ${baseline.floor} is invalid: ${errors.join(', ')}`);
+  }
+  const floor = String(baseline.floor);
+  return baselineStore.set({ ...getBaselines(), [floor]: { ...baseline, floor, updatedAt: new Date().toISOString() } });
+};
+
+export const deleteBaseline = (floor) => {
+  const { [String(floor)]: removed, ...rest } = getBaselines();
+  return baselineStore.set(rest);
+};
+
+// Hourly kWh of one floor's analytics between two dates (inclusive): [{ date, hour, kwh }]
+export const getHourlyReadings = (floorAnalytics, dateFrom, dateTo) =>
+  (floorAnalytics?.hourly_trend || [])
+    .filter(point => point.date >= dateFrom && point.date <= dateTo)
+    .map(point => ({ date: point.date, hour: Number(point.hour), kwh: (Number(point.total_energy) || 0) / 1000 }));
+
+const isWeekend = (day) => day === 0 || day === 6;
+
+// Model bin of an hour, e.g. "3-14" (Wednesday 14:00) or "weekend-14"
+const getBin = (model, date, hour) => {
+  const day = parseISO(date).getDay();
+  return model === 'day-type' ? `${isWeekend(day) ? 'weekend' : 'weekday'}-${hour}` : `${day}-${hour}`;
+};
+
+const BIN_COUNTS = { 'hour-of-week': 168, 'day-type': 48 };
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Adjusted baseline kWh for one hour - the bin mean, else that hour's mean, else the overall mean
+export const predictBaseline = (fit, date, hour) =>
+  fit.bins[getBin(fit.model, date, hour)] ?? fit.hourMeans[hour] ?? fit.mean;
+
+// Fit a baseline model to hourly readings. Returns the bin means and the fit statistics:
+// CV(RMSE) and NMBE in % (null with too few hours to judge) and the share of bins with readings.
+export const fitBaseline = (readings, model = 'hour-of-week') => {
+  const byBin = {};
+  const byHour = {};
+  readings.forEach(reading => {
+    const bin = getBin(model, reading.date, reading.hour);
+    (byBin[bin] = byBin[bin] || []).push(reading.kwh);
+    (byHour[reading.hour] = byHour[reading.hour] || []).push(reading.kwh);
+  });
+
+  const fit = {
+    model,
+    bins: Object.fromEntries(Object.entries(byBin).map(([bin, values]) => [bin, average(values)])),
+    hourMeans: Object.fromEntries(Object.entries(byHour).map(([hour, values]) => [hour, average(values)])),
+    mean: average(readings.map(reading => reading.kwh)),
+    hours: readings.length,
+    coverage: Object.keys(byBin).length / BIN_COUNTS[model]
+  };
+
+  // Degrees of freedom take off one parameter per bin, as Guideline 14 does
+  const parameters = Object.keys(byBin).length;
+  const freedom = readings.length - parameters;
+  if (readings.length === 0 || freedom <= 0 || fit.mean === 0) {
+    return { ...fit, cvRmse: null, nmbe: null };
+  }
+  const residuals = readings.map(reading => reading.kwh - predictBaseline(fit, reading.date, reading.hour));
+  const squared = residuals.reduce((sum, residual) => sum + residual * residual, 0);
+  const total = residuals.reduce((sum, residual) => sum + residual, 0);
+  return {
+    ...fit,
+    cvRmse: (Math.sqrt(squared / freedom) / fit.mean) * 100,
+    nmbe: (total / (freedom * fit.mean)) * 100
+  };
+};
+
+// Whether a fit is within the Guideline 14 limits (null when it cannot be judged)
+export const isFitAcceptable = (fit) => {
+  if (fit.cvRmse === null || fit.nmbe === null) return null;
+  return fit.cvRmse <= FIT_LIMITS.cvRmse && Math.abs(fit.nmbe) <= FIT_LIMITS.nmbe;
+};
+
+// Avoided energy and cost per day of the reporting period, with running totals.
+// Costs are the energy charge plus VAT of each day's adjusted baseline minus that of its
+// metered use, at the tariff version in effect that day at the floor's site (branchId).
+export const calculateSavings = (fit, readings, { tariffs, branchId = null } = {}) => {
+  const byDate = new Map();
+  readings.forEach(reading => {
+    if (!byDate.has(reading.date)) byDate.set(reading.date, []);
+    byDate.get(reading.date).push(reading);
+  });
+
+  let cumulativeKwh = 0;
+  let cumulativeCost = 0;
+  const days = [...byDate.keys()].sort().map(date => {
+    const hours = byDate.get(date);
+    const baselineProfile = hours.map(reading => ({ hour: reading.hour, kwh: predictBaseline(fit, date, reading.hour) }));
+    const actualProfile = hours.map(reading => ({ hour: reading.hour, kwh: reading.kwh }));
+    const baselineKwh = baselineProfile.reduce((sum, hour) => sum + hour.kwh, 0);
+    const actualKwh = actualProfile.reduce((sum, hour) => sum + hour.kwh, 0);
+    const tariff = getTariffForDate(date, tariffs, branchId);
+    const avoidedCost = calculateCost(baselineKwh, { tariff, days: 1, hourlyProfile: baselineProfile })
+      - calculateCost(actualKwh, { tariff, days: 1, hourlyProfile: actualProfile });
+    cumulativeKwh += baselineKwh - actualKwh;
+    cumulativeCost += avoidedCost;
+    return {
+      date,
+      hours: hours.length,
+      baselineKwh,
+      actualKwh,
+      avoidedKwh: baselineKwh - actualKwh,
+      avoidedCost,
+      cumulativeKwh,
+      cumulativeCost
+    };
+  });
+
+  const baselineKwh = days.reduce((sum, day) => sum + day.baselineKwh, 0);
+  const actualKwh = days.reduce((sum, day) => sum + day.actualKwh, 0);
+  return {
+    days,
+    totals: {
+      baselineKwh,
+      actualKwh,
+      avoidedKwh: baselineKwh - actualKwh,
+      avoidedCost: cumulativeCost,
+      percent: baselineKwh > 0 ? ((baselineKwh - actualKwh) / baselineKwh) * 100 : null
+    }
+  };
+};
+
+// Adjusted baseline for an average day of the reporting period, by hour (kWh)
+export const getBaselineDayProfile = (fit, readings) => {
+  const dates = [...new Set(readings.map(reading => reading.date))];
+  return Array.from({ length: 24 }, (_, hour) =>
+    dates.length > 0 ? dates.reduce((sum, date) => sum + predictBaseline(fit, date, hour), 0) / dates.length : null
+  );
+};
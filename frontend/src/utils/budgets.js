@@ -0,0 +1,212 @@
+// Monthly energy budgets - kWh and/or peso limits per floor, building or branch
+// Each budget applies to every month. The month's metered use is tracked against it as a
+// burn-down (budget left by day) with a run-rate projection to month end.
+// Budgets are edited from the Budgets module.
+import { parseISO, format, addDays, getDaysInMonth } from 'date-fns';
+import { getAssetHierarchy } from './assets';
+import { calculateCost, getTariffForDate } from './tariff';
+import { getFloorBranchId } from './sites';
+import { createLocalStore } from './localStore';
+
+export const BUDGET_SCOPES = {
+  floor: { label: 'Floor', list: 'floors' },
+  building: { label: 'Building', list: 'buildings' },
+  branch: { label: 'Branch', list: 'branches' }
+};
+
+export const BUDGET_METRICS = {
+  kwh: { label: 'Energy', unit: 'kWh' },
+  cost: { label: 'Cost', unit: '₱' }
+};
+
+// Worst first - a budget's status is the worst of its kWh and peso statuses
+export const BUDGET_STATUSES = {
+  over: { label: 'Over budget', badge: 'bg-red-100 text-red-800', icon: 'fa-times-circle' },
+  'at-risk': { label: 'At risk', badge: 'bg-yellow-100 text-yellow-800', icon: 'fa-exclamation-triangle' },
+  'on-track': { label: 'On track', badge: 'bg-green-100 text-green-800', icon: 'fa-check-circle' },
+  'no-data': { label: 'No readings', badge: 'bg-gray-100 text-gray-700', icon: 'fa-minus-circle' }
+};
+
+// "1,234.5 kWh" or "₱1,234.50"
+export const formatBudgetValue = (value, metric) => {
+  const number = Number(value) || 0;
+  if (metric === 'cost') return `₱${number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  return `${number.toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+};
+
+const STATUS_ORDER = Object.keys(BUDGET_STATUSES);
+
+// Floors, buildings or branches a budget can be set on: [{ id, name }]
+export const getBudgetTargets = (scope) =>
+  (getAssetHierarchy()[BUDGET_SCOPES[scope]?.list] || []).map(item => ({ id: item.id, name: item.name }));
+
+export const getBudgetLabel = (budget) => {
+  const target = getBudgetTargets(budget.scope).find(item => String(item.id) === String(budget.targetId));
+  return target ? target.name : `${BUDGET_SCOPES[budget.scope]?.label || 'Unknown'} ${budget.targetId}`;
+};
+
+// Floor ids metered under a budget's floor, building or branch
+export const getBudgetFloorIds = (budget) => {
+  const targetId = Number(budget.targetId);
+  if (budget.scope === 'floor') return [targetId];
+  const buildingIds = budget.scope === 'branch'
+    ? getAssetHierarchy().buildings.filter(building => building.branchId === targetId).map(building => building.id)
+    : [targetId];
+  return getAssetHierarchy().floors.filter(floor => buildingIds.includes(floor.buildingId)).map(floor => floor.id);
+};
+
+// Site (branch) a budget is priced at - its tariff applies to the budget's peso figures
+export const getBudgetBranchId = (budget) => {
+  const targetId = Number(budget.targetId);
+  if (budget.scope === 'branch') return targetId;
+  if (budget.scope === 'building') return getAssetHierarchy().buildings.find(building => building.id === targetId)?.branchId ?? null;
+  return getFloorBranchId(targetId);
+};
+
+const isLimit = (value) => value !== '' && value !== null && value !== undefined;
+
+// Problems with a budget, as messages for the settings form (empty when valid)
+export const validateBudget = (budget, list = []) => {
+  const errors = [];
+  if (!BUDGET_SCOPES[budget.scope]) {
+    errors.push('Choose a floor, building or branch');
+  } else if (!getBudgetTargets(budget.scope).some(item => String(item.id) === String(budget.targetId))) {
+    errors.push(`Choose a ${BUDGET_SCOPES[budget.scope].label.toLowerCase()}`);
+  }
+  Object.entries(BUDGET_METRICS).forEach(([metric, { label }]) => {
+    if (isLimit(budget[metric]) && !(Number(budget[metric]) > 0)) errors.push(`${label} budget must be more than zero`);
+  });
+  if (!isLimit(budget.kwh) && !isLimit(budget.cost)) errors.push('Set a kWh or peso budget');
+  if (list.some(other => other.id !== budget.id && other.scope === budget.scope && String(other.targetId) === String(budget.targetId))) {
+    errors.push(`${getBudgetLabel(budget)} already has a budget`);
+  }
+  return errors;
+};
+
+export const budgetStore = createLocalStore('energyBudgets', {
+  label: 'budgets',
+  fallback: [],
+  load: (parsed) => (Array.isArray(parsed) ? parsed.filter(budget => validateBudget(budget).length === 0) : undefined),
+  validate: (next) => {
+    const invalid = next.find(budget => validateBudget(budget, next).length > 0);
+    if (invalid) {
+      throw new Error(`Budget for ${getBudgetLabel(invalid)} is invalid: ${validateBudget(invalid, next).join(', ')}`);
+    }
+  },
+  normalize: (next) => next.map(budget => ({
+    ...budget,
+    targetId: Number(budget.targetId),
+    kwh: isLimit(budget.kwh) ? Number(budget.kwh) : '',
+    cost: isLimit(budget.cost) ? Number(budget.cost) : ''
+  }))
+});
+
+// Replace every budget - persisted and pushed to subscribers (useBudgets)
+export const saveBudgets = budgetStore.set;
+
+// Daily kWh of a budget's floors for one month ('yyyy-MM') from getFloorAnalytics
+// (daily_trend, energy in Wh): [{ date, kwh }] for the dates with readings
+export const getBudgetDailyKwh = (budget, floorAnalytics, month) => {
+  const floorIds = getBudgetFloorIds(budget).map(String);
+  const byDate = new Map();
+  (floorAnalytics?.floor_analytics || [])
+    .filter(item => floorIds.includes(String(item.floor)))
+    .forEach(item => (item.daily_trend || [])
+      .filter(point => point.date.startsWith(month))
+      .forEach(point => byDate.set(point.date, (byDate.get(point.date) || 0) + (Number(point.total_energy) || 0) / 1000)));
+  return [...byDate.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, kwh]) => ({ date, kwh }));
+};
+
+// Status, projection and overspend date of one limit. cumulative holds the running actual of
+// the days so far; the month is projected at their average daily rate.
+const trackLimit = (limit, cumulative, dates, daysInMonth) => {
+  if (!isLimit(limit)) return null;
+  const budget = Number(limit);
+  const elapsed = cumulative.length;
+  const actual = elapsed > 0 ? cumulative[elapsed - 1] : 0;
+  const rate = elapsed > 0 ? actual / elapsed : 0;
+  const projected = actual + rate * (daysInMonth - elapsed);
+
+  let overspendDate = null;
+  const overIndex = cumulative.findIndex(value => value > budget);
+  if (overIndex >= 0) {
+    overspendDate = dates[overIndex];
+  } else if (projected > budget && rate > 0) {
+    const daysToOverspend = Math.floor((budget - actual) / rate) + 1;
+    overspendDate = format(addDays(parseISO(dates[0]), elapsed - 1 + daysToOverspend), 'yyyy-MM-dd');
+  }
+
+  let status = 'on-track';
+  if (elapsed === 0) status = 'no-data';
+  else if (actual > budget) status = 'over';
+  else if (projected > budget) status = 'at-risk';
+
+  return {
+    budget,
+    actual,
+    projected,
+    remaining: budget - actual,
+    percentUsed: (actual / budget) * 100,
+    projectedPercent: (projected / budget) * 100,
+    overspendDate,
+    status
+  };
+};
+
+// Track a budget through one month ('yyyy-MM') from its daily kWh (getBudgetDailyKwh).
+// Each day is priced at the tariff in effect on it at the budget's site. Days without readings before the last
+// reading count as zero use. Returns the day-by-day burn-down and, per limit set (kwh / cost),
+// the actual, projected month total, projected overspend date and status.
+export const calculateBurnDown = (budget, dailyKwh, month, { tariffs } = {}) => {
+  const monthStart = parseISO(`${month}-01`);
+  const daysInMonth = getDaysInMonth(monthStart);
+  const dates = Array.from({ length: daysInMonth }, (_, i) => format(addDays(monthStart, i), 'yyyy-MM-dd'));
+  const byDate = new Map(dailyKwh.map(day => [day.date, day.kwh]));
+  const lastReading = dailyKwh.length > 0 ? dates.indexOf(dailyKwh[dailyKwh.length - 1].date) : -1;
+
+  const branchId = getBudgetBranchId(budget);
+  let kwhToDate = 0;
+  let costToDate = 0;
+  const cumulative = { kwh: [], cost: [] };
+  dates.slice(0, lastReading + 1).forEach(date => {
+    const kwh = byDate.get(date) || 0;
+    kwhToDate += kwh;
+    costToDate += calculateCost(kwh, { tariff: getTariffForDate(date, tariffs, branchId), days: 1 });
+    cumulative.kwh.push(kwhToDate);
+    cumulative.cost.push(costToDate);
+  });
+
+  const limits = {
+    kwh: trackLimit(budget.kwh, cumulative.kwh, dates, daysInMonth),
+    cost: trackLimit(budget.cost, cumulative.cost, dates, daysInMonth)
+  };
+  const statuses = Object.values(limits).filter(Boolean).map(limit => limit.status);
+  const status = STATUS_ORDER.find(candidate => statuses.includes(candidate)) || 'no-data';
+
+  // Budget left per day: metered up to the last reading, then projected at the run rate,
+  // against the ideal straight line from the full budget to zero at month end
+  const days = dates.map((date, index) => {
+    const day = { date };
+    Object.entries(limits).forEach(([metric, limit]) => {
+      if (!limit) return;
+      const elapsed = cumulative[metric].length;
+      const rate = elapsed > 0 ? limit.actual / elapsed : 0;
+      day[metric] = {
+        ideal: limit.budget * (1 - (index + 1) / daysInMonth),
+        remaining: index < elapsed ? limit.budget - cumulative[metric][index] : null,
+        projected: elapsed > 0 && index >= elapsed - 1 ? limit.budget - limit.actual - rate * (index + 1 - elapsed) : null
+      };
+    });
+    return day;
+  });
+
+  return {
+    month,
+    daysInMonth,
+    daysElapsed: lastReading + 1,
+    lastReading: lastReading >= 0 ? dates[lastReading] : null,
+    days,
+    limits,
+    status
+  };
+};
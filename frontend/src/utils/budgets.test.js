@@ -0,0 +1,130 @@
+import {
+  formatBudgetValue,
+  getBudgetFloorIds,
+  validateBudget,
+  getBudgetDailyKwh,
+  calculateBurnDown
+} from './budgets';
+
+// ₱10/kWh with no VAT, so peso figures are ten times the kWh
+const tariffs = [{ id: 1, name: 'Flat', type: 'flat', flatRate: 10, vatRate: 0, effectiveFrom: '2000-01-01' }];
+
+// 10 kWh a day over the first days of February 2024 (29 days)
+const tenKwhDays = (count) =>
+  Array.from({ length: count }, (_, i) => ({ date: `2024-02-${String(i + 1).padStart(2, '0')}`, kwh: 10 }));
+
+describe('formatBudgetValue', () => {
+  it('formats kWh and pesos', () => {
+    expect(formatBudgetValue(1234.5, 'kwh')).toBe('1,234.5 kWh');
+    expect(formatBudgetValue(1234.5, 'cost')).toBe('₱1,234.50');
+    expect(formatBudgetValue(undefined, 'kwh')).toBe('0 kWh');
+  });
+});
+
+describe('getBudgetFloorIds', () => {
+  it('covers the floors under a building or branch', () => {
+    expect(getBudgetFloorIds({ scope: 'floor', targetId: '2' })).toEqual([2]);
+    expect(getBudgetFloorIds({ scope: 'building', targetId: 1 })).toEqual([1, 2, 3]);
+    expect(getBudgetFloorIds({ scope: 'branch', targetId: 1 })).toEqual([1, 2, 3]);
+  });
+});
+
+describe('validateBudget', () => {
+  it('accepts a budget with a target and a limit', () => {
+    expect(validateBudget({ id: 1, scope: 'floor', targetId: 1, kwh: 500, cost: '' })).toEqual([]);
+  });
+
+  it('needs a known target', () => {
+    expect(validateBudget({ scope: 'site', targetId: 1, kwh: 500 })).toContain('Choose a floor, building or branch');
+    expect(validateBudget({ scope: 'floor', targetId: 99, kwh: 500 })).toContain('Choose a floor');
+  });
+
+  it('needs at least one positive limit', () => {
+    expect(validateBudget({ scope: 'floor', targetId: 1, kwh: '', cost: '' })).toContain('Set a kWh or peso budget');
+    expect(validateBudget({ scope: 'floor', targetId: 1, kwh: 0 })).toContain('Energy budget must be more than zero');
+    expect(validateBudget({ scope: 'floor', targetId: 1, cost: -5 })).toContain('Cost budget must be more than zero');
+  });
+
+  it('allows one budget per target', () => {
+    const list = [{ id: 1, scope: 'floor', targetId: 1, kwh: 500 }];
+    expect(validateBudget({ id: 2, scope: 'floor', targetId: '1', kwh: 300 }, list)).toEqual(['Floor 1 already has a budget']);
+    expect(validateBudget(list[0], list)).toEqual([]);
+  });
+});
+
+describe('getBudgetDailyKwh', () => {
+  it('sums the budget floors per day of the month in kWh', () => {
+    const analytics = {
+      floor_analytics: [
+        { floor: 1, daily_trend: [{ date: '2024-02-02', total_energy: 3000 }, { date: '2024-02-01', total_energy: 1000 }] },
+        { floor: '2', daily_trend: [{ date: '2024-02-01', total_energy: 500 }, { date: '2024-01-31', total_energy: 9000 }] },
+        { floor: 3, daily_trend: [{ date: '2024-02-01', total_energy: 7000 }] }
+      ]
+    };
+    expect(getBudgetDailyKwh({ scope: 'floor', targetId: 1 }, analytics, '2024-02'))
+      .toEqual([{ date: '2024-02-01', kwh: 1 }, { date: '2024-02-02', kwh: 3 }]);
+    expect(getBudgetDailyKwh({ scope: 'building', targetId: 1 }, analytics, '2024-02'))
+      .toEqual([{ date: '2024-02-01', kwh: 8.5 }, { date: '2024-02-02', kwh: 3 }]);
+  });
+
+  it('is empty without analytics', () => {
+    expect(getBudgetDailyKwh({ scope: 'floor', targetId: 1 }, null, '2024-02')).toEqual([]);
+  });
+});
+
+describe('calculateBurnDown', () => {
+  const burnDown = (limits, dailyKwh) =>
+    calculateBurnDown({ scope: 'floor', targetId: 1, ...limits }, dailyKwh, '2024-02', { tariffs });
+
+  it('is on track when the run rate lands within the budget', () => {
+    const result = burnDown({ kwh: 290 }, tenKwhDays(10));
+    expect(result.daysInMonth).toBe(29);
+    expect(result.daysElapsed).toBe(10);
+    expect(result.lastReading).toBe('2024-02-10');
+    expect(result.limits.kwh).toMatchObject({ actual: 100, projected: 290, remaining: 190, overspendDate: null, status: 'on-track' });
+    expect(result.limits.cost).toBeNull();
+    expect(result.status).toBe('on-track');
+  });
+
+  it('projects the overspend date when the run rate goes over', () => {
+    const result = burnDown({ kwh: 200 }, tenKwhDays(10));
+    expect(result.limits.kwh).toMatchObject({ projected: 290, overspendDate: '2024-02-21', status: 'at-risk' });
+  });
+
+  it('dates an overspend that already happened', () => {
+    const result = burnDown({ kwh: 50 }, tenKwhDays(10));
+    expect(result.limits.kwh).toMatchObject({ actual: 100, overspendDate: '2024-02-06', status: 'over' });
+  });
+
+  it('prices each day at the tariff and takes the worst status', () => {
+    const result = burnDown({ kwh: 1000, cost: 500 }, tenKwhDays(10));
+    expect(result.limits.kwh.status).toBe('on-track');
+    expect(result.limits.cost).toMatchObject({ actual: 1000, status: 'over' });
+    expect(result.status).toBe('over');
+  });
+
+  it('counts days without readings before the last one as zero', () => {
+    const result = burnDown({ kwh: 290 }, [{ date: '2024-02-01', kwh: 10 }, { date: '2024-02-03', kwh: 20 }]);
+    expect(result.daysElapsed).toBe(3);
+    expect(result.limits.kwh.actual).toBe(30);
+    expect(result.days[1].kwh.remaining).toBe(280);
+  });
+
+  it('draws the burn-down from metered, projected and ideal budget left', () => {
+    const { days } = burnDown({ kwh: 290 }, tenKwhDays(10));
+    expect(days).toHaveLength(29);
+    expect(days[9].kwh).toEqual({ ideal: 190, remaining: 190, projected: 190 });
+    expect(days[10].kwh.remaining).toBeNull();
+    expect(days[28].kwh.ideal).toBe(0);
+    expect(days[28].kwh.projected).toBe(0);
+    expect(days[0].kwh.projected).toBeNull();
+  });
+
+  it('has no data before the first reading', () => {
+    const result = burnDown({ kwh: 290 }, []);
+    expect(result.daysElapsed).toBe(0);
+    expect(result.lastReading).toBeNull();
+    expect(result.limits.kwh.status).toBe('no-data');
+    expect(result.status).toBe('no-data');
+  });
+});
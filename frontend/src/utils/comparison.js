@@ -0,0 +1,91 @@
+// Period-over-period comparison for the Dashboard - the period in view against an earlier one of
+// the same length (previous period, same period last week, or one picked by hand)
+import { format, parseISO, addDays, subDays, differenceInCalendarDays } from 'date-fns';
+
+export const COMPARISON_MODES = {
+  previous: 'Previous period',
+  week: 'Same period last week',
+  custom: 'Custom period'
+};
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+// Period in view as { dateFrom, dateTo, days } - the range when one is set, otherwise the single date.
+// Null for the week view without a range, which summarises every date rather than one period.
+export const getCurrentPeriod = (filters, date) => {
+  if (filters.dateFrom && filters.dateTo) {
+    return {
+      dateFrom: filters.dateFrom,
+      dateTo: filters.dateTo,
+      days: differenceInCalendarDays(parseISO(filters.dateTo), parseISO(filters.dateFrom)) + 1
+    };
+  }
+  if (filters.timeGranularity === 'week' || !date) return null;
+  return { dateFrom: date, dateTo: date, days: 1 };
+};
+
+// Period of the same length to compare against; customFrom is its first day in custom mode
+export const getComparisonPeriod = (period, mode, customFrom = null) => {
+  if (!period || !COMPARISON_MODES[mode]) return null;
+  let dateFrom;
+  if (mode === 'custom') {
+    if (!customFrom) return null;
+    dateFrom = parseISO(customFrom);
+  } else {
+    dateFrom = subDays(parseISO(period.dateFrom), mode === 'week' ? 7 : period.days);
+  }
+  return {
+    dateFrom: toDateString(dateFrom),
+    dateTo: toDateString(addDays(dateFrom, period.days - 1)),
+    days: period.days,
+    // Days from the comparison period forward to the period in view
+    offset: differenceInCalendarDays(parseISO(period.dateFrom), dateFrom)
+  };
+};
+
+// API filters for the comparison period, shaped like the current ones (a range stays a range)
+export const getComparisonFilters = (filters, comparisonPeriod) => {
+  if (!comparisonPeriod) return filters;
+  if (filters.dateFrom && filters.dateTo) {
+    return { ...filters, dateFrom: comparisonPeriod.dateFrom, dateTo: comparisonPeriod.dateTo };
+  }
+  return { ...filters, date: comparisonPeriod.dateFrom };
+};
+
+// Short label, e.g. "Jan 7" or "Jan 1 - Jan 7"
+export const formatPeriod = (period) => {
+  if (!period) return '';
+  const from = format(parseISO(period.dateFrom), 'MMM d');
+  return period.dateFrom === period.dateTo ? from : `${from} - ${format(parseISO(period.dateTo), 'MMM d')}`;
+};
+
+// "7 days earlier" / "3 days later" - how far the comparison period is from the period in view
+export const describeOffset = (offset) => {
+  const days = Math.abs(offset);
+  return `${days} ${days === 1 ? 'day' : 'days'} ${offset >= 0 ? 'earlier' : 'later'}`;
+};
+
+// Change from previous to current - percent is null when there is nothing to compare against
+export const getDelta = (current, previous) => {
+  const now = Number(current) || 0;
+  const before = Number(previous) || 0;
+  return {
+    absolute: now - before,
+    percent: before !== 0 ? ((now - before) / Math.abs(before)) * 100 : null
+  };
+};
+
+// "+12.3 kWh (+4.1%)" - formatValue renders the absolute change without its sign
+export const formatDelta = (delta, formatValue) => {
+  const sign = delta.absolute > 0 ? '+' : delta.absolute < 0 ? '-' : '';
+  const absolute = `${sign}${formatValue(Math.abs(delta.absolute))}`;
+  if (delta.percent === null) return absolute;
+  return `${absolute} (${delta.percent > 0 ? '+' : ''}${delta.percent.toFixed(1)}%)`;
+};
+
+// Metered totals of an energy summary (getEnergySummary reports energy in Wh)
+export const getSummaryTotals = (summary) => ({
+  kwh: (Number(summary?.per_day?.total_energy) || 0) / 1000,
+  avgCurrent: Number(summary?.per_day?.avg_current) || 0,
+  records: Number(summary?.total_records) || 0
+});
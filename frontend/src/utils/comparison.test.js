@@ -0,0 +1,115 @@
+import {
+  getCurrentPeriod,
+  getComparisonPeriod,
+  getComparisonFilters,
+  formatPeriod,
+  describeOffset,
+  getDelta,
+  formatDelta,
+  getSummaryTotals
+} from './comparison';
+
+describe('getCurrentPeriod', () => {
+  it('uses the date range when one is set', () => {
+    expect(getCurrentPeriod({ dateFrom: '2024-01-01', dateTo: '2024-01-07' }, '2024-01-03'))
+      .toEqual({ dateFrom: '2024-01-01', dateTo: '2024-01-07', days: 7 });
+  });
+
+  it('falls back to the single date', () => {
+    expect(getCurrentPeriod({ timeGranularity: 'day' }, '2024-01-03'))
+      .toEqual({ dateFrom: '2024-01-03', dateTo: '2024-01-03', days: 1 });
+  });
+
+  it('has no period for the week view without a range', () => {
+    expect(getCurrentPeriod({ timeGranularity: 'week' }, '2024-01-03')).toBeNull();
+  });
+});
+
+describe('getComparisonPeriod', () => {
+  const period = { dateFrom: '2024-01-08', dateTo: '2024-01-10', days: 3 };
+
+  it('takes the period right before for previous', () => {
+    expect(getComparisonPeriod(period, 'previous'))
+      .toEqual({ dateFrom: '2024-01-05', dateTo: '2024-01-07', days: 3, offset: 3 });
+  });
+
+  it('goes back seven days for week', () => {
+    expect(getComparisonPeriod(period, 'week'))
+      .toEqual({ dateFrom: '2024-01-01', dateTo: '2024-01-03', days: 3, offset: 7 });
+  });
+
+  it('starts a custom period on the picked day', () => {
+    expect(getComparisonPeriod(period, 'custom', '2024-01-20'))
+      .toEqual({ dateFrom: '2024-01-20', dateTo: '2024-01-22', days: 3, offset: -12 });
+    expect(getComparisonPeriod(period, 'custom')).toBeNull();
+  });
+
+  it('returns null for an unknown mode or no period', () => {
+    expect(getComparisonPeriod(period, 'year')).toBeNull();
+    expect(getComparisonPeriod(null, 'previous')).toBeNull();
+  });
+});
+
+describe('getComparisonFilters', () => {
+  const comparison = { dateFrom: '2024-01-05', dateTo: '2024-01-07', days: 3 };
+
+  it('keeps a range a range', () => {
+    expect(getComparisonFilters({ dateFrom: '2024-01-08', dateTo: '2024-01-10', floor: 2 }, comparison))
+      .toEqual({ dateFrom: '2024-01-05', dateTo: '2024-01-07', floor: 2 });
+  });
+
+  it('moves a single date', () => {
+    expect(getComparisonFilters({ date: '2024-01-08' }, comparison)).toEqual({ date: '2024-01-05' });
+  });
+});
+
+describe('labels', () => {
+  it('formats a period', () => {
+    expect(formatPeriod({ dateFrom: '2024-01-07', dateTo: '2024-01-07' })).toBe('Jan 7');
+    expect(formatPeriod({ dateFrom: '2024-01-01', dateTo: '2024-01-07' })).toBe('Jan 1 - Jan 7');
+    expect(formatPeriod(null)).toBe('');
+  });
+
+  it('describes the offset', () => {
+    expect(describeOffset(7)).toBe('7 days earlier');
+    expect(describeOffset(1)).toBe('1 day earlier');
+    expect(describeOffset(-3)).toBe('3 days later');
+  });
+});
+
+describe('getDelta', () => {
+  it('gives the absolute and percent change', () => {
+    expect(getDelta(120, 100)).toEqual({ absolute: 20, percent: 20 });
+    expect(getDelta(80, 100)).toEqual({ absolute: -20, percent: -20 });
+  });
+
+  it('has no percent without a previous value', () => {
+    expect(getDelta(50, 0)).toEqual({ absolute: 50, percent: null });
+    expect(getDelta(50, undefined)).toEqual({ absolute: 50, percent: null });
+  });
+});
+
+describe('formatDelta', () => {
+  const kwh = (value) => `${value.toFixed(1)} kWh`;
+
+  it('signs the change', () => {
+    expect(formatDelta({ absolute: 12.3, percent: 4.1 }, kwh)).toBe('+12.3 kWh (+4.1%)');
+    expect(formatDelta({ absolute: -5, percent: -2 }, kwh)).toBe('-5.0 kWh (-2.0%)');
+    expect(formatDelta({ absolute: 0, percent: 0 }, kwh)).toBe('0.0 kWh (0.0%)');
+  });
+
+  it('leaves the percent out when there is none', () => {
+    expect(formatDelta({ absolute: 50, percent: null }, kwh)).toBe('+50.0 kWh');
+  });
+});
+
+describe('getSummaryTotals', () => {
+  it('converts Wh to kWh', () => {
+    expect(getSummaryTotals({ per_day: { total_energy: 2500, avg_current: '3.5' }, total_records: 10 }))
+      .toEqual({ kwh: 2.5, avgCurrent: 3.5, records: 10 });
+  });
+
+  it('treats a missing summary as zero', () => {
+    expect(getSummaryTotals(null)).toEqual({ kwh: 0, avgCurrent: 0, records: 0 });
+  });
+});
@@ -0,0 +1,67 @@
+// Display metric for consumption figures - kWh, pesos or kgCO2e, picked in the header and
+// remembered in localStorage. Charts and tables convert their kWh with toDisplayMetric.
+import { calculateCost } from './tariff';
+import { calculateEmissions, formatEmissions } from './emissions';
+
+const STORAGE_KEY = 'displayMetric';
+
+export const DISPLAY_METRICS = {
+  kwh: { label: 'kWh', title: 'Consumption', unit: 'kWh' },
+  cost: { label: '₱', title: 'Cost', unit: '₱' },
+  co2: { label: 'kgCO2e', title: 'Emissions', unit: 'kgCO2e' }
+};
+
+const listeners = new Set();
+
+const loadDisplayMetric = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (DISPLAY_METRICS[stored]) return stored;
+  } catch (e) {
+    console.warn('Could not read the display metric:', e);
+  }
+  return 'kwh';
+};
+
+let displayMetric = loadDisplayMetric();
+
+export const getDisplayMetric = () => displayMetric;
+
+// Switch the metric everywhere - persisted and pushed to subscribers (useDisplayMetric)
+export const setDisplayMetric = (metric) => {
+  if (!DISPLAY_METRICS[metric]) throw new Error(`Unknown display metric "${metric}"`);
+  displayMetric = metric;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, metric);
+  } catch (e) {
+    console.warn('Could not save the display metric:', e);
+  }
+  listeners.forEach(listener => listener(displayMetric));
+  return displayMetric;
+};
+
+export const subscribeDisplayMetric = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// kwh in the display metric - pricing holds calculateCost's options ({ tariff, days, hourlyProfile })
+// and emission calculateEmissions' ({ date } or { factor })
+export const toDisplayMetric = (kwh, metric, { pricing = {}, emission = {} } = {}) => {
+  if (metric === 'cost') return calculateCost(kwh, pricing);
+  if (metric === 'co2') return calculateEmissions(kwh, emission);
+  return Number(kwh) || 0;
+};
+
+// Axis / column label, e.g. "Consumption (kWh)", "Cost (₱)", "Emissions (kgCO2e)"
+export const getDisplayMetricLabel = (metric) => {
+  const { title, unit } = DISPLAY_METRICS[metric] || DISPLAY_METRICS.kwh;
+  return `${title} (${unit})`;
+};
+
+export const formatDisplayMetric = (value, metric) => {
+  const number = Number(value) || 0;
+  if (metric === 'cost') return `₱${number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  if (metric === 'co2') return formatEmissions(number);
+  return `${number.toLocaleString('en-US', { maximumFractionDigits: 2 })} kWh`;
+};
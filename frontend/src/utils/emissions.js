@@ -0,0 +1,88 @@
+// Scope 2 emissions - turns kWh into kgCO2e with the grid emission factor
+// Factors are versioned by year and edited from the Emissions module (components/Emissions.js).
+import { createLocalStore } from './localStore';
+
+// Philippine DOE grid emission factor for the Luzon-Visayas grid, in kgCO2e/kWh (tCO2e/MWh).
+// Add a version per year as DOE publishes updated factors.
+export const DEFAULT_EMISSION_FACTORS = [
+  {
+    id: 'default',
+    year: 2020,
+    grid: 'Luzon-Visayas',
+    factor: 0.7122,
+    source: 'DOE national grid emission factor (Luzon-Visayas)'
+  }
+];
+
+const sortByYear = (list) => [...list].sort((a, b) => Number(a.year) - Number(b.year));
+
+// Problems with a factor version, as messages for the settings form (empty when valid)
+export const validateEmissionFactor = (factor, list = []) => {
+  const errors = [];
+  const year = Number(factor.year);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) errors.push('Year must be between 2000 and 2100');
+  if (!Number.isFinite(Number(factor.factor)) || factor.factor === '' || Number(factor.factor) < 0) {
+    errors.push('Factor must be zero or more');
+  } else if (Number(factor.factor) > 2) {
+    errors.push('Factor is in kgCO2e per kWh - grid factors are below 2');
+  }
+  if (!factor.grid || !factor.grid.trim()) errors.push('Grid is required');
+  if (list.some(other => other.id !== factor.id && Number(other.year) === year)) {
+    errors.push(`There is already a factor for ${year}`);
+  }
+  return errors;
+};
+
+export const emissionFactorStore = createLocalStore('emissionFactors', {
+  label: 'emission factors',
+  fallback: DEFAULT_EMISSION_FACTORS,
+  load: (parsed) => (Array.isArray(parsed) && parsed.length > 0 ? sortByYear(parsed) : undefined),
+  validate: (next) => {
+    if (next.length === 0) throw new Error('Keep at least one emission factor');
+    const invalid = next.find(factor => validateEmissionFactor(factor, next).length > 0);
+    if (invalid) {
+      throw new Error(`Emission factor for ${invalid.year || 'an unknown year'} is invalid: ${validateEmissionFactor(invalid, next).join(', ')}`);
+    }
+  },
+  normalize: sortByYear
+});
+
+export const getEmissionFactors = emissionFactorStore.get;
+
+// Replace every factor version - persisted and pushed to subscribers (useEmissionFactors)
+export const saveEmissionFactors = emissionFactorStore.set;
+
+export const resetEmissionFactors = () => saveEmissionFactors(DEFAULT_EMISSION_FACTORS);
+
+// Version for the year of date ('yyyy-MM-dd', this year when omitted) - the latest one from that
+// year or before; years before the first version use the earliest one
+export const getEmissionFactorForDate = (date = null, list = getEmissionFactors()) => {
+  const year = Number((date || new Date().toISOString()).slice(0, 4));
+  const effective = list.filter(factor => Number(factor.year) <= year);
+  return effective.length > 0 ? effective[effective.length - 1] : list[0];
+};
+
+// kgCO2e for kwh used on date (or with an explicit factor version)
+// options: { date, factor, factors }
+export const calculateEmissions = (kwh, { date = null, factor = null, factors = getEmissionFactors() } = {}) => {
+  const version = factor || getEmissionFactorForDate(date, factors);
+  return (Number(kwh) || 0) * (Number(version?.factor) || 0);
+};
+
+// Emissions of a unit (or any item with consumption) - from the factor in effect when not set yet
+export const getUnitEmissions = (unit, options = {}) => (
+  unit.emissions !== undefined && unit.emissions !== null ? Number(unit.emissions) : calculateEmissions(unit.consumption, options)
+);
+
+// "1,234.5 kgCO2e", or tonnes from 10 t up
+export const formatEmissions = (kg) => {
+  const value = Number(kg) || 0;
+  if (Math.abs(value) >= 10000) {
+    return `${(value / 1000).toLocaleString('en-US', { maximumFractionDigits: 2 })} tCO2e`;
+  }
+  return `${value.toLocaleString('en-US', { maximumFractionDigits: 2 })} kgCO2e`;
+};
+
+// Short label, e.g. "0.7122 kgCO2e/kWh (Luzon-Visayas 2020)"
+export const describeEmissionFactor = (factor) =>
+  `${Number(factor.factor).toFixed(4)} kgCO2e/kWh (${factor.grid} ${factor.year})`;
@@ -0,0 +1,167 @@
+// Client-side CSV / PNG export of charts and tables
+// Files carry a header with the title, filters and date context so an exported figure can be
+// traced back to the view it came from.
+import { format } from 'date-fns';
+import { getAssetHierarchy } from './assets';
+
+// "Branch: Main • Floor: Floor 3 • Granularity: week • Weekday: wednesday" style summary of the active filters
+// Floor names repeat across buildings, so the branch and building are named when one is picked.
+export const describeFilters = (filters = {}) => {
+  const parts = [];
+  const hierarchy = getAssetHierarchy();
+  const isSet = (value) => value && value !== 'all';
+  const nameOf = (kind, id) => hierarchy[kind].find(item => item.id === parseInt(id, 10))?.name;
+  if (isSet(filters.branch)) parts.push(`Branch: ${nameOf('branches', filters.branch) || filters.branch}`);
+  if (isSet(filters.building)) parts.push(`Building: ${nameOf('buildings', filters.building) || filters.building}`);
+  const floor = isSet(filters.floor) ? nameOf('floors', filters.floor) || `Floor ${filters.floor}` : 'All floors';
+  parts.push(`Floor: ${floor}`);
+  if (filters.unitType && filters.unitType !== 'all') parts.push(`Type: ${filters.unitType}`);
+  if (filters.status && filters.status !== 'all') parts.push(`Status: ${filters.status}`);
+  if (filters.consumptionRange !== undefined && filters.consumptionRange < 1000) parts.push(`Max: ${filters.consumptionRange} kWh`);
+  parts.push(`Granularity: ${filters.timeGranularity || 'day'}`);
+  if (filters.weekday && filters.weekday !== 'all') parts.push(`Weekday: ${filters.weekday}`);
+  if (filters.dateFrom && filters.dateTo) parts.push(`Dates: ${filters.dateFrom} to ${filters.dateTo}`);
+  return parts.join(' • ');
+};
+
+// Header lines for an export - title, filters, date context and when it was made
+export const getExportHeader = ({ title, filters, dateContext }) => [
+  title,
+  `Filters: ${describeFilters(filters)}`,
+  ...(dateContext ? [`Period: ${dateContext}`] : []),
+  `Exported: ${format(new Date(), 'yyyy-MM-dd HH:mm')}`
+];
+
+// Columns and rows of what a Chart.js chart shows - one row per label, one column per visible dataset
+export const chartToTable = (chart, { excludeDatasets = [] } = {}) => {
+  const datasets = chart.data.datasets
+    .map((dataset, index) => ({ dataset, index }))
+    .filter(({ dataset, index }) => chart.isDatasetVisible(index) && !excludeDatasets.includes(dataset.label));
+  const labels = chart.data.labels || [];
+
+  // Doughnut / pie slices can be hidden one by one
+  const isSliceChart = ['doughnut', 'pie', 'polarArea'].includes(chart.config.type);
+  const rowIndexes = labels
+    .map((_, index) => index)
+    .filter(index => !isSliceChart || chart.getDataVisibility(index));
+
+  return {
+    columns: ['Label', ...datasets.map(({ dataset }, i) => dataset.label || `Series ${i + 1}`)],
+    rows: rowIndexes.map(index => [
+      Array.isArray(labels[index]) ? labels[index].join(' ') : labels[index],
+      ...datasets.map(({ dataset }) => {
+        const value = dataset.data[index];
+        return value !== null && typeof value === 'object' ? value.y : value;
+      })
+    ])
+  };
+};
+
+// Text starting with one of these is run as a formula by Excel and Sheets (OWASP CSV injection list)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'number' ? String(Math.round(value * 10000) / 10000) : String(value);
+  // A leading ' keeps such text a plain string - numbers are left alone so -5 stays a number
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text - header lines as "# ..." comments, a blank line, then the table
+export const toCsv = ({ header = [], columns, rows }) => [
+  ...header.map(line => escapeCsv(`# ${line}`)),
+  ...(header.length > 0 ? [''] : []),
+  columns.map(escapeCsv).join(','),
+  ...rows.map(row => row.map(escapeCsv).join(','))
+].join('\r\n');
+
+// File name from a title, e.g. "floor-comparison-2025-01-15.csv"
+export const getExportFileName = (title, extension) => {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'export'}-${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
+};
+
+const downloadUrl = (url, fileName) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+export const downloadCsv = (fileName, csv) => {
+  // BOM so Excel reads ₱ and other non-ASCII text as UTF-8
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, fileName);
+  URL.revokeObjectURL(url);
+};
+
+const PNG_PADDING = 24;
+const HEADER_LINE_HEIGHT = 20;
+const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+// Canvas with the header lines drawn on a white background, leaving room for content below
+const createPngCanvas = (header, contentWidth, contentHeight) => {
+  const canvas = document.createElement('canvas');
+  const headerHeight = header.length * HEADER_LINE_HEIGHT + PNG_PADDING;
+  canvas.width = contentWidth + PNG_PADDING * 2;
+  canvas.height = headerHeight + contentHeight + PNG_PADDING * 2;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.textBaseline = 'top';
+  header.forEach((line, index) => {
+    context.fillStyle = index === 0 ? '#111827' : '#4b5563';
+    context.font = index === 0 ? `bold 16px ${FONT}` : `13px ${FONT}`;
+    context.fillText(line, PNG_PADDING, PNG_PADDING + index * HEADER_LINE_HEIGHT);
+  });
+  return { canvas, context, top: PNG_PADDING + headerHeight };
+};
+
+const downloadCanvas = (canvas, fileName) => downloadUrl(canvas.toDataURL('image/png'), fileName);
+
+// PNG of a Chart.js chart as drawn, under the export header
+export const downloadChartPng = (fileName, chart, header = []) => {
+  const source = chart.canvas;
+  const { canvas, context, top } = createPngCanvas(header, source.width, source.height);
+  context.drawImage(source, PNG_PADDING, top);
+  downloadCanvas(canvas, fileName);
+};
+
+// PNG of a table (columns + rows) drawn as a plain grid, under the export header
+export const downloadTablePng = (fileName, { columns, rows }, header = []) => {
+  const measure = document.createElement('canvas').getContext('2d');
+  const cellPadding = 10;
+  const rowHeight = 28;
+  const text = (value) => (value === null || value === undefined ? '' : String(value));
+  const widths = columns.map((column, index) => {
+    measure.font = `bold 13px ${FONT}`;
+    let width = measure.measureText(text(column)).width;
+    measure.font = `13px ${FONT}`;
+    rows.forEach(row => { width = Math.max(width, measure.measureText(text(row[index])).width); });
+    return Math.ceil(width) + cellPadding * 2;
+  });
+  const tableWidth = widths.reduce((sum, width) => sum + width, 0);
+  const headerWidth = Math.max(...header.map(line => measure.measureText(line).width + 40), 0);
+  const { canvas, context, top } = createPngCanvas(header, Math.max(tableWidth, headerWidth), rowHeight * (rows.length + 1));
+
+  context.textBaseline = 'middle';
+  [columns, ...rows].forEach((row, rowIndex) => {
+    const y = top + rowIndex * rowHeight;
+    context.fillStyle = rowIndex === 0 ? '#f9fafb' : '#ffffff';
+    context.fillRect(PNG_PADDING, y, tableWidth, rowHeight);
+    context.strokeStyle = '#e5e7eb';
+    context.strokeRect(PNG_PADDING, y, tableWidth, rowHeight);
+    context.font = rowIndex === 0 ? `bold 13px ${FONT}` : `13px ${FONT}`;
+    context.fillStyle = rowIndex === 0 ? '#374151' : '#111827';
+    let x = PNG_PADDING;
+    row.forEach((cell, index) => {
+      context.fillText(text(cell), x + cellPadding, y + rowHeight / 2);
+      x += widths[index];
+    });
+  });
+  downloadCanvas(canvas, fileName);
+};
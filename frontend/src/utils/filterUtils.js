@@ -1,8 +1,20 @@
-import { powerPlantData, getUnitsByFloorId, getUnitsByBranchId } from '../data/powerPlantData';
+import { getAssetHierarchy, getUnitsByFloorId, getUnitsByBuildingId, getUnitsByBranchId } from './assets';
+import { applyTariff, calculateCost } from './tariff';
+import { getScopeBranchId, getUnitBranchId } from './sites';
 
 // Filter units based on filters (simplified - focus on floors)
 export const filterUnits = (filters) => {
-  let units = [...powerPlantData.units];
+  let units = [...getAssetHierarchy().units];
+
+  // Site filters - branch, then building within it
+  if (filters.branch && filters.branch !== 'all') {
+    const branchUnitIds = getUnitsByBranchId(parseInt(filters.branch)).map(unit => unit.id);
+    units = units.filter(unit => branchUnitIds.includes(unit.id));
+  }
+  if (filters.building && filters.building !== 'all') {
+    const buildingUnitIds = getUnitsByBuildingId(parseInt(filters.building)).map(unit => unit.id);
+    units = units.filter(unit => buildingUnitIds.includes(unit.id));
+  }
 
   // Floor filter - primary filter
   if (filters.floor && filters.floor !== 'all') {
@@ -20,21 +32,24 @@ export const filterUnits = (filters) => {
     units = units.filter(unit => unit.status === filters.status);
   }
 
-  // Consumption range filter
-  if (filters.consumptionRange && filters.consumptionRange < 1000) {
-    units = units.filter(unit => unit.consumption <= filters.consumptionRange);
-  }
-
   return units;
 };
 
-// Scale unit consumption/cost based on time granularity and weekday selection (mock logic)
-// Assumptions: base consumption is for the full 8-day period
-export const scaleUnitsByTime = (units, filters) => {
-  const days = 8;
+// Consumption range filter - on the consumption the units show for the period in view,
+// so it runs once they are metered (utils/metering.js) and scaled (scaleUnitsByTime)
+export const filterUnitsByConsumption = (units, filters) => (
+  filters.consumptionRange && filters.consumptionRange < 1000
+    ? units.filter(unit => unit.consumption <= filters.consumptionRange)
+    : units
+);
+
+// Share of the base (full 8-day) consumption covered by the time granularity and weekday selection
+const BASE_DAYS = 8;
+
+const getTimeFactor = (filters) => {
   const granularity = filters?.timeGranularity || 'day';
-  const perDayFactor = 1 / days;
-  const perWeekFactor = 7 / days;
+  const perDayFactor = 1 / BASE_DAYS;
+  const perWeekFactor = 7 / BASE_DAYS;
   const perHourFactor = perDayFactor / 24;
   const perMinuteFactor = perHourFactor / 60;
 
@@ -65,14 +80,53 @@ export const scaleUnitsByTime = (units, filters) => {
     // day/hour/minute already represent a single-day slice
   }
 
-  return units.map(u => {
-    const baseCost = u.cost || u.consumption * 10;
-    return {
-      ...u,
-      consumption: parseFloat((u.consumption * factor).toFixed(3)),
-      cost: parseFloat((baseCost * factor).toFixed(2))
-    };
+  return factor;
+};
+
+// Days the current view covers (1 for per day, 7 for per week, fractions for hour/minute)
+export const getPeriodDays = (filters) => getTimeFactor(filters) * BASE_DAYS;
+
+// Tariff inputs for the current view: the version in effect at its end date for the site in
+// view (all sites when none is picked) and the days billed
+export const getPricingOptions = (filters) => ({
+  date: filters?.dateTo || filters?.date || null,
+  branchId: getScopeBranchId(filters || {}),
+  days: getPeriodDays(filters)
+});
+
+// Price units site by site - each site's units share one bill at that site's tariff
+// options: as for applyTariff, without branchId
+export const applySiteTariffs = (units, options = {}) => {
+  const indexesBySite = new Map();
+  units.forEach((unit, index) => {
+    const branchId = getUnitBranchId(unit);
+    if (!indexesBySite.has(branchId)) indexesBySite.set(branchId, []);
+    indexesBySite.get(branchId).push(index);
+  });
+  const priced = [...units];
+  indexesBySite.forEach((indexes, branchId) => {
+    applyTariff(indexes.map(index => units[index]), { ...options, branchId })
+      .forEach((unit, i) => { priced[indexes[i]] = unit; });
   });
+  return priced;
+};
+
+// Cost of a unit (or any item with consumption) - priced by the tariff when not set yet
+export const getUnitCost = (unit) => (
+  unit.cost !== undefined && unit.cost !== null ? Number(unit.cost) : calculateCost(unit.consumption)
+);
+
+// Scale unit consumption based on time granularity and weekday selection (mock logic), then price it
+// Assumptions: base consumption is for the full 8-day period. Metered units (utils/metering.js)
+// already hold the consumption of the period in view and are only priced.
+export const scaleUnitsByTime = (units, filters) => {
+  const factor = getTimeFactor(filters);
+  const scaled = units.map(u => (u.metered ? u : {
+    ...u,
+    consumption: parseFloat((u.consumption * factor).toFixed(3))
+  }));
+  const { date, days } = getPricingOptions(filters);
+  return applySiteTariffs(scaled, { date, days });
 };
 
 // Legacy function for backward compatibility
@@ -98,7 +152,7 @@ export const filterLocations = (locations, filters) => {
 export const calculatePowerPlantStatistics = (units) => {
   const totalUnits = units.length;
   const totalConsumption = units.reduce((sum, unit) => sum + unit.consumption, 0);
-  const totalCost = units.reduce((sum, unit) => sum + (unit.cost || unit.consumption * 10), 0);
+  const totalCost = units.reduce((sum, unit) => sum + getUnitCost(unit), 0);
   
   // Group by equipment type
   const consumptionByType = {};
@@ -159,14 +213,14 @@ export const calculatePowerPlantStatistics = (units) => {
 // Calculate building-level metrics
 export const calculateBuildingMetrics = (buildingId, units) => {
   const buildingUnits = units.filter(u => {
-    const floor = powerPlantData.floors.find(f => f.id === u.floorId);
+    const floor = getAssetHierarchy().floors.find(f => f.id === u.floorId);
     return floor && floor.buildingId === buildingId;
   });
 
   const totalConsumption = buildingUnits.reduce((sum, u) => sum + u.consumption, 0);
-  const totalCost = buildingUnits.reduce((sum, u) => sum + (u.cost || u.consumption * 10), 0);
-  const building = powerPlantData.buildings.find(b => b.id === buildingId);
-  const floors = powerPlantData.floors.filter(f => f.buildingId === buildingId);
+  const totalCost = buildingUnits.reduce((sum, u) => sum + getUnitCost(u), 0);
+  const building = getAssetHierarchy().buildings.find(b => b.id === buildingId);
+  const floors = getAssetHierarchy().floors.filter(f => f.buildingId === buildingId);
 
   return {
     buildingId,
@@ -188,11 +242,11 @@ export const calculateBuildingMetrics = (buildingId, units) => {
 // Calculate floor-level metrics
 export const calculateFloorMetrics = (floorId, units) => {
   const floorUnits = units.filter(u => u.floorId === floorId);
-  const floor = powerPlantData.floors.find(f => f.id === floorId);
-  const building = powerPlantData.buildings.find(b => b.id === floor?.buildingId);
+  const floor = getAssetHierarchy().floors.find(f => f.id === floorId);
+  const building = getAssetHierarchy().buildings.find(b => b.id === floor?.buildingId);
 
   const totalConsumption = floorUnits.reduce((sum, u) => sum + u.consumption, 0);
-  const totalCost = floorUnits.reduce((sum, u) => sum + (u.cost || u.consumption * 10), 0);
+  const totalCost = floorUnits.reduce((sum, u) => sum + getUnitCost(u), 0);
 
   return {
     floorId,
@@ -210,12 +264,12 @@ export const calculateFloorMetrics = (floorId, units) => {
 
 // Calculate branch-level metrics
 export const calculateBranchMetrics = (branchId, units) => {
-  const branchUnits = getUnitsByBranchId(branchId);
-  const branch = powerPlantData.branches.find(b => b.id === branchId);
-  const buildings = powerPlantData.buildings.filter(b => b.branchId === branchId);
+  const branchUnits = units.filter(u => getUnitBranchId(u) === branchId);
+  const branch = getAssetHierarchy().branches.find(b => b.id === branchId);
+  const buildings = getAssetHierarchy().buildings.filter(b => b.branchId === branchId);
 
   const totalConsumption = branchUnits.reduce((sum, u) => sum + u.consumption, 0);
-  const totalCost = branchUnits.reduce((sum, u) => sum + (u.cost || u.consumption * 10), 0);
+  const totalCost = branchUnits.reduce((sum, u) => sum + getUnitCost(u), 0);
 
   return {
     branchId,
@@ -230,6 +284,23 @@ export const calculateBranchMetrics = (branchId, units) => {
   };
 };
 
+// Totals per site and rolled up across every site - units come priced site by site
+// (applySiteTariffs), so the cost total mixes each site's own tariff
+export const calculateSiteRollup = (units, list = getAssetHierarchy()) => {
+  const sites = list.branches.map(branch => calculateBranchMetrics(branch.id, units));
+  const sum = (field) => sites.reduce((total, site) => total + (parseFloat(site[field]) || 0), 0);
+  return {
+    sites,
+    total: {
+      totalSites: sites.length,
+      totalBuildings: sum('totalBuildings'),
+      totalUnits: sum('totalUnits'),
+      totalConsumption: sum('totalConsumption'),
+      totalCost: sum('totalCost')
+    }
+  };
+};
+
 // Legacy function for backward compatibility
 export const calculateStatistics = (locations) => {
   const residentialCount = locations.filter(l => l.type === 'residential').length;
@@ -237,7 +308,7 @@ export const calculateStatistics = (locations) => {
   const industrialCount = locations.filter(l => l.type === 'industrial').length;
   
   const totalConsumption = locations.reduce((sum, location) => sum + location.consumption, 0);
-  const totalCost = locations.reduce((sum, location) => sum + (location.cost || location.consumption * 10), 0);
+  const totalCost = locations.reduce((sum, location) => sum + getUnitCost(location), 0);
   
   const change = (Math.random() * 15 - 5).toFixed(1);
   
@@ -0,0 +1,136 @@
+// Floor plans - an uploaded SVG or image per floor with zone polygons and unit pins drawn on it
+// Points are % of the plan (0-100 from the top-left corner), so they don't depend on the size it is shown at.
+// A zone's area is its share of the plan times the floor's area, assuming the plan covers the whole floor;
+// its consumption is the sum of the units pinned inside it, and kWh / m² colors the heat overlay.
+// Floor plans are edited from the Building Map.
+import { getAssetHierarchy, findAsset } from './assets';
+import { createLocalStore } from './localStore';
+
+export const PLAN_IMAGE_TYPES = ['image/svg+xml', 'image/png', 'image/jpeg', 'image/webp'];
+
+// Images are stored as data URLs - localStorage holds about 5 MB in most browsers
+export const MAX_PLAN_IMAGE_BYTES = 1.5 * 1024 * 1024;
+
+// Shoelace area of a polygon in plan units (% × %)
+export const getPolygonArea = (points) => Math.abs(points.reduce((sum, point, index) => {
+  const next = points[(index + 1) % points.length];
+  return sum + point.x * next.y - next.x * point.y;
+}, 0)) / 2;
+
+// Ray casting - true when the point is inside the polygon
+export const isPointInPolygon = (point, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Center of a polygon's vertices - where its label goes
+export const getPolygonCenter = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+});
+
+// m² of a zone - its share of the plan times the floor's area
+export const getZoneArea = (zone, floor) =>
+  (Number(floor?.area) > 0 ? (getPolygonArea(zone.points) / 10000) * Number(floor.area) : 0);
+
+// Zones with the units pinned inside them and their kWh / m² for the period in view
+// units: units from usePowerPlantData - pins of units filtered out of the view count as nothing.
+// A pin inside overlapping zones counts toward the first one drawn.
+export const calculateZoneHeat = (plan, floor, units) => {
+  const unitsById = new Map(units.map(unit => [unit.id, unit]));
+  const claimed = new Set();
+  return (plan?.zones || []).map(zone => {
+    const zoneUnits = (plan.pins || [])
+      .filter(pin => !claimed.has(pin.unitId) && isPointInPolygon(pin, zone.points))
+      .map(pin => {
+        claimed.add(pin.unitId);
+        return unitsById.get(pin.unitId);
+      })
+      .filter(Boolean);
+    const area = getZoneArea(zone, floor);
+    const consumption = zoneUnits.reduce((sum, unit) => sum + (Number(unit.consumption) || 0), 0);
+    return {
+      ...zone,
+      units: zoneUnits,
+      area,
+      consumption,
+      intensity: area > 0 ? consumption / area : null
+    };
+  });
+};
+
+// Green (coolest zone) to red (hottest) - relative to the hottest zone on the floor; gray without an intensity
+export const getHeatColor = (intensity, maxIntensity) => {
+  if (intensity === null || !(maxIntensity > 0)) return '#9ca3af';
+  const ratio = Math.min(Math.max(intensity / maxIntensity, 0), 1);
+  return `hsl(${Math.round(120 * (1 - ratio))}, 75%, 45%)`;
+};
+
+// Problems with a floor plan, as messages for the editor (empty when valid)
+export const validateFloorPlan = (plan, hierarchy = getAssetHierarchy()) => {
+  const errors = [];
+  const floor = findAsset('floors', plan.floorId, hierarchy);
+  if (!floor) errors.push('Floor not found');
+  if (!plan.image) errors.push('Upload a floor plan image');
+
+  const zoneNames = new Set();
+  (plan.zones || []).forEach(zone => {
+    const name = String(zone.name || '').trim();
+    if (!name) errors.push('Every zone needs a name');
+    else if (zoneNames.has(name.toLowerCase())) errors.push(`There is already a zone named "${name}"`);
+    zoneNames.add(name.toLowerCase());
+    if (!Array.isArray(zone.points) || zone.points.length < 3) errors.push(`Zone "${name || 'unnamed'}" needs at least 3 points`);
+  });
+
+  const pinned = new Set();
+  (plan.pins || []).forEach(pin => {
+    const unit = findAsset('units', pin.unitId, hierarchy);
+    if (!unit) errors.push(`Unit ${pin.unitId} not found`);
+    else if (floor && unit.floorId !== floor.id) errors.push(`${unit.name} is not on ${floor.name}`);
+    if (pinned.has(pin.unitId)) errors.push(`${unit?.name || `Unit ${pin.unitId}`} is pinned twice`);
+    pinned.add(pin.unitId);
+  });
+  return errors;
+};
+
+// Floor id → plan
+// Unlike the other settings a plan image can be too big for localStorage, and the editor
+// should say so instead of keeping a plan that is gone after a reload
+export const floorPlanStore = createLocalStore('floorPlans', {
+  label: 'floor plans',
+  fallback: {},
+  load: (parsed) => (parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined),
+  writeError: 'Could not save the floor plan - the browser storage is full. Try a smaller image.'
+});
+
+export const getFloorPlans = floorPlanStore.get;
+
+export const getFloorPlan = (floorId, plans = getFloorPlans()) => plans[floorId] || null;
+
+// Add or replace the plan of one floor - persisted and pushed to subscribers (useFloorPlans)
+export const saveFloorPlan = (plan) => {
+  const errors = validateFloorPlan(plan);
+  if (errors.length > 0) throw new Error(`Floor plan is invalid: ${errors.join(', ')}`);
+  const floorId = Number(plan.floorId);
+  return floorPlanStore.set({
+    ...getFloorPlans(),
+    [floorId]: {
+      ...plan,
+      floorId,
+      zones: (plan.zones || []).map(zone => ({ ...zone, name: String(zone.name).trim() })),
+      pins: plan.pins || []
+    }
+  });
+};
+
+export const deleteFloorPlan = (floorId) => {
+  const { [floorId]: removed, ...rest } = getFloorPlans();
+  return floorPlanStore.set(rest);
+};
@@ -0,0 +1,152 @@
+import {
+  getPolygonArea,
+  isPointInPolygon,
+  getPolygonCenter,
+  getZoneArea,
+  calculateZoneHeat,
+  getHeatColor,
+  validateFloorPlan,
+  getFloorPlan,
+  saveFloorPlan,
+  deleteFloorPlan
+} from './floorPlans';
+
+const square = (x, y, size) => [
+  { x, y },
+  { x: x + size, y },
+  { x: x + size, y: y + size },
+  { x, y: y + size }
+];
+
+// L-shape with the top-right quarter of a 20 × 20 square cut out
+const lShape = [
+  { x: 0, y: 0 },
+  { x: 20, y: 0 },
+  { x: 20, y: 10 },
+  { x: 10, y: 10 },
+  { x: 10, y: 20 },
+  { x: 0, y: 20 }
+];
+
+describe('getPolygonArea', () => {
+  it('measures in plan units', () => {
+    expect(getPolygonArea(square(0, 0, 10))).toBe(100);
+    expect(getPolygonArea([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }])).toBe(50);
+    expect(getPolygonArea(lShape)).toBe(300);
+  });
+
+  it('does not depend on the winding order', () => {
+    expect(getPolygonArea([...lShape].reverse())).toBe(300);
+  });
+});
+
+describe('isPointInPolygon', () => {
+  it('finds points inside and outside', () => {
+    expect(isPointInPolygon({ x: 5, y: 5 }, square(0, 0, 10))).toBe(true);
+    expect(isPointInPolygon({ x: 15, y: 5 }, square(0, 0, 10))).toBe(false);
+    expect(isPointInPolygon({ x: 5, y: -1 }, square(0, 0, 10))).toBe(false);
+  });
+
+  it('handles concave polygons', () => {
+    expect(isPointInPolygon({ x: 5, y: 15 }, lShape)).toBe(true);
+    expect(isPointInPolygon({ x: 15, y: 5 }, lShape)).toBe(true);
+    expect(isPointInPolygon({ x: 15, y: 15 }, lShape)).toBe(false);
+  });
+});
+
+describe('zones', () => {
+  const floor = { id: 1, area: 500 };
+
+  it('centers the label on the vertices', () => {
+    expect(getPolygonCenter(square(0, 0, 10))).toEqual({ x: 5, y: 5 });
+  });
+
+  it('takes its share of the floor area', () => {
+    expect(getZoneArea({ points: square(0, 0, 10) }, floor)).toBe(5);
+    expect(getZoneArea({ points: square(0, 0, 10) }, { area: 0 })).toBe(0);
+    expect(getZoneArea({ points: square(0, 0, 10) }, null)).toBe(0);
+  });
+
+  it('sums the units pinned inside each zone', () => {
+    const plan = {
+      zones: [{ id: 'a', points: square(0, 0, 10) }, { id: 'b', points: square(5, 5, 10) }],
+      pins: [
+        { unitId: 1, x: 2, y: 2 },
+        { unitId: 2, x: 7, y: 7 },
+        { unitId: 3, x: 12, y: 12 },
+        { unitId: 4, x: 13, y: 13 },
+        { unitId: 5, x: 50, y: 50 }
+      ]
+    };
+    const units = [
+      { id: 1, consumption: 10 },
+      { id: 2, consumption: 5 },
+      { id: 3, consumption: 20 },
+      { id: 5, consumption: 100 }
+    ];
+    const [a, b] = calculateZoneHeat(plan, floor, units);
+    // Unit 2 is in both zones and counts toward the first; unit 4 is filtered out of the view
+    expect(a.units.map(unit => unit.id)).toEqual([1, 2]);
+    expect(a).toMatchObject({ area: 5, consumption: 15, intensity: 3 });
+    expect(b.units.map(unit => unit.id)).toEqual([3]);
+    expect(b).toMatchObject({ area: 5, consumption: 20, intensity: 4 });
+  });
+
+  it('has no intensity without a floor area', () => {
+    const [zone] = calculateZoneHeat({ zones: [{ id: 'a', points: square(0, 0, 10) }] }, { area: 0 }, []);
+    expect(zone.intensity).toBeNull();
+    expect(calculateZoneHeat(null, floor, [])).toEqual([]);
+  });
+});
+
+describe('getHeatColor', () => {
+  it('runs from green to red relative to the hottest zone', () => {
+    expect(getHeatColor(0, 4)).toBe('hsl(120, 75%, 45%)');
+    expect(getHeatColor(2, 4)).toBe('hsl(60, 75%, 45%)');
+    expect(getHeatColor(4, 4)).toBe('hsl(0, 75%, 45%)');
+  });
+
+  it('is gray without an intensity', () => {
+    expect(getHeatColor(null, 4)).toBe('#9ca3af');
+    expect(getHeatColor(1, 0)).toBe('#9ca3af');
+  });
+});
+
+describe('validateFloorPlan', () => {
+  const plan = {
+    floorId: 1,
+    image: 'data:image/png;base64,AAAA',
+    zones: [{ name: 'Office', points: square(0, 0, 10) }],
+    pins: [{ unitId: 1, x: 5, y: 5 }]
+  };
+
+  it('accepts a plan with an image, named zones and pins on the floor', () => {
+    expect(validateFloorPlan(plan)).toEqual([]);
+  });
+
+  it('reports every problem', () => {
+    expect(validateFloorPlan({
+      floorId: 1,
+      zones: [{ name: 'Office', points: square(0, 0, 10) }, { name: ' office ', points: [{ x: 0, y: 0 }] }, { name: '', points: [] }],
+      pins: [{ unitId: 7, x: 1, y: 1 }, { unitId: 1, x: 2, y: 2 }, { unitId: 1, x: 3, y: 3 }, { unitId: 999, x: 4, y: 4 }]
+    })).toEqual([
+      'Upload a floor plan image',
+      'There is already a zone named "office"',
+      'Zone "office" needs at least 3 points',
+      'Every zone needs a name',
+      'Zone "unnamed" needs at least 3 points',
+      'HVAC Unit 2 is not on Floor 1',
+      'HVAC Unit 1 is pinned twice',
+      'Unit 999 not found'
+    ]);
+    expect(validateFloorPlan({ ...plan, floorId: 999 })).toContain('Floor not found');
+  });
+
+  it('saves and deletes a plan per floor', () => {
+    saveFloorPlan({ ...plan, floorId: '1', zones: [{ name: ' Office ', points: square(0, 0, 10) }] });
+    expect(getFloorPlan(1)).toMatchObject({ floorId: 1, zones: [{ name: 'Office' }], pins: plan.pins });
+    deleteFloorPlan(1);
+    expect(getFloorPlan(1)).toBeNull();
+    expect(() => saveFloorPlan({ ...plan, image: '' })).toThrow('Floor plan is invalid: Upload a floor plan image');
+  });
+});
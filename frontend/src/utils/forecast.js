@@ -0,0 +1,280 @@
+// Consumption forecasting, computed in the browser from the per-floor series of
+// getFloorAnalytics (daily_trend, and hourly_trend with includeHourly)
+// Daily totals use a weekly season, hours of the current day a daily one. Holt-Winters
+// (additive, damped trend) needs two full seasons of history; with one season the
+// forecast is seasonal naive, and with less it is the plain mean.
+import { parseISO, format, addDays, differenceInCalendarDays, endOfMonth, endOfWeek, startOfMonth, startOfWeek } from 'date-fns';
+
+export const FORECAST_METHODS = {
+  'holt-winters': 'Holt-Winters',
+  'seasonal-naive': 'Seasonal naive',
+  mean: 'Average'
+};
+
+// Smoothing for level, trend and season, and how quickly the trend flattens out
+const HOLT_WINTERS = { alpha: 0.3, beta: 0.05, gamma: 0.2, phi: 0.9 };
+// Bands are an 80% prediction interval
+const BAND_Z = 1.28;
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+const rootMeanSquare = (errors) => Math.sqrt(mean(errors.map(error => error * error)));
+
+const toDate = (date) => parseISO(date);
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+const holtWinters = (values, seasonLength, horizon) => {
+  const { alpha, beta, gamma, phi } = HOLT_WINTERS;
+  let level = mean(values.slice(0, seasonLength));
+  let trend = (mean(values.slice(seasonLength, seasonLength * 2)) - level) / seasonLength;
+  const season = values.slice(0, seasonLength).map(value => value - level);
+  const errors = [];
+
+  values.forEach((value, t) => {
+    const index = t % seasonLength;
+    const fitted = level + phi * trend + season[index];
+    // The first season only warms the model up
+    if (t >= seasonLength) errors.push(value - fitted);
+
+    const previousLevel = level;
+    level = alpha * (value - season[index]) + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+    season[index] = gamma * (value - level) + (1 - gamma) * season[index];
+  });
+
+  const sigma = rootMeanSquare(errors);
+  let damping = 0;
+  return Array.from({ length: horizon }, (_, i) => {
+    damping += phi ** (i + 1);
+    return {
+      value: level + damping * trend + season[(values.length + i) % seasonLength],
+      spread: sigma * Math.sqrt(1 + i * alpha * alpha)
+    };
+  });
+};
+
+const seasonalNaive = (values, seasonLength, horizon) => {
+  const errors = values.slice(seasonLength).map((value, i) => value - values[i]);
+  const sigma = rootMeanSquare(errors);
+  return Array.from({ length: horizon }, (_, i) => ({
+    value: values[values.length - seasonLength + (i % seasonLength)],
+    spread: sigma * Math.sqrt(Math.floor(i / seasonLength) + 1)
+  }));
+};
+
+const meanForecast = (values, horizon) => {
+  const average = mean(values);
+  const sigma = rootMeanSquare(values.map(value => value - average));
+  return Array.from({ length: horizon }, () => ({
+    value: average,
+    spread: sigma * Math.sqrt(1 + 1 / Math.max(values.length, 1))
+  }));
+};
+
+// Forecast `horizon` steps after a series with the given season length
+// Returns { method, points: [{ value, lower, upper }] } with values clipped at zero
+export const forecastSeries = (values, { seasonLength, horizon }) => {
+  if (horizon <= 0) return { method: null, points: [] };
+
+  let method = 'mean';
+  let raw;
+  if (values.length >= seasonLength * 2) {
+    method = 'holt-winters';
+    raw = holtWinters(values, seasonLength, horizon);
+  } else if (values.length >= seasonLength) {
+    method = 'seasonal-naive';
+    raw = seasonalNaive(values, seasonLength, horizon);
+  } else {
+    raw = meanForecast(values, horizon);
+  }
+
+  return {
+    method,
+    points: raw.map(({ value, spread }) => ({
+      value: Math.max(value, 0),
+      lower: Math.max(value - BAND_Z * spread, 0),
+      upper: Math.max(value + BAND_Z * spread, 0)
+    }))
+  };
+};
+
+// Contiguous kWh series from first to last key, with gaps filled from one season earlier
+// (or the previous step) so missing readings don't look like zero consumption
+const fillSeries = (valuesByKey, keys, seasonLength) => {
+  const values = [];
+  keys.forEach((key, i) => {
+    if (valuesByKey.has(key)) values.push(valuesByKey.get(key));
+    else if (i >= seasonLength) values.push(values[i - seasonLength]);
+    else values.push(i > 0 ? values[i - 1] : 0);
+  });
+  return values;
+};
+
+const sumBy = (items, field) => items.reduce((sum, item) => sum + (item[field] || 0), 0);
+
+// Actual vs forecast kWh for one period: days before today, today, and days after it
+const summarisePeriod = (history, today, days, start, end) => {
+  const inPeriod = (item) => item.date >= start && item.date <= end;
+  const pastDays = history.filter(inPeriod);
+  const futureDays = days.filter(inPeriod);
+  const todayInPeriod = inPeriod(today);
+  const actual = sumBy(pastDays, 'kwh') + (todayInPeriod ? today.actual : 0);
+  const remaining = sumBy(futureDays, 'value') + (todayInPeriod ? today.forecast : 0);
+
+  return {
+    start,
+    end,
+    actual,
+    remaining,
+    total: actual + remaining,
+    // Summing the bands treats errors as fully correlated - wider, but never too narrow
+    lower: actual + sumBy(futureDays, 'lower') + (todayInPeriod ? today.lower - today.actual : 0),
+    upper: actual + sumBy(futureDays, 'upper') + (todayInPeriod ? today.upper - today.actual : 0)
+  };
+};
+
+// Forecast for one floor of a getFloorAnalytics response fetched with includeHourly, as of
+// `asOf` ('yyyy-MM-dd'): readings up to that day are history and the day may be incomplete.
+// The rest of the asOf day comes from the hourly model, later days from the daily one.
+// `horizonDays` days are forecast at least, and always through the end of the month.
+export const forecastFloor = (floor, { asOf, horizonDays = 7 }) => {
+  const hourlyByKey = new Map();
+  (floor.hourly_trend || [])
+    .filter(point => point.date <= asOf)
+    .forEach(point => hourlyByKey.set(`${point.date} ${point.hour}`, (Number(point.total_energy) || 0) / 1000));
+
+  const dailyByDate = new Map();
+  (floor.daily_trend || [])
+    .filter(point => point.date <= asOf)
+    .forEach(point => dailyByDate.set(point.date, (Number(point.total_energy) || 0) / 1000));
+
+  const firstDate = [...dailyByDate.keys()].sort()[0];
+  if (!firstDate) return null;
+
+  // Last hour with readings on the asOf day (-1 when it has none yet)
+  const todayHours = [...hourlyByKey.keys()]
+    .filter(key => key.startsWith(`${asOf} `))
+    .map(key => Number(key.split(' ')[1]));
+  const lastHour = todayHours.length ? Math.max(...todayHours) : (dailyByDate.has(asOf) ? 23 : -1);
+  const pastDays = differenceInCalendarDays(toDate(asOf), toDate(firstDate));
+
+  // Hourly model: every hour from the first day through the last hour with readings
+  const hourKeys = Array.from({ length: pastDays * 24 + lastHour + 1 }, (_, i) =>
+    `${toDateString(addDays(toDate(firstDate), Math.floor(i / 24)))} ${i % 24}`
+  );
+  const hourlyForecast = forecastSeries(fillSeries(hourlyByKey, hourKeys, 24), { seasonLength: 24, horizon: 23 - lastHour });
+  const restOfDay = hourlyForecast.points;
+  const todayActual = dailyByDate.get(asOf) || 0;
+
+  // Month-to-date kWh per hour, the rest of today forecast - an hour's kWh is its average kW,
+  // so the highest one stands in for the month's billing peak
+  const monthPrefix = asOf.slice(0, 7);
+  const monthHours = hourKeys
+    .filter(key => key.startsWith(monthPrefix))
+    .map(key => ({ key, kwh: hourlyByKey.get(key) || 0 }))
+    .concat(restOfDay.map((point, i) => ({ key: `${asOf} ${lastHour + 1 + i}`, kwh: point.value })));
+
+  const today = {
+    date: asOf,
+    lastHour,
+    actual: todayActual,
+    forecast: sumBy(restOfDay, 'value'),
+    total: todayActual + sumBy(restOfDay, 'value'),
+    lower: todayActual + sumBy(restOfDay, 'lower'),
+    upper: todayActual + sumBy(restOfDay, 'upper'),
+    hours: Array.from({ length: 24 }, (_, hour) => {
+      const point = hour > lastHour ? restOfDay[hour - lastHour - 1] : null;
+      return {
+        hour,
+        actual: hour <= lastHour ? (hourlyByKey.get(`${asOf} ${hour}`) ?? null) : null,
+        value: point ? point.value : null,
+        lower: point ? point.lower : null,
+        upper: point ? point.upper : null
+      };
+    })
+  };
+
+  // Daily model: complete days only, so a partial asOf day doesn't drag the level down
+  const historyDates = Array.from({ length: pastDays }, (_, i) => toDateString(addDays(toDate(firstDate), i)));
+  const isTodayComplete = lastHour === 23;
+  const dailyValues = fillSeries(dailyByDate, isTodayComplete ? [...historyDates, asOf] : historyDates, 7);
+  // History reports what was metered - the gap filling is only for the model
+  const history = historyDates.map(date => ({ date, kwh: dailyByDate.get(date) || 0 }));
+
+  const monthEnd = endOfMonth(toDate(asOf));
+  const daysAhead = Math.max(differenceInCalendarDays(monthEnd, toDate(asOf)), horizonDays);
+  // With an incomplete asOf day the daily model's first step is that day - skip it
+  const skip = isTodayComplete ? 0 : 1;
+  const dailyForecast = forecastSeries(dailyValues, { seasonLength: 7, horizon: daysAhead + skip });
+  const days = dailyForecast.points.slice(skip).map((point, i) => ({
+    date: toDateString(addDays(toDate(asOf), i + 1)),
+    ...point
+  }));
+
+  const weekStart = toDateString(startOfWeek(toDate(asOf), { weekStartsOn: 1 }));
+  const weekEnd = toDateString(endOfWeek(toDate(asOf), { weekStartsOn: 1 }));
+  const monthStart = toDateString(startOfMonth(toDate(asOf)));
+
+  return {
+    floor: floor.floor,
+    asOf,
+    methods: { hourly: hourlyForecast.method, daily: dailyForecast.method },
+    history,
+    today,
+    days,
+    monthHours,
+    peakKw: Math.max(0, ...monthHours.map(hour => hour.kwh)),
+    week: summarisePeriod(history, today, days, weekStart, weekEnd),
+    month: summarisePeriod(history, today, days, monthStart, toDateString(monthEnd))
+  };
+};
+
+const sumPoints = (lists, fields) =>
+  lists[0].map((item, i) => {
+    const summed = { ...item };
+    fields.forEach(field => {
+      const present = lists.map(list => list[i]?.[field]).filter(value => value !== null && value !== undefined);
+      summed[field] = present.length ? present.reduce((sum, value) => sum + value, 0) : null;
+    });
+    return summed;
+  });
+
+// Building-wide forecast: the floor forecasts summed (made with the same asOf, so their dates line up)
+export const combineForecasts = (floors) => {
+  const valid = floors.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  // Floors can start on different days - align history on the shortest one
+  const historyLength = Math.min(...valid.map(floor => floor.history.length));
+
+  // Building load per hour - floors peak at different times, so their peaks can't just be added
+  const loadByHour = new Map();
+  valid.forEach(floor => floor.monthHours.forEach(({ key, kwh }) => loadByHour.set(key, (loadByHour.get(key) || 0) + kwh)));
+  const monthHours = [...loadByHour].map(([key, kwh]) => ({ key, kwh }));
+  const periodFields = ['actual', 'remaining', 'total', 'lower', 'upper'];
+  const sumPeriod = (name) => {
+    const summed = { ...valid[0][name] };
+    periodFields.forEach(field => { summed[field] = sumBy(valid.map(floor => floor[name]), field); });
+    return summed;
+  };
+
+  return {
+    floor: 'all',
+    asOf: valid[0].asOf,
+    methods: valid[0].methods,
+    history: sumPoints(valid.map(floor => floor.history.slice(floor.history.length - historyLength)), ['kwh']),
+    today: {
+      ...valid[0].today,
+      actual: sumBy(valid.map(floor => floor.today), 'actual'),
+      forecast: sumBy(valid.map(floor => floor.today), 'forecast'),
+      total: sumBy(valid.map(floor => floor.today), 'total'),
+      lower: sumBy(valid.map(floor => floor.today), 'lower'),
+      upper: sumBy(valid.map(floor => floor.today), 'upper'),
+      hours: sumPoints(valid.map(floor => floor.today.hours), ['actual', 'value', 'lower', 'upper'])
+    },
+    days: sumPoints(valid.map(floor => floor.days), ['value', 'lower', 'upper']),
+    monthHours,
+    peakKw: Math.max(0, ...monthHours.map(hour => hour.kwh)),
+    week: sumPeriod('week'),
+    month: sumPeriod('month')
+  };
+};
@@ -0,0 +1,52 @@
+// Settings kept in localStorage and shared across the app (budgets, tariffs, alert rules, ...)
+// Each is a store made here; components read one with useLocalStore (hooks/useLocalStore.js).
+
+// key: localStorage key
+// label: what is stored, for the console warnings ("budgets", "alert rules")
+// fallback: value while nothing usable is stored
+// load(parsed): the usable part of the stored JSON, or undefined to use the fallback
+//   (defaults to anything stored)
+// validate(next): throws when next can't be saved
+// normalize(next): next as stored
+// writeError: message thrown when next can't be written - the store keeps its old value.
+//   Without it a failed write is only logged and next is still used for this session.
+export const createLocalStore = (key, { label, fallback, load = (parsed) => parsed, validate, normalize = (next) => next, writeError = null }) => {
+  const listeners = new Set();
+
+  const read = () => {
+    try {
+      const stored = window.localStorage.getItem(key);
+      const loaded = stored ? load(JSON.parse(stored)) : undefined;
+      if (loaded !== undefined && loaded !== null) return loaded;
+    } catch (e) {
+      console.warn(`Could not read saved ${label}:`, e);
+    }
+    return fallback;
+  };
+
+  let value = read();
+
+  const get = () => value;
+
+  // Replace the value - validated, persisted and pushed to subscribers
+  const set = (next) => {
+    if (validate) validate(next);
+    const normalized = normalize(next);
+    try {
+      window.localStorage.setItem(key, JSON.stringify(normalized));
+    } catch (e) {
+      if (writeError) throw new Error(writeError);
+      console.warn(`Could not save ${label}:`, e);
+    }
+    value = normalized;
+    listeners.forEach(listener => listener(value));
+    return value;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { get, set, subscribe };
+};
@@ -0,0 +1,67 @@
+// Unit-level metering - units mapped to a meter / channel (see utils/assets.js) take their
+// consumption and peak time from that channel's readings for the period in view (GET /energy/channels).
+// Units without a mapping, or whose channel has no readings in the period, keep the estimated share
+// of their floor (the seeded consumption scaled by scaleUnitsByTime) and are marked metered: false.
+import { format, parseISO, differenceInCalendarDays } from 'date-fns';
+import { getChannelKey, getUnitChannelKey } from './assets';
+import { getPeriodDays } from './filterUtils';
+
+export const isMeteredUnit = (unit) => getUnitChannelKey(unit) !== null;
+
+// Channel readings response → Map of channel key → channel
+export const indexChannels = (channelReadings) =>
+  new Map((channelReadings?.channels || []).map(channel => [getChannelKey(channel.meter, channel.channel), channel]));
+
+// "2:00 PM" - the same shape as the seeded peakTime
+export const formatPeakHour = (hour) => format(new Date(2000, 0, 1, hour), 'h:00 a');
+
+// Days the view covers - every day of a custom date range, otherwise the granularity's length
+const getViewDays = (filters) => (
+  filters.dateFrom && filters.dateTo
+    ? differenceInCalendarDays(parseISO(filters.dateTo), parseISO(filters.dateFrom)) + 1
+    : getPeriodDays(filters)
+);
+
+// Units with their consumption taken from their channel - kWh per day of readings times the days
+// the view covers, so a per-hour view shows an average hour like the estimates do
+export const applyUnitMetering = (units, channelReadings, filters = {}) => {
+  const channels = indexChannels(channelReadings);
+  const periodDays = getViewDays(filters);
+  return units.map(unit => {
+    const channel = channels.get(getUnitChannelKey(unit));
+    if (!channel || !(channel.days > 0)) return { ...unit, metered: false };
+    return {
+      ...unit,
+      metered: true,
+      consumption: parseFloat(((channel.total_energy / 1000 / channel.days) * periodDays).toFixed(3)),
+      peakTime: channel.peak_hour ? formatPeakHour(channel.peak_hour.hour) : unit.peakTime,
+      maxPower: channel.max_power
+    };
+  });
+};
+
+// Hourly series of a channel (from includeHourly=1) for the unit drawer chart
+// [{ label, kwh, maxPower, isPeak }] - labels carry the date only when the series spans several days
+export const getChannelSeries = (channel) => {
+  const points = channel?.hourly_trend || [];
+  const multiDay = new Set(points.map(point => point.date)).size > 1;
+  const peak = channel?.peak_hour;
+  return points.map(point => ({
+    label: multiDay
+      ? `${format(parseISO(point.date), 'MMM d')} ${String(point.hour).padStart(2, '0')}:00`
+      : `${String(point.hour).padStart(2, '0')}:00`,
+    kwh: point.total_energy / 1000,
+    maxPower: point.max_power,
+    isPeak: Boolean(peak) && peak.date === point.date && peak.hour === point.hour
+  }));
+};
+
+// Status periods of a unit, newest first: [{ status, from, to }] - to is null for the current one,
+// from is null for the status it had before its changes were logged
+export const getStatusPeriods = (unit) => {
+  const history = unit.statusHistory || [];
+  if (history.length === 0) return [{ status: unit.status, from: null, to: null }];
+  return history
+    .map((entry, index) => ({ status: entry.status, from: entry.at, to: history[index + 1]?.at || null }))
+    .reverse();
+};
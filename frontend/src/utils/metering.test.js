@@ -0,0 +1,120 @@
+import {
+  isMeteredUnit,
+  indexChannels,
+  formatPeakHour,
+  applyUnitMetering,
+  getChannelSeries,
+  getStatusPeriods
+} from './metering';
+
+// 48 kWh over 2 days on meter 1 channel 2, 30 kWh over 3 days on meter 2's main channel
+const channelReadings = {
+  channels: [
+    { meter: 1, channel: 2, total_energy: 48000, days: 2, peak_hour: { date: '2024-01-02', hour: 14 }, max_power: 5.5 },
+    { meter: 2, channel: null, total_energy: 30000, days: 3, peak_hour: null, max_power: 2 },
+    { meter: 3, channel: 1, total_energy: 0, days: 0, peak_hour: null, max_power: 0 }
+  ]
+};
+
+const units = [
+  { id: 1, meter: 1, channel: 2, consumption: 99, peakTime: '9:00 AM' },
+  { id: 2, meter: '2', channel: '', consumption: 99, peakTime: '9:00 AM' },
+  { id: 3, meter: 3, channel: 1, consumption: 99, peakTime: '9:00 AM' },
+  { id: 4, meter: 4, channel: 1, consumption: 99, peakTime: '9:00 AM' },
+  { id: 5, meter: '', consumption: 99, peakTime: '9:00 AM' }
+];
+
+describe('channel mapping', () => {
+  it('knows which units are mapped to a channel', () => {
+    expect(isMeteredUnit(units[0])).toBe(true);
+    expect(isMeteredUnit(units[4])).toBe(false);
+  });
+
+  it('indexes channels by meter and channel', () => {
+    const channels = indexChannels(channelReadings);
+    expect([...channels.keys()]).toEqual(['1:2', '2:main', '3:1']);
+    expect(indexChannels(null).size).toBe(0);
+  });
+
+  it('formats the peak hour like the seeded peak time', () => {
+    expect(formatPeakHour(14)).toBe('2:00 PM');
+    expect(formatPeakHour(0)).toBe('12:00 AM');
+  });
+});
+
+describe('applyUnitMetering', () => {
+  it('takes a day of channel readings for the day view', () => {
+    const [first, second] = applyUnitMetering(units, channelReadings, { timeGranularity: 'day' });
+    expect(first).toMatchObject({ id: 1, metered: true, consumption: 24, peakTime: '2:00 PM', maxPower: 5.5 });
+    expect(second).toMatchObject({ id: 2, metered: true, consumption: 10, peakTime: '9:00 AM', maxPower: 2 });
+  });
+
+  it('scales to the granularity of the view', () => {
+    expect(applyUnitMetering(units, channelReadings, { timeGranularity: 'week' })[0].consumption).toBe(168);
+    expect(applyUnitMetering(units, channelReadings, { timeGranularity: 'hour' })[0].consumption).toBe(1);
+  });
+
+  it('covers every day of a custom date range', () => {
+    const filters = { timeGranularity: 'day', dateFrom: '2024-01-01', dateTo: '2024-01-05' };
+    expect(applyUnitMetering(units, channelReadings, filters)[0].consumption).toBe(120);
+  });
+
+  it('keeps the estimate of units without channel readings', () => {
+    const result = applyUnitMetering(units, channelReadings, { timeGranularity: 'day' });
+    result.slice(2).forEach(unit => {
+      expect(unit.metered).toBe(false);
+      expect(unit.consumption).toBe(99);
+    });
+  });
+
+  it('marks every unit estimated without readings', () => {
+    expect(applyUnitMetering(units, null).every(unit => unit.metered === false)).toBe(true);
+  });
+});
+
+describe('getChannelSeries', () => {
+  it('labels hours and flags the peak', () => {
+    const channel = {
+      peak_hour: { date: '2024-01-01', hour: 9 },
+      hourly_trend: [
+        { date: '2024-01-01', hour: 8, total_energy: 1500, max_power: 1 },
+        { date: '2024-01-01', hour: 9, total_energy: 2500, max_power: 3 }
+      ]
+    };
+    expect(getChannelSeries(channel)).toEqual([
+      { label: '08:00', kwh: 1.5, maxPower: 1, isPeak: false },
+      { label: '09:00', kwh: 2.5, maxPower: 3, isPeak: true }
+    ]);
+  });
+
+  it('adds the date when the series spans several days', () => {
+    const channel = {
+      hourly_trend: [
+        { date: '2024-01-01', hour: 23, total_energy: 1000, max_power: 1 },
+        { date: '2024-01-02', hour: 0, total_energy: 1000, max_power: 1 }
+      ]
+    };
+    expect(getChannelSeries(channel).map(point => point.label)).toEqual(['Jan 1 23:00', 'Jan 2 00:00']);
+    expect(getChannelSeries(null)).toEqual([]);
+  });
+});
+
+describe('getStatusPeriods', () => {
+  it('is the current status when nothing was logged', () => {
+    expect(getStatusPeriods({ status: 'operational' })).toEqual([{ status: 'operational', from: null, to: null }]);
+  });
+
+  it('lists logged statuses newest first', () => {
+    const unit = {
+      status: 'maintenance',
+      statusHistory: [
+        { status: 'operational', at: '2024-01-01T00:00:00Z' },
+        { status: 'maintenance', at: '2024-01-05T00:00:00Z' }
+      ]
+    };
+    expect(getStatusPeriods(unit)).toEqual([
+      { status: 'maintenance', from: '2024-01-05T00:00:00Z', to: null },
+      { status: 'operational', from: '2024-01-01T00:00:00Z', to: '2024-01-05T00:00:00Z' }
+    ]);
+  });
+});
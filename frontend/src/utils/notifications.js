@@ -0,0 +1,49 @@
+// Notification center store - alert rule events and app messages, newest first
+// Kept in localStorage so the history survives reloads; the Header bell shows the unread count.
+import { createLocalStore } from './localStore';
+
+// Oldest entries are dropped beyond this
+const MAX_NOTIFICATIONS = 200;
+
+export const notificationStore = createLocalStore('notifications', {
+  label: 'notifications',
+  fallback: [],
+  load: (parsed) => (Array.isArray(parsed) ? parsed : undefined),
+  normalize: (next) => next.slice(0, MAX_NOTIFICATIONS)
+});
+
+const { get: getNotifications, set: setNotifications } = notificationStore;
+
+const updateNotification = (id, changes) =>
+  setNotifications(getNotifications().map(notification => (notification.id === id ? { ...notification, ...changes } : notification)));
+
+// Add a notification and return it
+// severity: info | warning | critical; ruleId links alert events back to their rule
+export const addNotification = ({ title, message = '', severity = 'info', ruleId = null, read = false }) => {
+  const notification = {
+    id: `notification-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title,
+    message,
+    severity,
+    ruleId,
+    createdAt: new Date().toISOString(),
+    read,
+    acknowledgedAt: null,
+    resolvedAt: null
+  };
+  setNotifications([notification, ...getNotifications()]);
+  return notification;
+};
+
+export const markNotificationRead = (id) => updateNotification(id, { read: true });
+
+export const markAllNotificationsRead = () =>
+  setNotifications(getNotifications().map(notification => ({ ...notification, read: true })));
+
+export const acknowledgeNotification = (id) =>
+  updateNotification(id, { read: true, acknowledgedAt: new Date().toISOString() });
+
+// The rule behind an alert stopped firing
+export const resolveNotification = (id) => updateNotification(id, { resolvedAt: new Date().toISOString() });
+
+export const clearNotifications = () => setNotifications([]);
@@ -0,0 +1,80 @@
+// Power-quality settings and labels for the Power Quality module (components/PowerQuality.js)
+// The nominal voltage bands are kept in localStorage; the backend classifies events against
+// whatever bands the request carries.
+
+const STORAGE_KEY = 'voltageBands';
+
+// 230 V ±10% - the usual tolerance for low-voltage supply
+export const DEFAULT_VOLTAGE_BANDS = {
+  nominal: 230,
+  sagPercent: 10,
+  swellPercent: 10
+};
+
+// IEEE 1159-style event categories, in order of severity
+export const EVENT_TYPES = {
+  interruption: { label: 'Interruption', description: 'Below 10% of nominal', badge: 'bg-red-100 text-red-800', color: '#dc2626' },
+  undervoltage: { label: 'Undervoltage', description: 'Below band for a minute or more', badge: 'bg-orange-100 text-orange-800', color: '#ea580c' },
+  overvoltage: { label: 'Overvoltage', description: 'Above band for a minute or more', badge: 'bg-purple-100 text-purple-800', color: '#9333ea' },
+  sag: { label: 'Sag', description: 'Below band for under a minute', badge: 'bg-yellow-100 text-yellow-800', color: '#ca8a04' },
+  swell: { label: 'Swell', description: 'Above band for under a minute', badge: 'bg-blue-100 text-blue-800', color: '#2563eb' }
+};
+
+// Problems with a set of bands, as messages for the settings form (empty when valid)
+export const validateVoltageBands = (bands) => {
+  const errors = [];
+  const nominal = Number(bands.nominal);
+  const inPercentRange = (value) => Number(value) >= 1 && Number(value) <= 50;
+
+  if (!(nominal >= 100 && nominal <= 480)) errors.push('Nominal voltage must be between 100 V and 480 V');
+  if (!inPercentRange(bands.sagPercent)) errors.push('Sag limit must be between 1% and 50%');
+  if (!inPercentRange(bands.swellPercent)) errors.push('Swell limit must be between 1% and 50%');
+
+  return errors;
+};
+
+export const getVoltageBands = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : null;
+    if (parsed && validateVoltageBands(parsed).length === 0) return { ...DEFAULT_VOLTAGE_BANDS, ...parsed };
+  } catch (e) {
+    console.warn('Could not read saved voltage bands, using defaults:', e);
+  }
+  return DEFAULT_VOLTAGE_BANDS;
+};
+
+export const saveVoltageBands = (bands) => {
+  const errors = validateVoltageBands(bands);
+  if (errors.length > 0) {
+    throw new Error(`Voltage bands are invalid: ${errors.join(', ')}`);
+  }
+  const next = {
+    nominal: Number(bands.nominal),
+    sagPercent: Number(bands.sagPercent),
+    swellPercent: Number(bands.swellPercent)
+  };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn('Could not save voltage bands:', e);
+  }
+  return next;
+};
+
+// Lower and upper voltage limits for a set of bands
+export const getBandLimits = (bands) => ({
+  low: Number(bands.nominal) * (1 - Number(bands.sagPercent) / 100),
+  high: Number(bands.nominal) * (1 + Number(bands.swellPercent) / 100)
+});
+
+// "1h 2m 5s" style duration for an event
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+};
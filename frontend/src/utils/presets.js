@@ -0,0 +1,103 @@
+// Saved filter presets - named Sidebar filter combinations applied with one click
+// Kept in localStorage, shared as JSON files, and synced to /filter-presets when the backend
+// provides it (hooks/useFilterPresets.js).
+import { DEFAULT_FILTERS } from './urlState';
+import { createLocalStore } from './localStore';
+
+// Export file format version - bump when the preset shape changes
+const EXPORT_VERSION = 1;
+
+// Filters a preset stores; dates are left out so a preset stays useful from day to day
+export const PRESET_FILTER_KEYS = ['branch', 'building', 'floor', 'unitType', 'status', 'consumptionRange', 'timeGranularity', 'weekday'];
+
+// Problems with a preset, as messages (empty when valid)
+export const validatePreset = (preset) => {
+  const errors = [];
+  if (!preset || typeof preset !== 'object') return ['Preset must be an object'];
+  if (!preset.id) errors.push('Preset is missing an id');
+  if (!String(preset.name || '').trim()) errors.push('Name is required');
+  if (!preset.filters || typeof preset.filters !== 'object') {
+    errors.push('Preset has no filters');
+  } else if (!PRESET_FILTER_KEYS.some(key => key in preset.filters)) {
+    errors.push('Preset sets none of the saved filters');
+  }
+  return errors;
+};
+
+// Only the preset filter keys, with anything missing taken from the defaults
+const pickPresetFilters = (filters) => PRESET_FILTER_KEYS.reduce((picked, key) => ({
+  ...picked,
+  [key]: filters[key] ?? DEFAULT_FILTERS[key]
+}), {});
+
+const normalizePreset = (preset) => ({
+  id: String(preset.id),
+  name: String(preset.name).trim(),
+  filters: pickPresetFilters(preset.filters),
+  updatedAt: preset.updatedAt || new Date().toISOString()
+});
+
+export const presetStore = createLocalStore('filterPresets', {
+  label: 'filter presets',
+  fallback: [],
+  load: (parsed) => (Array.isArray(parsed) ? parsed.filter(preset => validatePreset(preset).length === 0).map(normalizePreset) : undefined),
+  validate: (next) => {
+    const invalid = next.find(preset => validatePreset(preset).length > 0);
+    if (invalid) {
+      throw new Error(`Preset "${invalid.name || invalid.id}" is invalid: ${validatePreset(invalid).join(', ')}`);
+    }
+  },
+  normalize: (next) => next.map(normalizePreset)
+});
+
+export const getPresets = presetStore.get;
+
+// Replace every preset - persisted and pushed to subscribers (useFilterPresets)
+export const savePresets = presetStore.set;
+
+// New preset from the current filters
+export const createPreset = (name, filters) => normalizePreset({
+  id: `preset-${Date.now()}`,
+  name,
+  filters
+});
+
+// Add or replace presets - a preset with the same id or name is overwritten
+export const mergePresets = (existing, incoming) => {
+  const merged = [...existing];
+  incoming.map(normalizePreset).forEach(preset => {
+    const index = merged.findIndex(p => p.id === preset.id || p.name.toLowerCase() === preset.name.toLowerCase());
+    if (index >= 0) {
+      merged[index] = { ...preset, id: merged[index].id };
+    } else {
+      merged.push(preset);
+    }
+  });
+  return merged;
+};
+
+// Preset whose filters all match the current filters (null when none does)
+export const findMatchingPreset = (presetList, filters) =>
+  presetList.find(preset =>
+    PRESET_FILTER_KEYS.every(key => String(preset.filters[key]) === String(filters[key] ?? DEFAULT_FILTERS[key]))
+  ) || null;
+
+export const exportPresetsJson = (presetList) =>
+  JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), presets: presetList }, null, 2);
+
+// Presets from an exported JSON file (a bare array is accepted too); throws on anything invalid
+export const parsePresetsJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.presets;
+  if (!Array.isArray(list) || list.length === 0) throw new Error('The file has no presets');
+  list.forEach((preset, index) => {
+    const errors = validatePreset(preset);
+    if (errors.length > 0) throw new Error(`Preset ${index + 1}: ${errors.join(', ')}`);
+  });
+  return list.map(normalizePreset);
+};
@@ -0,0 +1,106 @@
+// Shared query cache for the data hooks (see hooks/useQuery.js)
+// Entries are keyed by endpoint + filters. Fresh entries are served as-is, stale
+// entries are served immediately and revalidated in the background
+// (stale-while-revalidate), expired entries are dropped. Once the cache is full
+// the least recently used entry is evicted.
+
+// Defaults - override globally with configureQueryCache() or per hook via useQuery options
+const cacheConfig = {
+  staleTime: 30 * 1000,   // ms an entry is served without revalidating
+  ttl: 10 * 60 * 1000,    // ms after which an entry is not served at all
+  maxEntries: 100
+};
+
+export const configureQueryCache = (config = {}) => {
+  Object.assign(cacheConfig, config);
+  evictOverflow();
+};
+
+// key -> { data, updatedAt, invalidated }
+// Map iteration order doubles as recency order (least recently used first)
+const entries = new Map();
+// key -> Set of callbacks run when the key is invalidated
+const listeners = new Map();
+
+const isEmptyParam = (value) => value === undefined || value === null || value === '' || value === 'all';
+
+// Stable key for an endpoint + params regardless of property order.
+// Empty and 'all' values are dropped so equivalent filters share one entry.
+export const getQueryKey = (endpoint, params = {}) => {
+  const parts = Object.keys(params)
+    .filter(name => !isEmptyParam(params[name]))
+    .sort()
+    .map(name => `${name}=${params[name]}`);
+  return parts.length ? `${endpoint}?${parts.join('&')}` : endpoint;
+};
+
+const evictOverflow = () => {
+  while (entries.size > cacheConfig.maxEntries) {
+    const oldestKey = entries.keys().next().value;
+    entries.delete(oldestKey);
+  }
+};
+
+// Cached entry for key, or null when missing or older than ttl
+export const getQueryEntry = (key, { ttl = cacheConfig.ttl } = {}) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.updatedAt > ttl) {
+    entries.delete(key);
+    return null;
+  }
+  // Mark as most recently used
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+};
+
+export const isQueryStale = (entry, staleTime = cacheConfig.staleTime) => {
+  return entry.invalidated || Date.now() - entry.updatedAt > staleTime;
+};
+
+export const setQueryData = (key, data) => {
+  entries.delete(key);
+  entries.set(key, { data, updatedAt: Date.now(), invalidated: false });
+  evictOverflow();
+};
+
+// Runs fetcher({ signal }) and stores the result under key.
+// Identical concurrent GETs are already shared by apiCall, so there is no
+// second layer of de-duplication here.
+export const fetchQuery = async (key, fetcher, { signal } = {}) => {
+  const data = await fetcher({ signal });
+  setQueryData(key, data);
+  return data;
+};
+
+export const subscribeQuery = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => {
+    const keyListeners = listeners.get(key);
+    if (!keyListeners) return;
+    keyListeners.delete(listener);
+    if (keyListeners.size === 0) listeners.delete(key);
+  };
+};
+
+// Marks matching entries stale and tells mounted hooks to revalidate them.
+// match: a key prefix (e.g. 'energy/' or 'energy/hourly'), a predicate
+// (key => boolean), or nothing to invalidate every entry.
+export const invalidateQueries = (match) => {
+  const matches = typeof match === 'function'
+    ? match
+    : (key) => !match || key.startsWith(match);
+
+  entries.forEach((entry, key) => {
+    if (matches(key)) entry.invalidated = true;
+  });
+  listeners.forEach((keyListeners, key) => {
+    if (matches(key)) keyListeners.forEach(listener => listener());
+  });
+};
+
+export const clearQueryCache = () => {
+  entries.clear();
+};
@@ -1,9 +1,18 @@
-import { powerPlantData } from '../data/powerPlantData';
+import { getAssetHierarchy } from './assets';
 import { calculatePowerPlantStatistics, calculateBuildingMetrics, calculateFloorMetrics } from './filterUtils';
+import { getTariffs, getTariffForDate, getEffectiveRate, getEnergyRate, DAYS_PER_MONTH } from './tariff';
+import { BUDGET_METRICS, formatBudgetValue } from './budgets';
 
 // Generate recommendations based on data analysis
-export const generateRecommendations = (units, statistics) => {
+// date: 'yyyy-MM-dd' of the data and branchId of its site pick the tariff version used for savings estimates
+// budgetTrackers: budget burn-downs from useBudgetTracking - over or at-risk budgets are flagged
+export const generateRecommendations = (units, statistics, { date = null, branchId = null, budgetTrackers = [] } = {}) => {
   const recommendations = [];
+  const hierarchy = getAssetHierarchy();
+  const tariff = getTariffForDate(date, getTariffs(), branchId);
+  const vatFactor = 1 + Number(tariff.vatRate || 0);
+  // Savings are priced at the average ₱/kWh (VAT included) of the consumption analysed
+  const rate = getEffectiveRate({ tariff, kwh: parseFloat(statistics.totalConsumption || 0), days: 1 });
 
   // Calculate overall average consumption
   const avgConsumption = parseFloat(statistics.avgConsumption || 0);
@@ -12,8 +21,8 @@ export const generateRecommendations = (units, statistics) => {
   const highConsumptionUnits = units.filter(u => u.consumption > avgConsumption * 1.5);
   if (highConsumptionUnits.length > 0) {
     highConsumptionUnits.slice(0, 3).forEach(unit => {
-      const floor = powerPlantData.floors.find(f => f.id === unit.floorId);
-      const building = powerPlantData.buildings.find(b => b.id === floor?.buildingId);
+      const floor = hierarchy.floors.find(f => f.id === unit.floorId);
+      const building = hierarchy.buildings.find(b => b.id === floor?.buildingId);
       recommendations.push({
         id: `high-consumption-${unit.id}`,
         type: 'energy-efficiency',
@@ -21,7 +30,7 @@ export const generateRecommendations = (units, statistics) => {
         title: `High Consumption Detected`,
         description: `${unit.name} in ${building?.name} (${floor?.name}) is consuming ${unit.consumption.toFixed(1)} kWh, which is ${((unit.consumption / avgConsumption - 1) * 100).toFixed(1)}% above average.`,
         action: `Review equipment efficiency and consider maintenance check.`,
-        impact: `Potential savings: ₱${((unit.consumption - avgConsumption) * 10).toFixed(2)} per day`,
+        impact: `Potential savings: ₱${((unit.consumption - avgConsumption) * rate).toFixed(2)} per day`,
         category: 'consumption'
       });
     });
@@ -42,6 +51,13 @@ export const generateRecommendations = (units, statistics) => {
       : 0;
     
     if (peakConsumption > avgOffPeak * 1.3) {
+      // Time-of-use tariffs save the rate difference on the shifted kWh; otherwise keep the flat-rate estimate
+      const shiftedKwh = peakConsumption - avgOffPeak;
+      const peakRate = getEnergyRate(tariff, parseInt(peakHour));
+      const offPeakRate = Math.min(...Array.from({ length: 24 }, (_, hour) => getEnergyRate(tariff, hour)));
+      const peakSavings = tariff.type === 'tou'
+        ? shiftedKwh * Math.max(peakRate - offPeakRate, 0) * vatFactor
+        : shiftedKwh * 2 * rate;
       recommendations.push({
         id: 'peak-hour-optimization',
         type: 'cost-optimization',
@@ -49,14 +65,14 @@ export const generateRecommendations = (units, statistics) => {
         title: `Peak Hour Optimization Opportunity`,
         description: `Peak consumption occurs at ${peakHour}:00 with ${peakConsumption.toFixed(1)} kWh. Average off-peak consumption is ${avgOffPeak.toFixed(1)} kWh.`,
         action: `Consider shifting non-critical operations to off-peak hours (before 8 AM or after 6 PM).`,
-        impact: `Potential cost savings: ₱${((peakConsumption - avgOffPeak) * 2 * 10).toFixed(2)} per day`,
+        impact: `Potential cost savings: ₱${peakSavings.toFixed(2)} per day`,
         category: 'scheduling'
       });
     }
   }
 
   // 3. Building Efficiency Analysis
-  const buildingMetrics = powerPlantData.buildings.map(building => 
+  const buildingMetrics = hierarchy.buildings.map(building => 
     calculateBuildingMetrics(building.id, units)
   );
   const avgBuildingConsumption = buildingMetrics.length > 0
@@ -73,7 +89,7 @@ export const generateRecommendations = (units, statistics) => {
         title: `${building.buildingName} Efficiency Review`,
         description: `${building.buildingName} consumes ${buildingConsumption.toFixed(1)} kWh, which is ${((buildingConsumption / avgBuildingConsumption - 1) * 100).toFixed(1)}% above average.`,
         action: `Review building operations, HVAC systems, and equipment efficiency.`,
-        impact: `Potential savings: ₱${((buildingConsumption - avgBuildingConsumption) * 10).toFixed(2)} per day`,
+        impact: `Potential savings: ₱${((buildingConsumption - avgBuildingConsumption) * rate).toFixed(2)} per day`,
         category: 'building'
       });
     }
@@ -99,8 +115,8 @@ export const generateRecommendations = (units, statistics) => {
   const criticalUnits = units.filter(u => u.status === 'critical');
   if (criticalUnits.length > 0) {
     criticalUnits.forEach(unit => {
-      const floor = powerPlantData.floors.find(f => f.id === unit.floorId);
-      const building = powerPlantData.buildings.find(b => b.id === floor?.buildingId);
+      const floor = hierarchy.floors.find(f => f.id === unit.floorId);
+      const building = hierarchy.buildings.find(b => b.id === floor?.buildingId);
       recommendations.push({
         id: `critical-${unit.id}`,
         type: 'critical',
@@ -143,7 +159,7 @@ export const generateRecommendations = (units, statistics) => {
   // 7. Cost Optimization
   const totalCost = parseFloat(statistics.totalCost || 0);
   const dailyCost = totalCost;
-  const monthlyCost = dailyCost * 30;
+  const monthlyCost = dailyCost * DAYS_PER_MONTH;
   
   if (monthlyCost > 500000) {
     recommendations.push({
@@ -158,6 +174,30 @@ export const generateRecommendations = (units, statistics) => {
     });
   }
 
+  // 8. Budget at Risk
+  budgetTrackers
+    .filter(({ burnDown }) => burnDown.status === 'over' || burnDown.status === 'at-risk')
+    .forEach(({ budget, label, burnDown }) => {
+      // The limit furthest over its budget by month end
+      const [metric, limit] = Object.entries(burnDown.limits)
+        .filter(([, item]) => item && item.projected > item.budget)
+        .sort(([, a], [, b]) => b.projectedPercent - a.projectedPercent)[0];
+      const daysLeft = burnDown.daysInMonth - burnDown.daysElapsed;
+      const isOver = burnDown.status === 'over';
+      recommendations.push({
+        id: `budget-${budget.id}`,
+        type: 'budget',
+        priority: isOver ? 'urgent' : 'high',
+        title: isOver ? `Over Budget: ${label}` : `Budget at Risk: ${label}`,
+        description: `${label} has used ${formatBudgetValue(limit.actual, metric)} of its ${formatBudgetValue(limit.budget, metric)} monthly ${BUDGET_METRICS[metric].label.toLowerCase()} budget and is projected to reach ${formatBudgetValue(limit.projected, metric)} (${limit.projectedPercent.toFixed(0)}%)${limit.overspendDate ? `, overspending ${isOver ? 'since' : 'on'} ${limit.overspendDate}` : ''}.`,
+        action: !isOver && daysLeft > 0
+          ? `Cut about ${formatBudgetValue((limit.projected - limit.budget) / daysLeft, metric)} per day for the remaining ${daysLeft} days to stay within budget.`
+          : `Review the largest loads on ${label} and shift or defer non-essential use for the rest of the month.`,
+        impact: `Avoids ${formatBudgetValue(limit.projected - limit.budget, metric)} of projected overspend this month`,
+        category: 'budget'
+      });
+    });
+
   // Sort by priority
   const priorityOrder = { urgent: 0, high: 1, medium: 2, low: 3 };
   recommendations.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
@@ -0,0 +1,81 @@
+// Sites - every branch is a site with its own timezone and tariff
+// The timezone (IANA name) is stored on the branch and edited in the Asset Hierarchy module;
+// tariff versions can be limited to one site (utils/tariff.js). The site in view comes from the
+// branch / building / floor filters, which every API call is scoped to.
+import { getAssetHierarchy, findAsset, isValidTimezone, DEFAULT_TIMEZONE } from './assets';
+
+// IANA names for the timezone picker - the browser's list when it has one
+export const getTimezoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(DEFAULT_TIMEZONE) ? zones : [DEFAULT_TIMEZONE, ...zones];
+};
+
+// Branch the filters are scoped to - picked directly or implied by the building / floor (null for all sites)
+export const getScopeBranchId = (filters = {}, list = getAssetHierarchy()) => {
+  if (filters.branch && filters.branch !== 'all') return Number(filters.branch);
+  let buildingId = filters.building && filters.building !== 'all' ? Number(filters.building) : null;
+  if (!buildingId && filters.floor && filters.floor !== 'all') {
+    buildingId = findAsset('floors', filters.floor, list)?.buildingId ?? null;
+  }
+  return buildingId ? findAsset('buildings', buildingId, list)?.branchId ?? null : null;
+};
+
+// Branch a floor (or unit, through its floor) belongs to
+export const getFloorBranchId = (floorId, list = getAssetHierarchy()) => {
+  const floor = findAsset('floors', floorId, list);
+  return floor ? findAsset('buildings', floor.buildingId, list)?.branchId ?? null : null;
+};
+
+export const getUnitBranchId = (unit, list = getAssetHierarchy()) => getFloorBranchId(unit.floorId, list);
+
+// Buildings and floors inside the branch / building filters - for the filter and report pickers
+export const getSiteBuildings = (filters = {}, list = getAssetHierarchy()) => {
+  const branchId = filters.branch && filters.branch !== 'all' ? Number(filters.branch) : null;
+  const buildingId = filters.building && filters.building !== 'all' ? Number(filters.building) : null;
+  return list.buildings.filter(building =>
+    (!branchId || building.branchId === branchId) && (!buildingId || building.id === buildingId));
+};
+
+export const getSiteFloors = (filters = {}, list = getAssetHierarchy()) => {
+  const buildingIds = getSiteBuildings(filters, list).map(building => building.id);
+  return list.floors.filter(floor => buildingIds.includes(floor.buildingId));
+};
+
+// Name of the site in view - the branch's, or the only branch's when there is just one
+export const getSiteName = (branchId = null, list = getAssetHierarchy()) => {
+  const branch = branchId ? findAsset('branches', branchId, list) : null;
+  if (branch) return branch.name;
+  return list.branches.length === 1 ? list.branches[0].name : 'All Sites';
+};
+
+// Branch / building part of the filters - spread into hook params so requests stay scoped to the site
+export const getSiteFilters = (filters = {}) => ({
+  branch: filters.branch || 'all',
+  building: filters.building || 'all'
+});
+
+export const getSiteTimezone = (branchId) => {
+  const timeZone = branchId ? findAsset('branches', branchId)?.timezone : null;
+  return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+// Calendar date ('yyyy-MM-dd') at the site right now (or at date)
+export const getSiteDate = (branchId = null, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getSiteTimezone(branchId),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find(item => item.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// Local time at the site, e.g. "3:45 PM GMT+8"
+export const formatSiteTime = (branchId = null, date = new Date()) =>
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: getSiteTimezone(branchId),
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(date);
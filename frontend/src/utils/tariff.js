@@ -0,0 +1,261 @@
+// Electricity tariff engine - turns kWh into pesos for every cost figure in the app
+// Tariffs are versioned by effectiveFrom date and edited from the Tariff Settings module
+// (components/TariffSettings.js).
+// A version with a branchId only applies to that site; sites without versions of their own use
+// the ones without a branchId.
+import { findAsset } from './assets';
+import { getSiteDate } from './sites';
+import { createLocalStore } from './localStore';
+
+// Tiers, demand and fixed charges are billed per month - shorter periods get a prorated share
+export const DAYS_PER_MONTH = 30;
+
+export const TARIFF_TYPES = [
+  { value: 'flat', label: 'Flat rate' },
+  { value: 'tiered', label: 'Tiered (block) rates' },
+  { value: 'tou', label: 'Time of use' }
+];
+
+// The original ₱10/kWh estimate, VAT-inclusive. Tier and time-of-use rows are examples
+// that only take effect when the type is switched.
+export const DEFAULT_TARIFFS = [
+  {
+    id: 'default',
+    name: 'Flat ₱10/kWh',
+    effectiveFrom: '2025-01-01',
+    branchId: null, // site (branch) the version is limited to - null for every site
+    type: 'flat',
+    flatRate: 10,
+    // upTo: kWh per month covered by the tier (null = everything above the previous tier)
+    tiers: [
+      { upTo: 200, rate: 8.5 },
+      { upTo: 1000, rate: 10 },
+      { upTo: null, rate: 11.5 }
+    ],
+    // startHour inclusive, endHour exclusive (0-24); periods may wrap past midnight
+    touPeriods: [
+      { name: 'Peak', startHour: 8, endHour: 21, rate: 12 },
+      { name: 'Off-peak', startHour: 21, endHour: 8, rate: 7 }
+    ],
+    demandCharge: 0, // ₱ per kW of monthly peak demand
+    fixedCharges: [], // { name, amount } ₱ per month
+    vatRate: 0 // 0.12 for 12% VAT
+  }
+];
+
+const sortByEffectiveDate = (list) => [...list].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+// Hours of the day (0-23) a time-of-use period covers - equal start and end means all day
+const getPeriodHours = (period) => {
+  const start = Number(period.startHour) % 24;
+  const end = Number(period.endHour) % 24;
+  const hours = [start];
+  for (let hour = (start + 1) % 24; hour !== end && hours.length < 24; hour = (hour + 1) % 24) {
+    hours.push(hour);
+  }
+  return hours;
+};
+
+// Problems with a tariff version, as messages for the settings form (empty when valid)
+export const validateTariff = (tariff) => {
+  const errors = [];
+  const isRate = (value) => Number.isFinite(Number(value)) && Number(value) >= 0;
+
+  if (!tariff.name || !tariff.name.trim()) errors.push('Name is required');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(tariff.effectiveFrom || '')) errors.push('Effective date is required');
+  if (!TARIFF_TYPES.some(type => type.value === tariff.type)) errors.push('Unknown tariff type');
+  if (tariff.branchId && !findAsset('branches', tariff.branchId)) errors.push('Choose a site');
+
+  if (tariff.type === 'flat' && !isRate(tariff.flatRate)) errors.push('Flat rate must be zero or more');
+
+  if (tariff.type === 'tiered') {
+    const tiers = tariff.tiers || [];
+    if (tiers.length === 0) errors.push('Add at least one tier');
+    tiers.forEach((tier, index) => {
+      if (!isRate(tier.rate)) errors.push(`Tier ${index + 1}: rate must be zero or more`);
+      const isLast = index === tiers.length - 1;
+      if (!isLast && !(Number(tier.upTo) > 0)) errors.push(`Tier ${index + 1}: upper limit is required`);
+      if (index > 0 && !isLast && Number(tier.upTo) <= Number(tiers[index - 1].upTo)) {
+        errors.push(`Tier ${index + 1}: upper limit must be above tier ${index}`);
+      }
+    });
+  }
+
+  if (tariff.type === 'tou') {
+    const periods = tariff.touPeriods || [];
+    if (periods.length === 0) errors.push('Add at least one time-of-use period');
+    const covered = Array(24).fill(0);
+    periods.forEach((period, index) => {
+      if (!isRate(period.rate)) errors.push(`Period ${index + 1}: rate must be zero or more`);
+      getPeriodHours(period).forEach(hour => { covered[hour] += 1; });
+    });
+    if (periods.length > 0 && covered.some(count => count !== 1)) {
+      errors.push('Time-of-use periods must cover every hour of the day exactly once');
+    }
+  }
+
+  if (!isRate(tariff.demandCharge)) errors.push('Demand charge must be zero or more');
+  (tariff.fixedCharges || []).forEach((charge, index) => {
+    if (!isRate(charge.amount)) errors.push(`Fixed charge ${index + 1}: amount must be zero or more`);
+  });
+  if (!isRate(tariff.vatRate) || Number(tariff.vatRate) > 1) errors.push('VAT must be between 0% and 100%');
+
+  return errors;
+};
+
+export const tariffStore = createLocalStore('energyTariffs', {
+  label: 'tariffs',
+  fallback: DEFAULT_TARIFFS,
+  load: (parsed) => (Array.isArray(parsed) && parsed.length > 0 ? sortByEffectiveDate(parsed) : undefined),
+  validate: (next) => {
+    const invalid = next.find(tariff => validateTariff(tariff).length > 0);
+    if (invalid) {
+      throw new Error(`Tariff "${invalid.name || invalid.id}" is invalid: ${validateTariff(invalid).join(', ')}`);
+    }
+    if (!next.some(tariff => !tariff.branchId)) {
+      throw new Error('Keep at least one tariff version for all sites');
+    }
+  },
+  normalize: (next) => sortByEffectiveDate(next.map(tariff => ({ ...tariff, branchId: tariff.branchId ? Number(tariff.branchId) : null })))
+});
+
+export const getTariffs = tariffStore.get;
+
+// Replace every tariff version - persisted and pushed to subscribers (useTariffs)
+export const saveTariffs = tariffStore.set;
+
+export const resetTariffs = () => saveTariffs(DEFAULT_TARIFFS);
+
+// Versions that apply to a site - its own when it has any, otherwise the ones for every site
+export const getSiteTariffs = (branchId = null, list = getTariffs()) => {
+  const own = branchId ? list.filter(tariff => String(tariff.branchId) === String(branchId)) : [];
+  if (own.length > 0) return own;
+  const shared = list.filter(tariff => !tariff.branchId);
+  return shared.length > 0 ? shared : list;
+};
+
+// Version in effect on date ('yyyy-MM-dd', today at the site when omitted) for a site (all
+// sites when branchId is null); dates before the first version use the earliest one
+export const getTariffForDate = (date = null, list = getTariffs(), branchId = null) => {
+  const day = date || getSiteDate(branchId);
+  const versions = getSiteTariffs(branchId, list);
+  const effective = versions.filter(tariff => tariff.effectiveFrom <= day);
+  return effective.length > 0 ? effective[effective.length - 1] : versions[0];
+};
+
+// Time-of-use period containing hour (0-23)
+export const getTouPeriod = (tariff, hour) =>
+  (tariff.touPeriods || []).find(period => getPeriodHours(period).includes(hour)) || null;
+
+// Energy rate (₱/kWh before VAT) for one hour of the day
+export const getEnergyRate = (tariff, hour = null) => {
+  if (tariff.type === 'tou' && hour !== null) {
+    const period = getTouPeriod(tariff, hour);
+    return period ? Number(period.rate) : 0;
+  }
+  if (tariff.type === 'tiered') return Number(tariff.tiers?.[0]?.rate) || 0;
+  return Number(tariff.flatRate) || 0;
+};
+
+const getTieredCharge = (tiers, monthlyKwh) => {
+  let remaining = monthlyKwh;
+  let lowerBound = 0;
+  let charge = 0;
+  tiers.forEach(tier => {
+    if (remaining <= 0) return;
+    const size = tier.upTo === null || tier.upTo === '' ? remaining : Math.max(Number(tier.upTo) - lowerBound, 0);
+    const billed = Math.min(remaining, size);
+    charge += billed * Number(tier.rate);
+    remaining -= billed;
+    lowerBound = Number(tier.upTo) || lowerBound;
+  });
+  // Anything past a capped last tier is billed at its rate
+  if (remaining > 0 && tiers.length > 0) charge += remaining * Number(tiers[tiers.length - 1].rate);
+  return charge;
+};
+
+// Average energy rate (₱/kWh before VAT) for kwh used over days
+// hourlyProfile: [{ hour, kwh }] weights for time-of-use rates (flat profile when omitted)
+export const getBlendedRate = (tariff, kwh, { days = DAYS_PER_MONTH, hourlyProfile = null } = {}) => {
+  if (tariff.type === 'tiered') {
+    if (!(kwh > 0)) return Number(tariff.tiers?.[0]?.rate) || 0;
+    // Tiers apply to the month - bill the monthly equivalent and take its average rate
+    const monthlyKwh = (kwh * DAYS_PER_MONTH) / days;
+    return getTieredCharge(tariff.tiers || [], monthlyKwh) / monthlyKwh;
+  }
+  if (tariff.type === 'tou') {
+    const profile = hourlyProfile && hourlyProfile.some(h => h.kwh > 0)
+      ? hourlyProfile
+      : Array.from({ length: 24 }, (_, hour) => ({ hour, kwh: 1 }));
+    const totalKwh = profile.reduce((sum, h) => sum + (Number(h.kwh) || 0), 0);
+    const totalCharge = profile.reduce((sum, h) => sum + (Number(h.kwh) || 0) * getEnergyRate(tariff, Number(h.hour)), 0);
+    return totalKwh > 0 ? totalCharge / totalKwh : 0;
+  }
+  return Number(tariff.flatRate) || 0;
+};
+
+// Variable cost of kwh: energy charge plus VAT (no demand or fixed charges)
+// This is the figure used for units, floors and other shares of the total
+// options: { date, branchId, tariff, days, hourlyProfile }
+export const calculateCost = (kwh, { date = null, branchId = null, tariff = null, ...options } = {}) => {
+  const activeTariff = tariff || getTariffForDate(date, getTariffs(), branchId);
+  const energy = Number(kwh) || 0;
+  return energy * getBlendedRate(activeTariff, energy, options) * (1 + Number(activeTariff.vatRate || 0));
+};
+
+// Effective ₱/kWh including VAT - for savings estimates
+export const getEffectiveRate = (options = {}) => {
+  const tariff = options.tariff || getTariffForDate(options.date, getTariffs(), options.branchId);
+  return getBlendedRate(tariff, options.kwh || 0, options) * (1 + Number(tariff.vatRate || 0));
+};
+
+// Price a set of units that share one bill. Tiered rates are worked out on the combined
+// consumption so each unit pays the same average rate.
+// options: { date, branchId, days, hourlyProfile, tariffs (versions to pick from, the saved ones by default) }
+export const applyTariff = (units, { date = null, branchId = null, tariffs: list = getTariffs(), ...options } = {}) => {
+  const tariff = getTariffForDate(date, list, branchId);
+  const totalKwh = units.reduce((sum, unit) => sum + (Number(unit.consumption) || 0), 0);
+  const rate = getBlendedRate(tariff, totalKwh, options) * (1 + Number(tariff.vatRate || 0));
+  return units.map(unit => ({
+    ...unit,
+    cost: parseFloat(((Number(unit.consumption) || 0) * rate).toFixed(2))
+  }));
+};
+
+// Full bill for kwh used over days, with demand and fixed charges prorated from the month
+// peakKw: highest demand in the period (kW) for the demand charge
+export const calculateBill = ({ kwh = 0, peakKw = 0, days = DAYS_PER_MONTH, hourlyProfile = null, date = null, branchId = null, tariff = null } = {}) => {
+  const activeTariff = tariff || getTariffForDate(date, getTariffs(), branchId);
+  const share = days / DAYS_PER_MONTH;
+  const energyCharge = (Number(kwh) || 0) * getBlendedRate(activeTariff, Number(kwh) || 0, { days, hourlyProfile });
+  const demandCharge = (Number(peakKw) || 0) * Number(activeTariff.demandCharge || 0) * share;
+  const fixedCharges = (activeTariff.fixedCharges || []).reduce((sum, charge) => sum + Number(charge.amount || 0), 0) * share;
+  const subtotal = energyCharge + demandCharge + fixedCharges;
+  const vat = subtotal * Number(activeTariff.vatRate || 0);
+
+  return {
+    tariff: activeTariff,
+    energyCharge,
+    demandCharge,
+    fixedCharges,
+    subtotal,
+    vat,
+    total: subtotal + vat
+  };
+};
+
+// Short rate summary for labels, e.g. "₱10.00/kWh" or "Peak ₱12.00 • Off-peak ₱7.00/kWh + 12% VAT"
+export const describeTariff = (tariff) => {
+  const peso = (value) => `₱${(Number(value) || 0).toFixed(2)}`;
+  let rates;
+  if (tariff.type === 'tiered') {
+    const tierRates = (tariff.tiers || []).map(tier => Number(tier.rate) || 0);
+    rates = `${tierRates.length} tiers, ${peso(Math.min(...tierRates))}-${peso(Math.max(...tierRates))}/kWh`;
+  } else if (tariff.type === 'tou') {
+    rates = `${(tariff.touPeriods || []).map(period => `${period.name} ${peso(period.rate)}`).join(' • ')}/kWh`;
+  } else {
+    rates = `${peso(tariff.flatRate)}/kWh`;
+  }
+  const vat = Number(tariff.vatRate) > 0 ? ` + ${Math.round(Number(tariff.vatRate) * 100)}% VAT` : '';
+  return `${rates}${vat}`;
+};
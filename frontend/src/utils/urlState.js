@@ -0,0 +1,107 @@
+// Shareable URL state - the filters, active module and map/floor selection live in the query
+// string (e.g. ?module=floors&floor=3&timeGranularity=week&weekday=wednesday) so a view can
+// be reloaded, bookmarked or sent as a link. Only values that differ from the defaults are written.
+
+export const DEFAULT_FILTERS = {
+  // Hierarchy - branch (site) and building scope every API call
+  branch: 'all',
+  building: 'all',
+  floor: 'all',
+  unitType: 'all',
+  status: 'all',
+  consumptionRange: 1000,
+  // Time-related filters
+  timeGranularity: 'day', // day | week | hour | minute
+  weekday: 'all',         // all | monday | ... | sunday
+  dateFrom: null,         // yyyy-MM-dd - with dateTo, overrides the single date
+  dateTo: null
+};
+
+export const DEFAULT_MODULE = 'dashboard';
+
+// Module ids rendered by App - anything else in the URL falls back to the dashboard
+export const MODULES = ['dashboard', 'floors', 'building-map', 'sites', 'demand', 'power-quality', 'forecast', 'report', 'baseline', 'emissions', 'budgets', 'tariffs', 'alerts', 'assets', 'virtual-meters'];
+
+// Selection inside a module: branch / building picked on the building map and the floor whose
+// plan is shown there, the floor whose units are open in Floor Details. Named apart from the
+// branch / building / floor filters.
+export const EMPTY_SELECTION = { mapBranch: null, mapBuilding: null, mapFloor: null, unitsFloor: null };
+
+// Which module each selection key belongs to - it is only written to the URL there
+const SELECTION_MODULES = { mapBranch: 'building-map', mapBuilding: 'building-map', mapFloor: 'building-map', unitsFloor: 'floors' };
+
+const GRANULARITIES = ['day', 'week', 'hour', 'minute'];
+const WEEKDAYS = ['all', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const STATUSES = ['all', 'operational', 'maintenance', 'critical'];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+const isId = (value) => /^\d+$/.test(value || '');
+
+// Parser per filter key - returns undefined for values that should be ignored
+const FILTER_PARSERS = {
+  branch: (value) => (isId(value) ? value : undefined),
+  building: (value) => (isId(value) ? value : undefined),
+  // A floor id, or a virtual meter ("vm-<id>", see utils/virtualMeters.js)
+  floor: (value) => (isId(value) || /^vm-\d+$/.test(value || '') ? value : undefined),
+  unitType: (value) => value || undefined,
+  status: (value) => (STATUSES.includes(value) ? value : undefined),
+  consumptionRange: (value) => {
+    const range = parseInt(value, 10);
+    return range >= 0 && range <= 1000 ? range : undefined;
+  },
+  timeGranularity: (value) => (GRANULARITIES.includes(value) ? value : undefined),
+  weekday: (value) => (WEEKDAYS.includes(value) ? value : undefined),
+  date: (value) => (isDate(value) ? value : undefined),
+  dateFrom: (value) => (isDate(value) ? value : undefined),
+  dateTo: (value) => (isDate(value) ? value : undefined)
+};
+
+// Filters, module and selection from a query string (window.location.search)
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(FILTER_PARSERS).forEach(([key, parse]) => {
+    if (!params.has(key)) return;
+    const value = parse(params.get(key));
+    if (value !== undefined) filters[key] = value;
+  });
+  // A range needs both ends
+  if (!filters.dateFrom || !filters.dateTo || filters.dateFrom > filters.dateTo) {
+    filters.dateFrom = null;
+    filters.dateTo = null;
+  }
+
+  const module = params.get('module');
+  const activeModule = MODULES.includes(module) ? module : DEFAULT_MODULE;
+
+  const selection = { ...EMPTY_SELECTION };
+  Object.keys(EMPTY_SELECTION).forEach(key => {
+    if (SELECTION_MODULES[key] === activeModule && isId(params.get(key))) {
+      selection[key] = parseInt(params.get(key), 10);
+    }
+  });
+
+  return { filters, activeModule, selection };
+};
+
+// Query string ('' or '?...') for the current filters, module and selection
+export const buildUrlSearch = ({ filters, activeModule, selection = EMPTY_SELECTION }) => {
+  const params = new URLSearchParams();
+
+  if (activeModule !== DEFAULT_MODULE) params.set('module', activeModule);
+
+  Object.keys(FILTER_PARSERS).forEach(key => {
+    const value = filters[key];
+    if (value === null || value === undefined || value === '' || value === 'all') return;
+    if (value === DEFAULT_FILTERS[key]) return;
+    params.set(key, value);
+  });
+
+  Object.entries(selection).forEach(([key, value]) => {
+    if (value !== null && SELECTION_MODULES[key] === activeModule) params.set(key, value);
+  });
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
@@ -0,0 +1,219 @@
+// Virtual meters - derived channels defined by a formula over physical floors and units,
+// e.g. "F1 - U1" (Floor 1 minus HVAC Unit 1) or "F1 + F2 + F3 - U7"
+// F<id> is a floor (by id, like the floor filter), U<id> a unit mapped to a meter channel
+// (utils/metering.js). Formulas take + - * / and parentheses and are evaluated slot by slot
+// over the hourly and per-minute series (hooks/useVirtualMeters.js).
+// A virtual meter is picked like a floor: the floor filter holds "vm-<id>".
+// Virtual meters are edited from the Virtual Meters module.
+import { getAssetHierarchy, findAsset, getUnitChannelKey } from './assets';
+import { createLocalStore } from './localStore';
+
+export const VIRTUAL_FLOOR_PREFIX = 'vm-';
+
+const REF_KINDS = {
+  F: { kind: 'floors', label: 'floor' },
+  U: { kind: 'units', label: 'unit' }
+};
+
+// "F1", "U12"
+export const formatRef = (ref) => `${ref.kind === 'floors' ? 'F' : 'U'}${ref.id}`;
+
+// Formula → tokens ({ type: 'number' | 'ref' | 'op' | 'paren', value, position }).
+// Throws with the position of the first character it can't read.
+const tokenize = (formula) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([FfUu])(\d+)|([-+*/])|([()]))/y;
+  let position = 0;
+  while (position < formula.length) {
+    if (/^\s*$/.test(formula.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(formula);
+    if (!match) {
+      const offset = formula.slice(position).search(/\S/);
+      throw new Error(`Unexpected "${formula[position + offset]}" at position ${position + offset + 1}`);
+    }
+    const start = position + match[0].search(/\S/) + 1;
+    if (match[1]) tokens.push({ type: 'number', value: Number(match[1]), position: start });
+    else if (match[2]) tokens.push({ type: 'ref', value: { kind: REF_KINDS[match[2].toUpperCase()].kind, id: Number(match[3]) }, position: start });
+    else if (match[4]) tokens.push({ type: 'op', value: match[4], position: start });
+    else tokens.push({ type: 'paren', value: match[5], position: start });
+    position = pattern.lastIndex;
+  }
+  return tokens;
+};
+
+// Recursive descent over the tokens:
+// expression = term (("+" | "-") term)* ; term = factor (("*" | "/") factor)*
+// factor = number | ref | "(" expression ")" | "-" factor
+const parseTokens = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `at position ${token.position}` : 'at the end');
+
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) throw new Error('Formula ends too early - expected a floor, unit or number');
+    if (token.type === 'number' || token.type === 'ref') {
+      index += 1;
+      return token.type === 'number' ? { type: 'number', value: token.value } : { type: 'ref', ref: token.value };
+    }
+    if (token.type === 'op' && token.value === '-') {
+      index += 1;
+      return { type: 'negate', operand: parseFactor() };
+    }
+    if (token.type === 'paren' && token.value === '(') {
+      index += 1;
+      const inner = parseExpression();
+      if (peek()?.value !== ')') throw new Error(`Missing ")" ${describe(peek())}`);
+      index += 1;
+      return inner;
+    }
+    throw new Error(`Expected a floor, unit or number ${describe(token)}`);
+  };
+
+  const parseBinary = (parseOperand, operators) => () => {
+    let node = parseOperand();
+    while (peek()?.type === 'op' && operators.includes(peek().value)) {
+      const operator = tokens[index].value;
+      index += 1;
+      node = { type: 'binary', operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+  const parseTerm = parseBinary(parseFactor, ['*', '/']);
+  const parseExpression = parseBinary(parseTerm, ['+', '-']);
+
+  const tree = parseExpression();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new Error(`Unexpected "${token.type === 'ref' ? formatRef(token.value) : token.value}" at position ${token.position}`);
+  }
+  return tree;
+};
+
+// { tree, error } - tree is null when the formula can't be read
+export const parseFormula = (formula) => {
+  try {
+    if (!String(formula || '').trim()) throw new Error('Formula is required');
+    return { tree: parseTokens(tokenize(String(formula))), error: null };
+  } catch (e) {
+    return { tree: null, error: e.message };
+  }
+};
+
+// Floors and units a parsed formula reads, without repeats: [{ kind, id }]
+export const getFormulaRefs = (tree) => {
+  const refs = new Map();
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'ref') refs.set(formatRef(node.ref), node.ref);
+    visit(node.operand);
+    visit(node.left);
+    visit(node.right);
+  };
+  visit(tree);
+  return [...refs.values()];
+};
+
+// Value of a parsed formula - getValue(ref) gives each floor / unit's value. null when a value
+// is missing or a division by zero comes up, so gaps in the readings stay gaps.
+export const evaluateFormula = (tree, getValue) => {
+  switch (tree.type) {
+    case 'number':
+      return tree.value;
+    case 'ref': {
+      const value = getValue(tree.ref);
+      return value === null || value === undefined || Number.isNaN(value) ? null : value;
+    }
+    case 'negate': {
+      const value = evaluateFormula(tree.operand, getValue);
+      return value === null ? null : -value;
+    }
+    default: {
+      const left = evaluateFormula(tree.left, getValue);
+      const right = evaluateFormula(tree.right, getValue);
+      if (left === null || right === null) return null;
+      if (tree.operator === '+') return left + right;
+      if (tree.operator === '-') return left - right;
+      if (tree.operator === '*') return left * right;
+      return right === 0 ? null : left / right;
+    }
+  }
+};
+
+// Formula over fixed slots (hours of a day, minutes of an hour) - slotsByRef holds an array of
+// values per ref (keyed by formatRef)
+export const evaluateSlots = (tree, slotsByRef, slotCount) =>
+  Array.from({ length: slotCount }, (_, slot) =>
+    evaluateFormula(tree, ref => slotsByRef[formatRef(ref)]?.[slot] ?? null));
+
+// Formula with names in place of the refs, e.g. "Floor 1 - HVAC Unit 1"
+export const describeFormula = (formula, list = getAssetHierarchy()) =>
+  String(formula || '').replace(/([FfUu])(\d+)/g, (text, letter, id) =>
+    findAsset(REF_KINDS[letter.toUpperCase()].kind, id, list)?.name || text);
+
+// Problems with a virtual meter, as messages for the builder (empty when valid)
+export const validateVirtualMeter = (meter, list = [], hierarchy = getAssetHierarchy()) => {
+  const errors = [];
+  const name = String(meter.name || '').trim();
+  if (!name) errors.push('Name is required');
+  if (name && list.some(other => other.id !== meter.id && String(other.name).trim().toLowerCase() === name.toLowerCase())) {
+    errors.push(`There is already a virtual meter named "${name}"`);
+  }
+
+  const { tree, error } = parseFormula(meter.formula);
+  if (error) {
+    errors.push(error);
+    return errors;
+  }
+  const refs = getFormulaRefs(tree);
+  if (refs.length === 0) errors.push('Use at least one floor or unit');
+  refs.forEach(ref => {
+    const asset = findAsset(ref.kind, ref.id, hierarchy);
+    if (!asset) {
+      errors.push(`${formatRef(ref)} is not a ${ref.kind === 'floors' ? 'floor' : 'unit'}`);
+    } else if (ref.kind === 'units' && !getUnitChannelKey(asset)) {
+      errors.push(`${formatRef(ref)} (${asset.name}) has no meter channel - map it in Asset Hierarchy`);
+    }
+  });
+  return errors;
+};
+
+export const virtualMeterStore = createLocalStore('virtualMeters', {
+  label: 'virtual meters',
+  fallback: [],
+  load: (parsed) => (Array.isArray(parsed) ? parsed.filter(meter => meter && meter.id && typeof meter.formula === 'string') : undefined),
+  validate: (next) => {
+    const invalid = next.find(meter => validateVirtualMeter(meter, next).length > 0);
+    if (invalid) {
+      throw new Error(`Virtual meter "${invalid.name || 'unnamed'}" is invalid: ${validateVirtualMeter(invalid, next).join(', ')}`);
+    }
+  },
+  normalize: (next) => next.map(meter => ({
+    ...meter,
+    id: Number(meter.id),
+    name: String(meter.name).trim(),
+    formula: String(meter.formula).trim()
+  }))
+});
+
+export const getVirtualMeters = virtualMeterStore.get;
+
+// Replace every virtual meter - persisted and pushed to subscribers (useVirtualMeters)
+export const saveVirtualMeters = virtualMeterStore.set;
+
+// Floor filter value of a virtual meter, and back
+export const getVirtualFloorValue = (meter) => `${VIRTUAL_FLOOR_PREFIX}${meter.id}`;
+
+export const isVirtualFloor = (floor) => String(floor || '').startsWith(VIRTUAL_FLOOR_PREFIX);
+
+export const getVirtualMeterForFloor = (floor, list = getVirtualMeters()) => {
+  if (!isVirtualFloor(floor)) return null;
+  const id = Number(String(floor).slice(VIRTUAL_FLOOR_PREFIX.length));
+  return list.find(meter => meter.id === id) || null;
+};
+
+// Filters for everything that reads physical floors - a virtual meter in the floor filter
+// falls back to all floors there; only the charts that evaluate it read the virtual meter
+export const getPhysicalFilters = (filters) =>
+  (isVirtualFloor(filters.floor) ? { ...filters, floor: 'all' } : filters);
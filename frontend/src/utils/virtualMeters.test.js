@@ -0,0 +1,159 @@
+import {
+  parseFormula,
+  getFormulaRefs,
+  evaluateFormula,
+  evaluateSlots,
+  describeFormula,
+  validateVirtualMeter,
+  getVirtualMeterForFloor,
+  getPhysicalFilters
+} from './virtualMeters';
+
+const hierarchy = {
+  branches: [{ id: 1, name: 'Laguna' }],
+  buildings: [{ id: 1, branchId: 1, name: 'Main' }],
+  floors: [{ id: 1, buildingId: 1, name: 'Floor 1' }, { id: 2, buildingId: 1, name: 'Floor 2' }],
+  units: [
+    { id: 1, floorId: 1, name: 'HVAC Unit 1', meter: 1, channel: 2 },
+    { id: 2, floorId: 1, name: 'Lighting Unit 1', meter: '' }
+  ]
+};
+
+const values = { F1: 10, F2: 4, U1: 3 };
+const evaluate = (formula, lookup = values) =>
+  evaluateFormula(parseFormula(formula).tree, ref => lookup[`${ref.kind === 'floors' ? 'F' : 'U'}${ref.id}`]);
+
+describe('parseFormula', () => {
+  it('reads floors, units, numbers and operators', () => {
+    const { tree, error } = parseFormula('f1 - U1 * 0.5');
+    expect(error).toBeNull();
+    expect(tree).toEqual({
+      type: 'binary',
+      operator: '-',
+      left: { type: 'ref', ref: { kind: 'floors', id: 1 } },
+      right: {
+        type: 'binary',
+        operator: '*',
+        left: { type: 'ref', ref: { kind: 'units', id: 1 } },
+        right: { type: 'number', value: 0.5 }
+      }
+    });
+  });
+
+  it('needs a formula', () => {
+    expect(parseFormula('')).toEqual({ tree: null, error: 'Formula is required' });
+    expect(parseFormula('   ').error).toBe('Formula is required');
+    expect(parseFormula(null).error).toBe('Formula is required');
+  });
+
+  it('points at a character it cannot read', () => {
+    expect(parseFormula('F1 + X2').error).toBe('Unexpected "X" at position 6');
+    expect(parseFormula('F1 % 2').error).toBe('Unexpected "%" at position 4');
+  });
+
+  it('names a floor or unit left over after the formula', () => {
+    expect(parseFormula('F1U2').error).toBe('Unexpected "U2" at position 3');
+    expect(parseFormula('F1 2').error).toBe('Unexpected "2" at position 4');
+    expect(parseFormula('(F1))').error).toBe('Unexpected ")" at position 5');
+  });
+
+  it('reports a formula that ends too early', () => {
+    expect(parseFormula('F1 +').error).toBe('Formula ends too early - expected a floor, unit or number');
+    expect(parseFormula('-').error).toBe('Formula ends too early - expected a floor, unit or number');
+  });
+
+  it('reports a missing closing parenthesis', () => {
+    expect(parseFormula('(F1 + F2').error).toBe('Missing ")" at the end');
+    expect(parseFormula('(F1 F2)').error).toBe('Missing ")" at position 5');
+  });
+
+  it('reports an operator where a value belongs', () => {
+    expect(parseFormula('F1 + * F2').error).toBe('Expected a floor, unit or number at position 6');
+    expect(parseFormula(')').error).toBe('Expected a floor, unit or number at position 1');
+  });
+});
+
+describe('getFormulaRefs', () => {
+  it('lists each floor and unit once', () => {
+    expect(getFormulaRefs(parseFormula('F1 + F2 - (F1 * -U1)').tree)).toEqual([
+      { kind: 'floors', id: 1 },
+      { kind: 'floors', id: 2 },
+      { kind: 'units', id: 1 }
+    ]);
+  });
+});
+
+describe('evaluateFormula', () => {
+  it('follows operator precedence and parentheses', () => {
+    expect(evaluate('F1 - U1')).toBe(7);
+    expect(evaluate('F1 + F2 * 2')).toBe(18);
+    expect(evaluate('(F1 + F2) * 2')).toBe(28);
+    expect(evaluate('F1 - F2 - U1')).toBe(3);
+    expect(evaluate('F1 / F2')).toBe(2.5);
+    expect(evaluate('-F1 + 1')).toBe(-9);
+  });
+
+  it('leaves a gap for missing values and division by zero', () => {
+    expect(evaluate('F1 + F3')).toBeNull();
+    expect(evaluate('F1 + U1', { F1: 10, U1: null })).toBeNull();
+    expect(evaluate('F1 / (F2 - 4)')).toBeNull();
+    expect(evaluate('-F3')).toBeNull();
+  });
+
+  it('evaluates slot by slot', () => {
+    const { tree } = parseFormula('F1 - U1');
+    expect(evaluateSlots(tree, { F1: [5, 6, null], U1: [1, 2, 3] }, 4)).toEqual([4, 4, null, null]);
+  });
+});
+
+describe('describeFormula', () => {
+  it('puts names in place of the refs', () => {
+    expect(describeFormula('F1 - u1 + F9', hierarchy)).toBe('Floor 1 - HVAC Unit 1 + F9');
+  });
+});
+
+describe('validateVirtualMeter', () => {
+  it('accepts a named formula over known floors and mapped units', () => {
+    expect(validateVirtualMeter({ id: 1, name: 'Floor 1 net', formula: 'F1 - U1' }, [], hierarchy)).toEqual([]);
+  });
+
+  it('needs a unique name', () => {
+    const list = [{ id: 2, name: 'Floor 1 net', formula: 'F1' }];
+    expect(validateVirtualMeter({ id: 1, name: ' ', formula: 'F1' }, list, hierarchy)).toEqual(['Name is required']);
+    expect(validateVirtualMeter({ id: 1, name: 'floor 1 NET', formula: 'F1' }, list, hierarchy))
+      .toEqual(['There is already a virtual meter named "floor 1 NET"']);
+  });
+
+  it('passes on the parse error', () => {
+    expect(validateVirtualMeter({ id: 1, name: 'Net', formula: 'F1 +' }, [], hierarchy))
+      .toEqual(['Formula ends too early - expected a floor, unit or number']);
+  });
+
+  it('needs at least one floor or unit', () => {
+    expect(validateVirtualMeter({ id: 1, name: 'Constant', formula: '2 * 3' }, [], hierarchy))
+      .toEqual(['Use at least one floor or unit']);
+  });
+
+  it('checks the refs against the hierarchy', () => {
+    expect(validateVirtualMeter({ id: 1, name: 'Net', formula: 'F3 - U2 + U5' }, [], hierarchy)).toEqual([
+      'F3 is not a floor',
+      'U2 (Lighting Unit 1) has no meter channel - map it in Asset Hierarchy',
+      'U5 is not a unit'
+    ]);
+  });
+});
+
+describe('floor filter', () => {
+  const list = [{ id: 3, name: 'Net', formula: 'F1 - U1' }];
+
+  it('finds the virtual meter picked in the floor filter', () => {
+    expect(getVirtualMeterForFloor('vm-3', list)).toBe(list[0]);
+    expect(getVirtualMeterForFloor('vm-4', list)).toBeNull();
+    expect(getVirtualMeterForFloor(3, list)).toBeNull();
+  });
+
+  it('reads all floors for a virtual meter', () => {
+    expect(getPhysicalFilters({ floor: 'vm-3', date: '2024-01-01' })).toEqual({ floor: 'all', date: '2024-01-01' });
+    expect(getPhysicalFilters({ floor: 2 })).toEqual({ floor: 2 });
+  });
+});